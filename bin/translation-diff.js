@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+// Command-line front end to the headless core (src/core.js):
+//   translation-diff compare old.txt new.txt [--format html|json|unified] [--out file]
+//   translation-diff translate src.txt --provider openai --prompt "…" [--out file]
+//   translation-diff selftest
+// A file argument of "-" reads standard input. Exit status: 0 on success, 1 when
+// `compare --exit-code` found differences or a self-test failed, 2 on errors.
+import { readFile, writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { DEFAULT_PROVIDER, DIFF_GRANULARITIES, NORMALIZATIONS, PROVIDERS, REPORT_FORMATS, compareTexts, translateText } from "../src/core.js";
+import { runSelfTests } from "../src/selftests.js";
+
+const USAGE = `Usage:
+  translation-diff compare <old> <new> [options]
+      --format html|json|unified   output format (default: unified)
+      --granularity word|subword|char   word diff of html and json (unified is by line)
+      --ignore <list>              html and json: ignore any of ${NORMALIZATIONS.map(n => n.id).join(", ")}
+      --source <file>              source text, shown in the HTML report
+      --exit-code                  exit with 1 when the texts differ
+  translation-diff translate <source> [options]
+      --provider <id>              ${Object.keys(PROVIDERS).join(", ")} (default: ${DEFAULT_PROVIDER})
+      --model <name>
+      --prompt <text> | --prompt-file <file>
+      --target-lang <lang>         BCP-47 code or English name (default: English)
+      --source-lang <lang>
+      --temperature <n>  --max-tokens <n>  --chunk-tokens <n>  --concurrency <n>
+      --api-key, --base-url, --endpoint, --api-version
+      --reasoning-model            Azure: the deployment is a reasoning model (no temperature)
+                                   provider settings; the API key may also come from
+                                   TRANSLATION_DIFF_API_KEY or the provider's usual variable
+  translation-diff selftest
+Common options:
+      --out <file>                 write to a file instead of standard output
+      -h, --help`;
+
+const OPTIONS = {
+  format: { type: "string" },
+  granularity: { type: "string" },
+  ignore: { type: "string" },
+  source: { type: "string" },
+  "exit-code": { type: "boolean" },
+  provider: { type: "string" },
+  model: { type: "string" },
+  prompt: { type: "string" },
+  "prompt-file": { type: "string" },
+  "target-lang": { type: "string" },
+  "source-lang": { type: "string" },
+  temperature: { type: "string" },
+  "max-tokens": { type: "string" },
+  "chunk-tokens": { type: "string" },
+  concurrency: { type: "string" },
+  "api-key": { type: "string" },
+  "base-url": { type: "string" },
+  endpoint: { type: "string" },
+  "api-version": { type: "string" },
+  "reasoning-model": { type: "boolean" },
+  out: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+// Conventional API key variables, after TRANSLATION_DIFF_API_KEY.
+const KEY_ENV = { openai: "OPENAI_API_KEY", azure: "AZURE_OPENAI_API_KEY", anthropic: "ANTHROPIC_API_KEY" };
+
+class UsageError extends Error {}
+
+async function readInput(path) {
+  if (path !== "-") return readFile(path, "utf8");
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+async function writeOutput(text, out) {
+  if (out) await writeFile(out, text);
+  else process.stdout.write(text);
+}
+
+function oneOf(value, allowed, flag) {
+  if (value !== undefined && !allowed.includes(value)) throw new UsageError(`--${flag} must be one of: ${allowed.join(", ")}`);
+  return value;
+}
+
+function number(value, flag) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new UsageError(`--${flag} must be a number`);
+  return n;
+}
+
+async function compare([oldPath, newPath], values) {
+  if (!oldPath || !newPath) throw new UsageError("compare needs two files");
+  const format = oneOf(values.format, REPORT_FORMATS, "format") || "unified";
+  const granularity = oneOf(values.granularity, DIFF_GRANULARITIES.map(g => g.id), "granularity");
+  const ignore = values.ignore ? values.ignore.split(",").map(s => s.trim()).filter(Boolean) : [];
+  ignore.forEach(id => oneOf(id, NORMALIZATIONS.map(n => n.id), "ignore"));
+  const [oldText, newText, sourceText] = await Promise.all([readInput(oldPath), readInput(newPath), values.source ? readInput(values.source) : ""]);
+  const result = compareTexts(oldText, newText, {
+    format,
+    granularity,
+    normalize: Object.fromEntries(ignore.map(id => [id, true])),
+    oldName: oldPath,
+    newName: newPath,
+    sourceText,
+  });
+  await writeOutput(format === "json" ? `${JSON.stringify(result, null, 2)}\n` : result, values.out);
+  const differs = format === "json" ? result.changes > 0 : format === "unified" ? result !== "" : oldText !== newText;
+  return values["exit-code"] && differs ? 1 : 0;
+}
+
+async function translateCommand([sourcePath], values) {
+  if (!sourcePath) throw new UsageError("translate needs a source file");
+  const providerId = oneOf(values.provider, Object.keys(PROVIDERS), "provider") || DEFAULT_PROVIDER;
+  const settings = {};
+  settings.apiKey = process.env.TRANSLATION_DIFF_API_KEY || process.env[KEY_ENV[providerId]];
+  for (const f of PROVIDERS[providerId].fields) {
+    const flag = f.key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+    if (values[flag] !== undefined) settings[f.key] = values[flag];
+    if (f.required && !settings[f.key]?.trim()) throw new UsageError(`${PROVIDERS[providerId].label} needs --${flag}${f.key === "apiKey" ? " (or TRANSLATION_DIFF_API_KEY)" : ""}`);
+  }
+  const [sourceText, promptFile] = await Promise.all([readInput(sourcePath), values["prompt-file"] ? readFile(values["prompt-file"], "utf8") : null]);
+  const text = await translateText(sourceText, {
+    providerId,
+    settings,
+    model: values.model || "",
+    systemPrompt: promptFile ?? values.prompt ?? "",
+    targetLang: values["target-lang"] || "English",
+    sourceLang: values["source-lang"] || "",
+    temperature: values.temperature,
+    maxTokens: values["max-tokens"],
+    chunkTokens: number(values["chunk-tokens"], "chunk-tokens"),
+    concurrency: number(values.concurrency, "concurrency"),
+    onProgress: (st) => {
+      if (st.status === "retrying") process.stderr.write(`chunk ${st.index + 1}: retrying (${st.error})\n`);
+      if (st.status === "failed") process.stderr.write(`chunk ${st.index + 1}: failed (${st.error})\n`);
+    },
+  });
+  await writeOutput(text.endsWith("\n") ? text : `${text}\n`, values.out);
+  return 0;
+}
+
+async function selftest() {
+  const results = await runSelfTests();
+  for (const r of results) console.log(`${r.ok ? "ok  " : "FAIL"} ${r.name}${r.msg ? ` — ${r.msg}` : ""}`);
+  const failed = results.filter(r => !r.ok).length;
+  console.log(`\n${results.length - failed} passed, ${failed} failed`);
+  return failed ? 1 : 0;
+}
+
+const COMMANDS = { compare, translate: translateCommand, selftest };
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...args] = positionals;
+  if (values.help || !command) { console.log(USAGE); return values.help ? 0 : 2; }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+  return COMMANDS[command](args, values);
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (e) => {
+    process.stderr.write(`translation-diff: ${e.message || e}\n`);
+    if (e instanceof UsageError || e.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION") process.stderr.write("Run translation-diff --help for usage.\n");
+    process.exitCode = 2;
+  }
+);
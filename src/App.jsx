@@ -1,156 +1,75 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useDeferredValue, useEffect, useId, useImperativeHandle, useMemo, useState } from "react";
+import { DIFF_GRANULARITIES, changeCount, groupHunks, hunkContext, movePartner, textWithRejected } from "./diff.js";
+import { NORMALIZATIONS, normalizationOptions } from "./normalize.js";
+import { SHORTCUT_ACTIONS, bindingConflicts, bindingFromEvent, findAction, firesInTextField, formatBinding, isMacPlatform, resolveBindings } from "./shortcuts.js";
+import { MOVE_CLASS, MOVE_TITLE, renderOpsToHTML } from "./editorHTML.js";
+import { DiffCancelledError, createDiffRunner, diffAsync, useDiffOps } from "./diffRunner.js";
+import { buildSegmentTable } from "./segment.js";
+import { DEFAULT_CHUNK_TOKENS, DEFAULT_CONCURRENCY, assembleChunks, chunkDocument, chunkRanges, estimateTokens, translateChunks, withRetry } from "./chunking.js";
+import { DEFAULT_PROVIDER, PROVIDERS, buildTranslationMessages, getProvider, listModels, translate, validateProviderSettings } from "./providers.js";
+import { DOCX_MIME, DOCX_SOURCE_MODES, buildDocx } from "./docx.js";
+import { IMPORT_ACCEPT, decodeText, importFile } from "./importers.js";
+import { checkGlossary, forbiddenRanges, glossaryPrompt, glossaryToCSV, glossaryToTBX, mergeGlossary, newEntry, parseGlossaryCSV, parseTBX, relevantEntries } from "./glossary.js";
+import { TM_MIN_SCORE, addToMemory, lookupMemory, pairsFromComparison, planWithMemory } from "./tm.js";
+import { historyBackup, mergeHistory, migrateLocalHistory, openHistoryStore, parseHistoryBackup, parseTags, searchHistory } from "./historyStore.js";
+import { REVISION_KINDS, documentKey, isRedundant, newRevision, openRevisionStore } from "./revisions.js";
+import { CANDIDATE_LIMIT, candidateLabel, candidateRows, compareCandidates, newCandidateSpec, pickSentence } from "./candidates.js";
+import { BUILTIN_VARIABLES, addVersion, customFields, latestVersion, matchTemplate, newTemplate, templateRef } from "./prompts.js";
+import { emptyDraft, newProject, nextDraft, openProjectStore, pinOverrides, projectSettings, recentProjects } from "./projects.js";
+import { computeMetrics, metricTrends, promptId, wordCounts } from "./metrics.js";
+import { addReply, mapOffset, newThread, reanchorThreads, sortThreads, threadNote } from "./comments.js";
+import { buildHTMLReport } from "./report.js";
+import { REVIEW_ACCEPT, applyReviewResult, buildReviewPackage, parseReviewResult } from "./reviewPackage.js";
+import { textHash } from "./hash.js";
+import { runSelfTests } from "./selftests.js";
+import { CAT_FORMATS, buildCatFile, buildPairs } from "./exporters.js";
+import { COMMON_LANGUAGES, guessLang, isRtlLang, langCode, languageName, parseLang } from "./languages.js";
 
 // --- Tiny utilities ---------------------------------------------------------
 const nowISO = () => new Date().toISOString();
 const fmtDate = (d) => new Date(d).toLocaleString();
 const uid = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
 
-// Heuristic: decide if a string is mostly Hebrew (RTL) without using Unicode escapes in regex
-function isHebrewCodePoint(cp) { return cp >= 0x0590 && cp <= 0x05FF; }
-function isLatinCodePoint(cp) { return (cp >= 0x41 && cp <= 0x5A) || (cp >= 0x61 && cp <= 0x7A); }
-function isMostlyHebrew(s) {
-  if (!s) return false;
-  let heb = 0, letters = 0;
-  for (const ch of s) {
-    const cp = ch.codePointAt(0);
-    if (isHebrewCodePoint(cp)) { heb++; letters++; }
-    else if (isLatinCodePoint(cp)) { letters++; }
-  }
-  return letters ? (heb / letters) >= 0.5 : false;
-}
-function detectDir(s) { return isMostlyHebrew(s) ? 'rtl' : 'ltr'; }
-
-// He+En friendly tokenization (keeps words, punctuation, and spaces as tokens)
-function tokenize(str) {
-  if (!str) return [];
-  // Split into: words (including Hebrew), punctuation, whitespace
-  // NOTE: uses explicit Unicode block for Hebrew to avoid locale issues
-  const re = /([\u0590-\u05FF\w]+|\s+|[^\u0590-\u05FF\w\s])/gu;
-  return str.match(re) || [str];
-}
-
-// Longest Common Subsequence (word-level)
-function lcsMatrix(a, b) {
-  const m = a.length, n = b.length;
-  const dp = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      if (a[i - 1] === b[j - 1]) dp[i][j] = dp[i - 1][j - 1] + 1;
-      else dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1]);
-    }
-  }
-  return dp;
-}
-
-function diffWords(oldStr, newStr) {
-  const A = tokenize(oldStr);
-  const B = tokenize(newStr);
-  const dp = lcsMatrix(A, B);
-  let i = A.length, j = B.length;
-  const ops = [];
-  while (i > 0 && j > 0) {
-    if (A[i - 1] === B[j - 1]) {
-      ops.push({ type: "equal", value: A[i - 1] });
-      i--; j--;
-    } else if (dp[i - 1][j] >= dp[i][j - 1]) {
-      ops.push({ type: "delete", value: A[i - 1] });
-      i--;
-    } else {
-      ops.push({ type: "insert", value: B[j - 1] });
-      j--;
-    }
-  }
-  while (i > 0) { ops.push({ type: "delete", value: A[--i] }); }
-  while (j > 0) { ops.push({ type: "insert", value: B[--j] }); }
-  ops.reverse();
-  return ops;
-}
-
 function classNames(...arr) { return arr.filter(Boolean).join(" "); }
 
-// --- OpenAI call ------------------------------------------------------------
-async function openAITranslate({ apiKey, model, systemPrompt, sourceText, targetLang, temperatureValue, maxCompletionTokens }) {
-  // IMPORTANT: Escape the backslash before apostrophe to avoid invalid Unicode escape in some bundlers.
-  const finalSystem =
-    (systemPrompt?.trim()) ||
-    "You are a professional translator. Keep the author\\'s logic and structure. Write in clear, natural {TARGET} with no extra commentary.";
-  const sys = finalSystem.replace("{TARGET}", targetLang || "English");
-
-  const messages = [
-    { role: "system", content: sys },
-    {
-      role: "user",
-      content: `Translate the SOURCE text into ${targetLang || "English"}. Return translation only.\n\nSOURCE:\`\`\`\n${sourceText}\n\`\`\`\n`,
-    },
-  ];
-
-  const buildBody = () => {
-    const body = { model: model || "gpt-4o-mini", messages };
-    // Only include temperature if user provided one; some models fix it to 1 and reject overrides.
-    const tRaw = (temperatureValue ?? "").toString().trim();
-    if (tRaw !== "") {
-      const t = Number(tRaw);
-      if (!Number.isNaN(t)) body.temperature = t; // omit entirely if blank/invalid
-    }
-    const mctRaw = (maxCompletionTokens ?? "").toString().trim();
-    if (mctRaw !== "") {
-      const mct = parseInt(mctRaw, 10);
-      if (Number.isFinite(mct)) body.max_completion_tokens = mct; // modern param
-    }
-    return body;
-  };
-
-  const doFetch = async (body) => {
-    const res = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
-      body: JSON.stringify(body),
-    });
-    if (!res.ok) {
-      const txt = await res.text();
-      throw new Error(`OpenAI error ${res.status}: ${txt}`);
-    }
-    const data = await res.json();
-    return data.choices?.[0]?.message?.content?.trim() ?? "";
-  };
-
-  // First try with user prefs; on specific 400s, retry without offending params
-  let body = buildBody();
-  try {
-    return await doFetch(body);
-  } catch (e) {
-    const msg = String(e.message || e);
-    // Retry without temperature if model rejects it
-    if (msg.includes("'temperature'")) {
-      const { temperature, ...rest } = body; // temperature may or may not exist
-      delete rest.temperature;
-      return await doFetch(rest);
-    }
-    // Retry switching token param if some downstream lib injected max_tokens (defensive)
-    if (msg.includes("'max_tokens'")) {
-      const retry = { ...body };
-      delete retry.max_tokens;
-      if (typeof retry.max_completion_tokens === "undefined" && (maxCompletionTokens ?? "").toString().trim() !== "") {
-        retry.max_completion_tokens = parseInt(maxCompletionTokens, 10);
-      }
-      return await doFetch(retry);
-    }
-    throw e;
-  }
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
+const STREAM_FLUSH_MS = 80;
+const REANCHOR_DELAY_MS = 600; // comment anchors follow the text once typing pauses
+
 // --- Storage ---------------------------------------------------------------
 const LS_KEYS = {
-  apiKey: "tds_api_key",
+  apiKey: "tds_api_key", // legacy: OpenAI key before providers; migrated into `providers`
   prefs: "tds_prefs",
-  history: "tds_history_v1",
+  providers: "tds_providers",
+  history: "tds_history_v1", // legacy: history now lives in IndexedDB (historyStore.js)
+  glossary: "tds_glossary",
+  tm: "tds_tm",
+  prompts: "tds_prompts",
 };
 
 function loadJSON(key, fallback) {
   try { const v = localStorage.getItem(key); return v ? JSON.parse(v) : fallback; } catch { return fallback; }
 }
-function saveJSON(key, val) {
-  try { localStorage.setItem(key, JSON.stringify(val)); } catch {}
+const STORAGE_NAMES = { [LS_KEYS.prefs]: "settings", [LS_KEYS.providers]: "provider settings", [LS_KEYS.glossary]: "glossary", [LS_KEYS.tm]: "translation memory", [LS_KEYS.prompts]: "prompt library" };
+
+// Failed writes (usually a full quota) are reported through `onError`, never dropped.
+function saveJSON(key, val, onError = console.error) {
+  try {
+    localStorage.setItem(key, JSON.stringify(val));
+  } catch (e) {
+    const what = STORAGE_NAMES[key] || key;
+    onError(e && e.name === "QuotaExceededError"
+      ? `Browser storage is full — the latest ${what} changes were not saved. Remove translation memory or glossary entries you no longer need.`
+      : `Could not save ${what}: ${e.message || e}`);
+  }
 }
 
 // --- Components -------------------------------------------------------------
@@ -202,9 +121,9 @@ function Button({ children, onClick, variant = "primary", disabled }) {
   );
 }
 
-function Card({ title, subtitle, right, children }) {
+function Card({ title, subtitle, right, children, className }) {
   return (
-    <div className="rounded-3xl border border-zinc-200 bg-white/70 p-4 shadow-sm">
+    <div className={classNames("rounded-3xl border border-zinc-200 bg-white/70 p-4 shadow-sm", className)}>
       <div className="mb-3 flex items-center justify-between">
         <div>
           <div className="text-lg font-semibold text-zinc-900">{title}</div>
@@ -217,23 +136,239 @@ function Card({ title, subtitle, right, children }) {
   );
 }
 
-function Legend() {
+// Drop target + file picker around a card body. Calls onFile(File).
+function FileDrop({ onFile, children }) {
+  const [over, setOver] = useState(false);
+  return (
+    <div
+      onDragOver={(e) => { e.preventDefault(); setOver(true); }}
+      onDragLeave={() => setOver(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setOver(false);
+        const file = e.dataTransfer.files && e.dataTransfer.files[0];
+        if (file) onFile(file);
+      }}
+      className={classNames("rounded-2xl", over ? "ring-2 ring-indigo-400 ring-offset-2" : "")}
+    >
+      {children}
+    </div>
+  );
+}
+
+function ImportButton({ onFile }) {
+  const inputRef = React.useRef(null);
+  return (
+    <>
+      <Button variant="ghost" onClick={() => inputRef.current.click()}>Import…</Button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={IMPORT_ACCEPT}
+        className="hidden"
+        onChange={(e) => { const file = e.target.files[0]; e.target.value = ""; if (file) onFile(file); }}
+      />
+    </>
+  );
+}
+
+const IMPORT_FORMAT_LABEL = { docx: "DOCX", srt: "SRT", vtt: "WebVTT", xliff: "XLIFF", tmx: "TMX", text: "Text" };
+
+function ImportInfo({ doc, onClear }) {
+  if (!doc) return null;
+  return (
+    <div className="mt-2 flex items-center justify-between gap-2 text-xs text-zinc-500">
+      <span className="truncate">
+        {doc.name} · {IMPORT_FORMAT_LABEL[doc.format]}{doc.version ? ` ${doc.version}` : ""} · {doc.segments.length} segments
+        {doc.encoding && doc.encoding !== "utf-8" ? ` · ${doc.encoding}` : ""}
+      </span>
+      <button className="text-zinc-400 hover:text-zinc-700" onClick={onClear} title="Forget the imported file structure">✕</button>
+    </div>
+  );
+}
+
+function Legend({ granularity, onGranularityChange }) {
   return (
     <div className="flex items-center gap-3 text-xs">
       <span className="rounded-md bg-green-100 px-2 py-0.5 text-green-800">Added</span>
       <span className="rounded-md bg-rose-100 px-2 py-0.5 text-rose-800 line-through">Removed</span>
-      <Pill>Word-level (LCS)</Pill>
+      <span className="rounded-md bg-violet-100 px-2 py-0.5 text-violet-900 underline" title="Hover either end to see the other">Moved</span>
+      {onGranularityChange ? (
+        <select
+          value={granularity}
+          onChange={(e) => onGranularityChange(e.target.value)}
+          className="rounded-full border border-zinc-200 bg-zinc-100 px-2 py-0.5 text-xs text-zinc-600 outline-none"
+          title="Diff granularity"
+        >
+          {DIFF_GRANULARITIES.map(g => <option key={g.id} value={g.id}>{g.label}</option>)}
+        </select>
+      ) : (
+        <Pill>{(DIFF_GRANULARITIES.find(g => g.id === granularity) || DIFF_GRANULARITIES[0]).label}-level (LCS)</Pill>
+      )}
+    </div>
+  );
+}
+
+// What the diff ignores. Only the comparison changes; the texts keep every character.
+function NormalizationToggles({ value, onChange, scope }) {
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-1 text-xs">
+      <span className="mr-1 text-zinc-500">Compare:</span>
+      {NORMALIZATIONS.map(n => (
+        <button
+          key={n.id}
+          title={n.hint}
+          aria-pressed={!!value[n.id]}
+          className={`px-2 py-1 rounded-lg border border-zinc-200 ${value[n.id] ? 'bg-zinc-200' : 'bg-white/70'}`}
+          onClick={() => onChange({ ...value, [n.id]: !value[n.id] })}
+        >{n.label}</button>
+      ))}
+      {scope && <span className="ml-1 text-zinc-400">{scope}</span>}
+    </div>
+  );
+}
+
+// Provider picker plus the selected provider's own settings fields and model list.
+function ProviderSettings({ providerId, settings, onProviderChange, onSettingChange }) {
+  const provider = getProvider(providerId);
+  const [models, setModels] = useState(provider.models);
+  const [loading, setLoading] = useState(false);
+  const [modelsError, setModelsError] = useState("");
+  useEffect(() => { setModels(getProvider(providerId).models); setModelsError(""); }, [providerId]);
+
+  async function handleLoadModels() {
+    setLoading(true); setModelsError("");
+    try { setModels(await listModels({ providerId, settings })); }
+    catch (e) { setModelsError(e.message || String(e)); }
+    finally { setLoading(false); }
+  }
+
+  const inputClass = "w-full rounded-xl border border-zinc-200 bg-white/60 p-2 font-mono text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300";
+  const model = settings.model ?? provider.defaultModel;
+  return (
+    <>
+      <Field label="Provider">
+        <select
+          value={provider.id}
+          onChange={(e) => onProviderChange(e.target.value)}
+          className="w-full rounded-xl border border-zinc-200 bg-white/60 p-2 text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300"
+        >
+          {Object.values(PROVIDERS).map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+      </Field>
+      {provider.fields.map(f => f.type === "checkbox" ? (
+        <label key={f.key} className="flex items-center gap-2 text-sm text-zinc-600 md:col-span-2">
+          <input type="checkbox" checked={!!settings[f.key]} onChange={(e) => onSettingChange(f.key, e.target.checked)} />
+          {f.label}
+        </label>
+      ) : (
+        <Field key={f.key} label={f.label}>
+          <input
+            type={f.type || "text"}
+            placeholder={f.placeholder}
+            value={settings[f.key] || ""}
+            onChange={(e) => onSettingChange(f.key, e.target.value)}
+            className={inputClass}
+          />
+        </Field>
+      ))}
+      <Field label={provider.modelLabel || "Model"}>
+        <div className="flex gap-1">
+          <input
+            type="text"
+            list={`models-${provider.id}`}
+            value={model}
+            onChange={(e) => onSettingChange("model", e.target.value)}
+            className={inputClass}
+            placeholder={provider.defaultModel || "deployment name"}
+          />
+          {provider.modelsRequest && (
+            <button
+              className="shrink-0 rounded-xl border border-zinc-200 bg-white/70 px-2 text-xs hover:bg-white"
+              onClick={handleLoadModels}
+              disabled={loading}
+              title="Fetch the model list from the provider"
+            >{loading ? "…" : "Load"}</button>
+          )}
+        </div>
+        <datalist id={`models-${provider.id}`}>
+          {models.map(m => <option key={m} value={m} />)}
+        </datalist>
+        {modelsError && <div className="mt-1 text-xs text-rose-600">{modelsError}</div>}
+      </Field>
+    </>
+  );
+}
+
+const CHUNK_STATUS_STYLE = {
+  pending: "bg-zinc-100 text-zinc-500",
+  running: "bg-indigo-100 text-indigo-800",
+  retrying: "bg-amber-100 text-amber-800",
+  done: "bg-green-100 text-green-800",
+  memory: "bg-sky-100 text-sky-800", // pre-filled from translation memory
+  failed: "bg-rose-100 text-rose-800",
+};
+
+// Per-chunk progress of a long-document translation, with retry for failed chunks.
+function ChunkProgress({ job, busy, onRetry, onDismiss }) {
+  const done = job.states.filter(st => st.status === "done" || st.status === "memory").length;
+  return (
+    <div className="rounded-3xl border border-zinc-200 bg-white/70 p-4 shadow-sm">
+      <div className="mb-2 flex items-center justify-between">
+        <div className="text-sm font-semibold text-zinc-900">Document translation — {done}/{job.chunks.length} chunks</div>
+        {!busy && <button className="text-xs text-zinc-500 hover:text-zinc-800" onClick={onDismiss}>Dismiss</button>}
+      </div>
+      <div className="mb-3 h-1.5 overflow-hidden rounded-full bg-zinc-100">
+        <div className="h-full bg-indigo-500 transition-all" style={{ width: `${(100 * done) / job.chunks.length}%` }} />
+      </div>
+      <ul className="max-h-[200px] space-y-1 overflow-auto text-xs">
+        {job.chunks.map((chunk, i) => {
+          const st = job.states[i];
+          return (
+            <li key={i} className="flex items-center gap-2">
+              <span className={classNames("w-20 shrink-0 rounded-md px-2 py-0.5 text-center", CHUNK_STATUS_STYLE[st.status])}>{st.status}</span>
+              <span className="w-8 shrink-0 text-zinc-400">#{i + 1}</span>
+              <span className="line-clamp-1 flex-1 text-zinc-600" dir="auto">{chunk.text.slice(0, 120)}</span>
+              {st.status === "retrying" && <span className="text-amber-700">attempt {st.attempt} in {Math.round(st.delay / 1000)}s</span>}
+              {st.status === "failed" && (
+                <>
+                  <span className="line-clamp-1 max-w-[40%] text-rose-700" title={st.error}>{st.error}</span>
+                  <button className="rounded-lg border border-zinc-200 bg-white/70 px-2 py-0.5 hover:bg-white disabled:opacity-50" disabled={busy} onClick={() => onRetry(i)}>Retry</button>
+                </>
+              )}
+            </li>
+          );
+        })}
+      </ul>
     </div>
   );
 }
 
+// The other end of a hovered move.
+const MOVE_LINKED = "outline outline-2 outline-violet-400";
+
 // Renders inline diff with styling akin to track changes
-function InlineDiff({ oldText, newText }) {
-  const ops = useMemo(() => diffWords(oldText, newText), [oldText, newText]);
+function InlineDiff({ oldText, newText, granularity, normalize = null }) {
+  const ops = useDiffOps(oldText, newText, { granularity, normalize });
+  const [hoverMove, setHoverMove] = useState(null); // both ends of a move light up together
+  if (!ops) return <div className="text-sm text-zinc-500">Computing diff…</div>;
   return (
-    <div className="prose max-w-none whitespace-pre-wrap leading-8" dir="auto">
+    // plaintext: each paragraph takes its own direction, as in the editor.
+    <div className="prose max-w-none whitespace-pre-wrap leading-8" dir="auto" style={{ unicodeBidi: "plaintext" }}>
       {ops.map((op, idx) => {
         if (op.type === "equal") return <span key={idx}>{op.value}</span>;
+        if (op.move)
+          return (
+            <span
+              key={idx}
+              className={`${MOVE_CLASS[op.move]}${hoverMove === op.moveId ? ` ${MOVE_LINKED}` : ""}`}
+              title={MOVE_TITLE[op.move]}
+              onMouseEnter={() => setHoverMove(op.moveId)}
+              onMouseLeave={() => setHoverMove(null)}
+            >
+              {op.value}
+            </span>
+          );
         if (op.type === "insert")
           return (
             <span
@@ -260,51 +395,134 @@ function InlineDiff({ oldText, newText }) {
   );
 }
 
+// --- Track-changes editor helpers -------------------------------------------
+const REVIEW_BTN = "px-2 py-1 text-xs rounded-lg border bg-white/70 border-zinc-200 hover:bg-white disabled:opacity-40";
+
+function ignoreCancelled(e) {
+  if (!(e instanceof DiffCancelledError)) console.error(e);
+}
+
+function plainFromRoot(root) {
+  let out = '';
+  function walk(node) {
+    if (node.nodeType === Node.TEXT_NODE) { out += node.nodeValue; return; }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    const el = node;
+    const t = el.getAttribute ? el.getAttribute('data-type') : null;
+    if (t === 'delete') return; // skip deletions entirely
+    for (const child of el.childNodes) walk(child);
+  }
+  for (const child of root.childNodes) walk(child);
+  return out;
+}
+
+// Plain-text offset (deletions excluded) of a DOM position in the editor, the inverse of
+// rangeForOffsets. A position inside a deletion maps to where the deletion is.
+function plainOffset(root, container, offset) {
+  const target = container.nodeType === Node.TEXT_NODE ? container : container.childNodes[offset] || null;
+  let pos = 0, found = null;
+  function walk(node) {
+    if (found !== null) return;
+    if (node === target) { found = pos + (node.nodeType === Node.TEXT_NODE ? offset : 0); return; }
+    if (node.nodeType === Node.TEXT_NODE) { pos += node.nodeValue.length; return; }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    if (node.getAttribute('data-type') === 'delete') { if (target && node.contains(target)) found = pos; return; }
+    for (const child of node.childNodes) walk(child);
+    // Offset past the last child: the end of `container`.
+    if (!target && node === container && found === null) found = pos;
+  }
+  for (const child of root.childNodes) walk(child);
+  return found ?? pos;
+}
+
+// DOM Range covering [start, end) of the editor's plain text (deletions excluded).
+function rangeForOffsets(root, start, end) {
+  const range = document.createRange();
+  let pos = 0, started = false, done = false;
+  function walk(node) {
+    if (done) return;
+    if (node.nodeType === Node.TEXT_NODE) {
+      const len = node.nodeValue.length;
+      if (!started && start <= pos + len) { range.setStart(node, start - pos); started = true; }
+      if (started && end <= pos + len) { range.setEnd(node, end - pos); done = true; }
+      pos += len;
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || node.getAttribute('data-type') === 'delete') return;
+    for (const child of node.childNodes) walk(child);
+  }
+  for (const child of root.childNodes) walk(child);
+  return started && done ? range : null;
+}
+
 // Editable Track-Changes view, DOM-managed to avoid React re-renders while typing.
 // This fixes: IME/Hebrew reversal, duplicate characters, and broken undo.
-function InlineDiffEditor({ oldText, newText, onChange, dir = 'auto', refreshTick = 0 }) {
+// Hunks can be reviewed Word-style: click one, then accept (keep the new text) or
+// reject (restore the baseline). Rejections go back through `onChange`.
+function InlineDiffEditor({ oldText, newText, onChange, onEditEnd, onComment, dir = 'auto', refreshTick = 0, granularity, normalize = null, glossary = [], comments = [], ref }) {
   const rootRef = React.useRef(null);
   const composingRef = React.useRef(false);
   const editingRef = React.useRef(false); // true while user is typing in this box
   const lastAppliedRef = React.useRef("");
+  const sessionStartRef = React.useRef(""); // text when this editing session began
+  const hunksRef = React.useRef([]); // hunks of the last paint, indexed by data-hunk
+  const [accepted, setAccepted] = useState(() => new Set());
+  const [selectedKey, setSelectedKey] = useState(null);
+  const selectedKeyRef = React.useRef(null); // read by paint, so moving the selection never repaints
+  const [pendingCount, setPendingCount] = useState(0);
+  const [review, setReview] = useState({ ops: [], hunks: [] }); // last paint, for the change list
+  const [showChanges, setShowChanges] = useState(true);
+
+  // A new baseline invalidates every earlier decision.
+  useEffect(() => { setAccepted(new Set()); selectedKeyRef.current = null; setSelectedKey(null); }, [oldText]);
 
-  function esc(s) { return s.replace(/[&<>]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' }[c])); }
-  function renderOpsToHTML(list, dirMode) {
-    const dirAttr = dirMode && dirMode !== 'auto' ? ` dir="${dirMode}"` : '';
-    return list.map(op => {
-      const v = esc(op.value);
-      if (op.type === 'equal') return `<bdi${dirAttr} data-type="equal">${v}</bdi>`;
-      if (op.type === 'insert') return `<bdi${dirAttr} data-type="insert" class="rounded-md bg-green-100/80 px-0.5 text-green-900 underline decoration-green-700/50">${v}</bdi>`;
-      if (op.type === 'delete') return `<bdi${dirAttr} data-type="delete" contenteditable="false" class="rounded-md bg-rose-50/80 px-0.5 text-rose-800 line-through decoration-rose-700/60 select-text">${v}</bdi>`;
-      return '';
-    }).join('');
-  }
-  function plainFromRoot(root) {
-    let out = '';
-    function walk(node) {
-      if (node.nodeType === Node.TEXT_NODE) { out += node.nodeValue; return; }
-      if (node.nodeType !== Node.ELEMENT_NODE) return;
-      const el = node;
-      const t = el.getAttribute ? el.getAttribute('data-type') : null;
-      if (t === 'delete') return; // skip deletions entirely
-      for (const child of el.childNodes) walk(child);
+  // One runner per editor: a newer diff request cancels the one still in flight.
+  // The last result is kept, so a repaint for accepted changes does not diff again.
+  const runnerRef = React.useRef(null);
+  const lastDiffRef = React.useRef(null); // { oldText, text, granularity, normalize, ops }
+  const runDiff = useCallback((text) => {
+    if (!runnerRef.current) runnerRef.current = createDiffRunner();
+    const last = lastDiffRef.current;
+    if (last && last.oldText === oldText && last.text === text && last.granularity === granularity && last.normalize === normalize) {
+      runnerRef.current.cancel();
+      return Promise.resolve(last.ops);
     }
-    for (const child of root.childNodes) walk(child);
-    return out;
-  }
+    return runnerRef.current.run(oldText, text, { granularity, normalize }).then(ops => {
+      lastDiffRef.current = { oldText, text, granularity, normalize, ops };
+      return ops;
+    });
+  }, [oldText, granularity, normalize]);
+  useEffect(() => () => { if (runnerRef.current) runnerRef.current.dispose(); }, []);
+
+  const paint = useCallback((text) => {
+    runDiff(text).then(ops => {
+      const root = rootRef.current; if (!root) return;
+      // The user may have started typing while a large diff was computing.
+      if (composingRef.current || editingRef.current) return;
+      const hunks = groupHunks(ops);
+      hunksRef.current = hunks;
+      setReview({ ops, hunks });
+      setPendingCount(changeCount(hunks.filter(h => !accepted.has(h.key))));
+      // Comments are anchored to the text as it was passed in; skip them mid-edit.
+      const notes = text === newText ? comments.map(t => ({ start: t.start, end: t.end, kind: 'comment', title: `${t.messages[0].author || 'Comment'}: ${t.messages[0].text}` })) : [];
+      const marks = [
+        ...forbiddenRanges(glossary, text).map(r => ({ ...r, title: `Glossary: avoid "${r.variant}"${r.entry.target ? `, use "${r.entry.target}"` : ""}` })),
+        ...notes,
+      ].sort((a, b) => a.start - b.start);
+      const html = renderOpsToHTML(ops, dir, hunks, accepted, selectedKeyRef.current, marks);
+      if (root.innerHTML !== html) root.innerHTML = html;
+    }).catch(ignoreCancelled);
+  }, [runDiff, newText, accepted, comments, glossary, dir]);
 
   // Sync from props or manual refresh. IMPORTANT: do not repaint while editing/composing.
   useEffect(() => {
     const root = rootRef.current; if (!root) return;
     if (composingRef.current || editingRef.current) return;
-    const html = renderOpsToHTML(diffWords(oldText, newText), dir);
-    if (root.innerHTML !== html) {
-      root.innerHTML = html;
-      lastAppliedRef.current = newText;
-    }
-  }, [oldText, newText, refreshTick, dir]);
+    paint(newText);
+    lastAppliedRef.current = newText;
+  }, [paint, newText, refreshTick]);
 
-  function handleFocus() { editingRef.current = true; }
+  function handleFocus() { editingRef.current = true; sessionStartRef.current = lastAppliedRef.current; }
   function handleCompositionStart() { composingRef.current = true; editingRef.current = true; }
   function handleCompositionEnd() { composingRef.current = false; }
 
@@ -320,9 +538,10 @@ function InlineDiffEditor({ oldText, newText, onChange, dir = 'auto', refreshTic
     const plain = plainFromRoot(root);
     if (plain !== lastAppliedRef.current) { lastAppliedRef.current = plain; onChange(plain); }
     editingRef.current = false;
+    // One revision per editing session.
+    if (onEditEnd && plain !== sessionStartRef.current) onEditEnd(plain);
     // Repaint highlights to reflect the latest text
-    const html = renderOpsToHTML(diffWords(oldText, plain), dir);
-    if (root.innerHTML !== html) root.innerHTML = html;
+    paint(plain);
   }
 
   function handlePaste(e) {
@@ -331,303 +550,2239 @@ function InlineDiffEditor({ oldText, newText, onChange, dir = 'auto', refreshTic
     document.execCommand('insertText', false, text);
   }
 
+  // Selecting only toggles classes in place, so it is safe mid-edit.
+  function selectHunk(key) {
+    selectedKeyRef.current = key;
+    setSelectedKey(key);
+    const root = rootRef.current; if (!root) return;
+    const h = hunksRef.current.find(x => x.key === key);
+    for (const el of root.querySelectorAll('[data-hunk]')) {
+      const on = h && el.getAttribute('data-hunk') === String(h.index);
+      el.classList.toggle('ring-2', on);
+      el.classList.toggle('ring-indigo-400', on);
+    }
+    const el = h && root.querySelector(`[data-hunk="${h.index}"]`);
+    if (el) el.scrollIntoView({ block: 'nearest' });
+  }
+
+  // Hovering either end of a move outlines both. Class toggles only, like selectHunk.
+  function highlightMove(id) {
+    const root = rootRef.current; if (!root) return;
+    for (const el of root.querySelectorAll('[data-move]')) {
+      for (const c of MOVE_LINKED.split(' ')) el.classList.toggle(c, el.getAttribute('data-move') === id);
+    }
+  }
+
+  function handleMouseOver(e) {
+    const el = e.target.closest ? e.target.closest('[data-move]') : null;
+    highlightMove(el ? el.getAttribute('data-move') : null);
+  }
+
+  function handleClick(e) {
+    const el = e.target.closest ? e.target.closest('[data-hunk]') : null;
+    if (!el) return;
+    const h = hunksRef.current[Number(el.getAttribute('data-hunk'))];
+    if (h && !accepted.has(h.key)) selectHunk(h.key);
+  }
+
+  // Decisions always work on a fresh diff of the current text, not the painted one.
+  async function currentReview() {
+    const root = rootRef.current;
+    const text = root ? plainFromRoot(root) : newText;
+    const ops = await runDiff(text);
+    const hunks = groupHunks(ops).filter(h => !accepted.has(h.key));
+    return { ops, hunks };
+  }
+
+  function applyText(text) {
+    lastAppliedRef.current = text;
+    onChange(text);
+  }
+
+  async function step(delta) {
+    const { hunks } = await currentReview();
+    if (!hunks.length) return;
+    const at = hunks.findIndex(h => h.key === selectedKey);
+    const next = at < 0 ? (delta > 0 ? 0 : hunks.length - 1) : (at + delta + hunks.length) % hunks.length;
+    selectHunk(hunks[next].key);
+  }
+
+  // A move is decided as one change: both of its ends together.
+  async function decide(kind) {
+    const { ops, hunks } = await currentReview();
+    const at = hunks.findIndex(h => h.key === selectedKey);
+    if (at < 0) return;
+    const h = hunks[at];
+    const decided = [h, movePartner(hunks, h)].filter(Boolean);
+    const following = hunks.slice(at + 1).find(x => !decided.includes(x));
+    if (kind === 'accept') setAccepted(prev => { const next = new Set(prev); for (const x of decided) next.add(x.key); return next; });
+    else applyText(textWithRejected(ops, decided));
+    // Old-side offsets survive the edit, so the following hunk keeps its key.
+    selectHunk(following ? following.key : null);
+  }
+
+  async function acceptAll() {
+    const { hunks } = await currentReview();
+    setAccepted(prev => { const next = new Set(prev); for (const h of hunks) next.add(h.key); return next; });
+    selectHunk(null);
+  }
+
+  async function rejectAll() {
+    const { ops, hunks } = await currentReview();
+    applyText(textWithRejected(ops, hunks));
+    selectHunk(null);
+  }
+
+  // Comment on the selected text, or else on the selected change (where its new text is).
+  function commentOnSelection() {
+    const root = rootRef.current; if (!root || !onComment) return;
+    const sel = window.getSelection();
+    if (sel && sel.rangeCount && !sel.isCollapsed && root.contains(sel.anchorNode)) {
+      const r = sel.getRangeAt(0);
+      const start = plainOffset(root, r.startContainer, r.startOffset), end = plainOffset(root, r.endContainer, r.endOffset);
+      onComment({ text: plainFromRoot(root), start: Math.min(start, end), end: Math.max(start, end) });
+      return;
+    }
+    const h = hunksRef.current.find(x => x.key === selectedKey);
+    if (!h) return;
+    const start = review.ops.slice(0, h.start).reduce((n, op) => n + (op.type === 'delete' ? 0 : op.value.length), 0);
+    onComment({ text: plainFromRoot(root), start, end: start + h.ins.length });
+  }
+
+  // Scroll to and select a span of the new text, e.g. when a segment row is clicked.
+  // Review steps are exposed too, for keyboard shortcuts and imported reviews.
+  useImperativeHandle(ref, () => ({
+    step: (delta) => step(delta).catch(ignoreCancelled),
+    decide: (kind) => decide(kind).catch(ignoreCancelled),
+    accept: (keys) => setAccepted(prev => new Set([...prev, ...keys])),
+    revealRange(start, end) {
+      const root = rootRef.current; if (!root || start < 0) return;
+      const range = rangeForOffsets(root, start, end);
+      if (!range) return;
+      const el = range.startContainer.parentElement;
+      if (el) el.scrollIntoView({ block: 'center', behavior: 'smooth' });
+      const sel = window.getSelection();
+      sel.removeAllRanges();
+      sel.addRange(range);
+    },
+  }));
+
+  // Auto: each paragraph takes the direction of its own text (Arabic lines RTL, English LTR).
   const unicodeBidiMode = dir === 'auto' ? 'plaintext' : 'isolate-override';
+  const hasSelection = selectedKey != null;
 
   return (
-    <div
-      ref={rootRef}
-      contentEditable
-      suppressContentEditableWarning
-      onFocus={handleFocus}
-      onInput={handleInput}
-      onBlur={handleBlur}
-      onPaste={handlePaste}
-      onCompositionStart={handleCompositionStart}
-      onCompositionEnd={handleCompositionEnd}
-      className="prose max-w-none whitespace-pre-wrap leading-8 outline-none"
-      dir={dir}
-      style={{ cursor: 'text', unicodeBidi: unicodeBidiMode, direction: dir }}
-      title="Edit here. Red deletions are non-editable; typing adds green text."
-    />
-  );
-}
-
-// --- Simple self-tests ------------------------------------------------------
-function assert(name, condition) {
-  if (!condition) throw new Error(`Test failed: ${name}`);
-}
-function runSelfTests() {
-  const results = [];
-  const record = (name, fn) => {
-    try { fn(); results.push({ name, ok: true }); }
-    catch (e) { console.error(e); results.push({ name, ok: false, msg: e.message }); }
-  };
+    <div>
+      <div className="mb-2 flex flex-wrap items-center gap-1">
+        <button className={REVIEW_BTN} onClick={() => step(-1).catch(ignoreCancelled)} disabled={!pendingCount} title="Previous change">◀ Prev</button>
+        <button className={REVIEW_BTN} onClick={() => step(1).catch(ignoreCancelled)} disabled={!pendingCount} title="Next change">Next ▶</button>
+        <button className={REVIEW_BTN} onClick={() => decide('accept').catch(ignoreCancelled)} disabled={!hasSelection}>Accept</button>
+        <button className={REVIEW_BTN} onClick={() => decide('reject').catch(ignoreCancelled)} disabled={!hasSelection}>Reject</button>
+        <button className={REVIEW_BTN} onClick={() => acceptAll().catch(ignoreCancelled)} disabled={!pendingCount}>Accept all</button>
+        <button className={REVIEW_BTN} onClick={() => rejectAll().catch(ignoreCancelled)} disabled={!pendingCount}>Reject all</button>
+        <span className="ml-1 text-xs text-zinc-500">{pendingCount} change{pendingCount === 1 ? '' : 's'} to review</span>
+        {onComment && (
+          // mousedown would move the focus and lose the text selection
+          <button className={`${REVIEW_BTN} ml-auto`} onMouseDown={(e) => e.preventDefault()} onClick={commentOnSelection} title="Comment on the selected text, or on the selected change">Comment</button>
+        )}
+        <button className={`${REVIEW_BTN} ${onComment ? '' : 'ml-auto '}hidden md:inline-block`} onClick={() => setShowChanges(v => !v)} aria-pressed={showChanges}>Change list</button>
+      </div>
+      <div className="flex gap-3">
+        <div className="min-w-0 flex-1 max-h-[420px] overflow-auto rounded-2xl border border-zinc-100 bg-white/60 p-3">
+          <div
+            ref={rootRef}
+            contentEditable
+            suppressContentEditableWarning
+            onFocus={handleFocus}
+            onInput={handleInput}
+            onBlur={handleBlur}
+            onPaste={handlePaste}
+            onClick={handleClick}
+            onMouseOver={handleMouseOver}
+            onMouseLeave={() => highlightMove(null)}
+            onCompositionStart={handleCompositionStart}
+            onCompositionEnd={handleCompositionEnd}
+            className="prose max-w-none whitespace-pre-wrap leading-8 outline-none"
+            dir={dir}
+            style={{ cursor: 'text', unicodeBidi: unicodeBidiMode, direction: dir === 'auto' ? undefined : dir }}
+            title="Edit here. Click a change to accept or reject it; red deletions are non-editable."
+          />
+        </div>
+        {showChanges && (
+          <div className="hidden max-h-[420px] w-64 shrink-0 overflow-auto rounded-2xl border border-zinc-100 bg-white/60 p-2 md:block">
+            <ChangeList ops={review.ops} hunks={review.hunks} accepted={accepted} selectedKey={selectedKey} onSelect={selectHunk} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
 
-  // Test 1: tokenize Hebrew + punctuation
-  record("tokenize Hebrew & punctuation", () => {
-    const t = tokenize("שלום, עולם!");
-    assert("has comma token", t.includes(","));
-    assert("has exclamation token", t.includes("!"));
-  });
-
-  // Test 2: diff basic replacement
-  record("diff basic replacement", () => {
-    const ops = diffWords("a b c", "a x c");
-    const types = ops.map(o => o.type);
-    assert("includes delete for b", types.includes("delete"));
-    assert("includes insert for x", types.includes("insert"));
-  });
-
-  // Test 3: punctuation removal
-  record("diff punctuation removal", () => {
-    const ops = diffWords("Hello, world.", "Hello world.");
-    const delComma = ops.find(o => o.type === "delete" && o.value === ",");
-    assert("comma removed", !!delComma);
-  });
-
-  // Test 4: Hebrew prefix insert
-  record("hebrew insert", () => {
-    const ops = diffWords("בית", "הבית");
-    const insHe = ops.find(o => o.type === "insert" && o.value === "ה");
-    assert("inserted ה", !!insHe);
-  });
-
-  // Test 5: whitespace normalization (single space removed)
-  record("whitespace deletion", () => {
-    const ops = diffWords("a  b", "a b");
-    const delSpace = ops.find(o => o.type === "delete" && o.value === " ");
-    assert("one space deleted", !!delSpace);
-  });
-
-  // Test 6: RTL punctuation swap
-  record("rtl punctuation swap", () => {
-    const ops = diffWords("שלום.", "שלום!");
-    const delDot = ops.find(o => o.type === "delete" && o.value === ".");
-    const insBang = ops.find(o => o.type === "insert" && o.value === "!");
-    assert("dot deleted", !!delDot);
-    assert("bang inserted", !!insBang);
-  });
-
-    // Test 7: reconstruct newText by dropping deletions
-  record("reconstruct new text from ops", () => {
-    const oldS = "foo bar";
-    const newS = "foo baz";
-    const ops = diffWords(oldS, newS);
-    const recon = ops.filter(o => o.type !== "delete").map(o => o.value).join("");
-    assert("reconstruct equals new", recon === newS);
-  });
-
-    // Test 8: direction heuristic prefers RTL for Hebrew strings
-  record("direction heuristic RTL", () => {
-    const s = "אני אוהב עברית";
-    if (!isMostlyHebrew(s)) throw new Error("Hebrew ratio mis-detected");
-    if (detectDir(s) !== 'rtl') throw new Error("detectDir should return rtl");
-  });
-
-  return results;
+// Every change in the editor with a little context around it; clicking one selects it
+// there. A move is listed once, where the text went.
+function ChangeList({ ops, hunks, accepted, selectedKey, onSelect }) {
+  const listRef = React.useRef(null);
+  const items = hunks.filter(h => h.move !== "from");
+  useEffect(() => {
+    const el = listRef.current && listRef.current.querySelector('[aria-current="true"]');
+    if (el) el.scrollIntoView({ block: 'nearest' });
+  }, [selectedKey]);
+  if (!items.length) return <div className="p-1 text-xs text-zinc-500">No changes.</div>;
+  return (
+    <ol ref={listRef} className="space-y-1 text-xs">
+      {items.map((h, n) => {
+        const { before, after } = hunkContext(ops, h);
+        const done = accepted.has(h.key);
+        const current = h.key === selectedKey;
+        return (
+          <li key={h.key}>
+            <button
+              aria-current={current}
+              disabled={done}
+              onClick={() => onSelect(h.key)}
+              dir="auto"
+              className={`w-full rounded-lg border px-2 py-1 text-start ${current ? 'border-indigo-300 bg-indigo-50' : 'border-transparent hover:bg-white'} disabled:opacity-40`}
+            >
+              <span className="mr-1 font-mono text-zinc-400">{n + 1}.</span>
+              <span className="text-zinc-400">…{before}</span>
+              {h.move
+                ? <span className="text-violet-800 underline" title="Moved here">{h.ins}</span>
+                : <>
+                    {h.del && <span className="text-rose-700 line-through">{h.del}</span>}
+                    {h.ins && <span className="text-green-800 underline">{h.ins}</span>}
+                  </>}
+              <span className="text-zinc-400">{after}…</span>
+              {done && <span className="ml-1 text-green-700">✓</span>}
+            </button>
+          </li>
+        );
+      })}
+    </ol>
+  );
 }
 
-function SelfTestsPanel() {
-  const [open, setOpen] = useState(false);
-  const [results, setResults] = useState(null);
+// --- Comments -----------------------------------------------------------------
+const NOTE_INPUT = "w-full rounded-xl border border-zinc-200 bg-white/60 p-2 text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300";
+
+function CommentBox({ placeholder, submitLabel, onSubmit, onCancel, autoFocus }) {
+  const [text, setText] = useState("");
+  function submit() {
+    if (!text.trim()) return;
+    onSubmit(text.trim());
+    setText("");
+  }
   return (
-    <div className="rounded-3xl border border-emerald-200 bg-emerald-50/70 p-4">
-      <div className="mb-2 flex items-center justify-between">
-        <div className="text-sm font-semibold text-emerald-900">Self-tests</div>
-        <button
-          className="text-xs rounded-lg border border-emerald-300 bg-white/70 px-2 py-1 hover:bg-white"
-          onClick={() => setOpen(!open)}
-        >
-          {open ? "Hide" : "Show"}
-        </button>
+    <div className="space-y-1">
+      <textarea
+        dir="auto"
+        rows={2}
+        autoFocus={autoFocus}
+        value={text}
+        placeholder={placeholder}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => { if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) submit(); }}
+        className={NOTE_INPUT}
+      />
+      <div className="flex gap-1">
+        <button className={REVIEW_BTN} onClick={submit} disabled={!text.trim()}>{submitLabel}</button>
+        {onCancel && <button className={REVIEW_BTN} onClick={onCancel}>Cancel</button>}
       </div>
-      {open && (
-        <div className="text-sm text-emerald-900/90">
-          <button
-            className="mb-2 rounded-lg border border-emerald-300 bg-white/70 px-2 py-1 text-xs hover:bg-white"
-            onClick={() => setResults(runSelfTests())}
-          >Run tests</button>
-          {results && (
-            <ul className="space-y-1">
-              {results.map((r, i) => (
-                <li key={i} className={r.ok ? "text-emerald-700" : "text-rose-700"}>
-                  {r.ok ? "✔" : "✗"} {r.name}{r.msg ? ` — ${r.msg}` : ""}
+    </div>
+  );
+}
+
+// Threads on the working translation, in text order. `draft` is a selection waiting
+// for its first message; clicking a quote shows its range in Track Changes.
+function CommentsPanel({ threads, draft, onSubmitDraft, onCancelDraft, onReply, onResolve, onDelete, onReveal }) {
+  const [showResolved, setShowResolved] = useState(false);
+  const list = sortThreads(threads).filter(t => showResolved || !t.resolved);
+  const resolvedCount = threads.filter(t => t.resolved).length;
+  return (
+    <div className="space-y-3">
+      {draft && (
+        <div className="rounded-xl border border-sky-200 bg-sky-50/60 p-2">
+          <div className="mb-1 text-xs text-zinc-500">On: <q dir="auto" className="text-zinc-800">{draft.quote || "(insertion point)"}</q></div>
+          <CommentBox autoFocus placeholder="Comment…" submitLabel="Comment" onSubmit={onSubmitDraft} onCancel={onCancelDraft} />
+        </div>
+      )}
+      {!threads.length && !draft && (
+        <div className="text-sm text-zinc-500">Select text in Track Changes (or pick a change) and press Comment.</div>
+      )}
+      {resolvedCount > 0 && (
+        <label className="flex items-center gap-1 text-xs text-zinc-600">
+          <input type="checkbox" checked={showResolved} onChange={(e) => setShowResolved(e.target.checked)} />
+          Show resolved ({resolvedCount})
+        </label>
+      )}
+      <ul className="space-y-2">
+        {list.map(t => (
+          <li key={t.id} className={`rounded-xl border p-2 ${t.resolved ? 'border-zinc-100 bg-zinc-50/60 opacity-70' : 'border-zinc-200 bg-white/70'}`}>
+            <div className="mb-1 flex items-start gap-2 text-xs">
+              <button className="min-w-0 flex-1 truncate text-start text-zinc-500 hover:text-indigo-700" onClick={() => onReveal(t.start, t.end)} title="Show in Track Changes" disabled={t.detached}>
+                <q dir="auto" className="text-zinc-800">{t.quote || "(insertion point)"}</q>
+              </button>
+              {t.detached && <Pill>text deleted</Pill>}
+              {t.resolved && <Pill>resolved</Pill>}
+            </div>
+            <ul className="space-y-1 text-sm">
+              {t.messages.map((m, i) => (
+                <li key={m.id} className={i ? 'ml-4' : ''}>
+                  <div className="text-xs text-zinc-500">{m.author || "Reviewer"} · {fmtDate(m.date)}</div>
+                  <div dir="auto" className="whitespace-pre-wrap">{m.text}</div>
                 </li>
               ))}
             </ul>
-          )}
-        </div>
-      )}
+            <div className="mt-2 space-y-1">
+              {!t.resolved && <CommentBox placeholder="Reply…" submitLabel="Reply" onSubmit={(text) => onReply(t.id, text)} />}
+              <div className="flex gap-1">
+                <button className={REVIEW_BTN} onClick={() => onResolve(t.id, !t.resolved)}>{t.resolved ? "Reopen" : "Resolve"}</button>
+                <button className={REVIEW_BTN} onClick={() => { if (confirm("Delete this comment thread?")) onDelete(t.id); }}>Delete</button>
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
     </div>
   );
 }
 
-// --- Main App ---------------------------------------------------------------
-export default function TranslationDiffStudio() {
-  const [apiKey, setApiKey] = useState("");
-  const [model, setModel] = useState("gpt-4o-mini");
-  const [targetLang, setTargetLang] = useState("English");
-  const [systemPrompt, setSystemPrompt] = useState(
-    "Type 3 translation: Keep original Hebrew/English structure and logic; natural American {TARGET}; no added ideas; preserve tone; 6th-grade clarity; short, clean sentences; return translation only."
+// Sentence-by-sentence review: one row per source sentence with the aligned automated
+// and GPT sentences. Alignment is deferred so typing in the cards stays responsive.
+function SegmentTable({ sourceText, autoText, gptText, granularity, normalize, onSelect }) {
+  const src = useDeferredValue(sourceText);
+  const auto = useDeferredValue(autoText);
+  const gpt = useDeferredValue(gptText);
+  const rows = useMemo(() => buildSegmentTable(src, auto, gpt), [src, auto, gpt]);
+  const hasSource = !!src.trim();
+  return (
+    <div className="max-h-[480px] overflow-auto rounded-2xl border border-zinc-100 bg-white/60">
+      <table className="w-full table-fixed border-collapse text-sm">
+        <thead className="sticky top-0 bg-zinc-50 text-left text-xs text-zinc-500">
+          <tr>
+            <th className="w-10 p-2">#</th>
+            {hasSource && <th className="p-2">Source</th>}
+            <th className="p-2">Automated</th>
+            <th className="p-2">GPT (changes vs. automated)</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-zinc-100">
+          {rows.map(row => (
+            <tr
+              key={row.index}
+              className="cursor-pointer align-top hover:bg-indigo-50/60"
+              onClick={() => onSelect && onSelect(row)}
+              title="Show in Track Changes"
+            >
+              <td className="p-2 text-xs text-zinc-400">
+                {row.index + 1}
+                {row.gpt.pattern !== "1:1" && <div><Pill>{row.gpt.pattern}</Pill></div>}
+              </td>
+              {hasSource && <td className="p-2 whitespace-pre-wrap" dir="auto">{row.source}</td>}
+              <td className="p-2 whitespace-pre-wrap" dir="auto">{row.auto.merged ? <span className="text-xs text-zinc-400">↑ merged</span> : row.auto.text}</td>
+              <td className="p-2">
+                {row.gpt.merged
+                  ? <span className="text-xs text-zinc-400">↑ merged</span>
+                  : <InlineDiff oldText={row.auto.merged ? "" : row.auto.text} newText={row.gpt.text} granularity={granularity} normalize={normalize} />}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
   );
-  const [sourceText, setSourceText] = useState("");
-  const [autoText, setAutoText] = useState("");
-  const [gptText, setGptText] = useState("");
-  const [busy, setBusy] = useState(false);
-  const [error, setError] = useState("");
-  const [history, setHistory] = useState([]);
-  // Advanced (optional): leave blank to omit
-  const [temperature, setTemperature] = useState("");
-  const [maxCompletionTokens, setMaxCompletionTokens] = useState("");
-  // Inline editor controls
-  const [editorDirMode, setEditorDirMode] = useState('auto');
-  const [refreshTick, setRefreshTick] = useState(0);
-  const resolvedEditorDir = editorDirMode === 'auto' ? detectDir(gptText) : editorDirMode;
-
-  useEffect(() => {
-    const k = localStorage.getItem(LS_KEYS.apiKey);
-    if (k) setApiKey(k);
-    const prefs = loadJSON(LS_KEYS.prefs, {});
-    if (prefs.model) setModel(prefs.model);
-    if (prefs.targetLang) setTargetLang(prefs.targetLang);
-    if (prefs.systemPrompt) setSystemPrompt(prefs.systemPrompt);
-    if (Object.prototype.hasOwnProperty.call(prefs, 'temperature')) setTemperature(String(prefs.temperature ?? ''));
-    if (Object.prototype.hasOwnProperty.call(prefs, 'maxCompletionTokens')) setMaxCompletionTokens(String(prefs.maxCompletionTokens ?? ''));
-    setHistory(loadJSON(LS_KEYS.history, []));
-  }, []);
-
-  useEffect(() => { localStorage.setItem(LS_KEYS.apiKey, apiKey || ""); }, [apiKey]);
-  useEffect(() => { saveJSON(LS_KEYS.prefs, { model, targetLang, systemPrompt, temperature, maxCompletionTokens }); }, [model, targetLang, systemPrompt, temperature, maxCompletionTokens]);
-
-  function pushHistory(entry) {
-    const next = [{ id: uid(), date: nowISO(), ...entry }, ...history].slice(0, 50);
-    setHistory(next);
-    saveJSON(LS_KEYS.history, next);
-  }
+}
 
-  async function handleGenerate() {
-    setBusy(true); setError("");
-    try {
-      if (!apiKey) throw new Error("Missing API key. Add it in Settings.");
-      if (!sourceText.trim()) throw new Error("Source text is empty.");
-      const out = await openAITranslate({ apiKey, model, systemPrompt, sourceText, targetLang, temperatureValue: temperature, maxCompletionTokens });
-      setGptText(out);
-      pushHistory({ sourceText, autoText, gptText: out, model, targetLang, systemPrompt, kind: "generated" });
-    } catch (e) {
-      setError(e.message || String(e));
-    } finally {
-      setBusy(false);
-    }
-  }
+// --- Revisions --------------------------------------------------------------
+const CURRENT = "current";
 
-  function handleCompareOnly() {
-    pushHistory({ sourceText, autoText, gptText, model, targetLang, systemPrompt, kind: "compared" });
-  }
+// Timeline of the working translation; pick any two snapshots (or the current text)
+// as A and B to see the word diff between them.
+function RevisionTimeline({ revisions, currentText, granularity, normalize, onRestore, onSave }) {
+  const [pickA, setPickA] = useState(null);
+  const [pickB, setPickB] = useState(CURRENT);
+  const byId = (id) => (id === CURRENT ? { text: currentText } : revisions.find(r => r.id === id));
+  // Default A: the latest model output, so B shows what was changed after the model.
+  const a = byId(pickA) || revisions.find(r => r.kind === "model") || revisions[revisions.length - 1] || null;
+  const b = byId(pickB) || { text: currentText };
+  const aId = pickA === CURRENT ? CURRENT : a?.id;
+  const ops = useDiffOps(a ? a.text : "", b.text, { granularity: "word" });
+  const counts = ops ? wordCounts(ops) : null;
 
-  function loadHistory(item) {
-    setSourceText(item.sourceText || "");
-    setAutoText(item.autoText || "");
-    setGptText(item.gptText || "");
-    setModel(item.model || "gpt-4o-mini");
-    setTargetLang(item.targetLang || "English");
-    setSystemPrompt(item.systemPrompt || systemPrompt);
-  }
-
-  function exportHTML() {
-    const style = `
-      body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; line-height: 1.7; }
-      .add { background: #dcfce7; text-decoration: underline; }
-      .del { background: #ffe4e6; text-decoration: line-through; }
-      pre, textarea { white-space: pre-wrap; }
-    `;
-    const ops = diffWords(autoText, gptText);
-    const htmlDiff = ops.map(op => {
-      const esc = (s) => s.replace(/[&<>]/g, (c)=>({"&":"&amp;","<":"&lt;",">":"&gt;"}[c]));
-      if (op.type === "equal") return esc(op.value);
-      if (op.type === "insert") return `<span class="add">${esc(op.value)}</span>`;
-      if (op.type === "delete") return `<span class="del">${esc(op.value)}</span>`;
-      return "";
-    }).join("");
-    const doc = `<!DOCTYPE html><html><head><meta charset="utf-8"/><title>Translation Diff</title><style>${style}</style></head>
-      <body>
-        <h1>Translation Diff</h1>
-        <p><strong>Date:</strong> ${fmtDate(nowISO())}</p>
-        <h2>Source Text</h2>
-        <pre>${sourceText.replace(/[&<>]/g, (c)=>({"&":"&amp;","<":"&lt;",">":"&gt;"}[c]))}</pre>
-        <h2>Automated Translation (Baseline)</h2>
-        <pre>${autoText.replace(/[&<>]/g, (c)=>({"&":"&amp;","<":"&lt;",">":"&gt;"}[c]))}</pre>
-        <h2>GPT Translation</h2>
-        <pre>${gptText.replace(/[&<>]/g, (c)=>({"&":"&amp;","<":"&lt;",">":"&gt;"}[c]))}</pre>
-        <h2>Track Changes (Inline)</h2>
-        <div>${htmlDiff}</div>
-      </body></html>`;
-
-    const blob = new Blob([doc], { type: "text/html" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `translation-diff-${Date.now()}.html`;
-    a.click();
-    URL.revokeObjectURL(url);
-  }
+  const radio = (name, value, checked, set) => (
+    <input type="radio" name={name} aria-label={`Compare as ${name}`} checked={checked} onChange={() => set(value)} />
+  );
 
-  const header = (
-    <div className="sticky top-0 z-10 mb-4 rounded-3xl border border-indigo-100 bg-gradient-to-r from-indigo-50 to-sky-50 p-4 shadow-sm">
-      <div className="flex flex-wrap items-center justify-between gap-3">
-        <div className="flex items-center gap-3">
-          <div className="h-10 w-10 rounded-2xl bg-indigo-600/90" />
-          <div>
-            <div className="text-lg font-bold text-zinc-900">Translation Diff Studio</div>
-            <div className="text-xs text-zinc-600">Paste source + auto-translation, get GPT translation and tracked changes.</div>
-          </div>
+  return (
+    <div className="grid grid-cols-1 gap-4 lg:grid-cols-2">
+      <div>
+        <div className="mb-2 flex items-center justify-between">
+          <div className="text-xs text-zinc-500">A = older side, B = newer side</div>
+          <Button variant="ghost" onClick={onSave} disabled={!currentText.trim()}>Save revision</Button>
         </div>
-        <div className="flex items-center gap-2 text-xs text-zinc-600">
-          <Pill>BYO OpenAI Key</Pill>
-          <Pill>Local history</Pill>
-          <Pill>Export HTML</Pill>
+        <ul className="max-h-[360px] overflow-auto divide-y divide-zinc-100 text-sm">
+          <li className="flex items-center gap-2 py-1.5">
+            {radio("A", CURRENT, aId === CURRENT, setPickA)}
+            {radio("B", CURRENT, pickB === CURRENT, setPickB)}
+            <span className="font-medium">Current text</span>
+            <span className="text-xs text-zinc-500">unsaved working copy</span>
+          </li>
+          {revisions.map(r => (
+            <li key={r.id} className="flex items-center gap-2 py-1.5">
+              {radio("A", r.id, aId === r.id, setPickA)}
+              {radio("B", r.id, pickB === r.id, setPickB)}
+              <div className="min-w-0 flex-1">
+                <div>
+                  <span className="font-medium">{REVISION_KINDS[r.kind] || r.kind}</span>
+                  {r.label && <span className="text-zinc-600"> — <bdi>{r.label}</bdi></span>}
+                </div>
+                <div className="text-xs text-zinc-500">{fmtDate(r.date)}{r.author ? ` · ${r.author}` : ""} · {r.text.length} chars</div>
+              </div>
+              <Button variant="ghost" onClick={() => onRestore(r)} disabled={r.text === currentText}>Restore</Button>
+            </li>
+          ))}
+        </ul>
+        {!revisions.length && <div className="mt-2 text-sm text-zinc-500">No revisions yet. Generating, finishing an edit in Track Changes or saving adds one.</div>}
+      </div>
+      <div>
+        <div className="mb-2 text-xs text-zinc-500">
+          {counts ? <>A → B: <span className="text-green-700">+{counts.inserted}</span> <span className="text-rose-700">−{counts.deleted}</span>{counts.moved ? <> <span className="text-violet-700">↔{counts.moved}</span></> : null} words</> : "Comparing…"}
+        </div>
+        <div className="max-h-[360px] overflow-auto rounded-2xl border border-zinc-100 bg-white/60 p-3 text-sm">
+          {a ? <InlineDiff oldText={a.text} newText={b.text} granularity={granularity} normalize={normalize} /> : <span className="text-zinc-500">Nothing to compare yet.</span>}
         </div>
       </div>
     </div>
   );
+}
 
-  return (
-    <div className="mx-auto max-w-7xl p-4 text-zinc-900">
-      {header}
+// --- Candidates -------------------------------------------------------------
+const CANDIDATE_INPUT = "rounded-lg border border-zinc-200 bg-white/60 px-2 py-1 text-sm outline-none focus:ring-2 focus:ring-indigo-300";
 
-      <div className="mb-4 grid grid-cols-1 gap-4 lg:grid-cols-3">
+// One row per candidate: provider, model, prompt template version and temperature.
+function CandidateSpecs({ specs, onChange, library }) {
+  const update = (id, patch) => onChange(specs.map(s => (s.id === id ? { ...s, ...patch } : s)));
+  const versions = library.flatMap(t => t.versions.slice().reverse().map(v => ({ key: `${t.id}@${v.version}`, t, v })));
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs text-zinc-500">
+          <th className="p-1">Provider</th>
+          <th className="p-1">Model</th>
+          <th className="p-1">Prompt</th>
+          <th className="p-1">Temperature</th>
+          <th className="p-1" />
+        </tr>
+      </thead>
+      <tbody>
+        {specs.map(s => {
+          const p = getProvider(s.provider);
+          const key = s.template ? `${s.template.id}@${s.template.version}` : "";
+          return (
+            <tr key={s.id}>
+              <td className="p-1">
+                <select className={CANDIDATE_INPUT} value={p.id} onChange={(e) => update(s.id, { provider: e.target.value, model: getProvider(e.target.value).defaultModel })}>
+                  {Object.values(PROVIDERS).map(x => <option key={x.id} value={x.id}>{x.label}</option>)}
+                </select>
+              </td>
+              <td className="p-1">
+                <input className={classNames(CANDIDATE_INPUT, "w-full font-mono")} list={`candidate-models-${p.id}`} value={s.model} onChange={(e) => update(s.id, { model: e.target.value })} />
+                <datalist id={`candidate-models-${p.id}`}>{p.models.map(m => <option key={m} value={m} />)}</datalist>
+              </td>
+              <td className="p-1">
+                <select
+                  className={classNames(CANDIDATE_INPUT, "w-full")}
+                  value={key}
+                  title={s.systemPrompt}
+                  onChange={(e) => {
+                    const hit = versions.find(x => x.key === e.target.value);
+                    if (hit) update(s.id, { systemPrompt: hit.v.text, template: templateRef(hit.t, hit.v) });
+                  }}
+                >
+                  {!s.template && <option value="">Custom prompt (as when added)</option>}
+                  {versions.map(x => <option key={x.key} value={x.key}>{x.t.name} v{x.v.version}</option>)}
+                </select>
+              </td>
+              <td className="p-1">
+                <input className={classNames(CANDIDATE_INPUT, "w-20")} placeholder="default" value={s.temperature} onChange={(e) => update(s.id, { temperature: e.target.value })} />
+              </td>
+              <td className="p-1 text-right">
+                <button className="text-xs text-zinc-400 hover:text-rose-600" onClick={() => onChange(specs.filter(x => x.id !== s.id))}>Remove</button>
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+const CANDIDATE_STATUS_STYLE = { running: "text-indigo-600", done: "text-green-700", failed: "text-rose-600" };
+
+// Each candidate diffed against the baseline, with change counts and actions.
+function CandidateGrid({ autoText, items, comparison, granularity, normalize, onPromote }) {
+  const pct = (v) => (v == null ? "—" : `${Math.round(v * 100)}%`);
+  return (
+    <div>
+      <div className="grid grid-cols-1 gap-3 md:grid-cols-2 xl:grid-cols-3">
+        {items.map((c, i) => {
+          const stats = comparison?.vsBaseline[i];
+          return (
+            <div key={c.spec.id} className="rounded-2xl border border-zinc-200 bg-white/60 p-3">
+              <div className="mb-1 flex items-center justify-between gap-2">
+                <div className="min-w-0 truncate text-sm font-medium" title={c.spec.systemPrompt}>
+                  <span className="text-zinc-400">#{i + 1}</span> {candidateLabel(c.spec)}
+                </div>
+                <span className={classNames("text-xs", CANDIDATE_STATUS_STYLE[c.status])}>{c.status}</span>
+              </div>
+              {c.status === "failed" && <div className="text-xs text-rose-600">{c.error}</div>}
+              {c.text != null && (
+                <>
+                  <div className="mb-2 text-xs text-zinc-500">
+                    {stats
+                      ? <>{stats.changes} changes · <span className="text-green-700">+{stats.inserted}</span> <span className="text-rose-700">−{stats.deleted}</span>{stats.moved ? <> <span className="text-violet-700">↔{stats.moved}</span></> : null} words · edit rate {pct(stats.editRate)}</>
+                      : "Comparing…"}
+                  </div>
+                  <div className="mb-2 max-h-[220px] overflow-auto rounded-xl border border-zinc-100 bg-white/70 p-2 text-sm">
+                    <InlineDiff oldText={autoText} newText={c.text} granularity={granularity} normalize={normalize} />
+                  </div>
+                  <Button variant="ghost" onClick={() => onPromote(i)}>Promote to GPT translation</Button>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {comparison && items.length > 1 && (
+        <div className="mt-3 overflow-auto">
+          <div className="mb-1 text-xs font-medium text-zinc-500">Edit rate between candidates</div>
+          <table className="text-sm">
+            <thead>
+              <tr className="text-xs text-zinc-500">
+                <th className="p-1" />
+                {items.map((c, j) => <th key={c.spec.id} className="p-1" title={candidateLabel(c.spec)}>#{j + 1}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((c, i) => (
+                <tr key={c.spec.id}>
+                  <th className="p-1 text-left text-xs text-zinc-500" title={candidateLabel(c.spec)}>#{i + 1}</th>
+                  {items.map((d, j) => <td key={d.spec.id} className="p-1 text-center font-mono">{i === j ? "·" : pct(comparison.matrix[i][j])}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Sentence-by-sentence: the working translation next to each candidate's version, diffed
+// against it. "Use" replaces just that sentence in the working text.
+function CherryPickTable({ sourceText, autoText, gptText, items, granularity, normalize, onPick }) {
+  const src = useDeferredValue(sourceText);
+  const auto = useDeferredValue(autoText);
+  const gpt = useDeferredValue(gptText);
+  const [onlyDiffering, setOnlyDiffering] = useState(true);
+  const working = useMemo(() => candidateRows(src, auto, gpt), [src, auto, gpt]);
+  const done = useMemo(() => items.filter(c => c.text != null), [items]);
+  const rowsByCandidate = useMemo(() => done.map(c => candidateRows(src, auto, c.text)), [src, auto, done]);
+  const shown = working.filter(row => !row.gpt.merged && (!onlyDiffering || rowsByCandidate.some(rows => rows[row.index] && !rows[row.index].gpt.merged && rows[row.index].gpt.text !== row.gpt.text)));
+
+  function pick(candidate, index) {
+    const next = pickSentence(gptText, candidateRows(sourceText, autoText, gptText), candidateRows(sourceText, autoText, candidate.text), index);
+    if (next != null) onPick(next);
+  }
+
+  return (
+    <div>
+      <label className="mb-2 flex items-center gap-2 text-sm text-zinc-600">
+        <input type="checkbox" checked={onlyDiffering} onChange={(e) => setOnlyDiffering(e.target.checked)} />
+        Only sentences where a candidate differs
+      </label>
+      <div className="max-h-[480px] overflow-auto rounded-2xl border border-zinc-100 bg-white/60">
+        <table className="w-full table-fixed border-collapse text-sm">
+          <thead className="sticky top-0 bg-zinc-50 text-left text-xs text-zinc-500">
+            <tr>
+              <th className="w-10 p-2">#</th>
+              <th className="p-2">Working translation</th>
+              {done.map(c => <th key={c.spec.id} className="p-2">#{items.indexOf(c) + 1} {candidateLabel(c.spec)}</th>)}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-zinc-100">
+            {shown.map(row => (
+              <tr key={row.index} className="align-top">
+                <td className="p-2 text-xs text-zinc-400">{row.index + 1}</td>
+                <td className="p-2 whitespace-pre-wrap" dir="auto">{row.gpt.text || <span className="text-xs text-zinc-400">(none)</span>}</td>
+                {done.map((c, k) => {
+                  const cell = rowsByCandidate[k][row.index]?.gpt;
+                  const usable = cell && !cell.merged && cell.start >= 0 && row.gpt.start >= 0 && cell.text !== row.gpt.text;
+                  return (
+                    <td key={c.spec.id} className="p-2">
+                      {!cell || cell.merged
+                        ? <span className="text-xs text-zinc-400">↑ merged</span>
+                        : <InlineDiff oldText={row.gpt.text} newText={cell.text} granularity={granularity} normalize={normalize} />}
+                      {usable && (
+                        <div className="mt-1"><button className="text-xs text-indigo-600 hover:underline" onClick={() => pick(c, row.index)}>Use this sentence</button></div>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// --- Prompt library -----------------------------------------------------------
+function PromptLibrary({ library, onChange, systemPrompt, active, onLoad }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const selected = library.find(t => t.id === (selectedId ?? active?.id)) || library[0] || null;
+  const fields = customFields(systemPrompt);
+
+  function create() {
+    const name = prompt("Name for the new template", "Untitled prompt");
+    if (!name) return;
+    const t = newTemplate({ name, text: systemPrompt });
+    onChange([...library, t]);
+    setSelectedId(t.id);
+    onLoad(t, latestVersion(t));
+  }
+
+  function saveVersion() {
+    const note = prompt("What changed in this version? (optional)", "");
+    if (note == null) return;
+    const next = addVersion(selected, systemPrompt, { note });
+    onChange(library.map(t => (t.id === selected.id ? next : t)));
+    onLoad(next, latestVersion(next));
+  }
+
+  function rename() {
+    const name = prompt("Template name", selected.name);
+    if (name) onChange(library.map(t => (t.id === selected.id ? { ...t, name } : t)));
+  }
+
+  function remove() {
+    if (!confirm(`Delete template "${selected.name}" and all its versions? History keeps the prompt text.`)) return;
+    onChange(library.filter(t => t.id !== selected.id));
+    setSelectedId(null);
+  }
+
+  return (
+    <div>
+      <div className="mb-2 text-sm text-zinc-600">
+        Current prompt:{" "}
+        {active ? <strong>{active.name} v{active.version}</strong> : <span className="text-amber-700">not saved in the library</span>}
+      </div>
+      <div className="mb-3 flex flex-wrap items-center gap-2">
+        <select
+          value={selected?.id || ""}
+          onChange={(e) => setSelectedId(e.target.value)}
+          disabled={!library.length}
+          className="rounded-xl border border-zinc-200 bg-white/60 p-2 text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300"
+        >
+          {!library.length && <option value="">No templates yet</option>}
+          {library.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+        </select>
+        <Button variant="ghost" onClick={create}>New from current prompt</Button>
+        <Button variant="ghost" onClick={saveVersion} disabled={!selected || latestVersion(selected).text === systemPrompt}>Save as new version</Button>
+        <Button variant="ghost" onClick={rename} disabled={!selected}>Rename</Button>
+        <Button variant="ghost" onClick={remove} disabled={!selected}>Delete</Button>
+      </div>
+      {selected && (
+        <ul className="mb-3 max-h-[180px] overflow-auto divide-y divide-zinc-100 text-sm">
+          {selected.versions.slice().reverse().map(v => (
+            <li key={v.version} className="flex items-center justify-between gap-2 py-1">
+              <div className="min-w-0">
+                <span className="font-medium">v{v.version}</span>{" "}
+                <span className="text-xs text-zinc-500">{fmtDate(v.date)}{v.note ? ` — ${v.note}` : ""}</span>
+                <div className="truncate font-mono text-xs text-zinc-500" title={v.text}>{v.text}</div>
+              </div>
+              <Button variant="ghost" onClick={() => onLoad(selected, v)}>
+                {active && active.id === selected.id && active.version === v.version ? "Loaded" : "Load"}
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="text-xs text-zinc-500">
+        Variables: {Object.entries(BUILTIN_VARIABLES).map(([k, label]) => <code key={k} title={label} className="mr-1">{`{${k}}`}</code>)}
+        — any other <code>{"{NAME}"}</code> is a custom field asked for when you generate
+        {fields.length > 0 && <> (this prompt: {fields.map(f => <code key={f} className="mr-1">{`{${f}}`}</code>)})</>}.
+      </div>
+    </div>
+  );
+}
+
+// The exact messages for the first request of a run.
+function MessagesPreview({ messages, note }) {
+  return (
+    <div className="space-y-2">
+      {note && <div className="text-xs text-zinc-500">{note}</div>}
+      {messages.map((m, i) => (
+        <div key={i} className="rounded-2xl border border-zinc-200 bg-white/60 p-2">
+          <div className="mb-1 text-xs font-medium uppercase text-zinc-500">{m.role}</div>
+          <pre dir="auto" className="max-h-[240px] overflow-auto whitespace-pre-wrap font-mono text-xs text-zinc-800">{m.content}</pre>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Asks for the template's custom fields before a run.
+function FieldsDialog({ names, initial, onSubmit, onCancel }) {
+  const [values, setValues] = useState(() => Object.fromEntries(names.map(n => [n, initial[n] ?? ""])));
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-zinc-900/30 p-4">
+      <Card title="Template fields" subtitle="Values for the custom variables in this prompt" className="w-full max-w-lg">
+        <div className="space-y-3">
+          {names.map((n, i) => (
+            <Field key={n} label={`{${n}}`}>
+              <textarea
+                dir="auto"
+                rows={2}
+                autoFocus={i === 0}
+                value={values[n]}
+                onChange={(e) => setValues(prev => ({ ...prev, [n]: e.target.value }))}
+                className="w-full rounded-xl border border-zinc-200 bg-white/60 p-2 text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300"
+              />
+            </Field>
+          ))}
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" onClick={onCancel}>Cancel</Button>
+            <Button onClick={() => onSubmit(values)}>Generate</Button>
+          </div>
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+// Every shortcut with its binding. "Change" records the next key combination pressed;
+// while the overlay is open it takes keys before the app does.
+function ShortcutHelp({ bindings, overrides, onChange, onClose }) {
+  const mac = useMemo(() => isMacPlatform(), []);
+  const [recording, setRecording] = useState(null); // action id waiting for a key
+  const conflicts = bindingConflicts(bindings);
+  const closeBinding = bindings.help;
+
+  useEffect(() => {
+    function handleKeyDown(e) {
+      e.stopImmediatePropagation();
+      const binding = bindingFromEvent(e, mac);
+      if (!binding) return;
+      if (!recording) {
+        if (e.key === 'Escape' || binding === closeBinding) { e.preventDefault(); onClose(); }
+        return;
+      }
+      e.preventDefault();
+      if (e.key !== 'Escape') onChange({ ...overrides, [recording]: binding });
+      setRecording(null);
+    }
+    // Capture, so the app's own shortcut listener never sees these keys.
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [mac, recording, closeBinding, overrides, onChange, onClose]);
+
+  function reset(id) {
+    const next = { ...overrides };
+    delete next[id];
+    onChange(next);
+  }
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-zinc-900/30 p-4" onClick={onClose}>
+      <div className="w-full max-w-xl" onClick={(e) => e.stopPropagation()}>
+        <Card title="Keyboard shortcuts" subtitle="Shortcuts without ⌘/Ctrl or Alt only work outside text fields" right={<Button variant="ghost" onClick={onClose}>Close</Button>}>
+          <table className="w-full text-sm">
+            <tbody>
+              {SHORTCUT_ACTIONS.map(a => {
+                const b = bindings[a.id];
+                const clash = b && conflicts.get(b);
+                return (
+                  <tr key={a.id} className="border-t border-zinc-100">
+                    <td className="py-1.5 pr-2">{a.label}</td>
+                    <td className="py-1.5 pr-2">
+                      {recording === a.id
+                        ? <span className="text-indigo-700">Press keys… (Esc cancels)</span>
+                        : <kbd className={`rounded-md border px-1.5 py-0.5 font-mono text-xs ${clash ? 'border-rose-300 bg-rose-50 text-rose-800' : 'border-zinc-200 bg-zinc-50'}`} title={clash ? `Also bound to: ${clash.filter(id => id !== a.id).join(", ")}` : undefined}>{formatBinding(b, mac)}</kbd>}
+                    </td>
+                    <td className="whitespace-nowrap py-1.5 text-right text-xs">
+                      <button className={REVIEW_BTN} onClick={() => setRecording(a.id)}>Change</button>{" "}
+                      <button className={REVIEW_BTN} onClick={() => onChange({ ...overrides, [a.id]: "" })} disabled={!b}>Off</button>{" "}
+                      <button className={REVIEW_BTN} onClick={() => reset(a.id)} disabled={!(a.id in overrides)}>Default</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {conflicts.size > 0 && <div className="mt-2 text-xs text-rose-700">Shortcuts in red are bound to more than one action; only the first one listed runs.</div>}
+        </Card>
+      </div>
+    </div>
+  );
+}
+
+// --- Projects ---------------------------------------------------------------
+// A language as a BCP-47 code ("ar", "pt-BR", "zh-Hant") or a common English name, with the
+// common ones suggested. Shows the language's name; a valid entry is saved as its code
+// when the field loses focus, anything else is dropped.
+function LanguageInput({ value, onChange, className, label }) {
+  const listId = useId();
+  const [draft, setDraft] = useState(null);
+  const code = draft === null ? langCode(value) : parseLang(draft);
+  const invalid = draft !== null && !code;
+  function commit() {
+    if (code && draft !== null && code !== langCode(value)) onChange(code);
+    setDraft(null);
+  }
+  return (
+    <span className="inline-flex items-center gap-1">
+      <input
+        list={listId}
+        className={classNames(className, "w-24", invalid ? "ring-2 ring-rose-300" : "")}
+        value={draft ?? langCode(value)}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); if (e.key === "Escape") setDraft(null); }}
+        placeholder="e.g. ar, ru, zh-Hant"
+        title={invalid ? "Not a language code" : "Any BCP-47 language code"}
+        aria-label={label}
+        aria-invalid={invalid}
+      />
+      <span className="text-xs text-zinc-500">{code ? languageName(code) : ""}</span>
+      <datalist id={listId}>
+        {COMMON_LANGUAGES.map(c => <option key={c} value={c}>{languageName(c)}</option>)}
+      </datalist>
+    </span>
+  );
+}
+
+function overridesSummary(o = {}) {
+  const parts = [];
+  if (o.provider) parts.push(getProvider(o.provider).label);
+  if (o.model) parts.push(o.model);
+  if (o.systemPrompt !== undefined) parts.push(`prompt #${promptId(o.systemPrompt)}`);
+  if (o.temperature !== undefined) parts.push(o.temperature === "" ? "default temperature" : `temperature ${o.temperature}`);
+  return parts.join(" · ");
+}
+
+function ProjectBar({ project, onChange, onPinSettings, onClose, onDelete }) {
+  const summary = overridesSummary(project.overrides);
+  const select = "rounded-lg border border-zinc-200 bg-white/60 px-2 py-1 text-sm outline-none focus:ring-2 focus:ring-indigo-300";
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm">
+      <input dir="auto" className={classNames(select, "w-56 font-medium")} value={project.name} onChange={(e) => onChange({ name: e.target.value })} aria-label="Project name" />
+      <label className="flex items-center gap-1 text-zinc-600">
+        <LanguageInput className={select} value={project.sourceLang} onChange={(code) => onChange({ sourceLang: code })} label="Source language" />
+        →
+        <LanguageInput className={select} value={project.targetLang} onChange={(code) => onChange({ targetLang: code })} label="Target language" />
+      </label>
+      <span className="text-zinc-600" title="Applied whenever the project is opened">
+        Overrides: {summary || <span className="text-zinc-400">none (global settings)</span>}
+      </span>
+      <Button variant="ghost" onClick={onPinSettings}>Use current settings</Button>
+      {summary && <Button variant="ghost" onClick={() => onChange({ overrides: {} })}>Clear overrides</Button>}
+      <label className="flex items-center gap-1 text-zinc-600">
+        <input type="checkbox" checked={project.restoreSession} onChange={(e) => onChange({ restoreSession: e.target.checked })} />
+        Restore last session on start
+      </label>
+      <span className="text-xs text-zinc-500">{project.draft?.saved ? `Draft saved ${fmtDate(project.draft.saved)}` : "Draft not saved yet"}</span>
+      <div className="ml-auto flex gap-2">
+        <Button variant="ghost" onClick={onClose}>Close</Button>
+        <Button variant="ghost" onClick={onDelete}>Delete</Button>
+      </div>
+    </div>
+  );
+}
+
+// --- History ----------------------------------------------------------------
+const HISTORY_INPUT = "rounded-lg border border-zinc-200 bg-white/60 px-2 py-1 text-sm outline-none focus:ring-2 focus:ring-indigo-300";
+
+function HistoryItem({ entry, onLoad, onUpdate, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [title, setTitle] = useState("");
+  const [tags, setTags] = useState("");
+
+  function edit() {
+    setTitle(entry.title || "");
+    setTags((entry.tags || []).join(", "));
+    setEditing(v => !v);
+  }
+
+  function save() {
+    onUpdate(entry.id, { title: title.trim(), tags: parseTags(tags) });
+    setEditing(false);
+  }
+
+  return (
+    <li className="py-2">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex min-w-0 items-start gap-2">
+          <button
+            className={classNames("text-lg leading-none", entry.starred ? "text-amber-500" : "text-zinc-300 hover:text-zinc-500")}
+            title={entry.starred ? "Unstar" : "Star"}
+            onClick={() => onUpdate(entry.id, { starred: !entry.starred })}
+          >
+            {entry.starred ? "★" : "☆"}
+          </button>
+          <div className="min-w-0">
+            <div className="text-sm font-medium"><bdi>{entry.title || fmtDate(entry.date)}</bdi></div>
+            <div className="line-clamp-1 text-xs text-zinc-500">
+              {entry.title ? `${fmtDate(entry.date)} · ` : ""}{(entry.sourceText || "").slice(0, 140)}
+            </div>
+            {(entry.tags || []).length > 0 && (
+              <div className="mt-1 flex flex-wrap gap-1">{entry.tags.map(t => <Pill key={t}>#{t}</Pill>)}</div>
+            )}
+          </div>
+        </div>
+        <div className="flex shrink-0 items-center gap-2">
+          <Pill>{entry.kind}</Pill>
+          <Button variant="ghost" onClick={edit}>Edit</Button>
+          <Button variant="ghost" onClick={() => onLoad(entry)}>Load</Button>
+          <Button variant="ghost" onClick={() => { if (confirm("Delete this history entry?")) onDelete(entry.id); }}>Delete</Button>
+        </div>
+      </div>
+      {editing && (
+        <div className="mt-2 flex flex-wrap items-center gap-2 pl-7">
+          <input dir="auto" className={classNames(HISTORY_INPUT, "w-64")} placeholder="Title" value={title} onChange={(e) => setTitle(e.target.value)} />
+          <input dir="auto" className={classNames(HISTORY_INPUT, "w-64")} placeholder="Tags, comma separated" value={tags} onChange={(e) => setTags(e.target.value)} />
+          <Button variant="ghost" onClick={save}>Save</Button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+function HistoryPanel({ entries, onLoad, onUpdate, onDelete, onBackup, onRestore }) {
+  const fileRef = React.useRef(null);
+  const [query, setQuery] = useState("");
+  const [starredOnly, setStarredOnly] = useState(false);
+  const [notice, setNotice] = useState("");
+  const deferredQuery = useDeferredValue(query);
+  const shown = useMemo(() => searchHistory(entries, deferredQuery, { starred: starredOnly }), [entries, deferredQuery, starredOnly]);
+
+  async function handleFile(file) {
+    const result = await onRestore(file);
+    if (result) setNotice(`Restored ${file.name}: ${result.added} added, ${result.updated} updated.`);
+  }
+
+  return (
+    <div>
+      <div className="mb-3 flex flex-wrap items-center gap-2">
+        <input
+          dir="auto"
+          className={classNames(HISTORY_INPUT, "min-w-[220px] flex-1")}
+          placeholder="Search source and translations, #tag…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <label className="flex items-center gap-1 text-sm text-zinc-600">
+          <input type="checkbox" checked={starredOnly} onChange={(e) => setStarredOnly(e.target.checked)} /> Starred
+        </label>
+        <Button variant="ghost" onClick={onBackup} disabled={!entries.length}>Back up…</Button>
+        <Button variant="ghost" onClick={() => fileRef.current.click()}>Restore…</Button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => { const file = e.target.files[0]; e.target.value = ""; if (file) handleFile(file); }}
+        />
+      </div>
+      {notice && <div className="mb-2 text-xs text-zinc-500">{notice}</div>}
+      {entries.length === 0 ? (
+        <div className="text-sm text-zinc-500">No history yet.</div>
+      ) : shown.length === 0 ? (
+        <div className="text-sm text-zinc-500">No entries match.</div>
+      ) : (
+        <>
+          <div className="mb-1 text-xs text-zinc-500">{shown.length} of {entries.length} entries</div>
+          <ul className="max-h-[420px] overflow-auto divide-y divide-zinc-100">
+            {shown.map((h) => (
+              <HistoryItem key={h.id} entry={h} onLoad={onLoad} onUpdate={onUpdate} onDelete={onDelete} />
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+// --- Metrics ----------------------------------------------------------------
+// Metrics for a history entry, diffed on a private runner so a concurrent export or
+// editor diff cannot cancel it.
+async function measureEntry({ autoText, gptText, rawOutput }) {
+  if (!autoText || !gptText) return null;
+  const runner = createDiffRunner();
+  try {
+    const ops = await runner.run(autoText, gptText, { granularity: "word" });
+    const postEditOps = rawOutput != null ? await runner.run(rawOutput, gptText, { granularity: "word" }) : null;
+    return computeMetrics({ ops, autoText, gptText, postEditOps });
+  } finally {
+    runner.dispose();
+  }
+}
+
+const pct = (v) => (v == null ? "—" : `${(v * 100).toFixed(1)}%`);
+const score = (v) => (v == null ? "—" : v.toFixed(1));
+
+function MetricTile({ label, value, hint }) {
+  return (
+    <div className="rounded-2xl border border-zinc-200 bg-white/60 px-3 py-2" title={hint}>
+      <div className="text-xs text-zinc-500">{label}</div>
+      <div className="font-mono text-lg text-zinc-900">{value}</div>
+    </div>
+  );
+}
+
+// Tiny line chart of one metric over time.
+function Sparkline({ values, width = 90, height = 22 }) {
+  const vals = values.filter(v => typeof v === "number");
+  if (vals.length < 2) return <span className="text-xs text-zinc-400">—</span>;
+  const max = Math.max(...vals), min = Math.min(...vals), span = max - min || 1;
+  const pts = vals.map((v, i) => `${(i * width) / (vals.length - 1)},${height - 2 - ((v - min) * (height - 4)) / span}`).join(" ");
+  return (
+    <svg width={width} height={height} className="text-indigo-500">
+      <polyline points={pts} fill="none" stroke="currentColor" strokeWidth="1.5" />
+    </svg>
+  );
+}
+
+// Current comparison's metrics plus averages per model + prompt across history.
+function MetricsPanel({ autoText, gptText, rawOutput, history }) {
+  const ops = useDiffOps(autoText, gptText, { granularity: "word" });
+  const postEditOps = useDiffOps(rawOutput, gptText, { granularity: "word" }); // null without raw output
+  const metrics = useMemo(
+    () => (ops ? computeMetrics({ ops, autoText, gptText, postEditOps }) : null),
+    [ops, postEditOps, autoText, gptText]
+  );
+  const trends = useMemo(() => metricTrends(history), [history]);
+
+  return (
+    <div>
+      {!metrics ? (
+        <div className="text-sm text-zinc-500">Computing metrics…</div>
+      ) : (
+        <div className="grid grid-cols-2 gap-2 md:grid-cols-5">
+          <MetricTile label="Edit rate (TER)" value={pct(metrics.editRate)} hint="Word edits from the automated translation to the GPT translation, per GPT word" />
+          <MetricTile label="Post-edit distance" value={pct(metrics.postEdit)} hint="Word edits from the raw model output to your final text, per final word" />
+          <MetricTile label="chrF" value={score(metrics.chrF)} hint="Character n-gram F-score of the automated translation against the GPT translation" />
+          <MetricTile label="BLEU" value={score(metrics.bleu)} hint="BLEU-4 of the automated translation against the GPT translation" />
+          <MetricTile
+            label="Words"
+            value={<span className="text-sm"><span className="text-green-700">+{metrics.words.inserted}</span> <span className="text-rose-700">−{metrics.words.deleted}</span> {metrics.words.moved ? <><span className="text-violet-700">↔{metrics.words.moved}</span> </> : null}<span className="text-zinc-500">={metrics.words.equal}</span></span>}
+            hint="Inserted, deleted, moved and unchanged words"
+          />
+        </div>
+      )}
+      {trends.length > 0 && (
+        <div className="mt-4 overflow-auto">
+          <div className="mb-1 text-xs font-medium text-zinc-500">Trend by model and prompt (history)</div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-zinc-500">
+                <th className="p-1">Model</th>
+                <th className="p-1">Prompt</th>
+                <th className="p-1">Runs</th>
+                <th className="p-1">Edit rate</th>
+                <th className="p-1">Post-edit</th>
+                <th className="p-1">chrF</th>
+                <th className="p-1">BLEU</th>
+                <th className="p-1">Post-edit over time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {trends.map(t => (
+                <tr key={t.key} className="border-t border-zinc-100">
+                  <td className="p-1 font-mono text-xs">{t.model || t.provider}</td>
+                  <td className="max-w-[240px] truncate p-1 text-xs text-zinc-600" title={t.prompt}>#{promptId(t.prompt)} {t.prompt.slice(0, 60)}</td>
+                  <td className="p-1">{t.count}</td>
+                  <td className="p-1 font-mono">{pct(t.editRate)}</td>
+                  <td className="p-1 font-mono">{pct(t.postEdit)}</td>
+                  <td className="p-1 font-mono">{score(t.chrF)}</td>
+                  <td className="p-1 font-mono">{score(t.bleu)}</td>
+                  <td className="p-1"><Sparkline values={t.points.map(p => p.postEdit)} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- Glossary ---------------------------------------------------------------
+const GLOSSARY_INPUT = "w-full rounded-lg border border-zinc-200 bg-white/60 px-2 py-1 text-sm outline-none focus:ring-2 focus:ring-indigo-300";
+
+// Term list editor plus the checker's findings for the current translation.
+function GlossaryPanel({ entries, onChange, issues, onReveal, onError, sourceLang, targetLang }) {
+  const fileRef = React.useRef(null);
+  const update = (id, patch) => onChange(entries.map(e => (e.id === id ? { ...e, ...patch } : e)));
+
+  async function handleFile(file) {
+    try {
+      const text = decodeText(new Uint8Array(await file.arrayBuffer())).text;
+      const incoming = /\.tbx$/i.test(file.name) || /^\s*(<\?xml[^>]*>\s*)?<(tbx|martif)\b/.test(text)
+        ? parseTBX(text, { sourceLang })
+        : parseGlossaryCSV(text);
+      if (!incoming.length) throw new Error("no entries found");
+      onChange(mergeGlossary(entries, incoming));
+    } catch (e) {
+      onError(`Could not import glossary ${file.name}: ${e.message || e}`);
+    }
+  }
+
+  const missing = issues.filter(i => i.type === "missing");
+  const forbidden = issues.filter(i => i.type === "forbidden");
+
+  return (
+    <div>
+      <div className="mb-3 flex flex-wrap items-center gap-2">
+        <Button variant="ghost" onClick={() => onChange([...entries, newEntry()])}>Add term</Button>
+        <Button variant="ghost" onClick={() => fileRef.current.click()}>Import CSV / TBX…</Button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".csv,.tbx,.xml"
+          className="hidden"
+          onChange={(e) => { const file = e.target.files[0]; e.target.value = ""; if (file) handleFile(file); }}
+        />
+        <Button variant="ghost" onClick={() => downloadBlob(new Blob([glossaryToCSV(entries)], { type: "text/csv" }), "glossary.csv")} disabled={!entries.length}>Export CSV</Button>
+        <Button variant="ghost" onClick={() => downloadBlob(new Blob([glossaryToTBX(entries, { sourceLang, targetLang })], { type: "application/x-tbx+xml" }), "glossary.tbx")} disabled={!entries.length}>Export TBX</Button>
+      </div>
+
+      {issues.length > 0 && (
+        <div className="mb-3 rounded-2xl border border-amber-200 bg-amber-50/70 p-3 text-sm">
+          <div className="mb-1 font-medium text-amber-900">Glossary check: {issues.length} issue{issues.length === 1 ? "" : "s"}</div>
+          <ul className="space-y-0.5 text-amber-900">
+            {missing.map(i => (
+              <li key={`m-${i.entry.id}`}>
+                <bdi>{i.entry.source}</bdi> should be rendered <strong><bdi>{i.entry.target}</bdi></strong> — {i.found} of {i.expected} found
+              </li>
+            ))}
+            {forbidden.map(i => (
+              <li key={`f-${i.entry.id}-${i.start}`}>
+                <button className="underline decoration-amber-500 hover:text-amber-700" onClick={() => onReveal(i.start, i.end)}>
+                  Forbidden <bdi>“{i.variant}”</bdi>
+                </button>
+                {i.entry.target ? <> — use <strong><bdi>{i.entry.target}</bdi></strong></> : null}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!entries.length ? (
+        <div className="text-sm text-zinc-500">No terms yet. Add terms or import a CSV (source, target, forbidden, notes) or TBX file.</div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-zinc-500">
+              <th className="p-1">Source term</th>
+              <th className="p-1">Required target</th>
+              <th className="p-1">Forbidden variants (| separated)</th>
+              <th className="p-1">Notes</th>
+              <th className="p-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(e => (
+              <tr key={e.id}>
+                <td className="p-1"><input dir="auto" className={GLOSSARY_INPUT} value={e.source} onChange={(ev) => update(e.id, { source: ev.target.value })} /></td>
+                <td className="p-1"><input dir="auto" className={GLOSSARY_INPUT} value={e.target} onChange={(ev) => update(e.id, { target: ev.target.value })} /></td>
+                <td className="p-1">
+                  {/* Uncontrolled so a trailing "|" can be typed; committed on blur. */}
+                  <input
+                    key={e.forbidden.join("|")}
+                    dir="auto"
+                    className={GLOSSARY_INPUT}
+                    defaultValue={e.forbidden.join(" | ")}
+                    onBlur={(ev) => update(e.id, { forbidden: ev.target.value.split("|").map(v => v.trim()).filter(Boolean) })}
+                  />
+                </td>
+                <td className="p-1"><input dir="auto" className={GLOSSARY_INPUT} value={e.notes} onChange={(ev) => update(e.id, { notes: ev.target.value })} /></td>
+                <td className="p-1 text-right">
+                  <button className="text-zinc-400 hover:text-rose-600" title="Remove term" onClick={() => onChange(entries.filter(x => x.id !== e.id))}>✕</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// --- Translation memory -----------------------------------------------------
+const TM_LIST_LIMIT = 100;
+
+// Matches for the current source: 100% matches can be pre-filled on Generate; fuzzy
+// ones show what changed between the stored source and the new one.
+function MemoryPanel({ units, matches, useTM, onUseTMChange, onSave, onClear, canSave, granularity }) {
+  const hits = matches.filter(m => m.unit);
+  const exact = hits.filter(m => m.exact).length;
+  return (
+    <div>
+      <div className="mb-3 flex flex-wrap items-center gap-3 text-sm text-zinc-600">
+        <span>{units.length} stored pairs</span>
+        {matches.length > 0 && (
+          <span>
+            {exact} of {matches.length} sentences at 100%, {hits.length - exact} fuzzy (≥{Math.round(TM_MIN_SCORE * 100)}%)
+          </span>
+        )}
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={useTM} onChange={(e) => onUseTMChange(e.target.checked)} />
+          Pre-fill 100% matches on Generate (only the rest is sent to the model)
+        </label>
+        <div className="ml-auto flex gap-2">
+          <Button variant="ghost" onClick={onSave} disabled={!canSave}>Save current pairs</Button>
+          <Button variant="ghost" onClick={() => { if (confirm("Delete every stored pair?")) onClear(); }} disabled={!units.length}>Clear memory</Button>
+        </div>
+      </div>
+      {!hits.length ? (
+        <div className="text-sm text-zinc-500">
+          {units.length ? "No matches for the current source." : "Pairs are stored each time a comparison is saved (Compare Only) or with “Save current pairs”."}
+        </div>
+      ) : (
+        <table className="w-full table-fixed text-sm">
+          <thead>
+            <tr className="text-left text-xs text-zinc-500">
+              <th className="w-16 p-1">Match</th>
+              <th className="p-1">Source (changes vs stored)</th>
+              <th className="p-1">Stored translation</th>
+            </tr>
+          </thead>
+          <tbody>
+            {hits.slice(0, TM_LIST_LIMIT).map(m => (
+              <tr key={m.sentence.start} className="border-t border-zinc-100 align-top">
+                <td className="p-1">
+                  <span className={classNames("rounded-md px-1.5 py-0.5 text-xs", m.exact ? "bg-green-100 text-green-800" : "bg-amber-100 text-amber-800")}>
+                    {Math.floor(m.score * 100)}%
+                  </span>
+                </td>
+                <td className="p-1" dir="auto">
+                  {m.exact ? m.sentence.text : <InlineDiff oldText={m.unit.source} newText={m.sentence.text} granularity={granularity} />}
+                </td>
+                <td className="p-1" dir="auto">{m.unit.target}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function SelfTestsPanel() {
+  const [open, setOpen] = useState(false);
+  const [results, setResults] = useState(null);
+  return (
+    <div className="rounded-3xl border border-emerald-200 bg-emerald-50/70 p-4">
+      <div className="mb-2 flex items-center justify-between">
+        <div className="text-sm font-semibold text-emerald-900">Self-tests</div>
+        <button
+          className="text-xs rounded-lg border border-emerald-300 bg-white/70 px-2 py-1 hover:bg-white"
+          onClick={() => setOpen(!open)}
+        >
+          {open ? "Hide" : "Show"}
+        </button>
+      </div>
+      {open && (
+        <div className="text-sm text-emerald-900/90">
+          <button
+            className="mb-2 rounded-lg border border-emerald-300 bg-white/70 px-2 py-1 text-xs hover:bg-white"
+            onClick={async () => setResults(await runSelfTests())}
+          >Run tests</button>
+          {results && (
+            <ul className="space-y-1">
+              {results.map((r, i) => (
+                <li key={i} className={r.ok ? "text-emerald-700" : "text-rose-700"}>
+                  {r.ok ? "✔" : "✗"} {r.name}{r.msg ? ` — ${r.msg}` : ""}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- Main App ---------------------------------------------------------------
+export default function TranslationDiffStudio() {
+  // Global settings (saved to prefs); an open project may override them, see below.
+  const [globalProviderId, setGlobalProviderId] = useState(DEFAULT_PROVIDER);
+  const [providerSettings, setProviderSettings] = useState({}); // { [providerId]: { apiKey, model, ... } }
+  const [globalTargetLang, setGlobalTargetLang] = useState("en");
+  const [globalTemperature, setGlobalTemperature] = useState("");
+  const [globalSystemPrompt, setGlobalSystemPrompt] = useState(
+    "Type 3 translation: Keep original Hebrew/English structure and logic; natural American {TARGET}; no added ideas; preserve tone; 6th-grade clarity; short, clean sentences; return translation only."
+  );
+  const [sourceText, setSourceText] = useState("");
+  const [autoText, setAutoText] = useState("");
+  const [gptText, setGptText] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [streamOutput, setStreamOutput] = useState(true);
+  const [streamedChars, setStreamedChars] = useState(0);
+  const abortRef = React.useRef(null);
+  // Long documents: chunk budget, parallelism, and the last chunked run's progress.
+  const [chunkTokens, setChunkTokens] = useState(String(DEFAULT_CHUNK_TOKENS));
+  const [concurrency, setConcurrency] = useState(String(DEFAULT_CONCURRENCY));
+  const [docJob, setDocJob] = useState(null);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [history, setHistory] = useState([]);
+  const historyStoreRef = React.useRef(null); // Promise of the IndexedDB store
+  // Latest values for async work that outlives the render it started in (chunk retries).
+  const gptTextRef = React.useRef(gptText);
+  const historyRef = React.useRef(history);
+  useEffect(() => { gptTextRef.current = gptText; }, [gptText]);
+  useEffect(() => { historyRef.current = history; }, [history]);
+  // Projects: the open one's working texts are autosaved as its draft.
+  const [projects, setProjects] = useState([]);
+  const [projectId, setProjectId] = useState(null);
+  const projectStoreRef = React.useRef(null);
+  // The latest openProject and saveDraft, for the effects that call them later.
+  const openProjectRef = React.useRef(null);
+  const saveDraftRef = React.useRef(null);
+  const project = projects.find(p => p.id === projectId) || null;
+  // What the open project sets wins over the global settings, without replacing them.
+  const overrides = useMemo(() => (project ? projectSettings(project) : {}), [project]);
+  const providerId = PROVIDERS[overrides.provider] ? overrides.provider : globalProviderId;
+  const targetLang = overrides.targetLang || globalTargetLang;
+  const systemPrompt = overrides.systemPrompt ?? globalSystemPrompt;
+  const temperature = overrides.temperature ?? globalTemperature;
+  // Prompt library: the template version last loaded, style notes and custom field values.
+  const [prompts, setPrompts] = useState([]);
+  const [templateSel, setTemplateSel] = useState(null); // { id, version }
+  const [globalStyleNotes, setGlobalStyleNotes] = useState("");
+  const [promptFields, setPromptFields] = useState({});
+  const [fieldsDialog, setFieldsDialog] = useState(null); // custom field names to ask for
+  const [showPreview, setShowPreview] = useState(false);
+  // Multi-candidate runs: what to generate, the last run and its comparison.
+  const [candidateSpecs, setCandidateSpecs] = useState([]);
+  const [candidateRun, setCandidateRun] = useState(null); // { sourceText, autoText, items: [{ spec, status, text, error }] }
+  const [candidateComparison, setCandidateComparison] = useState(null);
+  const candidateCacheRef = React.useRef(new Map()); // comparisons of the last run, by text
+  // Revision timeline of the working translation for the current document.
+  const [revisions, setRevisions] = useState([]);
+  const revisionStoreRef = React.useRef(null);
+  const activeTemplate = useMemo(() => matchTemplate(prompts, systemPrompt, templateSel), [prompts, systemPrompt, templateSel]);
+  const styleNotes = project ? project.styleNotes ?? "" : globalStyleNotes;
+  // Advanced (optional): leave blank to omit
+  const [maxCompletionTokens, setMaxCompletionTokens] = useState("");
+  // Inline editor controls
+  const [editorDirMode, setEditorDirMode] = useState('auto');
+  const [refreshTick, setRefreshTick] = useState(0);
+  const [granularity, setGranularity] = useState("subword");
+  // What the diff ignores: a project's own choice, else the global one.
+  const [globalNormalize, setGlobalNormalize] = useState({});
+  const normalize = project?.normalize ?? globalNormalize;
+  // Keyboard shortcuts: the user's rebindings over the defaults.
+  const [shortcutOverrides, setShortcutOverrides] = useState({});
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const bindings = useMemo(() => resolveBindings(shortcutOverrides), [shortcutOverrides]);
+  const editorRef = React.useRef(null);
+  const reviewFileRef = React.useRef(null);
+  // DOCX export: revision author and where the source text goes.
+  const [reviewerName, setReviewerName] = useState("Translation Diff");
+  const [docxSource, setDocxSource] = useState("none");
+  // Structure of imported files ({ source, auto }), kept for write-back on export.
+  const [imports, setImports] = useState({ source: null, auto: null });
+  const [catFormat, setCatFormat] = useState("xliff2");
+  // Review comments, anchored to `text`; re-anchored onto the GPT translation as it changes.
+  const [comments, setComments] = useState({ text: "", threads: [] });
+  const [commentDraft, setCommentDraft] = useState(null); // { text, start, end, quote }
+  // Highlighted in the editor: open threads, once anchored to the text it shows.
+  const openThreads = useMemo(
+    () => (comments.text === gptText ? comments.threads.filter(t => !t.resolved && !t.detached) : []),
+    [comments, gptText]
+  );
+  const [glossary, setGlossary] = useState([]);
+  const deferredGpt = useDeferredValue(gptText);
+  const glossaryIssues = useMemo(() => checkGlossary(glossary, sourceText, deferredGpt), [glossary, sourceText, deferredGpt]);
+  // Translation memory: stored pairs and the matches for the current source.
+  const [tm, setTm] = useState([]);
+  const [useTM, setUseTM] = useState(true);
+  const deferredSource = useDeferredValue(sourceText);
+  const tmMatches = useMemo(() => lookupMemory(tm, deferredSource, { targetLang }), [tm, deferredSource, targetLang]);
+  // Raw model output for the current source, before any editing (for post-edit distance).
+  const [rawOutput, setRawOutput] = useState(null); // { source, text }
+  const currentRaw = rawOutput && rawOutput.source === sourceText ? rawOutput.text : null;
+  // Source language for exports: the imported file's, else the project's, else guessed.
+  const guessedSourceLang = guessLang(sourceText || autoText);
+  const sourceLangCode = imports.source?.sourceLang || (project ? langCode(project.sourceLang) : guessedSourceLang);
+  const sourceLangName = languageName(project ? project.sourceLang : guessedSourceLang);
+  const docKey = documentKey({ projectId, sourceText: deferredSource });
+  const provider = getProvider(providerId);
+  const currentSettings = providerSettings[provider.id] || {};
+  const model = (overrides.model !== undefined && provider.id === overrides.provider ? overrides.model : currentSettings.model) ?? provider.defaultModel;
+
+  function setProviderSetting(key, value) {
+    if (key === "model" && overrides.model !== undefined && provider.id === overrides.provider) return changeOverride("model", value);
+    setProviderSettings(prev => ({ ...prev, [provider.id]: { ...(prev[provider.id] || {}), [key]: value } }));
+  }
+
+  useEffect(() => {
+    const prefs = loadJSON(LS_KEYS.prefs, {});
+    const stored = loadJSON(LS_KEYS.providers, {});
+    // Migrate the pre-provider OpenAI key and model.
+    const legacyKey = localStorage.getItem(LS_KEYS.apiKey);
+    if (legacyKey && !stored.openai?.apiKey) stored.openai = { ...stored.openai, apiKey: legacyKey };
+    if (prefs.model && !stored.openai?.model) stored.openai = { ...stored.openai, model: prefs.model };
+    setProviderSettings(stored);
+    if (prefs.provider && PROVIDERS[prefs.provider]) setGlobalProviderId(prefs.provider);
+    if (prefs.targetLang) setGlobalTargetLang(prefs.targetLang);
+    if (prefs.systemPrompt) setGlobalSystemPrompt(prefs.systemPrompt);
+    if (Object.prototype.hasOwnProperty.call(prefs, 'temperature')) setGlobalTemperature(String(prefs.temperature ?? ''));
+    if (prefs.granularity) setGranularity(prefs.granularity);
+    if (prefs.normalize) setGlobalNormalize(normalizationOptions(prefs.normalize));
+    if (prefs.shortcuts) setShortcutOverrides(prefs.shortcuts);
+    if (typeof prefs.streamOutput === "boolean") setStreamOutput(prefs.streamOutput);
+    if (prefs.chunkTokens) setChunkTokens(String(prefs.chunkTokens));
+    if (prefs.concurrency) setConcurrency(String(prefs.concurrency));
+    if (prefs.reviewerName) setReviewerName(prefs.reviewerName);
+    if (prefs.docxSource) setDocxSource(prefs.docxSource);
+    if (prefs.catFormat) setCatFormat(prefs.catFormat);
+    if (Object.prototype.hasOwnProperty.call(prefs, 'maxCompletionTokens')) setMaxCompletionTokens(String(prefs.maxCompletionTokens ?? ''));
+    setGlossary(loadJSON(LS_KEYS.glossary, []));
+    setTm(loadJSON(LS_KEYS.tm, []));
+    setPrompts(loadJSON(LS_KEYS.prompts, []));
+    if (prefs.template) setTemplateSel(prefs.template);
+    if (prefs.styleNotes) setGlobalStyleNotes(prefs.styleNotes);
+    if (prefs.promptFields) setPromptFields(prefs.promptFields);
+    if (Array.isArray(prefs.candidateSpecs)) setCandidateSpecs(prefs.candidateSpecs);
+    if (typeof prefs.useTM === "boolean") setUseTM(prefs.useTM);
+  }, []);
+
+  // History: open IndexedDB, move over entries from the old localStorage key, load all.
+  useEffect(() => {
+    let live = true;
+    const opening = openHistoryStore().then(async store => {
+      await migrateLocalHistory(store, LS_KEYS.history);
+      const entries = await store.all();
+      if (live) setHistory(entries);
+      return store;
+    });
+    historyStoreRef.current = opening;
+    opening.catch(e => {
+      if (!live) return;
+      setHistory(loadJSON(LS_KEYS.history, []));
+      setError(`History cannot be saved in this browser (${e.message || e}). Back it up before closing the tab.`);
+    });
+    return () => { live = false; opening.then(store => store.close(), () => {}); };
+  }, []);
+
+  useEffect(() => { openProjectRef.current = openProject; saveDraftRef.current = saveDraft; });
+
+  // Projects: load them and reopen the last one if it asks to restore its session.
+  useEffect(() => {
+    let live = true;
+    const lastId = loadJSON(LS_KEYS.prefs, {}).project;
+    const opening = openProjectStore().then(async store => {
+      const all = await store.all();
+      if (live) {
+        setProjects(all);
+        const last = all.find(p => p.id === lastId);
+        if (last && last.restoreSession) openProjectRef.current(last);
+      }
+      return store;
+    });
+    projectStoreRef.current = opening;
+    opening.catch(e => { if (live) setError(`Projects are unavailable in this browser (${e.message || e}).`); });
+    return () => { live = false; opening.then(store => store.close(), () => {}); };
+  }, []);
+
+  useEffect(() => {
+    const opening = openRevisionStore();
+    revisionStoreRef.current = opening;
+    opening.catch(e => setError(`Revisions cannot be saved in this browser (${e.message || e}).`));
+    return () => { opening.then(store => store.close(), () => {}); };
+  }, []);
+
+  // Load the timeline of the current document (after typing in the source settles).
+  useEffect(() => {
+    let live = true;
+    const t = setTimeout(() => {
+      revisionStoreRef.current?.then(store => store.forDocument(docKey)).then(list => { if (live) setRevisions(list); }, () => {});
+    }, 300);
+    return () => { live = false; clearTimeout(t); };
+  }, [docKey]);
+
+  // Compare the candidates of the last run off the main thread as they finish.
+  useEffect(() => {
+    if (!candidateRun) { setCandidateComparison(null); return; }
+    let live = true;
+    const runner = createDiffRunner();
+    // Candidates change status one at a time: only texts not compared yet are diffed.
+    compareCandidates(candidateRun.autoText, candidateRun.items.map(c => c.text), (a, b) => runner.run(a, b, { granularity: "word" }), candidateCacheRef.current)
+      .then(result => { if (live) setCandidateComparison(result); })
+      .catch(ignoreCancelled);
+    return () => { live = false; runner.dispose(); };
+  }, [candidateRun]);
+
+  // Carry the comment anchors over edits of the GPT translation, through a char diff once
+  // typing pauses. One runner serves every pass: a newer pass replaces a running one.
+  // Exports that need the anchors sooner re-anchor themselves (threadsFor).
+  const anchorRunnerRef = React.useRef(null);
+  useEffect(() => () => { if (anchorRunnerRef.current) anchorRunnerRef.current.dispose(); }, []);
+  useEffect(() => {
+    if (comments.text === gptText) return;
+    if (!comments.threads.length) { setComments(prev => ({ ...prev, text: gptText })); return; }
+    const from = comments.text;
+    const t = setTimeout(() => {
+      if (!anchorRunnerRef.current) anchorRunnerRef.current = createDiffRunner();
+      anchorRunnerRef.current.run(from, gptText, { granularity: "char", moves: false })
+        .then(ops => setComments(prev => (prev.text === from ? { text: gptText, threads: reanchorThreads(prev.threads, ops) } : prev)))
+        .catch(ignoreCancelled);
+    }, REANCHOR_DELAY_MS);
+    return () => clearTimeout(t);
+  }, [comments, gptText]);
+
+  // Autosave the open project's draft shortly after the texts stop changing.
+  useEffect(() => {
+    if (!projectId) return;
+    const t = setTimeout(() => saveDraftRef.current(), 800);
+    return () => clearTimeout(t);
+  }, [projectId, sourceText, autoText, gptText, currentRaw, comments]);
+
+  useEffect(() => { saveJSON(LS_KEYS.providers, providerSettings, setError); }, [providerSettings]);
+  useEffect(() => { saveJSON(LS_KEYS.glossary, glossary, setError); }, [glossary]);
+  useEffect(() => { saveJSON(LS_KEYS.tm, tm, setError); }, [tm]);
+  useEffect(() => { saveJSON(LS_KEYS.prompts, prompts, setError); }, [prompts]);
+  useEffect(() => { saveJSON(LS_KEYS.prefs, { provider: globalProviderId, targetLang: globalTargetLang, systemPrompt: globalSystemPrompt, temperature: globalTemperature, maxCompletionTokens, granularity, normalize: globalNormalize, shortcuts: shortcutOverrides, streamOutput, chunkTokens, concurrency, reviewerName, docxSource, catFormat, useTM, project: projectId, template: templateSel, styleNotes: globalStyleNotes, promptFields, candidateSpecs }, setError); }, [globalProviderId, globalTargetLang, globalSystemPrompt, globalTemperature, maxCompletionTokens, granularity, globalNormalize, shortcutOverrides, streamOutput, chunkTokens, concurrency, reviewerName, docxSource, catFormat, useTM, projectId, templateSel, globalStyleNotes, promptFields, candidateSpecs]);
+
+  // Runs `fn(store)` once the history store is open; write failures (quota) are shown.
+  function withHistoryStore(fn) {
+    historyStoreRef.current?.then(fn).catch(e => setError(`History not saved: ${e.message || e}`));
+  }
+
+  // Entries are stored with their metrics; measuring is async, so the list is updated
+  // functionally in case another entry lands first. Returns the new entry's id.
+  function pushHistory(entry) {
+    const item = { id: uid(), date: nowISO(), title: "", tags: [], starred: false, ...entry };
+    if (comments.threads.length && comments.text === entry.gptText) item.comments = comments.threads;
+    // A saved comparison is a reviewed translation: keep its sentence pairs.
+    if (entry.kind === "compared") saveToMemory(entry.sourceText, entry.autoText, entry.gptText);
+    measureEntry(item).catch(() => null).then(metrics => {
+      const saved = { ...item, metrics };
+      setHistory(prev => [saved, ...prev]);
+      withHistoryStore(store => store.put(saved));
+    });
+    return item.id;
+  }
+
+  function updateHistory(id, patch) {
+    const entry = historyRef.current.find(h => h.id === id);
+    if (!entry) return;
+    const next = { ...entry, ...patch, updated: nowISO() };
+    setHistory(prev => prev.map(h => (h.id === id ? next : h)));
+    withHistoryStore(store => store.put(next));
+  }
+
+  function deleteHistory(id) {
+    setHistory(prev => prev.filter(h => h.id !== id));
+    withHistoryStore(store => store.delete(id));
+  }
+
+  // Everything the app keeps in localStorage except history, which may live there when
+  // IndexedDB is unavailable.
+  function resetApp() {
+    if (!confirm("Reset settings, keys, glossary, translation memory and prompts? History is kept.")) return;
+    for (const key of Object.values(LS_KEYS)) if (key !== LS_KEYS.history) localStorage.removeItem(key);
+    location.reload();
+  }
+
+  function backupHistory() {
+    downloadBlob(new Blob([historyBackup(history)], { type: "application/json" }), `translation-diff-history-${nowISO().slice(0, 10)}.json`);
+  }
+
+  // Merge a backup file by id; returns the counts, or null when the file is rejected.
+  async function restoreHistory(file) {
+    try {
+      const result = mergeHistory(history, parseHistoryBackup(await file.text()));
+      setHistory(result.entries);
+      withHistoryStore(store => store.putMany(result.changed));
+      return result;
+    } catch (e) {
+      setError(`Could not restore ${file.name}: ${e.message || e}`);
+      return null;
+    }
+  }
+
+  // --- Projects ---
+  function withProjectStore(fn) {
+    projectStoreRef.current?.then(fn).catch(e => setError(`Project not saved: ${e.message || e}`));
+  }
+
+  function putProject(next) {
+    setProjects(prev => (prev.some(p => p.id === next.id) ? prev.map(p => (p.id === next.id ? next : p)) : [next, ...prev]));
+    withProjectStore(store => store.put(next));
+  }
+
+  function updateProject(patch) {
+    if (project) putProject({ ...project, ...patch, updated: nowISO() });
+  }
+
+  // Write the working texts to the open project's draft now (no-op when unchanged).
+  function saveDraft() {
+    if (!project) return;
+    const draft = nextDraft(project.draft, { sourceText, autoText, gptText, rawOutput: currentRaw, comments: draftComments() });
+    if (draft) putProject({ ...project, draft });
+  }
+
+  // Threads to save with the GPT text; ones still being re-anchored wait for the next save.
+  function draftComments() {
+    return comments.text === gptText ? comments.threads : project?.draft?.comments;
+  }
+
+  // Load a project's draft; its language pair and overrides apply while it is open.
+  function openProject(p) {
+    const opened = { ...p, opened: nowISO() };
+    putProject(opened);
+    setProjectId(p.id);
+    const d = p.draft || emptyDraft();
+    setSourceText(d.sourceText);
+    setAutoText(d.autoText);
+    setGptText(d.gptText);
+    setRawOutput(d.rawOutput != null ? { source: d.sourceText, text: d.rawOutput } : null);
+    setComments({ text: d.gptText, threads: d.comments || [] });
+    setCommentDraft(null);
+    setImports({ source: null, auto: null });
+    setDocJob(null);
+  }
+
+  function switchProject(id) {
+    saveDraft();
+    if (id === "new") {
+      // The current texts become the new project's draft.
+      const p = newProject({
+        name: imports.source?.name || "Untitled project",
+        sourceLang: guessedSourceLang,
+        targetLang,
+      });
+      p.draft = nextDraft(p.draft, { sourceText, autoText, gptText, rawOutput: currentRaw, comments: draftComments() }) || p.draft;
+      putProject(p);
+      setProjectId(p.id);
+    } else if (!id) setProjectId(null);
+    else openProject(projects.find(p => p.id === id));
+  }
+
+  function deleteProject() {
+    if (!project || !confirm(`Delete project "${project.name}" and its draft? History is kept.`)) return;
+    const id = project.id;
+    setProjects(prev => prev.filter(p => p.id !== id));
+    setProjectId(null);
+    withProjectStore(store => store.delete(id));
+  }
+
+  // The target language belongs to the open project.
+  function changeTargetLang(lang) {
+    if (project) updateProject({ targetLang: lang });
+    else setGlobalTargetLang(lang);
+  }
+
+  // A setting the open project overrides is changed in the project; the rest globally.
+  function changeOverride(key, value) {
+    updateProject({ overrides: { ...project.overrides, [key]: value } });
+  }
+
+  function changeProvider(id) {
+    if (overrides.provider === undefined) return setGlobalProviderId(id);
+    // The pinned model belongs to the pinned provider: follow the new one's.
+    const next = getProvider(id);
+    updateProject({ overrides: { ...project.overrides, provider: next.id, model: providerSettings[next.id]?.model ?? next.defaultModel } });
+  }
+
+  function changeSystemPrompt(text) {
+    if (overrides.systemPrompt !== undefined) changeOverride("systemPrompt", text);
+    else setGlobalSystemPrompt(text);
+  }
+
+  function changeTemperature(value) {
+    if (overrides.temperature !== undefined) changeOverride("temperature", value);
+    else setGlobalTemperature(value);
+  }
+
+  // Inside a project the choice becomes the project's default.
+  function changeNormalize(value) {
+    const options = normalizationOptions(value);
+    if (project) updateProject({ normalize: options });
+    else setGlobalNormalize(options);
+  }
+
+  function saveToMemory(source, auto, translation) {
+    const pairs = pairsFromComparison(source, auto, translation);
+    if (pairs.length) setTm(prev => addToMemory(prev, pairs, { targetLang }));
+  }
+
+  // Custom template fields are asked for first; their last values are offered again.
+  function handleGenerate() {
+    if (busy) return;
+    const names = customFields(systemPrompt);
+    if (names.length) setFieldsDialog(names);
+    else runGenerate({});
+  }
+
+  function submitFields(values) {
+    setFieldsDialog(null);
+    setPromptFields(prev => ({ ...prev, ...values }));
+    runGenerate(values);
+  }
+
+  async function runGenerate(fields) {
+    if (busy) return;
+    setBusy(true); setError(""); setStreamedChars(0);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const entry = { sourceText, autoText, provider: provider.id, model, targetLang, systemPrompt, template: activeTemplate, fields };
+    try {
+      if (!sourceText.trim()) throw new Error("Source text is empty.");
+      // 100% memory matches are filled in directly; only the rest goes to the model.
+      const matches = useTM ? lookupMemory(tm, sourceText, { targetLang }) : [];
+      const plan = matches.some(m => m.exact) ? planWithMemory(sourceText, matches, { maxTokens: chunkBudget() }) : null;
+      if (!plan || plan.some(c => c.prefilled == null)) {
+        const missing = validateProviderSettings(provider, currentSettings, model);
+        if (missing) throw new Error(missing);
+      }
+      if (plan) await generateChunked({ ...entry, tmPrefilled: plan.filter(c => c.prefilled != null).length }, controller.signal, plan);
+      else if (estimateTokens(sourceText) > chunkBudget()) await generateChunked(entry, controller.signal);
+      else await generateSingle(entry, controller.signal);
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      abortRef.current = null;
+      setBusy(false);
+    }
+  }
+
+  // --- Comments ---
+  // Threads anchored to `text`: the current ones, re-anchored now if they lag behind.
+  async function threadsFor(text) {
+    const { text: from, threads } = comments;
+    if (from === text || !threads.length) return threads;
+    const runner = createDiffRunner();
+    try {
+      return reanchorThreads(threads, await runner.run(from, text, { granularity: "char", moves: false }));
+    } finally {
+      runner.dispose();
+    }
+  }
+
+  function startComment({ text, start, end }) {
+    setCommentDraft({ text, start, end, quote: text.slice(start, end) });
+  }
+
+  async function submitComment(body) {
+    const d = commentDraft;
+    if (!d) return;
+    setCommentDraft(null);
+    const threads = await threadsFor(d.text);
+    setComments({ text: d.text, threads: [...threads, newThread({ text: d.text, start: d.start, end: d.end, author: reviewerName.trim(), body })] });
+  }
+
+  function updateThread(id, fn) {
+    setComments(prev => ({ ...prev, threads: prev.threads.map(t => (t.id === id ? fn(t) : t)) }));
+  }
+
+  const replyToThread = (id, text) => updateThread(id, t => addReply(t, { author: reviewerName.trim(), text }));
+  const resolveThread = (id, resolved) => updateThread(id, t => ({ ...t, resolved }));
+  const deleteThread = (id) => setComments(prev => ({ ...prev, threads: prev.threads.filter(t => t.id !== id) }));
+
+  // --- Revisions ---
+  // Snapshot `text` in the timeline of the document for `source` (default: the current one).
+  function recordRevision(kind, text, { label = "", restoredFrom = null, source = sourceText } = {}) {
+    if (!text || !text.trim()) return;
+    const key = documentKey({ projectId, sourceText: source });
+    if (key === docKey && isRedundant(revisions, kind, text)) return;
+    const rev = newRevision({ docKey: key, kind, text, label, author: reviewerName.trim(), restoredFrom });
+    if (key === docKey) setRevisions(prev => [rev, ...prev]);
+    revisionStoreRef.current?.then(store => store.put(rev)).catch(e => setError(`Revision not saved: ${e.message || e}`));
+  }
+
+  function saveRevision() {
+    const label = prompt("Label for this revision (optional)", "");
+    if (label != null) recordRevision("manual", gptText, { label });
+  }
+
+  // Restoring adds a revision; the timeline is never rewritten.
+  function restoreRevision(rev) {
+    setGptText(rev.text);
+    recordRevision("restore", rev.text, { label: `${REVISION_KINDS[rev.kind] || rev.kind} of ${fmtDate(rev.date)}`, restoredFrom: rev.id });
+  }
+
+  // --- Candidates ---
+  function addCandidateSpec() {
+    setCandidateSpecs(prev => [...prev, newCandidateSpec({ provider: provider.id, model, systemPrompt, template: activeTemplate, temperature })]);
+  }
+
+  // Every candidate translates the whole source (chunked when long); candidates run side
+  // by side and each finished one is saved to history, so metrics trends cover them.
+  async function generateCandidates() {
+    if (busy || !candidateSpecs.length) return;
+    setError("");
+    if (!sourceText.trim()) { setError("Source text is empty."); return; }
+    for (const spec of candidateSpecs) {
+      const missing = validateProviderSettings(getProvider(spec.provider), providerSettings[spec.provider] || {}, spec.model);
+      if (missing) { setError(`${candidateLabel(spec)}: ${missing}`); return; }
+    }
+    setBusy(true);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const specs = candidateSpecs, source = sourceText, baseline = autoText, fields = promptFields;
+    candidateCacheRef.current = new Map();
+    setCandidateRun({ sourceText: source, autoText: baseline, items: specs.map(spec => ({ spec, status: "running", text: null, error: "" })) });
+    const update = (i, patch) => setCandidateRun(run => (run && run.sourceText === source ? { ...run, items: run.items.map((c, k) => (k === i ? { ...c, ...patch } : c)) } : run));
+    try {
+      await Promise.all(specs.map(async (spec, i) => {
+        const chunks = chunkDocument(source, { maxTokens: chunkBudget() });
+        const { outputs, errors } = await translateChunks(
+          chunks,
+          (chunk, { signal: s }) => requestTranslation(chunk.text, { signal: s, previousContext: chunk.context, fields, spec }),
+          { concurrency: parseInt(concurrency, 10) || DEFAULT_CONCURRENCY, signal: controller.signal }
+        );
+        const error = errors.find(Boolean);
+        if (error || outputs.some(o => o == null)) {
+          update(i, { status: "failed", error: error ? (error.name === "AbortError" ? "Cancelled." : error.message || String(error)) : "Cancelled." });
+          return;
+        }
+        const text = assembleChunks(source, chunks, outputs);
+        update(i, { status: "done", text });
+        pushHistory({ sourceText: source, autoText: baseline, gptText: text, rawOutput: text, provider: spec.provider, model: spec.model, targetLang, systemPrompt: spec.systemPrompt, template: spec.template, fields, kind: "candidate" });
+      }));
+    } finally {
+      abortRef.current = null;
+      setBusy(false);
+    }
+  }
+
+  function promoteCandidate(i) {
+    const c = candidateRun.items[i];
+    setGptText(c.text);
+    setRawOutput({ source: candidateRun.sourceText, text: c.text });
+    recordRevision("model", c.text, { label: candidateLabel(c.spec), source: candidateRun.sourceText });
+  }
+
+  function handleCancel() {
+    if (abortRef.current) abortRef.current.abort();
+  }
+
+  const chunkBudget = () => parseInt(chunkTokens, 10) || DEFAULT_CHUNK_TOKENS;
+
+  function messagesFor(text, { previousContext, fields = promptFields, prompt = systemPrompt } = {}) {
+    return buildTranslationMessages({
+      systemPrompt: prompt,
+      sourceText: text,
+      targetLang,
+      sourceLang: sourceLangName,
+      previousContext,
+      glossary: glossaryPrompt(relevantEntries(glossary, text)),
+      styleNotes,
+      fields,
+    });
+  }
+
+  // What the first request of a run would send, for the prompt preview.
+  function previewMessages() {
+    const chunks = estimateTokens(sourceText) > chunkBudget() ? chunkDocument(sourceText, { maxTokens: chunkBudget() }) : null;
+    const first = chunks ? chunks[0] : { text: sourceText, context: undefined };
+    const notes = [];
+    if (chunks) notes.push(`First of ${chunks.length} chunks; later chunks get the text before them as context.`);
+    if (customFields(systemPrompt).length) notes.push("Custom fields show their last values; you are asked for them when generating.");
+    return { messages: messagesFor(first.text, { previousContext: first.context }), note: notes.join(" ") };
+  }
+
+  // `spec` (a candidate) overrides the provider, model, prompt and temperature.
+  function requestTranslation(text, { signal, onToken, previousContext, fields, spec } = {}) {
+    return translate({
+      providerId: spec ? spec.provider : provider.id,
+      settings: spec ? providerSettings[spec.provider] || {} : currentSettings,
+      model: spec ? spec.model : model,
+      messages: messagesFor(text, { previousContext, fields, prompt: spec ? spec.systemPrompt : systemPrompt }),
+      temperature: spec ? spec.temperature : temperature,
+      maxTokens: maxCompletionTokens,
+      signal,
+      onToken,
+    });
+  }
+
+  // Short sources: one (optionally streamed) request.
+  async function generateSingle(entry, signal) {
+    setDocJob(null);
+    // Streamed text is flushed to state at most every STREAM_FLUSH_MS to keep the
+    // live diff from re-rendering on every token.
+    let received = "", flushTimer = null;
+    const flush = () => { flushTimer = null; setGptText(received); setStreamedChars(received.length); };
+    try {
+      if (streamOutput) setGptText("");
+      const out = await requestTranslation(entry.sourceText, {
+        signal,
+        fields: entry.fields,
+        onToken: streamOutput ? (_delta, text) => {
+          received = text;
+          if (!flushTimer) flushTimer = setTimeout(flush, STREAM_FLUSH_MS);
+        } : undefined,
+      });
+      clearTimeout(flushTimer);
+      setGptText(out);
+      setRawOutput({ source: entry.sourceText, text: out });
+      recordRevision("model", out, { label: entry.model, source: entry.sourceText });
+      pushHistory({ ...entry, gptText: out, rawOutput: out, kind: "generated" });
+    } catch (e) {
+      clearTimeout(flushTimer);
+      // Keep whatever arrived before a cancel or a dropped stream.
+      if (received) {
+        setGptText(received);
+        setRawOutput({ source: entry.sourceText, text: received });
+        recordRevision("model", received, { label: `${entry.model} (partial)`, source: entry.sourceText });
+        pushHistory({ ...entry, gptText: received, rawOutput: received, kind: "partial" });
+      }
+      if (e.name !== "AbortError") throw e;
+      setError(received ? "Cancelled — partial translation kept." : "Cancelled.");
+    }
+  }
+
+  // Long sources: token-budgeted chunks in parallel, with retry/backoff per chunk.
+  // Chunks with `prefilled` text (translation memory) are not sent to the model.
+  async function generateChunked(entry, signal, chunks = chunkDocument(entry.sourceText, { maxTokens: chunkBudget() })) {
+    const outputs = chunks.map(c => c.prefilled ?? null);
+    setDocJob({ sourceText: entry.sourceText, chunks, outputs: [...outputs], states: chunks.map(c => ({ status: c.prefilled != null ? "memory" : "pending" })) });
+    setGptText(assembleChunks(entry.sourceText, chunks, outputs, { partial: true }));
+    const { errors } = await translateChunks(
+      chunks.filter(c => c.prefilled == null),
+      (chunk, { signal: s }) => requestTranslation(chunk.text, { signal: s, previousContext: chunk.context, fields: entry.fields }),
+      {
+        concurrency: parseInt(concurrency, 10) || DEFAULT_CONCURRENCY,
+        signal,
+        onProgress: (st) => {
+          if (st.status === "done") {
+            outputs[st.index] = st.text;
+            // Show the translated prefix as it grows.
+            setGptText(assembleChunks(entry.sourceText, chunks, outputs, { partial: true }));
+          }
+          updateChunkState(st.index, st, st.status === "done" ? st.text : undefined);
+        },
+      }
+    );
+    const failed = errors.filter(e => e && e.name !== "AbortError").length;
+    const complete = outputs.every(o => o != null);
+    // Failed chunks keep their source text; the job remembers where each chunk landed so
+    // retrying one replaces exactly that range.
+    const partial = signal.aborted;
+    const text = assembleChunks(entry.sourceText, chunks, outputs, { partial });
+    setGptText(text);
+    setRawOutput({ source: entry.sourceText, text });
+    recordRevision("model", text, { label: complete ? entry.model : `${entry.model} (partial)`, source: entry.sourceText });
+    const historyId = text.trim() ? pushHistory({ ...entry, gptText: text, rawOutput: text, kind: complete ? "generated" : "partial" }) : null;
+    setDocJob(job => job && { ...job, partial, text, ranges: chunkRanges(entry.sourceText, chunks, outputs, { partial }), historyId: complete ? null : historyId, fields: entry.fields });
+    if (signal.aborted) setError(text ? "Cancelled — partial translation kept." : "Cancelled.");
+    else if (failed) setError(`${failed} of ${chunks.length} chunks failed — retry them below.`);
+  }
+
+  function updateChunkState(index, patch, output) {
+    setDocJob(job => {
+      if (!job) return job;
+      const states = job.states.map((st, i) => (i === index ? { ...st, ...patch } : st));
+      const outputs = output === undefined ? job.outputs : job.outputs.map((o, i) => (i === index ? output : o));
+      return { ...job, states, outputs };
+    });
+  }
+
+  // Re-run one failed chunk and put its translation over the range it occupies in the
+  // run's output. Once every chunk is in, the run's "partial" history entry is completed.
+  async function retryChunk(index) {
+    const job = docJob; if (!job || busy) return;
+    const chunk = job.chunks[index];
+    setError(""); setBusy(true);
+    updateChunkState(index, { status: "running", attempt: 1, error: "" });
+    try {
+      const out = await withRetry(() => requestTranslation(chunk.text, { previousContext: chunk.context, fields: job.fields }), {
+        onRetry: ({ attempt, delay, error }) => updateChunkState(index, { status: "retrying", attempt: attempt + 1, delay, error: error.message }),
+      });
+      updateChunkState(index, { status: "done", error: "" }, out);
+      const outputs = job.outputs.map((o, i) => (i === index ? out : o));
+      const raw = assembleChunks(job.sourceText, job.chunks, outputs, { partial: job.partial });
+      setRawOutput(prev => (prev && prev.source === job.sourceText ? { ...prev, text: raw } : prev));
+      const placed = await spliceChunk(job, index, out);
+      if (!placed) return;
+      setGptText(placed.text);
+      setDocJob(cur => cur && { ...cur, text: placed.text, ranges: placed.ranges });
+      if (job.historyId && outputs.every(o => o != null)) {
+        const entry = historyRef.current.find(h => h.id === job.historyId);
+        const metrics = await measureEntry({ autoText: entry?.autoText ?? autoText, gptText: placed.text, rawOutput: raw }).catch(() => null);
+        updateHistory(job.historyId, { gptText: placed.text, rawOutput: raw, kind: "generated", metrics });
+        setDocJob(cur => cur && { ...cur, historyId: null });
+      }
+    } catch (e) {
+      updateChunkState(index, { status: "failed", error: e.message || String(e) });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // The translation with `out` in place of chunk `index`, and the chunk ranges moved to
+  // match; null when it was not placed. Edits made since the run are mapped through a
+  // diff; if the chunk's own text was edited, the user decides whether to overwrite it.
+  async function spliceChunk(job, index, out) {
+    if (!job.ranges?.[index]) {
+      setError(`Chunk ${index + 1} comes after the point where the run was cancelled — generate again to include it.`);
+      return null;
+    }
+    let cur, ranges;
+    for (;;) {
+      cur = gptTextRef.current;
+      if (cur === job.text) { ranges = job.ranges; break; }
+      const runner = createDiffRunner();
+      let ops;
+      try { ops = await runner.run(job.text, cur, { granularity: "char" }); } finally { runner.dispose(); }
+      // Typed into while the diff ran: map onto the newer text instead.
+      if (gptTextRef.current !== cur) continue;
+      ranges = job.ranges.map(r => r && { start: mapOffset(ops, r.start, "start"), end: Math.max(mapOffset(ops, r.start, "start"), mapOffset(ops, r.end, "end")) });
+      break;
+    }
+    const r = ranges[index], was = job.ranges[index];
+    if (cur.slice(r.start, r.end) !== job.text.slice(was.start, was.end)
+      && !window.confirm(`Chunk ${index + 1} was edited after the run. Replace its text with the new translation?`)) {
+      setNotice(`Chunk ${index + 1} was translated but not inserted; its text in the editor was kept.`);
+      return null;
+    }
+    // A cancelled run stops before its first missing chunk: bring back the gap before it.
+    const piece = job.partial && was.start === was.end && index > 0 ? job.sourceText.slice(job.chunks[index - 1].end, job.chunks[index].start) + out : out;
+    const delta = piece.length - (r.end - r.start);
+    return {
+      text: cur.slice(0, r.start) + piece + cur.slice(r.end),
+      ranges: ranges.map((q, i) => (!q ? q : i === index ? { start: r.start, end: r.start + piece.length } : i > index ? { start: q.start + delta, end: q.end + delta } : q)),
+    };
+  }
+
+  function handleCompareOnly() {
+    pushHistory({ sourceText, autoText, gptText, rawOutput: currentRaw, provider: provider.id, model, targetLang, systemPrompt, template: activeTemplate, kind: "compared" });
+  }
+
+  function loadHistory(item) {
+    setSourceText(item.sourceText || "");
+    setAutoText(item.autoText || "");
+    setGptText(item.gptText || "");
+    setComments({ text: item.gptText || "", threads: item.comments || [] });
+    setCommentDraft(null);
+    setImports({ source: null, auto: null });
+    // Entries from before providers were added are OpenAI runs.
+    const itemProvider = getProvider(item.provider || "openai");
+    // What the open project overrides is changed there, in one update; the rest globally.
+    const itemModel = item.model || itemProvider.defaultModel;
+    const pinned = { ...project?.overrides };
+    if (pinned.provider !== undefined) Object.assign(pinned, { provider: itemProvider.id, model: itemModel });
+    else {
+      setGlobalProviderId(itemProvider.id);
+      setProviderSettings(prev => ({ ...prev, [itemProvider.id]: { ...(prev[itemProvider.id] || {}), model: itemModel } }));
+    }
+    const prompt = item.systemPrompt || systemPrompt;
+    if (pinned.systemPrompt !== undefined) pinned.systemPrompt = prompt;
+    else setGlobalSystemPrompt(prompt);
+    if (project) updateProject({ targetLang: item.targetLang || "en", overrides: pinned });
+    else setGlobalTargetLang(item.targetLang || "en");
+    if (item.template) setTemplateSel({ id: item.template.id, version: item.template.version });
+    if (item.fields) setPromptFields(prev => ({ ...prev, ...item.fields }));
+    setRawOutput(item.rawOutput != null ? { source: item.sourceText || "", text: item.rawOutput } : null);
+  }
+
+  async function exportHTML() {
+    const ops = await diffAsync(autoText, gptText, { granularity, normalize });
+    const threads = await threadsFor(gptText);
+    const doc = buildHTMLReport({ ops, sourceText, oldText: autoText, newText: gptText, threads, formatDate: fmtDate });
+    downloadBlob(new Blob([doc], { type: "text/html" }), `translation-diff-${Date.now()}.html`);
+  }
+
+  // Import a file into the Source or Automated card. Bilingual XLIFF fills both.
+  async function handleImport(file, slot) {
+    setError("");
+    try {
+      const doc = await importFile(file.name, new Uint8Array(await file.arrayBuffer()));
+      if (doc.targetText != null) {
+        setSourceText(doc.text);
+        setAutoText(doc.targetText);
+        setImports({ source: doc, auto: doc });
+      } else {
+        (slot === "source" ? setSourceText : setAutoText)(doc.text);
+        setImports(prev => ({ ...prev, [slot]: doc }));
+      }
+    } catch (e) {
+      setError(`Could not import ${file.name}: ${e.message || e}`);
+    }
+  }
+
+  // XLIFF/TMX for CAT tools: one unit per segment, reusing imported unit ids when possible.
+  async function exportCAT() {
+    const format = CAT_FORMATS.find(f => f.id === catFormat) || CAT_FORMATS[0];
+    const sourceDoc = imports.source;
+    const notes = await commentNotes();
+    const pairs = buildPairs({ sourceText, autoText, gptText, sourceDoc, notes });
+    const xml = buildCatFile(format.id, pairs, {
+      sourceLang: sourceLangCode,
+      targetLang: langCode(targetLang),
+      original: sourceDoc?.name,
+    });
+    downloadBlob(new Blob([xml], { type: format.mime }), `translation-${Date.now()}.${format.ext}`);
+  }
+
+  // Offline review page for reviewers without the app; importReview applies what they decide.
+  async function exportReviewPackage() {
+    const ops = await diffAsync(autoText, gptText, { granularity, normalize });
+    const html = buildReviewPackage({
+      sourceText, autoText, gptText, ops, granularity, normalize,
+      title: project ? `Review: ${project.name}` : "Translation review",
+      author: reviewerName.trim(),
+    });
+    downloadBlob(new Blob([html], { type: "text/html" }), `translation-review-${Date.now()}.html`);
+  }
+
+  // Apply a returned review to the current document: rejected changes are reverted,
+  // accepted ones marked in Track Changes, remarks added as comment threads.
+  async function importReview(file) {
+    setError(""); setNotice("");
+    const result = parseReviewResult(await file.text());
+    if (result.baseline !== textHash(autoText)) throw new Error(`${file.name} was made for a different automated translation.`);
+    const changed = result.translation && result.translation !== textHash(gptText);
+    const ops = await diffAsync(autoText, gptText, { granularity: result.granularity, normalize: result.normalize });
+    const applied = applyReviewResult(ops, result);
+    const threads = await threadsFor(applied.text);
+    setComments({ text: applied.text, threads: [...threads, ...applied.notes.map(n => newThread({ text: applied.text, ...n }))] });
+    if (applied.text !== gptText) {
+      setGptText(applied.text);
+      recordRevision("review", applied.text, { label: result.reviewer ? `Review by ${result.reviewer}` : "" });
+    }
+    editorRef.current?.accept(applied.accepted);
+    const parts = [`${applied.accepted.length} accepted`, `${applied.rejected.length} rejected`, `${applied.notes.length} remarks`];
+    if (applied.missing) parts.push(`${applied.missing} no longer match`);
+    // Decisions are matched by change, so ones on text edited since may no longer fit it.
+    const warning = changed ? " The translation was edited after the package was sent: check the reviewed changes against your edits." : "";
+    setNotice(`Review${result.reviewer ? ` by ${result.reviewer}` : ""} applied: ${parts.join(", ")}.${warning}`);
+  }
+
+  // Comment threads as plain-text notes on ranges of the GPT text, for DOCX and CAT files.
+  async function commentNotes() {
+    return sortThreads(await threadsFor(gptText)).map(t => ({
+      start: t.start, end: t.end, text: threadNote(t), author: t.messages[0].author, date: t.messages[0].date,
+    }));
+  }
+
+  // Word document with the baseline → GPT diff and comments as tracked changes and Word comments.
+  async function exportDOCX() {
+    const ops = await diffAsync(autoText, gptText, { granularity, normalize });
+    const notes = await commentNotes();
+    const bidiLang = [langCode(targetLang), sourceLangCode].find(isRtlLang);
+    const bytes = buildDocx({ ops, sourceText, notes, author: reviewerName.trim() || "Translation Diff", date: new Date(), includeSource: docxSource, bidiLang });
+    downloadBlob(new Blob([bytes], { type: DOCX_MIME }), `translation-diff-${Date.now()}.docx`);
+  }
+
+  // --- Keyboard shortcuts ---
+  // One window listener for the app's lifetime; it reads the current bindings and
+  // handlers through refs, so it never acts on stale state.
+  const shortcutActions = {
+    generate: () => { if (!busy) handleGenerate(); },
+    compare: () => { if (autoText && gptText) handleCompareOnly(); },
+    export: () => { if (autoText && gptText) exportHTML().catch(e => setError(e.message || String(e))); },
+    nextChange: () => editorRef.current && editorRef.current.step(1),
+    prevChange: () => editorRef.current && editorRef.current.step(-1),
+    accept: () => editorRef.current && editorRef.current.decide('accept'),
+    reject: () => editorRef.current && editorRef.current.decide('reject'),
+    toggleDir: () => setEditorDirMode(m => ({ auto: 'ltr', ltr: 'rtl', rtl: 'auto' }[m])),
+    refresh: () => setRefreshTick(t => t + 1),
+    help: () => setShowShortcuts(v => !v),
+  };
+  const shortcutsRef = React.useRef(null);
+  shortcutsRef.current = { bindings, actions: shortcutActions };
+  useEffect(() => {
+    const mac = isMacPlatform();
+    function handleKeyDown(e) {
+      if (e.defaultPrevented || e.isComposing) return;
+      const binding = bindingFromEvent(e, mac);
+      const id = findAction(shortcutsRef.current.bindings, binding);
+      if (!id) return;
+      const inField = e.target.closest && e.target.closest('input, textarea, select, [contenteditable]');
+      if (inField && !firesInTextField(binding)) return;
+      e.preventDefault();
+      shortcutsRef.current.actions[id]();
+    }
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const header = (
+    <div className="sticky top-0 z-10 mb-4 rounded-3xl border border-indigo-100 bg-gradient-to-r from-indigo-50 to-sky-50 p-4 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <div className="h-10 w-10 rounded-2xl bg-indigo-600/90" />
+          <div>
+            <div className="text-lg font-bold text-zinc-900">Translation Diff Studio</div>
+            <div className="text-xs text-zinc-600">Paste source + auto-translation, get GPT translation and tracked changes.</div>
+          </div>
+        </div>
+        <div className="flex items-center gap-2 text-xs text-zinc-600">
+          <select
+            value={projectId || ""}
+            onChange={(e) => switchProject(e.target.value)}
+            disabled={busy}
+            title="Recent projects"
+            className="max-w-[220px] rounded-xl border border-zinc-200 bg-white/70 p-2 text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300"
+          >
+            <option value="">No project</option>
+            {recentProjects(projects).map(p => (
+              <option key={p.id} value={p.id}>{p.name || "Untitled project"}</option>
+            ))}
+            <option value="new">+ New project from current texts</option>
+          </select>
+          <Pill>BYO API Key</Pill>
+          <Pill>Local history</Pill>
+          <Pill>Export HTML / DOCX</Pill>
+          <button className="rounded-full border border-zinc-200 bg-white/70 px-2 py-0.5 hover:bg-white" onClick={() => setShowShortcuts(true)} title="Keyboard shortcuts">⌨ Shortcuts</button>
+        </div>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="mx-auto max-w-7xl p-4 text-zinc-900">
+      {header}
+
+      {project && (
+        <Card title="Project" subtitle="The working texts are autosaved to this project as you edit" className="mb-4">
+          <ProjectBar
+            project={project}
+            onChange={updateProject}
+            onPinSettings={() => updateProject({ overrides: pinOverrides({ provider: provider.id, model, systemPrompt, temperature }) })}
+            onClose={() => { saveDraft(); setProjectId(null); }}
+            onDelete={deleteProject}
+          />
+        </Card>
+      )}
+
+      <div className="mb-4 grid grid-cols-1 gap-4 lg:grid-cols-3">
         <Card
           title="Settings"
           subtitle="Model, target language, and your key are stored locally on this device."
-          right={<Legend />}
+          right={<Legend granularity={granularity} />}
         >
           <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
-            <Field label="OpenAI API Key">
-              <input
-                type="password"
-                placeholder="sk-..."
-                value={apiKey}
-                onChange={(e) => setApiKey(e.target.value)}
-                className="w-full rounded-xl border border-zinc-200 bg-white/60 p-2 font-mono text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300"
-              />
-            </Field>
-            <Field label="Model">
-              <input
-                type="text"
-                value={model}
-                onChange={(e) => setModel(e.target.value)}
-                className="w-full rounded-xl border border-zinc-200 bg-white/60 p-2 font-mono text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300"
-                placeholder="gpt-4o-mini"
-              />
-            </Field>
+            <ProviderSettings
+              providerId={provider.id}
+              settings={currentSettings}
+              onProviderChange={changeProvider}
+              onSettingChange={setProviderSetting}
+            />
             <Field label="Target language">
-              <select
+              <LanguageInput
                 value={targetLang}
-                onChange={(e) => setTargetLang(e.target.value)}
-                className="w-full rounded-xl border border-zinc-200 bg-white/60 p-2 text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300"
-              >
-                <option>English</option>
-                <option>Hebrew</option>
-              </select>
+                onChange={changeTargetLang}
+                className="rounded-xl border border-zinc-200 bg-white/60 p-2 text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300"
+                label="Target language"
+              />
             </Field>
             <Field label="Temperature (optional)">
               <input
@@ -637,10 +2792,14 @@ export default function TranslationDiffStudio() {
                 max="2"
                 placeholder="auto"
                 value={temperature}
-                onChange={(e) => setTemperature(e.target.value)}
+                onChange={(e) => changeTemperature(e.target.value)}
                 className="w-full rounded-xl border border-zinc-200 bg-white/60 p-2 font-mono text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300"
               />
-              <div className="mt-1 text-xs text-zinc-500">Leave blank to use model default. Some models only support 1.</div>
+              <div className="mt-1 text-xs text-zinc-500">
+                {provider.params.temperature.supported(model, currentSettings)
+                  ? "Leave blank to use model default."
+                  : "This model fixes its temperature; the value is not sent."}
+              </div>
             </Field>
             <Field label="Max output tokens (optional)">
               <input
@@ -652,16 +2811,48 @@ export default function TranslationDiffStudio() {
                 className="w-full rounded-xl border border-zinc-200 bg-white/60 p-2 font-mono text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300"
               />
             </Field>
+            <Field label="Chunk size (tokens)">
+              <input
+                type="number"
+                min="200"
+                step="100"
+                value={chunkTokens}
+                onChange={(e) => setChunkTokens(e.target.value)}
+                className="w-full rounded-xl border border-zinc-200 bg-white/60 p-2 font-mono text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300"
+              />
+              <div className="mt-1 text-xs text-zinc-500">Longer sources are split and translated in parts.</div>
+            </Field>
+            <Field label="Parallel requests">
+              <input
+                type="number"
+                min="1"
+                max="8"
+                value={concurrency}
+                onChange={(e) => setConcurrency(e.target.value)}
+                className="w-full rounded-xl border border-zinc-200 bg-white/60 p-2 font-mono text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300"
+              />
+            </Field>
+            <Field label="Reviewer name (DOCX changes)">
+              <input
+                value={reviewerName}
+                onChange={(e) => setReviewerName(e.target.value)}
+                className="w-full rounded-xl border border-zinc-200 bg-white/60 p-2 text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300"
+              />
+            </Field>
+            <label className="flex items-center gap-2 text-sm text-zinc-600">
+              <input type="checkbox" checked={streamOutput} onChange={(e) => setStreamOutput(e.target.checked)} />
+              Stream output as it is generated
+            </label>
             <div className="flex items-end gap-2">
-              <Button variant="ghost" onClick={() => { setApiKey(""); }}>Clear Key</Button>
-              <Button variant="ghost" onClick={() => { localStorage.clear(); location.reload(); }}>Reset App</Button>
+              <Button variant="ghost" onClick={() => { setProviderSetting("apiKey", ""); }}>Clear Key</Button>
+              <Button variant="ghost" onClick={resetApp}>Reset App</Button>
             </div>
           </div>
           <div className="mt-3">
             <TextArea
               label="Instruction / Prompt (system)"
               value={systemPrompt}
-              onChange={setSystemPrompt}
+              onChange={changeSystemPrompt}
               rows={4}
               mono
               placeholder="Write the instructions you usually give ChatGPT..."
@@ -669,38 +2860,116 @@ export default function TranslationDiffStudio() {
           </div>
         </Card>
 
-        <Card title="Source Text" subtitle="Original language">
-          <TextArea
-            value={sourceText}
-            onChange={setSourceText}
-            rows={12}
-            placeholder="Paste the SOURCE text here (Hebrew or English)."
-          />
+        <Card title="Source Text" subtitle="Original language" right={<ImportButton onFile={(f) => handleImport(f, "source")} />}>
+          <FileDrop onFile={(f) => handleImport(f, "source")}>
+            <TextArea
+              value={sourceText}
+              onChange={setSourceText}
+              rows={12}
+              placeholder="Paste the SOURCE text here (Hebrew or English), or drop a DOCX, SRT, VTT, XLIFF or text file."
+            />
+          </FileDrop>
+          <ImportInfo doc={imports.source} onClear={() => setImports(prev => ({ ...prev, source: null }))} />
         </Card>
 
-        <Card title="Automated Translation" subtitle="Baseline to compare against">
-          <TextArea
-            value={autoText}
-            onChange={setAutoText}
-            rows={12}
-            placeholder="Paste the automated translation here (the one you would normally edit)."
-          />
+        <Card title="Automated Translation" subtitle="Baseline to compare against" right={<ImportButton onFile={(f) => handleImport(f, "auto")} />}>
+          <FileDrop onFile={(f) => handleImport(f, "auto")}>
+            <TextArea
+              value={autoText}
+              onChange={setAutoText}
+              rows={12}
+              placeholder="Paste the automated translation here (the one you would normally edit), or drop a file."
+            />
+          </FileDrop>
+          <ImportInfo doc={imports.auto} onClear={() => setImports(prev => ({ ...prev, auto: null }))} />
+        </Card>
+      </div>
+
+      <div className="mb-4">
+        <Card title="Prompt Library" subtitle="Named prompt templates with versions; history records the version each translation used">
+          <div className="grid grid-cols-1 gap-4 lg:grid-cols-2">
+            <PromptLibrary
+              library={prompts}
+              onChange={setPrompts}
+              systemPrompt={systemPrompt}
+              active={activeTemplate}
+              onLoad={(t, v) => { changeSystemPrompt(v.text); setTemplateSel(templateRef(t, v)); }}
+            />
+            <div className="space-y-3">
+              <TextArea
+                label={project ? `Style notes for ${project.name} ({STYLE_NOTES})` : "Style notes ({STYLE_NOTES})"}
+                value={styleNotes}
+                onChange={(v) => (project ? updateProject({ styleNotes: v }) : setGlobalStyleNotes(v))}
+                rows={3}
+                placeholder="House style, register, spelling conventions…"
+              />
+              <Button variant="ghost" onClick={() => setShowPreview(v => !v)}>{showPreview ? "Hide preview" : "Preview messages"}</Button>
+              {showPreview && <MessagesPreview {...previewMessages()} />}
+            </div>
+          </div>
         </Card>
       </div>
 
+      {fieldsDialog && (
+        <FieldsDialog names={fieldsDialog} initial={promptFields} onSubmit={submitFields} onCancel={() => setFieldsDialog(null)} />
+      )}
+
       <div className="mb-4 flex flex-wrap items-center gap-2">
         <Button onClick={handleGenerate} disabled={busy}>
-          {busy ? "Translating..." : "Generate GPT Translation"}
+          {busy ? (streamedChars ? `Translating… ${streamedChars} chars` : "Translating...") : "Generate GPT Translation"}
         </Button>
+        {busy && <Button variant="warn" onClick={handleCancel}>Cancel</Button>}
         <Button variant="ghost" onClick={handleCompareOnly} disabled={!autoText || !gptText}>
           Compare Only (use my GPT text)
         </Button>
-        <Button variant="ghost" onClick={exportHTML} disabled={!autoText || !gptText}>
+        <Button variant="ghost" onClick={() => exportHTML().catch(e => setError(e.message || String(e)))} disabled={!autoText || !gptText}>
           Export HTML
         </Button>
+        <Button variant="ghost" onClick={() => exportDOCX().catch(e => setError(e.message || String(e)))} disabled={!autoText || !gptText}>
+          Export DOCX
+        </Button>
+        <select
+          value={docxSource}
+          onChange={(e) => setDocxSource(e.target.value)}
+          title="Include the source text in the DOCX"
+          className="rounded-xl border border-zinc-200 bg-white/70 px-2 py-2 text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300"
+        >
+          {DOCX_SOURCE_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+        <Button variant="ghost" onClick={() => exportCAT().catch(e => setError(e.message || String(e)))} disabled={!gptText}>
+          Export for CAT
+        </Button>
+        <select
+          value={catFormat}
+          onChange={(e) => setCatFormat(e.target.value)}
+          title="CAT export format"
+          className="rounded-xl border border-zinc-200 bg-white/70 px-2 py-2 text-sm shadow-sm outline-none focus:ring-2 focus:ring-indigo-300"
+        >
+          {CAT_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+        </select>
+        <Button variant="ghost" onClick={() => exportReviewPackage().catch(e => setError(e.message || String(e)))} disabled={!autoText || !gptText}>
+          Export review package
+        </Button>
+        <Button variant="ghost" onClick={() => reviewFileRef.current.click()} disabled={!autoText || !gptText}>
+          Import review…
+        </Button>
+        <input
+          ref={reviewFileRef}
+          type="file"
+          accept={REVIEW_ACCEPT}
+          className="hidden"
+          onChange={(e) => { const file = e.target.files[0]; e.target.value = ""; if (file) importReview(file).catch(err => setError(`Could not apply ${file.name}: ${err.message || err}`)); }}
+        />
         {error && <span className="text-sm text-rose-600">{error}</span>}
+        {notice && <span className="text-sm text-emerald-700">{notice}</span>}
       </div>
 
+      {docJob && (
+        <div className="mb-4">
+          <ChunkProgress job={docJob} busy={busy} onRetry={retryChunk} onDismiss={() => setDocJob(null)} />
+        </div>
+      )}
+
       <div className="grid grid-cols-1 gap-4 lg:grid-cols-3">
         <Card
           title="GPT Translation"
@@ -713,12 +2982,14 @@ export default function TranslationDiffStudio() {
             rows={10}
             placeholder="GPT translation will appear here. Or paste manually."
           />
-          <div className="mt-2 text-xs text-zinc-500">Tip: Cmd/Ctrl+Enter translates; you can then compare.</div>
+          <div className="mt-2 text-xs text-zinc-500">
+            Tip: {formatBinding(bindings.generate, isMacPlatform())} translates; <button className="underline" onClick={() => setShowShortcuts(true)}>all keyboard shortcuts</button>.
+          </div>
         </Card>
 
-        <Card title="Track Changes (Inline)" subtitle="Additions and deletions vs. the automated translation — editable" right={
+        <Card className="lg:col-span-2" title="Track Changes (Inline)" subtitle="Additions and deletions vs. the automated translation — editable" right={
           <div className="flex items-center gap-2">
-            <Legend />
+            <Legend granularity={granularity} onGranularityChange={setGranularity} />
             <div className="hidden md:flex items-center gap-1">
               <button className={`px-2 py-1 text-xs rounded-lg border ${editorDirMode==='ltr'?'bg-zinc-200':'bg-white/70'} border-zinc-200`} onClick={()=>setEditorDirMode('ltr')}>LTR</button>
               <button className={`px-2 py-1 text-xs rounded-lg border ${editorDirMode==='rtl'?'bg-zinc-200':'bg-white/70'} border-zinc-200`} onClick={()=>setEditorDirMode('rtl')}>RTL</button>
@@ -727,78 +2998,161 @@ export default function TranslationDiffStudio() {
             </div>
           </div>
         }>
+          <NormalizationToggles value={normalize} onChange={changeNormalize} scope={project ? `saved with ${project.name}` : ""} />
           {!autoText || !gptText ? (
             <div className="text-sm text-zinc-500">Provide both the Automated Translation and GPT Translation to see differences.</div>
           ) : (
-            <div className="max-h-[420px] overflow-auto rounded-2xl border border-zinc-100 bg-white/60 p-3">
-              <InlineDiffEditor oldText={autoText} newText={gptText} onChange={setGptText} dir={resolvedEditorDir} refreshTick={refreshTick} />
-            </div>
+            <InlineDiffEditor ref={editorRef} oldText={autoText} newText={gptText} onChange={setGptText} onEditEnd={(text) => recordRevision("edit", text)} dir={editorDirMode} refreshTick={refreshTick} granularity={granularity} normalize={normalize} glossary={glossary} comments={openThreads} onComment={startComment} />
+          )}
+        </Card>
+
+        <Card className="lg:col-span-2" title="Comments" subtitle="Threaded review notes on the GPT translation — they follow the text as it is edited" right={
+          <Pill>{comments.threads.filter(t => !t.resolved).length} open</Pill>
+        }>
+          <CommentsPanel
+            threads={comments.threads}
+            draft={commentDraft}
+            onSubmitDraft={(body) => submitComment(body).catch(e => setError(e.message || String(e)))}
+            onCancelDraft={() => setCommentDraft(null)}
+            onReply={replyToThread}
+            onResolve={resolveThread}
+            onDelete={deleteThread}
+            onReveal={(start, end) => editorRef.current && editorRef.current.revealRange(start, end)}
+          />
+        </Card>
+
+      </div>
+
+      <div className="mt-4">
+        <Card title="Revisions" subtitle="Snapshots of the GPT translation for this document — compare any two or restore one">
+          <RevisionTimeline revisions={revisions} currentText={gptText} granularity={granularity} normalize={normalize} onRestore={restoreRevision} onSave={saveRevision} />
+        </Card>
+      </div>
+
+      <div className="mt-4">
+        <Card
+          title="Candidates"
+          subtitle="Generate several translations at once from different models, prompts or temperatures and compare them"
+          right={<Pill>{candidateSpecs.length} / {CANDIDATE_LIMIT}</Pill>}
+        >
+          <CandidateSpecs specs={candidateSpecs} onChange={setCandidateSpecs} library={prompts} />
+          <div className="mt-2 mb-3 flex flex-wrap items-center gap-2">
+            <Button variant="ghost" onClick={addCandidateSpec} disabled={candidateSpecs.length >= CANDIDATE_LIMIT}>Add current settings</Button>
+            <Button onClick={generateCandidates} disabled={busy || !candidateSpecs.length}>
+              Generate {candidateSpecs.length || ""} candidate{candidateSpecs.length === 1 ? "" : "s"}
+            </Button>
+            {customFields(systemPrompt).length > 0 && <span className="text-xs text-zinc-500">Custom template fields use their last values.</span>}
+          </div>
+          {candidateRun && (
+            <>
+              {candidateRun.sourceText !== sourceText && (
+                <div className="mb-2 text-xs text-amber-700">The source has changed since these candidates were generated.</div>
+              )}
+              <CandidateGrid autoText={candidateRun.autoText} items={candidateRun.items} comparison={candidateComparison} granularity={granularity} normalize={normalize} onPromote={promoteCandidate} />
+              {candidateRun.items.some(c => c.text != null) && (
+                <div className="mt-4">
+                  <div className="mb-1 text-sm font-medium text-zinc-700">Cherry-pick sentences</div>
+                  {gptText.trim() ? (
+                    <CherryPickTable sourceText={sourceText} autoText={autoText} gptText={gptText} items={candidateRun.items} granularity={granularity} normalize={normalize} onPick={setGptText} />
+                  ) : (
+                    <div className="text-sm text-zinc-500">Promote a candidate first, then replace single sentences from the others.</div>
+                  )}
+                </div>
+              )}
+            </>
           )}
         </Card>
+      </div>
 
-        <Card title="Side by Side" subtitle="Skim for bigger shifts">
+      <div className="mt-4">
+        <Card title="Side by Side" subtitle="Aligned sentence by sentence — click a row to jump to it in Track Changes">
           {!autoText && !gptText ? (
             <div className="text-sm text-zinc-500">Nothing to show yet.</div>
           ) : (
-            <div className="grid grid-cols-2 gap-3">
-              <div>
-                <div className="mb-1 text-xs text-zinc-500">Automated</div>
-                <div className="max-h-[380px] overflow-auto rounded-2xl border border-zinc-100 bg-white/60 p-3 whitespace-pre-wrap" dir="auto">{autoText}</div>
-              </div>
-              <div>
-                <div className="mb-1 text-xs text-zinc-500">GPT</div>
-                <div className="max-h-[380px] overflow-auto rounded-2xl border border-zinc-100 bg-white/60 p-3 whitespace-pre-wrap" dir="auto">{gptText}</div>
-              </div>
-            </div>
+            <SegmentTable
+              sourceText={sourceText}
+              autoText={autoText}
+              gptText={gptText}
+              granularity={granularity}
+              normalize={normalize}
+              onSelect={(row) => editorRef.current && editorRef.current.revealRange(row.gpt.start, row.gpt.end)}
+            />
           )}
         </Card>
       </div>
 
-      <div className="mt-4 grid grid-cols-1 gap-4 lg:grid-cols-3">
-        <Card title="History" subtitle="Locally saved on this device (last 50)">
-          {history.length === 0 ? (
-            <div className="text-sm text-zinc-500">No history yet.</div>
+      <div className="mt-4">
+        <Card title="Metrics" subtitle="Edit rate, post-edit distance, chrF and BLEU for this comparison, with trends from history">
+          {!autoText || !gptText ? (
+            <div className="text-sm text-zinc-500">Provide both the Automated Translation and GPT Translation to see metrics.</div>
           ) : (
-            <ul className="max-h-[280px] overflow-auto divide-y divide-zinc-100">
-              {history.map((h) => (
-                <li key={h.id} className="flex items-center justify-between py-2">
-                  <div>
-                    <div className="text-sm font-medium">{fmtDate(h.date)}</div>
-                    <div className="line-clamp-1 text-xs text-zinc-500">{(h.sourceText || "").slice(0, 140)}</div>
-                  </div>
-                  <div className="flex items-center gap-2">
-                    <Pill>{h.kind}</Pill>
-                    <Button variant="ghost" onClick={() => loadHistory(h)}>Load</Button>
-                  </div>
-                </li>
-              ))}
-            </ul>
+            <MetricsPanel autoText={autoText} gptText={deferredGpt} rawOutput={currentRaw} history={history} />
           )}
         </Card>
+      </div>
+
+      <div className="mt-4">
+        <Card title="Glossary" subtitle="House terms are sent with each request and checked against the translation">
+          <GlossaryPanel
+            entries={glossary}
+            onChange={setGlossary}
+            issues={glossaryIssues}
+            onReveal={(start, end) => editorRef.current && editorRef.current.revealRange(start, end)}
+            onError={setError}
+            sourceLang={sourceLangCode}
+            targetLang={langCode(targetLang)}
+          />
+        </Card>
+      </div>
+
+      <div className="mt-4">
+        <Card title="Translation Memory" subtitle="Approved sentence pairs from earlier comparisons, matched against the source">
+          <MemoryPanel
+            units={tm}
+            matches={tmMatches}
+            useTM={useTM}
+            onUseTMChange={setUseTM}
+            onSave={() => saveToMemory(sourceText, autoText, gptText)}
+            onClear={() => setTm([])}
+            canSave={!!(sourceText.trim() && gptText.trim())}
+            granularity={granularity}
+          />
+        </Card>
+      </div>
+
+      <div className="mt-4">
+        <Card title="History" subtitle="Saved in this browser (IndexedDB) — back up to a JSON file to keep it safe or move it">
+          <HistoryPanel
+            entries={history}
+            onLoad={loadHistory}
+            onUpdate={updateHistory}
+            onDelete={deleteHistory}
+            onBackup={backupHistory}
+            onRestore={restoreHistory}
+          />
+        </Card>
+      </div>
 
+      <div className="mt-4 grid grid-cols-1 gap-4 lg:grid-cols-2">
         <Card title="Shortcuts & Tips">
           <ul className="list-disc space-y-1 pl-5 text-sm text-zinc-700">
-            <li><strong>Cmd/Ctrl + Enter</strong> — Generate GPT Translation.</li>
+            <li><strong>{formatBinding(bindings.generate, isMacPlatform())}</strong> — Generate GPT Translation; <strong>{formatBinding(bindings.help, isMacPlatform())}</strong> lists every shortcut.</li>
             <li><strong>Compare Only</strong> — Useful if you pasted a translation from elsewhere.</li>
+            <li><strong>Projects</strong> — Pick "New project" in the header to keep the current texts autosaved under a name.</li>
+            <li><strong>Import</strong> — Drop a DOCX, SRT, VTT, XLIFF or text file on the Source or Automated card.</li>
             <li><strong>Export HTML</strong> — Saves a clean file with colors and strikethrough.</li>
-            <li>Prompt accepts <code>{"{TARGET}"}</code> placeholder for language.</li>
+            <li><strong>Export for CAT</strong> — XLIFF 2.0/1.2 with the baseline kept per unit, or a TMX of the reviewed pairs.</li>
+            <li><strong>Export DOCX</strong> — Word file with native tracked changes (accept/reject in Word); the source can go in an appendix or as comments.</li>
+            <li>Prompts accept <code>{"{TARGET}"}</code>, <code>{"{SOURCE_LANG}"}</code>, <code>{"{GLOSSARY}"}</code>, <code>{"{STYLE_NOTES}"}</code>, <code>{"{PREVIOUS_CONTEXT}"}</code> and your own <code>{"{FIELDS}"}</code>.</li>
           </ul>
         </Card>
 
         <SelfTestsPanel />
       </div>
 
-      <script dangerouslySetInnerHTML={{ __html: `
-        (function() {
-          function handler(e){
-            if ((e.metaKey || e.ctrlKey) && e.key === 'Enter') {
-              const btn = document.querySelector('button'); // first button is Generate
-              if (btn) btn.click();
-            }
-          }
-          window.addEventListener('keydown', handler);
-        })();
-      `}} />
+      {showShortcuts && (
+        <ShortcutHelp bindings={bindings} overrides={shortcutOverrides} onChange={setShortcutOverrides} onClose={() => setShowShortcuts(false)} />
+      )}
     </div>
   );
 }
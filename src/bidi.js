@@ -0,0 +1,41 @@
+// Text direction helpers shared by the UI and the exporters.
+
+// Blocks of the right-to-left scripts (bidi classes R and AL): Hebrew, Arabic, Syriac,
+// Thaana, N'Ko, Samaritan, Mandaic, their presentation forms, and the historic and
+// African RTL scripts of the supplementary planes (Phoenician … Adlam).
+const RTL_RANGES = [[0x0590, 0x08FF], [0xFB1D, 0xFDFF], [0xFE70, 0xFEFF], [0x10800, 0x10FFF], [0x1E800, 0x1EFFF]];
+const LETTER_RE = /\p{L}/u;
+
+export function isHebrewCodePoint(cp) { return cp >= 0x0590 && cp <= 0x05FF; }
+export function isLatinCodePoint(cp) { return (cp >= 0x41 && cp <= 0x5A) || (cp >= 0x61 && cp <= 0x7A); }
+export function isRtlCodePoint(cp) { return RTL_RANGES.some(([a, b]) => cp >= a && cp <= b); }
+
+// Letters in `s` by direction; digits, punctuation and marks are neutral.
+function letterCounts(s) {
+  let rtl = 0, letters = 0;
+  for (const ch of s || "") {
+    if (!LETTER_RE.test(ch)) continue;
+    letters++;
+    if (isRtlCodePoint(ch.codePointAt(0))) rtl++;
+  }
+  return { rtl, letters };
+}
+
+// Heuristic: decide if a string is mostly Hebrew, counting Hebrew against Latin letters only.
+export function isMostlyHebrew(s) {
+  if (!s) return false;
+  let heb = 0, letters = 0;
+  for (const ch of s) {
+    const cp = ch.codePointAt(0);
+    if (isHebrewCodePoint(cp)) { heb++; letters++; }
+    else if (isLatinCodePoint(cp)) { letters++; }
+  }
+  return letters ? (heb / letters) >= 0.5 : false;
+}
+
+// 'rtl' when at least half the letters are in a right-to-left script (Hebrew, Arabic,
+// Persian, Yiddish, Syriac…); text without letters is 'ltr'.
+export function detectDir(s) {
+  const { rtl, letters } = letterCounts(s);
+  return letters && rtl / letters >= 0.5 ? 'rtl' : 'ltr';
+}
@@ -0,0 +1,68 @@
+// Multi-candidate generation: several translations of one source from different models,
+// prompt template versions or temperatures, compared against the automated baseline and
+// against each other. A candidate can be promoted to the working translation, or single
+// sentences picked from it into the working text.
+// Spec: `{ id, provider, model, systemPrompt, template, temperature }`.
+import { changeCount, groupHunks } from "./diff.js";
+import { textHash } from "./hash.js";
+import { editRate, wordCounts } from "./metrics.js";
+import { buildSegmentTable } from "./segment.js";
+
+export const CANDIDATE_LIMIT = 6;
+
+let nextId = 0;
+export function newCandidateSpec({ provider, model = "", systemPrompt = "", template = null, temperature = "" }) {
+  return { id: `c${Date.now().toString(36)}${(nextId++).toString(36)}`, provider, model, systemPrompt, template, temperature };
+}
+
+export function candidateLabel(spec) {
+  const parts = [spec.model || spec.provider];
+  parts.push(spec.template ? `${spec.template.name} v${spec.template.version}` : "custom prompt");
+  if (spec.temperature !== "" && spec.temperature != null) parts.push(`t=${spec.temperature}`);
+  return parts.join(" · ");
+}
+
+// Change counts against the baseline and word edit rates between candidates.
+// `texts` may hold nulls (failed candidates); `diff(old, new)` resolves to word-level ops.
+// Each pair is diffed once, from the earlier candidate to the later, and the rate is
+// mirrored: matrix[j][i] is matrix[i][j], not the (slightly different) reverse rate.
+// Results are kept in `cache` by text hash, so a run that gains one candidate diffs only it.
+export async function compareCandidates(baseline, texts, diff, cache = new Map()) {
+  const measure = async (key, fn) => {
+    if (!cache.has(key)) cache.set(key, await fn());
+    return cache.get(key);
+  };
+  const base = textHash(baseline), hashes = texts.map(t => (t == null ? null : textHash(t)));
+  const vsBaseline = [];
+  for (const [i, t] of texts.entries()) {
+    if (t == null) { vsBaseline.push(null); continue; }
+    vsBaseline.push(await measure(`baseline:${base}:${hashes[i]}`, async () => {
+      const ops = await diff(baseline, t);
+      return { changes: changeCount(groupHunks(ops)), ...wordCounts(ops), editRate: editRate(ops) };
+    }));
+  }
+  const matrix = texts.map(() => texts.map(() => null));
+  for (let i = 0; i < texts.length; i++) {
+    if (texts[i] == null) continue;
+    matrix[i][i] = 0;
+    for (let j = i + 1; j < texts.length; j++) {
+      if (texts[j] == null) continue;
+      matrix[i][j] = matrix[j][i] = await measure(`pair:${hashes[i]}:${hashes[j]}`, async () => editRate(await diff(texts[i], texts[j])));
+    }
+  }
+  return { vsBaseline, matrix };
+}
+
+// Sentence rows for a translation, aligned on the source (or the baseline without one),
+// so rows of different candidates with the same index translate the same sentence.
+export function candidateRows(sourceText, autoText, text) {
+  return buildSegmentTable(sourceText, autoText, text);
+}
+
+// Working text with sentence `index` replaced by the candidate's; null when either side
+// has no sentence of its own there (unaligned, or merged into the row above).
+export function pickSentence(workingText, workingRows, pickedRows, index) {
+  const w = workingRows[index]?.gpt, c = pickedRows[index]?.gpt;
+  if (!w || !c || w.merged || c.merged || w.start < 0 || c.start < 0) return null;
+  return workingText.slice(0, w.start) + c.text + workingText.slice(w.end);
+}
@@ -0,0 +1,187 @@
+// Long-document translation: split the source into token-budgeted chunks on paragraph
+// and sentence boundaries, translate them with bounded concurrency and retry/backoff,
+// then reassemble with the original whitespace between chunks.
+import { splitSentences } from "./segment.js";
+
+export const DEFAULT_CHUNK_TOKENS = 1500;
+export const DEFAULT_CONCURRENCY = 2;
+const CONTEXT_CHARS = 400; // source text before a chunk, sent as read-only context
+
+// Rough token estimate without a tokenizer: Hebrew/Arabic letters pack about two
+// characters per token, Latin text about four.
+export function estimateTokens(text) {
+  if (!text) return 0;
+  let rtl = 0;
+  for (const ch of text) { const cp = ch.codePointAt(0); if (cp >= 0x0590 && cp <= 0x06FF) rtl++; }
+  return Math.ceil(rtl / 2 + (text.length - rtl) / 4);
+}
+
+// Non-empty paragraphs as [start, end) ranges; blank lines separate paragraphs.
+function paragraphRanges(text) {
+  const out = [];
+  const sepRe = /\n[ \t]*\n\s*/g;
+  let pos = 0, m;
+  const push = (s, e) => {
+    while (s < e && /\s/.test(text[s])) s++;
+    while (e > s && /\s/.test(text[e - 1])) e--;
+    if (e > s) out.push({ start: s, end: e });
+  };
+  while ((m = sepRe.exec(text))) { push(pos, m.index); pos = m.index + m[0].length; }
+  push(pos, text.length);
+  return out;
+}
+
+// Break [start, end) at word boundaries into pieces that fit the budget.
+function splitByWords(text, start, end, maxTokens) {
+  const out = [];
+  const re = /\S+\s*/g;
+  re.lastIndex = start;
+  let pieceStart = start, m;
+  while ((m = re.exec(text)) && m.index < end) {
+    const wordEnd = Math.min(m.index + m[0].length, end);
+    if (m.index > pieceStart && estimateTokens(text.slice(pieceStart, wordEnd)) > maxTokens) {
+      out.push({ start: pieceStart, end: m.index });
+      pieceStart = m.index;
+    }
+  }
+  if (end > pieceStart) out.push({ start: pieceStart, end });
+  return out;
+}
+
+// Smallest units that may not be split further without cause: whole paragraphs when
+// they fit, else sentences, else word runs.
+function units(text, maxTokens) {
+  const out = [];
+  for (const p of paragraphRanges(text)) {
+    if (estimateTokens(text.slice(p.start, p.end)) <= maxTokens) { out.push(p); continue; }
+    for (const s of splitSentences(text.slice(p.start, p.end))) {
+      const start = p.start + s.start, end = p.start + s.end;
+      if (estimateTokens(s.text) <= maxTokens) out.push({ start, end });
+      else out.push(...splitByWords(text, start, end, maxTokens));
+    }
+  }
+  return out;
+}
+
+// Split a document into chunks `{ index, start, end, text, context }`. `context` is the
+// source just before the chunk, so the model can keep terminology and pronouns consistent.
+export function chunkDocument(text, { maxTokens = DEFAULT_CHUNK_TOKENS } = {}) {
+  const chunks = [];
+  let cur = null;
+  for (const u of units(text || "", maxTokens)) {
+    if (cur && estimateTokens(text.slice(cur.start, u.end)) <= maxTokens) { cur.end = u.end; continue; }
+    cur = { start: u.start, end: u.end };
+    chunks.push(cur);
+  }
+  return chunks.map((c, index) => ({ index, start: c.start, end: c.end, text: text.slice(c.start, c.end), context: contextBefore(text, c.start) }));
+}
+
+// Up to CONTEXT_CHARS of source before `start`, beginning on a word boundary.
+export function contextBefore(text, start) {
+  let ctxStart = Math.max(0, start - CONTEXT_CHARS);
+  while (ctxStart > 0 && ctxStart < start && !/\s/.test(text[ctxStart - 1])) ctxStart++;
+  return text.slice(ctxStart, start).trim();
+}
+
+// Rebuild the document: translated chunks separated by the original inter-chunk
+// whitespace (so paragraph breaks survive). Chunks without output keep their source,
+// unless `partial` is set, in which case assembly stops at the first missing chunk.
+export function assembleChunks(text, chunks, outputs, { partial = false } = {}) {
+  return assemble(text, chunks, outputs, partial).text;
+}
+
+// Where each chunk sits in the assembled document, as `{ start, end }` offsets, so a chunk
+// retried later replaces exactly its own text. With `partial`, the first missing chunk
+// gets an empty range at the end and the ones after it null.
+export function chunkRanges(text, chunks, outputs, { partial = false } = {}) {
+  return assemble(text, chunks, outputs, partial).ranges;
+}
+
+function assemble(text, chunks, outputs, partial) {
+  const ranges = chunks.map(() => null);
+  if (!chunks.length) return { text: "", ranges };
+  let out = text.slice(0, chunks[0].start);
+  for (let i = 0; i < chunks.length; i++) {
+    const c = chunks[i];
+    if (outputs[i] == null && partial) {
+      out = out.trimEnd();
+      ranges[i] = { start: out.length, end: out.length };
+      return { text: out, ranges };
+    }
+    const piece = outputs[i] != null ? outputs[i] : c.text;
+    ranges[i] = { start: out.length, end: out.length + piece.length };
+    out += piece;
+    out += text.slice(c.end, i + 1 < chunks.length ? chunks[i + 1].start : text.length);
+  }
+  return { text: out, ranges };
+}
+
+// --- Retry + concurrency -----------------------------------------------------
+export function isRetryable(err) {
+  if (!err || err.name === "AbortError") return false;
+  if (err.status === 429 || err.status >= 500) return true;
+  return err instanceof TypeError; // fetch network failure
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) { reject(signal.reason || new DOMException("Aborted", "AbortError")); return; }
+    const t = setTimeout(() => { if (signal) signal.removeEventListener("abort", onAbort); resolve(); }, ms);
+    function onAbort() { clearTimeout(t); reject(signal.reason || new DOMException("Aborted", "AbortError")); }
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Delay before retry `attempt` (1-based): the server's Retry-After when given,
+// otherwise exponential backoff with jitter, capped at maxDelayMs.
+export function backoffDelay(attempt, err, { baseDelayMs = 1000, maxDelayMs = 30000, random = Math.random } = {}) {
+  if (err && err.retryAfter != null) return Math.min(err.retryAfter * 1000, maxDelayMs);
+  const exp = baseDelayMs * 2 ** (attempt - 1);
+  return Math.min(exp + random() * baseDelayMs, maxDelayMs);
+}
+
+export async function withRetry(fn, { retries = 4, signal, onRetry, wait = sleep, ...delayOpts } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt > retries || !isRetryable(err)) throw err;
+      const delay = backoffDelay(attempt, err, delayOpts);
+      if (onRetry) onRetry({ attempt, delay, error: err });
+      await wait(delay, signal);
+    }
+  }
+}
+
+// Translate `chunks` with at most `concurrency` requests in flight. `translateChunk`
+// receives (chunk, { signal }) and resolves to the translation. Progress is reported
+// per chunk as `{ index, status: "running" | "retrying" | "done" | "failed", ... }`.
+// A failed chunk does not stop the others; abort `signal` to stop everything.
+export async function translateChunks(chunks, translateChunk, { concurrency = DEFAULT_CONCURRENCY, signal, onProgress, retry = {} } = {}) {
+  const outputs = new Array(chunks.length).fill(null);
+  const errors = new Array(chunks.length).fill(null);
+  let next = 0;
+  const report = (state) => onProgress && onProgress(state);
+  async function worker() {
+    while (next < chunks.length) {
+      if (signal && signal.aborted) return;
+      const chunk = chunks[next++];
+      report({ index: chunk.index, status: "running", attempt: 1 });
+      try {
+        outputs[chunk.index] = await withRetry(() => translateChunk(chunk, { signal }), {
+          ...retry,
+          signal,
+          onRetry: ({ attempt, delay, error }) => report({ index: chunk.index, status: "retrying", attempt: attempt + 1, delay, error: error.message }),
+        });
+        report({ index: chunk.index, status: "done", text: outputs[chunk.index] });
+      } catch (err) {
+        errors[chunk.index] = err;
+        if (err.name === "AbortError") return;
+        report({ index: chunk.index, status: "failed", error: err.message || String(err) });
+      }
+    }
+  }
+  const n = Math.max(1, Math.min(concurrency, chunks.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return { outputs, errors };
+}
@@ -0,0 +1,95 @@
+// Review comments: threads anchored to a range of the working translation, each with
+// replies, author, time and a resolved state. Anchors are [start, end) offsets into the
+// text the threads were last mapped onto; when that text is edited, they are carried
+// over through the diff of the two versions (reanchorThreads).
+// Thread: `{ id, start, end, quote, resolved, detached, messages: [{ id, author, date, text }] }`
+
+let nextId = 0;
+const newId = (prefix) => `${prefix}${Date.now().toString(36)}${(nextId++).toString(36)}`;
+
+export function newThread({ text, start, end, author = "", body, date = new Date().toISOString() }) {
+  return {
+    id: newId("n"),
+    start,
+    end,
+    quote: text.slice(start, end),
+    resolved: false,
+    detached: false,
+    messages: [{ id: newId("m"), author, date, text: body }],
+  };
+}
+
+export function addReply(thread, { author = "", text, date = new Date().toISOString() }) {
+  return { ...thread, messages: [...thread.messages, { id: newId("m"), author, date, text }] };
+}
+
+// --- Anchoring -----------------------------------------------------------------
+// Where `offset` of the old text lands in the new one, given char-level ops between them.
+// Text inserted exactly at the offset goes before a "start" and after an "end", so an
+// anchor never grows to take in text typed next to it. Inside deleted text it lands at
+// the deletion point.
+export function mapOffset(ops, offset, bias = "start") {
+  let oldPos = 0, newPos = 0;
+  for (const op of ops) {
+    const len = op.value.length;
+    if (op.type === "insert") {
+      if (bias === "end" && offset === oldPos) return newPos;
+      newPos += len;
+      continue;
+    }
+    const oldLen = op.type === "equal" ? (op.old ?? op.value).length : len;
+    if (offset < oldPos + oldLen) return op.type === "equal" ? newPos + Math.min(offset - oldPos, len) : newPos;
+    oldPos += oldLen;
+    if (op.type === "equal") newPos += len;
+  }
+  return newPos;
+}
+
+// Threads moved onto the new text. A thread whose text was deleted entirely keeps its
+// quote and is marked `detached`, at the point where the text used to be.
+export function reanchorThreads(threads, ops) {
+  return threads.map(t => {
+    const start = mapOffset(ops, t.start, "start");
+    const end = Math.max(start, mapOffset(ops, t.end, "end"));
+    return { ...t, start, end, detached: t.detached || (t.end > t.start && end === start) };
+  });
+}
+
+export function sortThreads(threads) {
+  return threads.slice().sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+// --- Exports -------------------------------------------------------------------
+const day = (iso) => String(iso || "").slice(0, 10);
+
+// One plain-text note per thread, for footnotes, Word comments and CAT notes.
+export function threadNote(thread) {
+  const lines = thread.messages.map((m, i) => `${i ? "↳ " : ""}${m.author || "Reviewer"} (${day(m.date)}): ${m.text}`);
+  if (thread.resolved) lines[0] = `[Resolved] ${lines[0]}`;
+  return lines.join("\n");
+}
+
+// Ops with `{ type: "note", index }` markers where each thread's range ends in the new
+// text (threads numbered in `sortThreads` order, from 0). Ops are split where needed.
+export function opsWithNotes(ops, threads) {
+  const notes = sortThreads(threads).map((t, index) => ({ at: t.end, index })).sort((a, b) => a.at - b.at);
+  const out = [];
+  let pos = 0, k = 0;
+  for (const op of ops) {
+    if (op.type === "delete") { out.push(op); continue; }
+    let value = op.value, start = pos;
+    while (k < notes.length && notes[k].at <= pos + op.value.length) {
+      if (notes[k].at > start) {
+        out.push({ ...op, value: value.slice(0, notes[k].at - start) });
+        value = value.slice(notes[k].at - start);
+        start = notes[k].at;
+      }
+      out.push({ type: "note", index: notes[k].index });
+      k++;
+    }
+    if (value) out.push({ ...op, value });
+    pos += op.value.length;
+  }
+  for (; k < notes.length; k++) out.push({ type: "note", index: notes[k].index });
+  return out;
+}
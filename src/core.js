@@ -0,0 +1,56 @@
+// Headless core: the app's diff, translation and report logic behind one importable API,
+// for batch scripts, pipelines and the command-line tool (bin/translation-diff.js).
+// Nothing here needs a browser; the modules it re-exports are the same ones the app uses.
+import { diffWords } from "./diff.js";
+import { normalizationOptions } from "./normalize.js";
+import { buildHTMLReport, diffToJSON, unifiedDiff } from "./report.js";
+import { buildTranslationMessages, getProvider, translate, validateProviderSettings } from "./providers.js";
+import { DEFAULT_CHUNK_TOKENS, DEFAULT_CONCURRENCY, assembleChunks, chunkDocument, estimateTokens, translateChunks } from "./chunking.js";
+
+export { DIFF_GRANULARITIES, changeCount, diffWords, groupHunks, tokenize } from "./diff.js";
+export { detectDir, isMostlyHebrew, isRtlCodePoint } from "./bidi.js";
+export { COMMON_LANGUAGES, guessLang, isRtlLang, langCode, languageName, parseLang } from "./languages.js";
+export { NORMALIZATIONS } from "./normalize.js";
+export { DEFAULT_PROVIDER, PROVIDERS, ProviderError } from "./providers.js";
+export { REPORT_FORMATS, buildHTMLReport, diffToJSON, unifiedDiff } from "./report.js";
+
+// Compare two texts. `format`: "json" returns an object (see diffToJSON), "html" a
+// standalone page, "unified" a line diff ("" when the texts are equal). There is no
+// time limit on the diff here, unlike in the editor.
+export function compareTexts(oldText, newText, { format = "json", granularity = "subword", normalize = null, oldName = "old", newName = "new", sourceText = "", date = new Date() } = {}) {
+  if (format === "unified") return unifiedDiff(oldText, newText, { oldName, newName });
+  const ops = diffWords(oldText, newText, { granularity, normalize: normalize && normalizationOptions(normalize), timeoutMs: 0 });
+  if (format === "json") return diffToJSON(ops, { oldName, newName });
+  if (format === "html") return buildHTMLReport({ ops, sourceText, oldText, newText, date, labels: { old: oldName, new: newName } });
+  throw new Error(`Unknown format "${format}". Use html, json or unified.`);
+}
+
+// Translate `sourceText` through a provider, as the app's Generate button does: long
+// texts are chunked and translated in parallel, each chunk with the text before it as
+// context. Rejects with the first chunk error; `onProgress` gets translateChunks states.
+export async function translateText(sourceText, {
+  providerId, settings = {}, model = "", systemPrompt = "", targetLang = "English", sourceLang = "",
+  temperature, maxTokens, chunkTokens = DEFAULT_CHUNK_TOKENS, concurrency = DEFAULT_CONCURRENCY,
+  signal, fetchImpl, onProgress,
+} = {}) {
+  if (!sourceText.trim()) throw new Error("Source text is empty.");
+  const provider = getProvider(providerId);
+  const missing = validateProviderSettings(provider, settings, model);
+  if (missing) throw new Error(missing);
+  const request = (text, previousContext) => translate({
+    providerId: provider.id,
+    settings,
+    model,
+    messages: buildTranslationMessages({ systemPrompt, sourceText: text, targetLang, sourceLang, previousContext }),
+    temperature,
+    maxTokens,
+    signal,
+    fetchImpl,
+  });
+  if (estimateTokens(sourceText) <= chunkTokens) return request(sourceText);
+  const chunks = chunkDocument(sourceText, { maxTokens: chunkTokens });
+  const { outputs, errors } = await translateChunks(chunks, (chunk) => request(chunk.text, chunk.context), { concurrency, signal, onProgress });
+  const failed = errors.find(Boolean);
+  if (failed) throw failed;
+  return assembleChunks(sourceText, chunks, outputs);
+}
@@ -0,0 +1,61 @@
+// The app's IndexedDB database, for data too large or too precious for localStorage:
+// history entries, projects and revisions. One object store per kind, records keyed by `id`.
+
+const DB_NAME = "tds";
+const DB_VERSION = 3;
+
+export const STORES = { history: "history", projects: "projects", revisions: "revisions" };
+
+export function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Resolves when the transaction commits; quota errors surface here as a rejection.
+export function committed(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Database write was aborted."));
+  });
+}
+
+// Rejects when IndexedDB is unavailable (some private modes).
+export function openDatabase(idb = globalThis.indexedDB) {
+  if (!idb) return Promise.reject(new Error("IndexedDB is not available in this browser."));
+  const open = idb.open(DB_NAME, DB_VERSION);
+  open.onupgradeneeded = () => {
+    const db = open.result;
+    // v1: history
+    if (!db.objectStoreNames.contains(STORES.history)) db.createObjectStore(STORES.history, { keyPath: "id" }).createIndex("date", "date");
+    // v2: projects
+    if (!db.objectStoreNames.contains(STORES.projects)) db.createObjectStore(STORES.projects, { keyPath: "id" });
+    // v3: revisions, looked up by document
+    if (!db.objectStoreNames.contains(STORES.revisions)) db.createObjectStore(STORES.revisions, { keyPath: "id" }).createIndex("docKey", "docKey");
+  };
+  return request(open).then(db => {
+    // Let a newer version open in another tab instead of blocking it.
+    db.onversionchange = () => db.close();
+    return db;
+  });
+}
+
+// Promise API over one object store.
+export function objectStore(db, name) {
+  async function write(fn) {
+    const tx = db.transaction(name, "readwrite");
+    fn(tx.objectStore(name));
+    await committed(tx);
+  }
+  const read = () => db.transaction(name, "readonly").objectStore(name);
+  return {
+    all: () => request(read().getAll()),
+    get: (id) => request(read().get(id)),
+    byIndex: (index, value) => request(read().index(index).getAll(value)),
+    put: (record) => write(s => s.put(record)),
+    putMany: (records) => write(s => { for (const r of records) s.put(r); }),
+    delete: (id) => write(s => s.delete(id)),
+  };
+}
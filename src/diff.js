@@ -0,0 +1,450 @@
+// Diff engine: tokenization, linear-space Myers diff, sub-word refinement and hunks.
+// Framework-agnostic; also loaded inside the diff Web Worker (see diffWorker.js).
+// Ops are always `{ type: "equal" | "insert" | "delete", value }`, one per token.
+// With normalization, an equal op whose baseline token differs also carries it as `old`;
+// moved text keeps its delete/insert type and adds `move: "from" | "to"` and `moveId`.
+// Sub-word ops refined from one changed word (equal parts included) share a `wordId`.
+import { comparisonKey, isNormalizing, splitsWordPunctuation } from "./normalize.js";
+
+// Word tokens from Unicode word boundaries (Intl.Segmenter), so every script gets word
+// diffs: Thai, Chinese and Japanese have no spaces and are split by dictionary. Words,
+// single punctuation marks and whitespace runs are tokens of their own.
+const WORD_SEGMENTER = typeof Intl !== "undefined" && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: "word" }) : null;
+// Without Intl.Segmenter: runs of letters/marks/digits (and joiners such as the ZWNJ in Persian).
+const FALLBACK_TOKEN_RE = /[\p{L}\p{M}\p{N}\p{Pc}\p{Cf}]+|\s+|\S/gu;
+// Punctuation inside a word ("don't", צה״ל, 3.14), except the underscore.
+const INNER_PUNCTUATION_RE = /((?!_)\p{P})/u;
+const isSpace = (t) => t !== undefined && t.trim() === "";
+// Segmenting a long string in one go slows down sharply with its length, so the text is
+// fed in pieces cut before whitespace (a run without any is cut at the limit).
+const SEGMENT_CHUNK = 2000;
+
+function wordSegments(str) {
+  if (!WORD_SEGMENTER) return str.match(FALLBACK_TOKEN_RE);
+  const out = [];
+  for (let i = 0; i < str.length;) {
+    let end = Math.min(str.length, i + SEGMENT_CHUNK);
+    if (end < str.length) {
+      let cut = end;
+      while (cut > i + 1 && !isSpace(str[cut])) cut--;
+      end = cut > i + 1 ? cut : /[\uDC00-\uDFFF]/.test(str[end]) ? end - 1 : end;
+    }
+    for (const s of WORD_SEGMENTER.segment(str.slice(i, end))) out.push(s.segment);
+    i = end;
+  }
+  return out;
+}
+
+export function tokenize(str, normalize = null) {
+  if (!str) return [];
+  const splitPunctuation = splitsWordPunctuation(normalize);
+  const out = [];
+  for (const seg of wordSegments(str)) {
+    if (isSpace(seg) && isSpace(out[out.length - 1])) out[out.length - 1] += seg;
+    else if (splitPunctuation && seg.length > 1 && INNER_PUNCTUATION_RE.test(seg)) out.push(...seg.split(INNER_PUNCTUATION_RE).filter(Boolean));
+    else out.push(seg);
+  }
+  return out;
+}
+
+// --- Myers diff (linear space) -----------------------------------------------
+// Divide-and-conquer on the "middle snake" (Myers 1986, as in diff-match-patch):
+// O((N+M)·D) time and O(N+M) memory. Past `deadline` the remaining sub-range is
+// reported as delete + insert, so pathological inputs still finish in bounded time.
+
+// Map tokens to small integers so the inner loops compare numbers, not strings.
+function internTokens(A, B) {
+  const ids = new Map();
+  const toIds = (arr) => {
+    const out = new Int32Array(arr.length);
+    for (let i = 0; i < arr.length; i++) {
+      let id = ids.get(arr[i]);
+      if (id === undefined) { id = ids.size; ids.set(arr[i], id); }
+      out[i] = id;
+    }
+    return out;
+  };
+  return [toIds(A), toIds(B)];
+}
+
+// Diff a[a0..a1) against b[b0..b1), appending [type, aIndex|bIndex] pairs to `out`.
+function diffRange(a, a0, a1, b, b0, b1, out, ctx) {
+  while (a0 < a1 && b0 < b1 && a[a0] === b[b0]) { out.push(["equal", a0]); a0++; b0++; }
+  const tail = [];
+  while (a0 < a1 && b0 < b1 && a[a1 - 1] === b[b1 - 1]) { a1--; b1--; tail.push(["equal", a1]); }
+  if (a0 === a1) { for (let j = b0; j < b1; j++) out.push(["insert", j]); }
+  else if (b0 === b1) { for (let i = a0; i < a1; i++) out.push(["delete", i]); }
+  else {
+    // Recurse only after bisect() returns, so at most one pair of V arrays is alive.
+    const mid = bisect(a, a0, a1, b, b0, b1, ctx);
+    if (mid) {
+      diffRange(a, a0, a0 + mid[0], b, b0, b0 + mid[1], out, ctx);
+      diffRange(a, a0 + mid[0], a1, b, b0 + mid[1], b1, out, ctx);
+    } else {
+      // Out of time (or no common token at all): report the range as replaced.
+      for (let i = a0; i < a1; i++) out.push(["delete", i]);
+      for (let j = b0; j < b1; j++) out.push(["insert", j]);
+    }
+  }
+  for (let k = tail.length - 1; k >= 0; k--) out.push(tail[k]);
+}
+
+// Find the middle snake of the range; returns the split point [x, y] relative to (a0, b0).
+function bisect(a, a0, a1, b, b0, b1, ctx) {
+  const n = a1 - a0, m = b1 - b0;
+  const maxD = Math.ceil((n + m) / 2);
+  const vOffset = maxD, vLength = 2 * maxD;
+  const v1 = new Int32Array(vLength).fill(-1);
+  const v2 = new Int32Array(vLength).fill(-1);
+  if (ctx.stats) ctx.stats.peakCells = Math.max(ctx.stats.peakCells || 0, 2 * vLength);
+  v1[vOffset + 1] = 0;
+  v2[vOffset + 1] = 0;
+  const delta = n - m;
+  const front = delta % 2 !== 0; // odd delta: collisions are detected on the forward pass
+  let k1start = 0, k1end = 0, k2start = 0, k2end = 0;
+  for (let d = 0; d < maxD; d++) {
+    if ((d & 63) === 0 && ctx.deadline && Date.now() > ctx.deadline) break;
+    for (let k1 = -d + k1start; k1 <= d - k1end; k1 += 2) {
+      const k1o = vOffset + k1;
+      let x1 = (k1 === -d || (k1 !== d && v1[k1o - 1] < v1[k1o + 1])) ? v1[k1o + 1] : v1[k1o - 1] + 1;
+      let y1 = x1 - k1;
+      while (x1 < n && y1 < m && a[a0 + x1] === b[b0 + y1]) { x1++; y1++; }
+      v1[k1o] = x1;
+      if (x1 > n) k1end += 2;
+      else if (y1 > m) k1start += 2;
+      else if (front) {
+        const k2o = vOffset + delta - k1;
+        if (k2o >= 0 && k2o < vLength && v2[k2o] !== -1 && x1 >= n - v2[k2o]) {
+          return [x1, y1];
+        }
+      }
+    }
+    for (let k2 = -d + k2start; k2 <= d - k2end; k2 += 2) {
+      const k2o = vOffset + k2;
+      let x2 = (k2 === -d || (k2 !== d && v2[k2o - 1] < v2[k2o + 1])) ? v2[k2o + 1] : v2[k2o - 1] + 1;
+      let y2 = x2 - k2;
+      while (x2 < n && y2 < m && a[a1 - x2 - 1] === b[b1 - y2 - 1]) { x2++; y2++; }
+      v2[k2o] = x2;
+      if (x2 > n) k2end += 2;
+      else if (y2 > m) k2start += 2;
+      else if (!front) {
+        const k1o = vOffset + delta - k2;
+        if (k1o >= 0 && k1o < vLength && v1[k1o] !== -1) {
+          const x1 = v1[k1o];
+          const y1 = vOffset + x1 - k1o;
+          if (x1 >= n - x2) return [x1, y1];
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Token-level diff of two arrays of strings. `stats.peakCells` reports the largest
+// working set allocated, which the self-tests use to check memory stays linear.
+export function diffTokens(A, B, { deadline = 0, stats = null, normalize = null } = {}) {
+  if (isNormalizing(normalize)) return diffNormalized(A, B, normalize, { deadline, stats });
+  const [a, b] = internTokens(A, B);
+  const trace = [];
+  diffRange(a, 0, a.length, b, 0, b.length, trace, { deadline, stats });
+  return trace.map(([type, idx]) => ({ type, value: type === "insert" ? B[idx] : A[idx] }));
+}
+
+// Diff the normalized keys of the compared tokens, then weave the ignored tokens back in.
+// Equal ops show the new text's token, so both texts can still be rebuilt from the ops:
+// new = equal + insert values, baseline = equal `old ?? value` + delete values.
+function diffNormalized(A, B, normalize, ctx) {
+  const compared = (tokens) => {
+    const index = [], keys = [];
+    tokens.forEach((t, i) => {
+      const key = comparisonKey(t, normalize);
+      if (key !== null) { index.push(i); keys.push(key); }
+    });
+    return [index, keys];
+  };
+  const [ai, ak] = compared(A), [bi, bk] = compared(B);
+  const [a, b] = internTokens(ak, bk);
+  const trace = [];
+  diffRange(a, 0, a.length, b, 0, b.length, trace, ctx);
+
+  const out = [];
+  const equal = (value, old) => out.push(old === value ? { type: "equal", value } : { type: "equal", value, old });
+  let pa = 0, pb = 0;
+  // Ignored tokens up to A[toA] / B[toB]. One-sided runs join a neighbouring change or
+  // the equal text before them rather than splitting a hunk.
+  const gap = (toA, toB) => {
+    const old = A.slice(pa, toA).join(""), value = B.slice(pb, toB).join("");
+    pa = toA; pb = toB;
+    if (!old && !value) return;
+    const last = out[out.length - 1];
+    if (!value && last?.type === "delete") out.push({ type: "delete", value: old });
+    else if (!old && last?.type === "insert") out.push({ type: "insert", value });
+    else if (!value && last?.type === "equal") last.old = (last.old ?? last.value) + old;
+    else equal(value, old);
+  };
+  let ca = 0, cb = 0;
+  for (const [type] of trace) {
+    if (type === "equal") {
+      const oa = ai[ca++], ob = bi[cb++];
+      gap(oa, ob);
+      equal(B[ob], A[oa]);
+      pa = oa + 1; pb = ob + 1;
+    } else if (type === "delete") {
+      const oa = ai[ca++];
+      gap(oa, pb);
+      out.push({ type, value: A[oa] });
+      pa = oa + 1;
+    } else {
+      const ob = bi[cb++];
+      gap(pa, ob);
+      out.push({ type, value: B[ob] });
+      pb = ob + 1;
+    }
+  }
+  gap(A.length, B.length);
+  return out;
+}
+
+export const DIFF_TIMEOUT_MS = 1500;
+
+// `normalize`: options from normalize.js; the display still shows the original characters.
+// `moves: false` reports moved text as plain delete + insert.
+export function diffWords(oldStr, newStr, { granularity = "subword", timeoutMs = DIFF_TIMEOUT_MS, stats = null, normalize = null, moves = true } = {}) {
+  const A = tokenize(oldStr, normalize);
+  const B = tokenize(newStr, normalize);
+  const deadline = timeoutMs > 0 ? Date.now() + timeoutMs : 0;
+  let ops = diffTokens(A, B, { deadline, stats, normalize });
+  if (moves) ops = detectMoves(ops);
+  return granularity === "word" ? ops : refineOps(ops, granularity);
+}
+
+// --- Moves -------------------------------------------------------------------
+// A clause deleted in one place and inserted in another (reordering between Hebrew and
+// English word order) is a move. Runs of deleted and inserted tokens are trimmed of
+// whitespace and punctuation at their edges; a run whose tokens appear in a run of the
+// other kind, at least MOVE_MIN_CHARS long, is marked on both sides, together with the
+// edge tokens next to it so the move does not leave stray one-space changes behind.
+export const MOVE_MIN_CHARS = 12;
+const EDGE_TOKEN_RE = /^[\s\p{P}]*$/u;
+
+function changeRuns(ops, type) {
+  const runs = [];
+  for (let i = 0; i < ops.length;) {
+    if (ops[i].type !== type) { i++; continue; }
+    const first = i;
+    let start = i, end = i;
+    while (end < ops.length && ops[end].type === type) end++;
+    const last = end;
+    i = end;
+    while (start < end && EDGE_TOKEN_RE.test(ops[start].value)) start++;
+    while (end > start && EDGE_TOKEN_RE.test(ops[end - 1].value)) end--;
+    if (end > start) runs.push({ first, last, start, values: ops.slice(start, end).map(o => o.value) });
+  }
+  return runs;
+}
+
+// Index of `needle` inside `hay` (arrays of token strings), or -1.
+function findTokens(hay, needle) {
+  outer: for (let i = 0; i + needle.length <= hay.length; i++) {
+    for (let k = 0; k < needle.length; k++) if (hay[i + k] !== needle[k]) continue outer;
+    return i;
+  }
+  return -1;
+}
+
+export function detectMoves(ops, { minChars = MOVE_MIN_CHARS } = {}) {
+  const dels = changeRuns(ops, "delete"), ins = changeRuns(ops, "insert");
+  if (!dels.length || !ins.length) return ops;
+  const out = ops.slice();
+  const mark = (run, start, length, move, moveId) => {
+    let s = start, e = start + length;
+    while (s > run.first && EDGE_TOKEN_RE.test(ops[s - 1].value)) s--;
+    while (e < run.last && EDGE_TOKEN_RE.test(ops[e].value)) e++;
+    for (let i = s; i < e; i++) out[i] = { ...out[i], move, moveId };
+  };
+  let moveId = 0;
+  for (const to of ins) {
+    for (let d = 0; d < dels.length; d++) {
+      const from = dels[d];
+      // The shorter run must appear whole, token for token, inside the longer one.
+      const [short, long] = to.values.length <= from.values.length ? [to, from] : [from, to];
+      if (short.values.join("").length < minChars) continue;
+      const at = findTokens(long.values, short.values);
+      if (at < 0) continue;
+      const n = short.values.length;
+      mark(from, from === short ? from.start : from.start + at, n, "from", moveId);
+      mark(to, to === short ? to.start : to.start + at, n, "to", moveId);
+      moveId++;
+      dels.splice(d, 1);
+      break;
+    }
+  }
+  return out;
+}
+
+// --- Sub-word refinement ----------------------------------------------------
+// Second pass over the word ops: adjacent delete/insert pairs are re-diffed so that
+// "בית" → "הבית" shows only the added ה, and "walk" → "walked" only the "ed".
+export const DIFF_GRANULARITIES = [
+  { id: "word", label: "Word" },
+  { id: "subword", label: "Sub-word" },
+  { id: "char", label: "Character" },
+];
+const HEBREW_PREFIX_LETTERS = "והבכלמש"; // clitics: ve-, ha-, be-, ke-, le-, mi-, she-
+const ENGLISH_SUFFIXES = ["", "s", "es", "'s", "ed", "d", "ing", "er", "est", "ly"];
+const CHAR_DIFF_LIMIT = 20000; // max chars per side for a char-level pass
+
+// Character diff with adjacent same-type ops merged ("ה" rather than per-code-point ops).
+export function diffChars(a, b) {
+  const ops = [];
+  for (const op of diffTokens(Array.from(a), Array.from(b))) {
+    const last = ops[ops.length - 1];
+    if (last && last.type === op.type) last.value += op.value;
+    else ops.push({ ...op });
+  }
+  return ops;
+}
+
+// Dice-style similarity on shared characters; guards against refining unrelated words.
+function charSimilarity(ops, a, b) {
+  const common = ops.filter(o => o.type === "equal").reduce((n, o) => n + Array.from(o.value).length, 0);
+  const total = Array.from(a).length + Array.from(b).length;
+  return total ? (2 * common) / total : 1;
+}
+
+function hebrewPrefixLength(word) {
+  let n = 0;
+  // Keep a stem of at least two letters: "של" is a word, not ש + ל.
+  while (n < word.length - 2 && HEBREW_PREFIX_LETTERS.includes(word[n])) n++;
+  return n;
+}
+
+// Try to explain a changed word as a changed clitic prefix or inflectional suffix
+// around an unchanged stem. Returns ops, or null if no morpheme split fits.
+function diffMorphemes(a, b) {
+  const maxA = hebrewPrefixLength(a), maxB = hebrewPrefixLength(b);
+  for (let i = 0; i <= maxA; i++) {
+    for (let j = 0; j <= maxB; j++) {
+      if ((i || j) && a.slice(i) === b.slice(j)) {
+        return [...diffChars(a.slice(0, i), b.slice(0, j)), { type: "equal", value: a.slice(i) }];
+      }
+    }
+  }
+  for (const sa of ENGLISH_SUFFIXES) {
+    if (!a.endsWith(sa)) continue;
+    const stem = a.slice(0, a.length - sa.length);
+    if (stem.length < 2) continue;
+    for (const sb of ENGLISH_SUFFIXES) {
+      if (sa !== sb && b === stem + sb) return [{ type: "equal", value: stem }, ...diffChars(sa, sb)];
+    }
+  }
+  return null;
+}
+
+function refinePair(a, b, granularity) {
+  if (granularity === "subword") {
+    const m = diffMorphemes(a, b);
+    if (m) return m;
+  }
+  if (a.length > CHAR_DIFF_LIMIT || b.length > CHAR_DIFF_LIMIT) return null;
+  const ops = diffChars(a, b);
+  if (granularity === "char" || charSimilarity(ops, a, b) >= 0.5) return ops;
+  return null;
+}
+
+export function refineOps(ops, granularity) {
+  const out = [];
+  let i = 0, wordId = 0;
+  while (i < ops.length) {
+    if (ops[i].type === "equal" || ops[i].move) { out.push(ops[i++]); continue; }
+    const dels = [], ins = [];
+    while (i < ops.length && ops[i].type !== "equal" && !ops[i].move) {
+      (ops[i].type === "delete" ? dels : ins).push(ops[i].value);
+      i++;
+    }
+    if (granularity === "char") {
+      out.push(...(refinePair(dels.join(""), ins.join(""), "char") || [
+        ...dels.map(value => ({ type: "delete", value })),
+        ...ins.map(value => ({ type: "insert", value })),
+      ]));
+      continue;
+    }
+    // Pair tokens positionally; pairs that do not refine are emitted whole, grouped.
+    // A refined pair's ops are tagged so the word is reviewed as one hunk.
+    let pendDel = [], pendIns = [];
+    const flush = () => {
+      for (const value of pendDel) out.push({ type: "delete", value });
+      for (const value of pendIns) out.push({ type: "insert", value });
+      pendDel = []; pendIns = [];
+    };
+    const n = Math.max(dels.length, ins.length);
+    for (let k = 0; k < n; k++) {
+      const refined = k < dels.length && k < ins.length ? refinePair(dels[k], ins[k], granularity) : null;
+      if (refined) { flush(); out.push(...refined.map(op => ({ ...op, wordId }))); wordId++; }
+      else {
+        if (k < dels.length) pendDel.push(dels[k]);
+        if (k < ins.length) pendIns.push(ins[k]);
+      }
+    }
+    flush();
+  }
+  return out.filter(op => op.value !== "" || op.old);
+}
+
+// --- Hunks -------------------------------------------------------------------
+// Group consecutive non-equal ops into reviewable hunks (Word-style "changes").
+// `oldOffset` is the baseline character offset where the hunk starts; the baseline
+// does not change while reviewing, so it keys a hunk stably across accept/reject.
+// Each end of a move is a hunk of its own with `move` and `moveId`. A word refined into
+// sub-word ops is one hunk over the whole word, its unchanged letters in both `del` and
+// `ins`, so rejecting it always restores a real word.
+export function groupHunks(ops) {
+  const hunks = [];
+  let oldOffset = 0, cur = null;
+  ops.forEach((op, i) => {
+    const inWord = op.wordId != null;
+    if (op.type === "equal" && !inWord) { cur = null; oldOffset += (op.old ?? op.value).length; return; }
+    if (cur && (cur.moveId !== op.moveId || (inWord && cur.wordId !== op.wordId))) cur = null;
+    if (!cur) {
+      cur = { index: hunks.length, start: i, end: i, oldOffset, del: "", ins: "" };
+      if (op.move) { cur.move = op.move; cur.moveId = op.moveId; }
+      if (inWord) cur.wordId = op.wordId;
+      hunks.push(cur);
+    }
+    cur.end = i;
+    if (op.type !== "insert") { const old = op.old ?? op.value; cur.del += old; oldOffset += old.length; }
+    if (op.type !== "delete") cur.ins += op.value;
+  });
+  for (const h of hunks) h.key = `${h.oldOffset}:${h.del.length}:${h.ins}`;
+  return hunks;
+}
+
+// Changes as a reviewer counts them: the two ends of a move are one change.
+export function changeCount(hunks) {
+  return hunks.filter(h => h.move !== "from").length;
+}
+
+// The other end of a move hunk, or null.
+export function movePartner(hunks, hunk) {
+  if (hunk.move == null) return null;
+  return hunks.find(h => h.moveId === hunk.moveId && h.move !== hunk.move) || null;
+}
+
+// New-text context around a hunk, for listing changes: up to `chars` characters each side.
+export function hunkContext(ops, hunk, chars = 30) {
+  let before = "", after = "";
+  for (let i = hunk.start - 1; i >= 0 && before.length < chars; i--) if (ops[i].type !== "delete") before = ops[i].value + before;
+  for (let i = hunk.end + 1; i < ops.length && after.length < chars; i++) if (ops[i].type !== "delete") after += ops[i].value;
+  return { before: before.slice(-chars), after: after.slice(0, chars) };
+}
+
+// Rebuild the new text from ops, reverting the given hunks to the baseline.
+export function textWithRejected(ops, hunks) {
+  const rejected = new Set();
+  for (const h of hunks) for (let i = h.start; i <= h.end; i++) rejected.add(i);
+  return ops.map((op, i) => {
+    if (op.type === "equal") return op.value;
+    const keep = op.type === "insert" ? !rejected.has(i) : rejected.has(i);
+    return keep ? op.value : "";
+  }).join("");
+}
@@ -0,0 +1,103 @@
+// Runs diffs in a Web Worker with latest-wins cancellation, so typing never waits
+// on a long chapter. Small inputs are diffed synchronously to avoid a flash of
+// stale highlights; environments without Worker fall back to the same path.
+import { useEffect, useMemo, useRef, useState } from "react";
+import { diffWords } from "./diff.js";
+
+export const SYNC_DIFF_LIMIT = 20000; // combined characters below which we diff inline
+
+export class DiffCancelledError extends Error {
+  constructor() { super("Diff cancelled"); this.name = "DiffCancelledError"; }
+}
+
+function isSmall(oldText, newText) {
+  return (oldText || "").length + (newText || "").length < SYNC_DIFF_LIMIT;
+}
+
+// A runner owns at most one worker and one job. Starting a job cancels the previous
+// one; a job that is still computing is stopped by terminating its worker.
+export function createDiffRunner() {
+  let worker = null;
+  let current = null; // { id, reject }
+  let seq = 0;
+
+  function cancel() {
+    if (!current) return;
+    current.reject(new DiffCancelledError());
+    current = null;
+    if (worker) { worker.terminate(); worker = null; }
+  }
+
+  function ensureWorker() {
+    if (worker) return worker;
+    worker = new Worker(new URL("./diffWorker.js", import.meta.url), { type: "module" });
+    worker.onmessage = (e) => {
+      const job = current;
+      if (!job || job.id !== e.data.id) return;
+      current = null;
+      if (e.data.error) job.reject(new Error(e.data.error));
+      else job.resolve(e.data.ops);
+    };
+    worker.onerror = (e) => {
+      const job = current;
+      current = null;
+      worker = null;
+      if (job) job.reject(new Error(e.message || "Diff worker failed"));
+    };
+    return worker;
+  }
+
+  function run(oldText, newText, options = {}) {
+    cancel();
+    if (typeof Worker === "undefined" || isSmall(oldText, newText)) {
+      try { return Promise.resolve(diffWords(oldText, newText, options)); }
+      catch (e) { return Promise.reject(e); }
+    }
+    const id = ++seq;
+    return new Promise((resolve, reject) => {
+      current = { id, resolve, reject };
+      ensureWorker().postMessage({ id, oldText, newText, options });
+    });
+  }
+
+  function dispose() { cancel(); if (worker) { worker.terminate(); worker = null; } }
+
+  return { run, cancel, dispose };
+}
+
+// Shared runner for one-off callers such as exports.
+let sharedRunner = null;
+export function diffAsync(oldText, newText, options) {
+  if (!sharedRunner) sharedRunner = createDiffRunner();
+  return sharedRunner.run(oldText, newText, options);
+}
+
+// React hook: ops for (oldText, newText), or null while a large diff is pending.
+// A null text skips the diff (and the hook returns null).
+export function useDiffOps(oldText, newText, options = {}) {
+  const runnerRef = useRef(null);
+  // Keyed by value, so callers may pass a fresh options object on every render.
+  const optsKey = JSON.stringify(options);
+  const opts = useMemo(() => JSON.parse(optsKey), [optsKey]);
+  const skip = oldText == null || newText == null;
+  const small = !skip && isSmall(oldText, newText);
+  const syncOps = useMemo(() => (small ? diffWords(oldText, newText, opts) : null), [small, oldText, newText, opts]);
+  const [asyncOps, setAsyncOps] = useState(null);
+
+  useEffect(() => {
+    if (skip) { runnerRef.current?.cancel(); return; }
+    if (small) return;
+    if (!runnerRef.current) runnerRef.current = createDiffRunner();
+    let live = true;
+    setAsyncOps(null);
+    runnerRef.current.run(oldText, newText, opts)
+      .then(ops => { if (live) setAsyncOps(ops); })
+      .catch(e => { if (!(e instanceof DiffCancelledError)) console.error(e); });
+    return () => { live = false; };
+  }, [skip, small, oldText, newText, opts]);
+
+  useEffect(() => () => { if (runnerRef.current) runnerRef.current.dispose(); }, []);
+
+  if (skip) return null;
+  return small ? syncOps : asyncOps;
+}
@@ -0,0 +1,11 @@
+// Web Worker entry: runs diffWords off the main thread for diffRunner.js.
+import { diffWords } from "./diff.js";
+
+self.onmessage = (e) => {
+  const { id, oldText, newText, options } = e.data;
+  try {
+    self.postMessage({ id, ops: diffWords(oldText, newText, options) });
+  } catch (err) {
+    self.postMessage({ id, error: String(err && err.message || err) });
+  }
+};
@@ -0,0 +1,214 @@
+// DOCX export with native Word tracked changes. The body is the baseline → translation
+// diff written as w:ins / w:del revisions (author + date), so accepting every change in
+// Word yields the translation and rejecting every change yields the baseline.
+// Paragraph and run direction (w:bidi / w:rtl) are set per paragraph and per script run.
+import { detectDir, isRtlCodePoint } from "./bidi.js";
+import { buildSegmentTable } from "./segment.js";
+import { escapeXML } from "./xml.js";
+import { createZip } from "./zip.js";
+
+const W_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const R_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const XML_DECL = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+export const DOCX_MIME = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+export const DOCX_SOURCE_MODES = [
+  { id: "none", label: "No source" },
+  { id: "section", label: "Source as appendix" },
+  { id: "comments", label: "Source as comments" },
+];
+
+// Language of right-to-left runs (w:lang w:bidi), which picks Word's complex-script font
+// and proofing; buildDocx takes the document's own.
+const DEFAULT_BIDI_LANG = "he-IL";
+
+// Word wants second precision without milliseconds.
+const wordDate = (d) => new Date(d).toISOString().replace(/\.\d{3}Z$/, "Z");
+
+const LETTER_RE = /\p{L}/u;
+
+// Split text into runs of one direction. Letters are strong (RTL for Hebrew, Arabic and
+// the other right-to-left scripts); neutral characters (spaces, punctuation, digits) follow the previous strong character, or the paragraph direction at the start.
+export function splitDirectionalRuns(text, paraDir) {
+  const runs = [];
+  let cur = null, pendingNeutral = "";
+  for (const ch of text) {
+    const strong = !LETTER_RE.test(ch) ? null : isRtlCodePoint(ch.codePointAt(0)) ? "rtl" : "ltr";
+    if (!strong) {
+      if (cur) cur.text += ch; else pendingNeutral += ch;
+      continue;
+    }
+    if (!cur || cur.dir !== strong) {
+      cur = { dir: strong, text: "" };
+      runs.push(cur);
+    }
+    if (pendingNeutral) {
+      // Leading neutrals join the paragraph-direction run they precede or follow.
+      if (runs.length === 1 && strong === paraDir) cur.text += pendingNeutral;
+      else runs.splice(runs.length - 1, 0, { dir: paraDir, text: pendingNeutral });
+      pendingNeutral = "";
+    }
+    cur.text += ch;
+  }
+  if (pendingNeutral) runs.push({ dir: paraDir, text: pendingNeutral });
+  return runs;
+}
+
+function runXML(text, dir, deleted, bidiLang) {
+  const rPr = dir === "rtl" ? `<w:rPr><w:rtl/><w:lang w:bidi="${escapeXML(bidiLang)}"/></w:rPr>` : "";
+  const tag = deleted ? "w:delText" : "w:t";
+  return `<w:r>${rPr}<${tag} xml:space="preserve">${escapeXML(text)}</${tag}></w:r>`;
+}
+
+function plainParagraphXML(text, { bold = false, bidiLang = DEFAULT_BIDI_LANG } = {}) {
+  const dir = detectDir(text);
+  const pPr = dir === "rtl" ? "<w:pPr><w:bidi/></w:pPr>" : "";
+  const runs = splitDirectionalRuns(text, dir).map(r => {
+    const props = [bold ? "<w:b/><w:bCs/>" : "", r.dir === "rtl" ? `<w:rtl/><w:lang w:bidi="${escapeXML(bidiLang)}"/>` : ""].join("");
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ""}<w:t xml:space="preserve">${escapeXML(r.text)}</w:t></w:r>`;
+  });
+  return `<w:p>${pPr}${runs.join("")}</w:p>`;
+}
+
+// Group ops into paragraphs. A newline inside an insert/delete makes the paragraph mark
+// itself a revision, so Word can accept/reject paragraph splits and joins too.
+// Each piece records its offset in the new text (deleted pieces have zero width).
+function opsToParagraphs(ops) {
+  const paras = [{ pieces: [], mark: null }];
+  let offset = 0;
+  // Coalesce adjacent ops of one type so each change is a single revision.
+  const merged = [];
+  for (const op of ops) {
+    const last = merged[merged.length - 1];
+    if (last && last.type === op.type) last.value += op.value;
+    else merged.push({ type: op.type, value: op.value });
+  }
+  for (const op of merged) {
+    op.value.split("\n").forEach((piece, k) => {
+      if (k > 0) {
+        paras[paras.length - 1].mark = op.type === "equal" ? null : op.type;
+        if (op.type !== "delete") offset += 1;
+        paras.push({ pieces: [], mark: null });
+      }
+      if (piece) {
+        paras[paras.length - 1].pieces.push({ type: op.type, text: piece, start: offset });
+        if (op.type !== "delete") offset += piece.length;
+      }
+    });
+  }
+  return paras;
+}
+
+// Build the .docx bytes. `ops` is a diffWords result (baseline → translation).
+// `includeSource`: "none" | "section" (appendix after a section break) | "comments"
+// (each aligned source sentence as a Word comment on its translation).
+// `notes`: review comments `{ start, end, text, author, date }` on the new text, added as
+// Word comments by their own authors. `bidiLang`: BCP-47 language of the RTL text.
+export function buildDocx({ ops, sourceText = "", author = "Translation Diff", date = new Date(), includeSource = "none", notes = [], bidiLang = DEFAULT_BIDI_LANG }) {
+  const revAttrs = (id) => `w:id="${id}" w:author="${escapeXML(author)}" w:date="${wordDate(date)}"`;
+
+  // Comment anchors, as [start, end) offsets in the new text.
+  const comments = [];
+  if (includeSource === "comments" && sourceText.trim()) {
+    const oldText = ops.filter(o => o.type !== "insert").map(o => o.old ?? o.value).join("");
+    const newText = ops.filter(o => o.type !== "delete").map(o => o.value).join("");
+    for (const row of buildSegmentTable(sourceText, oldText, newText)) {
+      if (row.gpt.merged || row.gpt.start < 0) continue;
+      comments.push({ id: comments.length, start: row.gpt.start, end: row.gpt.end, text: row.source, initials: "SRC" });
+    }
+  }
+  for (const n of notes) {
+    const by = n.author || author;
+    const initials = by.split(/\s+/).map(w => w[0] || "").join("").slice(0, 3).toUpperCase();
+    comments.push({ id: comments.length, start: n.start, end: n.end, text: n.text, author: by, date: n.date || date, initials });
+  }
+  // Annotation ids are unique across comments and revisions.
+  let revId = comments.length;
+  const startsAt = new Map(), endsAt = new Map();
+  for (const c of comments) {
+    (startsAt.get(c.start) || startsAt.set(c.start, []).get(c.start)).push(c.id);
+    (endsAt.get(c.end) || endsAt.set(c.end, []).get(c.end)).push(c.id);
+  }
+  const boundaries = [...new Set([...startsAt.keys(), ...endsAt.keys()])].sort((a, b) => a - b);
+  const emitted = new Set();
+  const markersAt = (offset) => {
+    if (emitted.has(offset)) return "";
+    emitted.add(offset);
+    let x = "";
+    for (const id of endsAt.get(offset) || []) x += `<w:commentRangeEnd w:id="${id}"/><w:r><w:commentReference w:id="${id}"/></w:r>`;
+    for (const id of startsAt.get(offset) || []) x += `<w:commentRangeStart w:id="${id}"/>`;
+    return x;
+  };
+
+  const body = [];
+  for (const para of opsToParagraphs(ops)) {
+    const newSide = para.pieces.filter(p => p.type !== "delete").map(p => p.text).join("");
+    const dir = detectDir(newSide || para.pieces.map(p => p.text).join(""));
+    const pPrParts = [];
+    if (dir === "rtl") pPrParts.push("<w:bidi/>");
+    if (para.mark) pPrParts.push(`<w:rPr><w:${para.mark === "insert" ? "ins" : "del"} ${revAttrs(revId++)}/></w:rPr>`);
+    let xml = pPrParts.length ? `<w:pPr>${pPrParts.join("")}</w:pPr>` : "";
+    for (const piece of para.pieces) {
+      // Split equal/insert pieces at comment boundaries so markers land between runs.
+      const cuts = [0];
+      if (piece.type !== "delete") {
+        for (const b of boundaries) if (b > piece.start && b < piece.start + piece.text.length) cuts.push(b - piece.start);
+      }
+      cuts.push(piece.text.length);
+      for (let k = 0; k < cuts.length - 1; k++) {
+        xml += markersAt(piece.start + cuts[k]);
+        const text = piece.text.slice(cuts[k], cuts[k + 1]);
+        const runs = splitDirectionalRuns(text, dir).map(r => runXML(r.text, r.dir, piece.type === "delete", bidiLang)).join("");
+        if (piece.type === "equal") xml += runs;
+        else if (piece.type === "insert") xml += `<w:ins ${revAttrs(revId++)}>${runs}</w:ins>`;
+        else xml += `<w:del ${revAttrs(revId++)}>${runs}</w:del>`;
+      }
+    }
+    const paraEnd = para.pieces.length ? para.pieces[para.pieces.length - 1] : null;
+    if (paraEnd && paraEnd.type !== "delete") xml += markersAt(paraEnd.start + paraEnd.text.length);
+    body.push(`<w:p>${xml}</w:p>`);
+  }
+  // Close any comment still open at the very end.
+  const leftover = boundaries.filter(b => !emitted.has(b)).map(markersAt).join("");
+  if (leftover) body.push(`<w:p>${leftover}</w:p>`);
+
+  if (includeSource === "section" && sourceText.trim()) {
+    body.push("<w:p><w:pPr><w:sectPr/></w:pPr></w:p>");
+    body.push(plainParagraphXML("Source Text", { bold: true, bidiLang }));
+    for (const line of sourceText.split("\n")) body.push(plainParagraphXML(line, { bidiLang }));
+  }
+
+  const documentXML = `${XML_DECL}<w:document xmlns:w="${W_NS}" xmlns:r="${R_NS}"><w:body>${body.join("")}<w:sectPr/></w:body></w:document>`;
+  // Keep tracking on so the recipient's own edits are recorded as revisions too.
+  const settingsXML = `${XML_DECL}<w:settings xmlns:w="${W_NS}"><w:trackRevisions/></w:settings>`;
+  const rels = [`<Relationship Id="rId1" Type="${R_NS}/settings" Target="settings.xml"/>`];
+  const overrides = [
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>',
+    '<Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>',
+  ];
+  const files = [];
+  if (comments.length) {
+    const commentXML = comments.map(c =>
+      `<w:comment w:id="${c.id}" w:author="${escapeXML(c.author || author)}" w:date="${wordDate(c.date || date)}" w:initials="${escapeXML(c.initials)}">${c.text.split("\n").map(line => plainParagraphXML(line, { bidiLang })).join("")}</w:comment>`
+    ).join("");
+    files.push({ name: "word/comments.xml", data: `${XML_DECL}<w:comments xmlns:w="${W_NS}">${commentXML}</w:comments>` });
+    rels.push(`<Relationship Id="rId2" Type="${R_NS}/comments" Target="comments.xml"/>`);
+    overrides.push('<Override PartName="/word/comments.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml"/>');
+  }
+
+  const PKG_REL = "http://schemas.openxmlformats.org/package/2006/relationships";
+  return createZip([
+    {
+      name: "[Content_Types].xml",
+      data: `${XML_DECL}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>${overrides.join("")}</Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      data: `${XML_DECL}<Relationships xmlns="${PKG_REL}"><Relationship Id="rId1" Type="${R_NS}/officeDocument" Target="word/document.xml"/></Relationships>`,
+    },
+    { name: "word/document.xml", data: documentXML },
+    { name: "word/settings.xml", data: settingsXML },
+    { name: "word/_rels/document.xml.rels", data: `${XML_DECL}<Relationships xmlns="${PKG_REL}">${rels.join("")}</Relationships>` },
+    ...files,
+  ], { date: new Date(date) });
+}
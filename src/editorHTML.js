@@ -0,0 +1,64 @@
+// HTML for the Track Changes editor: ops as <bdi> spans styled with Tailwind classes,
+// carrying the data-* attributes the editor reads back (type, hunk, move).
+// Kept free of React and the DOM, so it renders (and is tested) anywhere.
+
+// Moved text: struck through where it was, underlined where it went.
+export const MOVE_CLASS = {
+  from: "rounded-md bg-violet-50/80 px-0.5 text-violet-700 line-through decoration-violet-500/60",
+  to: "rounded-md bg-violet-100/80 px-0.5 text-violet-900 underline decoration-violet-600/60",
+};
+export const MOVE_TITLE = { from: "Moved from here", to: "Moved here" };
+
+export function escHTML(s) { return s.replace(/[&<>]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' }[c])); }
+// For attribute values: quotes too, so text such as comments cannot end the attribute.
+export function escAttr(s) { return s.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c])); }
+
+// Escape `value` (new-text offset `pos`) and wrap the parts inside `marks` ranges.
+// Marks are sorted by start; where two overlap, the earlier one wins.
+const MARK_ATTRS = {
+  glossary: 'data-glossary="forbidden" class="rounded bg-amber-200/80 text-inherit ring-1 ring-amber-500"',
+  comment: 'data-comment class="bg-sky-100 text-inherit underline decoration-sky-500 decoration-dotted"',
+};
+function markedHTML(value, pos, marks) {
+  let out = '', at = 0;
+  for (const m of marks) {
+    const s = Math.max(m.start - pos, at), e = Math.min(m.end - pos, value.length);
+    if (e <= s) continue;
+    out += escHTML(value.slice(at, s));
+    out += `<mark ${MARK_ATTRS[m.kind || 'glossary']} title="${escAttr(m.title || '')}">${escHTML(value.slice(s, e))}</mark>`;
+    at = e;
+  }
+  return out + escHTML(value.slice(at));
+}
+
+// Accepted hunks render as plain text (their deletions disappear); the selected
+// hunk gets a ring so the reviewer can see what Accept/Reject will act on.
+// `marks` are [start, end) ranges of the new text to flag (glossary violations, comments).
+export function renderOpsToHTML(list, dirMode, hunks, accepted, selectedKey, marks = []) {
+  const dirAttr = dirMode && dirMode !== 'auto' ? ` dir="${dirMode}"` : '';
+  const hunkAt = new Map();
+  for (const h of hunks) for (let i = h.start; i <= h.end; i++) hunkAt.set(i, h);
+  let pos = 0;
+  return list.map((op, i) => {
+    let v;
+    if (op.type === 'delete') v = escHTML(op.value);
+    else { v = markedHTML(op.value, pos, marks); pos += op.value.length; }
+    if (op.type === 'equal') return `<bdi${dirAttr} data-type="equal">${v}</bdi>`;
+    const h = hunkAt.get(i);
+    const isAccepted = h && accepted.has(h.key);
+    const ring = h && h.key === selectedKey ? ' ring-2 ring-indigo-400' : '';
+    const hunkAttr = h ? ` data-hunk="${h.index}"` : '';
+    const moveAttr = op.move ? ` data-move="${op.moveId}" title="${MOVE_TITLE[op.move]}"` : '';
+    if (op.type === 'insert') {
+      if (isAccepted) return `<bdi${dirAttr} data-type="insert" data-accepted="true"${hunkAttr}>${v}</bdi>`;
+      const cls = op.move ? MOVE_CLASS.to : 'rounded-md bg-green-100/80 px-0.5 text-green-900 underline decoration-green-700/50';
+      return `<bdi${dirAttr} data-type="insert"${hunkAttr}${moveAttr} class="${cls} cursor-pointer${ring}">${v}</bdi>`;
+    }
+    if (op.type === 'delete') {
+      if (isAccepted) return '';
+      const cls = op.move ? MOVE_CLASS.from : 'rounded-md bg-rose-50/80 px-0.5 text-rose-800 line-through decoration-rose-700/60';
+      return `<bdi${dirAttr} data-type="delete"${hunkAttr}${moveAttr} contenteditable="false" class="${cls} select-text cursor-pointer${ring}">${v}</bdi>`;
+    }
+    return '';
+  }).join('');
+}
@@ -0,0 +1,170 @@
+// XLIFF 2.0 / 1.2 and TMX 1.4 export of reviewed translations for CAT tools.
+// One unit per segment: the source, the final edited translation as target, and the
+// automated baseline (1.2 alt-trans, 2.0 note), plus any review comments on the target as
+// notes. Inline markup in the text (HTML/XML-like
+// tags) is written as protected placeholders holding the original code, so it survives
+// the CAT tool and comes back unchanged on import.
+import { buildSegmentTable } from "./segment.js";
+import { escapeXML } from "./xml.js";
+
+export const CAT_FORMATS = [
+  { id: "xliff2", label: "XLIFF 2.0", ext: "xlf", mime: "application/xliff+xml" },
+  { id: "xliff12", label: "XLIFF 1.2", ext: "xlf", mime: "application/xliff+xml" },
+  { id: "tmx", label: "TMX 1.4", ext: "tmx", mime: "application/x-tmx+xml" },
+];
+
+// --- Segments ------------------------------------------------------------------
+// Split a text the way an imported file was joined, so units can keep their ids.
+function splitLike(format, text) {
+  if (format === "srt" || format === "vtt") return text.split(/\n[ \t]*\n+/);
+  if (format === "text") return text.split("\n").filter(l => l.trim());
+  return text.split("\n");
+}
+
+// Pairs `{ id, source, target, baseline, notes }` to export. An imported file keeps its unit
+// ids while the translation still has one line/cue per segment; otherwise segments come
+// from sentence alignment. `notes` are `{ start, end, text }` on gptText; each goes to the
+// pairs whose target it touches.
+export function buildPairs({ sourceText, autoText, gptText, sourceDoc = null, notes = [] }) {
+  const notesIn = (start, end) => notes.filter(n => (n.start < end && n.end > start) || (n.start === n.end && n.start >= start && n.start <= end)).map(n => n.text);
+  if (sourceDoc && sourceDoc.segments.length) {
+    const n = sourceDoc.segments.length;
+    const targets = splitLike(sourceDoc.format, gptText);
+    const baselines = splitLike(sourceDoc.format, autoText);
+    if (targets.length === n) {
+      let pos = 0;
+      return sourceDoc.segments.map((s, i) => {
+        const start = Math.max(pos, gptText.indexOf(targets[i], pos));
+        pos = start + targets[i].length;
+        return {
+          id: s.id,
+          source: s.text,
+          target: targets[i],
+          baseline: baselines.length === n ? baselines[i] : "",
+          notes: notesIn(start, pos),
+        };
+      });
+    }
+  }
+  return buildSegmentTable(sourceText, autoText, gptText)
+    .filter(r => !r.gpt.merged)
+    .map(r => ({ id: String(r.index + 1), source: r.source || r.auto.text, target: r.gpt.text, baseline: r.source ? r.auto.text : "", notes: r.gpt.start < 0 ? [] : notesIn(r.gpt.start, r.gpt.end) }));
+}
+
+// --- Inline markup ---------------------------------------------------------------
+const TAG_RE = /<\/?[A-Za-z][\w:.-]*(?:\s[^<>]*)?\/?>/g;
+
+// Split text into `{ text }` and `{ code }` pieces.
+function inlinePieces(text) {
+  const out = [];
+  let pos = 0, m;
+  TAG_RE.lastIndex = 0;
+  while ((m = TAG_RE.exec(text))) {
+    if (m.index > pos) out.push({ text: text.slice(pos, m.index) });
+    out.push({ code: m[0] });
+    pos = m.index + m[0].length;
+  }
+  if (pos < text.length) out.push({ text: text.slice(pos) });
+  return out;
+}
+
+// Per-unit registry of inline codes: the same code in source and target shares an id.
+function codeIds() {
+  const ids = new Map();
+  return (code) => { if (!ids.has(code)) ids.set(code, ids.size + 1); return ids.get(code); };
+}
+
+// 1.2 / TMX: the native code is the element's content.
+function inlineNative(text, idOf, tag, idAttr) {
+  return inlinePieces(text).map(p => (p.code != null
+    ? `<${tag} ${idAttr}="${idOf(p.code)}">${escapeXML(p.code)}</${tag}>`
+    : escapeXML(p.text))).join("");
+}
+
+// --- Writers -------------------------------------------------------------------
+const DECL = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+export function buildXLIFF2(pairs, { sourceLang, targetLang, original = "translation-diff" }) {
+  const units = pairs.map(p => {
+    // Placeholder ids are unique per occurrence: the n-th <b> of the target shares the
+    // id of the n-th <b> of the source. Each distinct code is stored once as data.
+    const idOf = codeIds(), phIds = codeIds();
+    const inline = (text) => {
+      const seen = new Map();
+      return inlinePieces(text).map(x => {
+        if (x.code == null) return escapeXML(x.text);
+        const n = (seen.get(x.code) || 0) + 1;
+        seen.set(x.code, n);
+        return `<ph id="${phIds(`${n}:${x.code}`)}" dataRef="d${idOf(x.code)}"/>`;
+      }).join("");
+    };
+    const source = inline(p.source), target = inline(p.target);
+    const data = [...new Set([...inlinePieces(p.source), ...inlinePieces(p.target)].filter(x => x.code != null).map(x => x.code))]
+      .map(code => `<data id="d${idOf(code)}">${escapeXML(code)}</data>`).join("");
+    const notes = [
+      p.baseline ? `<note category="baseline">${escapeXML(p.baseline)}</note>` : "",
+      ...(p.notes || []).map(n => `<note category="comment">${escapeXML(n)}</note>`),
+    ].join("");
+    return [
+      `    <unit id="${escapeXML(p.id)}">`,
+      notes ? `      <notes>${notes}</notes>` : null,
+      data ? `      <originalData>${data}</originalData>` : null,
+      `      <segment state="reviewed"><source>${source}</source><target>${target}</target></segment>`,
+      "    </unit>",
+    ].filter(Boolean).join("\n");
+  });
+  return `${DECL}<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${escapeXML(sourceLang)}" trgLang="${escapeXML(targetLang)}">
+  <file id="f1" original="${escapeXML(original)}">
+${units.join("\n")}
+  </file>
+</xliff>
+`;
+}
+
+export function buildXLIFF12(pairs, { sourceLang, targetLang, original = "translation-diff" }) {
+  const units = pairs.map(p => {
+    const idOf = codeIds();
+    const altTrans = p.baseline
+      ? `\n        <alt-trans origin="automated"><target xml:lang="${escapeXML(targetLang)}">${inlineNative(p.baseline, idOf, "ph", "id")}</target></alt-trans>`
+      : "";
+    const notes = (p.notes || []).map(n => `\n        <note from="reviewer">${escapeXML(n)}</note>`).join("");
+    return `      <trans-unit id="${escapeXML(p.id)}" approved="yes">
+        <source>${inlineNative(p.source, idOf, "ph", "id")}</source>
+        <target state="translated">${inlineNative(p.target, idOf, "ph", "id")}</target>${notes}${altTrans}
+      </trans-unit>`;
+  });
+  return `${DECL}<xliff xmlns="urn:oasis:names:tc:xliff:document:1.2" version="1.2">
+  <file original="${escapeXML(original)}" datatype="plaintext" source-language="${escapeXML(sourceLang)}" target-language="${escapeXML(targetLang)}">
+    <body>
+${units.join("\n")}
+    </body>
+  </file>
+</xliff>
+`;
+}
+
+// Approved pairs only: units with both a source and a target.
+export function buildTMX(pairs, { sourceLang, targetLang, date = new Date() }) {
+  const stamp = new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const tus = pairs.filter(p => p.source.trim() && p.target.trim()).map(p => {
+    const idOf = codeIds();
+    const notes = (p.notes || []).map(n => `\n      <note>${escapeXML(n)}</note>`).join("");
+    return `    <tu tuid="${escapeXML(p.id)}" creationdate="${stamp}">${notes}
+      <tuv xml:lang="${escapeXML(sourceLang)}"><seg>${inlineNative(p.source, idOf, "ph", "x")}</seg></tuv>
+      <tuv xml:lang="${escapeXML(targetLang)}"><seg>${inlineNative(p.target, idOf, "ph", "x")}</seg></tuv>
+    </tu>`;
+  });
+  return `${DECL}<tmx version="1.4">
+  <header creationtool="Translation Diff Studio" creationtoolversion="1.0" segtype="sentence" o-tmf="plaintext" adminlang="en" srclang="${escapeXML(sourceLang)}" datatype="plaintext"/>
+  <body>
+${tus.join("\n")}
+  </body>
+</tmx>
+`;
+}
+
+export function buildCatFile(format, pairs, opts) {
+  if (format === "xliff12") return buildXLIFF12(pairs, opts);
+  if (format === "tmx") return buildTMX(pairs, opts);
+  return buildXLIFF2(pairs, opts);
+}
@@ -0,0 +1,193 @@
+// House terminology: entries `{ id, source, target, forbidden: [], notes }`.
+// Matching is whole-word and case-insensitive; Hebrew terms also match behind up to
+// three clitic prefixes (ו ה ב כ ל מ ש), so "והתורה" matches the entry for "תורה".
+// Used to inject relevant entries into translation prompts, to check the translation,
+// and to mark forbidden variants in the Track Changes view.
+import { isHebrewCodePoint } from "./bidi.js";
+import { childElements, escapeXML, findAll, localName, parseXML, textContent } from "./xml.js";
+
+const HEBREW_PREFIXES = "והבכלמש";
+const BOUNDARY = "[\\p{L}\\p{M}\\p{N}]";
+
+let nextId = 0;
+export function newEntry({ source = "", target = "", forbidden = [], notes = "" } = {}) {
+  return { id: `g${Date.now().toString(36)}${(nextId++).toString(36)}`, source, target, forbidden, notes };
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const regexCache = new Map();
+function termRegex(term) {
+  let re = regexCache.get(term);
+  if (!re) {
+    // Words may be separated by any whitespace or a maqaf.
+    const body = term.trim().split(/\s+/).map(escapeRegExp).join("[\\s\\u05BE-]+");
+    const prefix = isHebrewCodePoint(term.trim().codePointAt(0)) ? `[${HEBREW_PREFIXES}]{0,3}` : "";
+    re = new RegExp(`(?<!${BOUNDARY})${prefix}${body}(?!${BOUNDARY})`, "giu");
+    regexCache.set(term, re);
+  }
+  re.lastIndex = 0;
+  return re;
+}
+
+// Occurrences of `term` in `text` as [start, end) ranges (prefixes included).
+export function findTerm(text, term) {
+  if (!text || !term || !term.trim()) return [];
+  return [...text.matchAll(termRegex(term))].map(m => ({ start: m.index, end: m.index + m[0].length }));
+}
+
+// Entries whose source term occurs in `text`.
+export function relevantEntries(entries, text) {
+  return entries.filter(e => e.source.trim() && findTerm(text, e.source).length);
+}
+
+// Prompt block listing the entries; empty when there are none.
+export function glossaryPrompt(entries) {
+  if (!entries.length) return "";
+  const lines = entries.map(e => {
+    let line = `- ${e.source} → ${e.target || "(keep as is)"}`;
+    if (e.forbidden.length) line += ` (never: ${e.forbidden.join("; ")})`;
+    if (e.notes) line += ` — ${e.notes}`;
+    return line;
+  });
+  return `GLOSSARY (required renderings):\n${lines.join("\n")}`;
+}
+
+// Forbidden variants present in `text`, as ranges for highlighting.
+export function forbiddenRanges(entries, text) {
+  const out = [];
+  for (const e of entries) for (const variant of e.forbidden) {
+    for (const r of findTerm(text, variant)) out.push({ ...r, entry: e, variant });
+  }
+  return out.sort((a, b) => a.start - b.start);
+}
+
+// Check a translation: `missing` when a source term occurs more often than its required
+// rendering does in the translation, `forbidden` for every forbidden variant found.
+export function checkGlossary(entries, sourceText, translation) {
+  const issues = [];
+  for (const e of entries) {
+    if (!e.source.trim() || !e.target.trim()) continue;
+    const expected = findTerm(sourceText, e.source).length;
+    if (!expected) continue;
+    const found = findTerm(translation, e.target).length;
+    if (found < expected) issues.push({ type: "missing", entry: e, expected, found });
+  }
+  for (const r of forbiddenRanges(entries, translation)) issues.push({ type: "forbidden", ...r });
+  return issues;
+}
+
+// Imported entries replace existing ones with the same source term; the rest are appended.
+export function mergeGlossary(existing, incoming) {
+  const key = (e) => e.source.trim().toLowerCase();
+  const byKey = new Map(incoming.map(e => [key(e), e]));
+  const merged = existing.map(e => (byKey.has(key(e)) ? { ...byKey.get(key(e)), id: e.id } : e));
+  const seen = new Set(existing.map(key));
+  return [...merged, ...incoming.filter(e => !seen.has(key(e)))];
+}
+
+// --- CSV -------------------------------------------------------------------------
+// Columns: source, target, forbidden (separated by "|" or ";"), notes. A header row is
+// optional; when present, columns are matched by name.
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+const splitVariants = (s) => (s || "").split(/[|;]/).map(v => v.trim()).filter(Boolean);
+
+export function parseGlossaryCSV(text) {
+  const rows = parseCSVRows(text.replace(/^\uFEFF/, ""));
+  if (!rows.length) return [];
+  const head = rows[0].map(h => h.trim().toLowerCase());
+  let cols = { source: 0, target: 1, forbidden: 2, notes: 3 };
+  if (head.includes("source")) {
+    cols = Object.fromEntries(Object.keys(cols).map(k => [k, head.indexOf(k)]));
+    rows.shift();
+  }
+  const at = (r, k) => (cols[k] >= 0 ? (r[cols[k]] || "").trim() : "");
+  return rows.filter(r => at(r, "source")).map(r => newEntry({
+    source: at(r, "source"), target: at(r, "target"), forbidden: splitVariants(at(r, "forbidden")), notes: at(r, "notes"),
+  }));
+}
+
+const csvField = (s) => (/[",\n\r]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+
+// UTF-8 with BOM so spreadsheet apps open Hebrew correctly.
+export function glossaryToCSV(entries) {
+  const rows = [["source", "target", "forbidden", "notes"], ...entries.map(e => [e.source, e.target, e.forbidden.join("|"), e.notes])];
+  return "\uFEFF" + rows.map(r => r.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+// --- TBX -------------------------------------------------------------------------
+// TBX-Basic (ISO 30042:2019 DCA). Forbidden variants are deprecated target terms.
+export function glossaryToTBX(entries, { sourceLang = "he", targetLang = "en" } = {}) {
+  const term = (t, status) => `<termSec><term>${escapeXML(t)}</term><termNote type="administrativeStatus">${status}</termNote></termSec>`;
+  const concepts = entries.map((e, i) => [
+    `    <conceptEntry id="c${i + 1}">`,
+    e.notes ? `      <note>${escapeXML(e.notes)}</note>` : null,
+    `      <langSec xml:lang="${escapeXML(sourceLang)}">${term(e.source, "preferredTerm-admn-sts")}</langSec>`,
+    `      <langSec xml:lang="${escapeXML(targetLang)}">${[
+      e.target ? term(e.target, "preferredTerm-admn-sts") : "",
+      ...e.forbidden.map(v => term(v, "deprecatedTerm-admn-sts")),
+    ].join("")}</langSec>`,
+    "    </conceptEntry>",
+  ].filter(Boolean).join("\n"));
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tbx type="TBX-Basic" style="dca" xml:lang="en" xmlns="urn:iso:std:iso:30042:ed-2">
+  <tbxHeader><fileDesc><sourceDesc><p>Translation Diff Studio glossary</p></sourceDesc></fileDesc></tbxHeader>
+  <text><body>
+${concepts.join("\n")}
+  </body></text>
+</tbx>
+`;
+}
+
+const FORBIDDEN_STATUS = /deprecated|superseded|notRecommended|forbidden/i;
+
+// Reads TBX v3 (conceptEntry/langSec/termSec) and TBX 2008 / martif (termEntry/langSet/tig).
+// The source language is `sourceLang` when given, else the first language of each entry.
+export function parseTBX(xmlText, { sourceLang } = {}) {
+  const root = parseXML(xmlText);
+  if (!["tbx", "martif"].includes(localName(root))) throw new Error("Not a TBX file.");
+  const entries = [];
+  for (const concept of findAll(root, "conceptEntry").concat(findAll(root, "termEntry"))) {
+    const langs = childElements(concept).filter(el => ["langSec", "langSet"].includes(localName(el)));
+    if (!langs.length) continue;
+    const lang = (el) => (el.attrs["xml:lang"] || el.attrs.lang || "").toLowerCase();
+    const src = langs.find(l => sourceLang && lang(l).startsWith(sourceLang.toLowerCase())) || langs[0];
+    const tgt = langs.find(l => l !== src);
+    const terms = (langEl) => findAll(langEl, "term").map(t => {
+      const holder = childElements(langEl).find(c => findAll(c, "term").includes(t)) || langEl;
+      const status = findAll(holder, "termNote").find(n => n.attrs.type === "administrativeStatus");
+      return { text: textContent(t).trim(), forbidden: !!status && FORBIDDEN_STATUS.test(textContent(status)) };
+    });
+    const srcTerm = terms(src).find(t => !t.forbidden);
+    if (!srcTerm) continue;
+    const tgtTerms = tgt ? terms(tgt) : [];
+    const notes = [...findAll(concept, "note"), ...findAll(concept, "descrip").filter(d => d.attrs.type === "definition")]
+      .map(n => textContent(n).trim()).filter(Boolean).join(" ");
+    entries.push(newEntry({
+      source: srcTerm.text,
+      target: tgtTerms.find(t => !t.forbidden)?.text || "",
+      forbidden: tgtTerms.filter(t => t.forbidden).map(t => t.text),
+      notes,
+    }));
+  }
+  return entries;
+}
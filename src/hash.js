@@ -0,0 +1,12 @@
+// Short, stable fingerprints of texts (djb2), for ids and for telling whether something
+// stored still belongs to the text it was made from. Not for security.
+export function djb2(text) {
+  let h = 5381;
+  for (let i = 0; i < text.length; i++) h = ((h * 33) ^ text.charCodeAt(i)) >>> 0;
+  return h;
+}
+
+// Length and hash in base 36 ("2s-1x3f9a"), so texts of different lengths never collide.
+export function textHash(text) {
+  return `${text.length.toString(36)}-${djb2(text).toString(36)}`;
+}
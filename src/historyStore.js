@@ -0,0 +1,109 @@
+// History persisted in IndexedDB: one record per entry, keyed by `id`, no size cap.
+// Entries are `{ id, date, kind, sourceText, autoText, gptText, …, title, tags, starred,
+// updated }`. Also: migration from the old localStorage key, full-text search, and
+// JSON backup/restore merged by id.
+import { STORES, objectStore, openDatabase } from "./db.js";
+
+export const BACKUP_KIND = "tds-history-backup";
+
+// Open the store. Rejects when IndexedDB is unavailable (some private modes).
+export async function openHistoryStore(idb) {
+  const db = await openDatabase(idb);
+  const store = objectStore(db, STORES.history);
+  return {
+    ...store,
+    // All entries, newest first.
+    all: async () => sortHistory(await store.all()),
+    close: () => db.close(),
+  };
+}
+
+// Move entries from the old localStorage key into the store, then drop the key.
+// The key is only removed once the entries are committed. Returns the number moved.
+export async function migrateLocalHistory(store, key, storage = globalThis.localStorage) {
+  const raw = storage.getItem(key);
+  if (!raw) return 0;
+  let entries;
+  try { entries = JSON.parse(raw); } catch { return 0; }
+  if (!Array.isArray(entries)) return 0;
+  const valid = entries.filter(isEntry);
+  await store.putMany(valid);
+  storage.removeItem(key);
+  return valid.length;
+}
+
+const isEntry = (e) => !!e && typeof e === "object" && typeof e.id === "string" && typeof e.date === "string";
+const stamp = (e) => e.updated || e.date;
+
+export function sortHistory(entries) {
+  return entries.slice().sort((a, b) => String(b.date).localeCompare(String(a.date)));
+}
+
+// --- Search ----------------------------------------------------------------------
+// Case-insensitive, ignoring accents and Hebrew points, so "בראשית" finds "בְּרֵאשִׁית".
+export function normalizeForSearch(text) {
+  return String(text || "").normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+const haystacks = new WeakMap();
+function haystack(e) {
+  let h = haystacks.get(e);
+  if (h == null) {
+    h = normalizeForSearch([e.title, (e.tags || []).join(" "), e.sourceText, e.autoText, e.gptText].join("\n"));
+    haystacks.set(e, h);
+  }
+  return h;
+}
+
+// Entries matching every term of `query`. `#tag` terms match tags exactly; other terms
+// match anywhere in the title, tags, source and both translations.
+export function searchHistory(entries, query, { starred = false } = {}) {
+  const terms = normalizeForSearch(query).split(/\s+/).filter(Boolean);
+  const tags = terms.filter(t => t.startsWith("#") && t.length > 1).map(t => t.slice(1));
+  const words = terms.filter(t => !t.startsWith("#"));
+  return entries.filter(e => {
+    if (starred && !e.starred) return false;
+    if (tags.length) {
+      const own = new Set((e.tags || []).map(normalizeForSearch));
+      if (!tags.every(t => own.has(t))) return false;
+    }
+    if (!words.length) return true;
+    const h = haystack(e);
+    return words.every(w => h.includes(w));
+  });
+}
+
+// "a, b ,, c" → ["a", "b", "c"], without duplicates.
+export function parseTags(text) {
+  return [...new Set(String(text || "").split(/[,\n]/).map(t => t.trim().replace(/^#/, "")).filter(Boolean))];
+}
+
+// --- Backup ----------------------------------------------------------------------
+export function historyBackup(entries, { date = new Date() } = {}) {
+  return JSON.stringify({ kind: BACKUP_KIND, version: 1, exported: new Date(date).toISOString(), entries }, null, 2);
+}
+
+// Entries from a backup file; a bare array of entries (the old localStorage value) also works.
+export function parseHistoryBackup(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error("Not a history backup: the file is not JSON."); }
+  const entries = Array.isArray(data) ? data : data && data.kind === BACKUP_KIND ? data.entries : null;
+  if (!Array.isArray(entries)) throw new Error("Not a history backup.");
+  return entries.filter(isEntry);
+}
+
+// Merge restored entries by id; when both sides have an entry, the more recently
+// edited one wins. `changed` lists the incoming entries that need writing.
+export function mergeHistory(existing, incoming) {
+  const byId = new Map(existing.map(e => [e.id, e]));
+  const changed = [];
+  let added = 0;
+  for (const e of incoming) {
+    const cur = byId.get(e.id);
+    if (cur && String(stamp(cur)) >= String(stamp(e))) continue;
+    if (!cur) added++;
+    byId.set(e.id, e);
+    changed.push(e);
+  }
+  return { entries: sortHistory([...byId.values()]), changed, added, updated: changed.length - added };
+}
@@ -0,0 +1,248 @@
+// File import for the Source and Automated cards: DOCX paragraphs, SRT/WebVTT cues,
+// XLIFF 1.2/2.0 and TMX source/target pairs and plain text (UTF-8/16 or legacy Windows-1255).
+// Every importer returns the same shape, keeping segment boundaries so an export can
+// later write the edited translation back into the original structure:
+//   { format, name, encoding?, sourceLang?, targetLang?, text, targetText?,
+//     segments: [{ id, text, start, end, target?, targetStart?, targetEnd?, cue?, meta? }] }
+// `start`/`end` are offsets of the segment in `text` (and `targetStart`/`targetEnd` in
+// `targetText`).
+import { childElements, findAll, localName, parseXML, textContent } from "./xml.js";
+import { readZip } from "./zip.js";
+
+export const IMPORT_ACCEPT = ".docx,.srt,.vtt,.xlf,.xliff,.tmx,.txt,.text,.md";
+
+// --- Encoding ----------------------------------------------------------------
+const isAsciiLetter = (b) => (b >= 0x41 && b <= 0x5A) || (b >= 0x61 && b <= 0x7A);
+
+// Decode bytes to text. BOMs win; then strict UTF-8; otherwise a legacy code page.
+// Windows-1255 puts Hebrew letters at 0xE0–0xFA, where Windows-1252 has accented Latin
+// letters. Accented Latin sits next to ASCII letters ("café"), Hebrew does not.
+export function decodeText(bytes) {
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { text: new TextDecoder("utf-16le").decode(bytes), encoding: "utf-16le" };
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { text: new TextDecoder("utf-16be").decode(bytes), encoding: "utf-16be" };
+  try {
+    return { text: new TextDecoder("utf-8", { fatal: true }).decode(bytes), encoding: "utf-8" };
+  } catch { /* not UTF-8: fall through to a legacy code page */ }
+  let hebrew = 0, latin = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    const b = bytes[i];
+    if (b < 0xE0 || b > 0xFA) continue;
+    if (isAsciiLetter(bytes[i - 1]) || isAsciiLetter(bytes[i + 1])) latin++; else hebrew++;
+  }
+  const encoding = hebrew >= latin ? "windows-1255" : "windows-1252";
+  return { text: new TextDecoder(encoding).decode(bytes), encoding };
+}
+
+// Join segment texts with `sep`, recording each one's [start, end) offsets.
+function joinSegments(segments, sep, key = "text", startKey = "start", endKey = "end") {
+  let text = "";
+  segments.forEach((s, i) => {
+    if (i) text += sep;
+    s[startKey] = text.length;
+    text += s[key];
+    s[endKey] = text.length;
+  });
+  return text;
+}
+
+// --- Plain text ----------------------------------------------------------------
+// Each non-empty line is a segment; the text itself is kept verbatim.
+export function parsePlainText(text) {
+  const segments = [];
+  const re = /[^\n]+/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const line = m[0].replace(/\r$/, "");
+    if (line.trim()) segments.push({ id: String(segments.length + 1), text: line, start: m.index, end: m.index + line.length });
+  }
+  return { format: "text", text, segments };
+}
+
+// --- Subtitles -----------------------------------------------------------------
+const TIMING_RE = /^\s*(\S+)\s+-->\s+(\S+)(.*)$/;
+
+function parseCues(text, { vtt }) {
+  const blocks = text.replace(/\r\n?/g, "\n").split(/\n[ \t]*\n+/);
+  const segments = [];
+  for (const block of blocks) {
+    const lines = block.replace(/^\n+|\n+$/g, "").split("\n");
+    if (!lines[0].trim()) continue;
+    if (vtt && /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+    const t = lines.findIndex(l => TIMING_RE.test(l));
+    if (t < 0 || t > 1) continue; // not a cue
+    const [, from, to, settings] = TIMING_RE.exec(lines[t]);
+    const id = t === 1 ? lines[0].trim() : "";
+    segments.push({
+      id: id || String(segments.length + 1),
+      text: lines.slice(t + 1).join("\n"),
+      cue: { id, from, to, settings: settings.trim() },
+    });
+  }
+  return segments;
+}
+
+// Cues are separated by a blank line in `text`; multi-line cues keep their line breaks.
+export function parseSRT(text) {
+  const segments = parseCues(text, { vtt: false });
+  return { format: "srt", text: joinSegments(segments, "\n\n"), segments };
+}
+
+export function parseVTT(text) {
+  if (!/^\uFEFF?WEBVTT/.test(text)) throw new Error("Not a WebVTT file (missing WEBVTT header).");
+  const segments = parseCues(text, { vtt: true });
+  return { format: "vtt", text: joinSegments(segments, "\n\n"), segments };
+}
+
+// --- XLIFF ---------------------------------------------------------------------
+// Inline text of <source>/<target>: markup such as <g>, <pc>, <mrk> keeps its text;
+// placeholders become their original code (1.2/TMX element content, 2.0 originalData)
+// or nothing when there is none (<x/>).
+function inlineText(el, data) {
+  return el.children.map(c => {
+    if (typeof c === "string") return c;
+    if (data && c.attrs.dataRef && data.has(c.attrs.dataRef)) return data.get(c.attrs.dataRef);
+    return inlineText(c, data);
+  }).join("");
+}
+
+function firstChild(el, name) { return childElements(el, name)[0] || null; }
+
+export function parseXLIFF(xmlText) {
+  const root = parseXML(xmlText);
+  if (localName(root) !== "xliff") throw new Error("Not an XLIFF file.");
+  const version = root.attrs.version || "1.2";
+  const segments = [];
+  let sourceLang = "", targetLang = "";
+  if (version.startsWith("2")) {
+    sourceLang = root.attrs.srcLang || "";
+    targetLang = root.attrs.trgLang || "";
+    for (const unit of findAll(root, "unit")) {
+      const data = new Map(findAll(unit, "data").map(d => [d.attrs.id, textContent(d)]));
+      const baseline = findAll(unit, "note").find(n => n.attrs.category === "baseline");
+      const segs = childElements(unit, "segment");
+      segs.forEach((seg, k) => {
+        const src = firstChild(seg, "source"), tgt = firstChild(seg, "target");
+        segments.push({
+          id: segs.length > 1 ? `${unit.attrs.id}/${seg.attrs.id || k + 1}` : unit.attrs.id,
+          text: src ? inlineText(src, data) : "",
+          target: tgt ? inlineText(tgt, data) : null,
+          meta: {
+            unit: unit.attrs.id, segment: seg.attrs.id || null, state: seg.attrs.state || null,
+            baseline: baseline && segs.length === 1 ? textContent(baseline) : null,
+          },
+        });
+      });
+    }
+  } else {
+    const file = findAll(root, "file")[0];
+    sourceLang = file?.attrs["source-language"] || "";
+    targetLang = file?.attrs["target-language"] || "";
+    for (const tu of findAll(root, "trans-unit")) {
+      const src = firstChild(tu, "source"), tgt = firstChild(tu, "target");
+      const alt = childElements(tu, "alt-trans").find(a => a.attrs.origin === "automated") || null;
+      const altTarget = alt && firstChild(alt, "target");
+      segments.push({
+        id: tu.attrs.id,
+        text: src ? inlineText(src) : "",
+        target: tgt ? inlineText(tgt) : null,
+        meta: { state: tgt?.attrs.state || null, approved: tu.attrs.approved === "yes", baseline: altTarget ? inlineText(altTarget) : null },
+      });
+    }
+  }
+  return { format: "xliff", version, sourceLang, targetLang, ...joinBilingual(segments), segments };
+}
+
+// Source and target texts, one segment per line.
+function joinBilingual(segments) {
+  const text = joinSegments(segments, "\n");
+  let targetText = null;
+  if (segments.some(s => s.target != null)) {
+    // Untranslated units keep their line so targets stay aligned with sources.
+    for (const s of segments) if (s.target == null) s.target = "";
+    targetText = joinSegments(segments, "\n", "target", "targetStart", "targetEnd");
+  }
+  return { text, targetText };
+}
+
+// --- TMX -----------------------------------------------------------------------
+// Source is the <tuv> in the header's srclang; the target is the first other language.
+export function parseTMX(xmlText) {
+  const root = parseXML(xmlText);
+  if (localName(root) !== "tmx") throw new Error("Not a TMX file.");
+  const header = findAll(root, "header")[0];
+  const langOf = (tuv) => tuv.attrs["xml:lang"] || tuv.attrs.lang || "";
+  const tus = findAll(root, "tu");
+  let sourceLang = header?.attrs.srclang || "";
+  if (!sourceLang || sourceLang === "*all*") sourceLang = tus.length ? langOf(childElements(tus[0], "tuv")[0] || { attrs: {} }) : "";
+  let targetLang = "";
+  const segments = tus.map((tu, i) => {
+    const tuvs = childElements(tu, "tuv");
+    const src = tuvs.find(t => langOf(t).toLowerCase() === sourceLang.toLowerCase());
+    const tgt = tuvs.find(t => t !== src);
+    if (tgt && !targetLang) targetLang = langOf(tgt);
+    const seg = (tuv) => (tuv && firstChild(tuv, "seg") ? inlineText(firstChild(tuv, "seg")) : null);
+    return { id: tu.attrs.tuid || String(i + 1), text: seg(src) ?? "", target: seg(tgt), meta: {} };
+  });
+  return { format: "tmx", sourceLang, targetLang, ...joinBilingual(segments), segments };
+}
+
+// --- DOCX ----------------------------------------------------------------------
+// Paragraph text as Word shows it with all changes accepted: inserted runs are kept,
+// deleted and moved-from runs, field instructions and comment marks are skipped.
+const DOCX_SKIP = new Set(["del", "moveFrom", "instrText", "delInstrText", "commentReference", "footnoteReference", "endnoteReference", "pPr", "rPr"]);
+
+function paragraphText(el) {
+  let out = "";
+  for (const c of el.children) {
+    if (typeof c === "string") continue;
+    const name = localName(c);
+    if (DOCX_SKIP.has(name)) continue;
+    if (name === "t") out += c.children.filter(x => typeof x === "string").join("");
+    else if (name === "tab") out += "\t";
+    else if (name === "br" || name === "cr") out += "\n";
+    else if (name !== "p") out += paragraphText(c); // nested paragraphs (text boxes) are their own segments
+  }
+  return out;
+}
+
+export async function parseDOCX(bytes) {
+  const files = await readZip(bytes);
+  const main = files.get("word/document.xml");
+  if (!main) throw new Error("Not a Word document (word/document.xml missing).");
+  const body = findAll(parseXML(new TextDecoder().decode(main)), "w:body")[0];
+  if (!body) throw new Error("Word document has no body.");
+  const segments = findAll(body, "w:p").map((p, i) => ({
+    id: p.attrs["w14:paraId"] || String(i + 1),
+    text: paragraphText(p),
+    meta: { paragraph: i },
+  }));
+  return { format: "docx", text: joinSegments(segments, "\n"), segments };
+}
+
+// --- Dispatch ------------------------------------------------------------------
+function detectFormat(name, bytes) {
+  const ext = (/\.([a-z0-9]+)$/i.exec(name || "") || [])[1]?.toLowerCase();
+  if (ext === "docx" || (bytes[0] === 0x50 && bytes[1] === 0x4B)) return "docx";
+  if (ext === "srt") return "srt";
+  if (ext === "vtt") return "vtt";
+  if (ext === "xlf" || ext === "xliff") return "xliff";
+  if (ext === "tmx") return "tmx";
+  return null; // sniff from the decoded text
+}
+
+// Import a file given its name and bytes (Uint8Array).
+export async function importFile(name, bytes) {
+  let format = detectFormat(name, bytes);
+  if (format === "docx") return { ...(await parseDOCX(bytes)), name };
+  const { text, encoding } = decodeText(bytes);
+  if (!format) {
+    const head = text.replace(/^\uFEFF/, "").trimStart();
+    if (head.startsWith("WEBVTT")) format = "vtt";
+    else if (/^(<\?xml[^>]*>\s*)?<xliff\b/.test(head)) format = "xliff";
+    else if (/^(<\?xml[^>]*>\s*)?<tmx\b/.test(head)) format = "tmx";
+    else if (/^\d+\s*\r?\n\s*\S+\s+-->\s+\S+/.test(head)) format = "srt";
+    else format = "text";
+  }
+  const parsers = { srt: parseSRT, vtt: parseVTT, xliff: parseXLIFF, tmx: parseTMX, text: parsePlainText };
+  return { ...parsers[format](text.replace(/^\uFEFF/, "")), name, encoding };
+}
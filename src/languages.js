@@ -0,0 +1,92 @@
+// Languages as BCP-47 codes ("ar", "pt-BR", "zh-Hant"): parsing what the pickers accept,
+// English names for prompts and labels, and guessing a text's language from its script.
+// Older settings and projects store English names ("Hebrew"); those are read as codes too.
+
+// Offered in the pickers; any other valid code can be typed in.
+export const COMMON_LANGUAGES = [
+  "en", "he", "ar", "fa", "yi", "ru", "uk", "de", "fr", "es", "it", "pt", "nl", "pl",
+  "tr", "el", "hi", "ur", "zh-Hans", "zh-Hant", "ja", "ko", "th", "vi", "id",
+];
+
+const DISPLAY_NAMES = typeof Intl !== "undefined" && Intl.DisplayNames
+  ? new Intl.DisplayNames(["en"], { type: "language", fallback: "none" })
+  : null;
+
+const ofCode = (code) => { try { return DISPLAY_NAMES?.of(code); } catch { return undefined; } };
+
+// English name → code, for the common languages and their base names ("Chinese").
+const NAME_CODES = new Map([["english", "en"], ["hebrew", "he"]]);
+for (const code of COMMON_LANGUAGES) {
+  for (const c of [code, code.split("-")[0]]) {
+    const name = ofCode(c);
+    if (name && !NAME_CODES.has(name.toLowerCase())) NAME_CODES.set(name.toLowerCase(), c);
+  }
+}
+
+// The canonical code for a language code or common English name; null when it is neither.
+// Primary subtags are two or three letters, so names such as "Hebrew" are never codes.
+export function parseLang(value) {
+  const s = String(value || "").trim().replace(/_/g, "-");
+  if (!s) return null;
+  const named = NAME_CODES.get(s.toLowerCase());
+  if (named) return named;
+  if (!/^[a-z]{2,3}(-|$)/i.test(s)) return null;
+  try { return Intl.getCanonicalLocales(s)[0]; } catch { return null; }
+}
+
+// BCP-47 code for a setting ("Hebrew" → "he", "pt_br" → "pt-BR"); anything else passes through.
+export function langCode(value) {
+  const key = String(value || "").trim();
+  return parseLang(key) || key.toLowerCase() || "und";
+}
+
+// English name of a code or setting, for prompts and labels ("ar" → "Arabic").
+export function languageName(value) {
+  const code = parseLang(value);
+  return (code && ofCode(code)) || String(value || "").trim() || code || "";
+}
+
+// Right-to-left scripts, as ISO 15924 codes.
+const RTL_SCRIPTS = new Set(["Arab", "Hebr", "Syrc", "Thaa", "Nkoo", "Adlm", "Rohg", "Mand", "Samr"]);
+
+// Whether a language is written right to left, from its (likely) script.
+export function isRtlLang(value) {
+  const code = parseLang(value);
+  if (!code) return false;
+  try { return RTL_SCRIPTS.has(new Intl.Locale(code).maximize().script); } catch { return false; }
+}
+
+// --- Guessing --------------------------------------------------------------------
+// The script with the most letters decides; letters only some languages of a script use
+// pick among them. Latin-script text is taken as English.
+const YIDDISH_RE = /[\u05F0-\u05F2\uFB1F\uFB2E\uFB2F]/; // װ ױ ײ ײַ אַ אָ
+const URDU_RE = /[\u0679\u0688\u0691\u06BA\u06BE\u06D2]/; // ٹ ڈ ڑ ں ھ ے
+const PERSIAN_RE = /[\u067E\u0686\u0698\u06AF\u06A9\u06CC]/; // پ چ ژ گ ک ی
+const UKRAINIAN_RE = /[іїєґІЇЄҐ]/;
+const KANA_RE = /[\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const SCRIPTS = [
+  { re: /\p{Script=Hebrew}/u, lang: (t) => (YIDDISH_RE.test(t) ? "yi" : "he") },
+  { re: /\p{Script=Arabic}/u, lang: (t) => (URDU_RE.test(t) ? "ur" : PERSIAN_RE.test(t) ? "fa" : "ar") },
+  { re: /\p{Script=Cyrillic}/u, lang: (t) => (UKRAINIAN_RE.test(t) ? "uk" : "ru") },
+  { re: /\p{Script=Greek}/u, lang: () => "el" },
+  { re: KANA_RE, lang: () => "ja" },
+  { re: /\p{Script=Han}/u, lang: (t) => (KANA_RE.test(t) ? "ja" : "zh") },
+  { re: /\p{Script=Hangul}/u, lang: () => "ko" },
+  { re: /\p{Script=Thai}/u, lang: () => "th" },
+  { re: /\p{Script=Devanagari}/u, lang: () => "hi" },
+  { re: /\p{Script=Latin}/u, lang: () => "en" },
+];
+const GUESS_SAMPLE = 4000;
+
+// Source language of a text without one declared, from its first GUESS_SAMPLE characters;
+// "en" when they hold no letters.
+export function guessLang(text) {
+  const sample = String(text || "").slice(0, GUESS_SAMPLE);
+  const counts = SCRIPTS.map(() => 0);
+  for (const ch of sample) {
+    const i = SCRIPTS.findIndex(s => s.re.test(ch));
+    if (i >= 0) counts[i]++;
+  }
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] ? SCRIPTS[best].lang(sample) : "en";
+}
@@ -0,0 +1,132 @@
+// Translation quality and post-editing metrics, computed from diff ops and texts:
+// TER-style edit rate, post-edit distance, chrF, BLEU and word-level op counts.
+// Scores are plain numbers; edit rates are fractions (0.25 = 25%), chrF/BLEU are 0–100.
+import { diffWords, groupHunks, tokenize } from "./diff.js";
+import { djb2 } from "./hash.js";
+
+const words = (text) => tokenize(text).filter(t => t.trim());
+
+// Words inserted, deleted, moved and unchanged in a diff (moved words once, at their new place).
+export function wordCounts(ops) {
+  const counts = { inserted: 0, deleted: 0, moved: 0, equal: 0 };
+  const key = { insert: "inserted", delete: "deleted", equal: "equal" };
+  for (const op of ops) {
+    if (op.move === "from") continue;
+    counts[op.move ? "moved" : key[op.type]] += words(op.value).length;
+  }
+  return counts;
+}
+
+// TER-style edit rate from word-level ops: each hunk costs max(deleted, inserted) words
+// (a replaced word is one substitution), divided by the length of the edited text.
+// A moved phrase is one shift, as in TER, whatever its length.
+export function editRate(ops) {
+  let edits = 0;
+  for (const h of groupHunks(ops)) {
+    if (h.move) edits += h.move === "to" ? 1 : 0;
+    else edits += Math.max(words(h.del).length, words(h.ins).length);
+  }
+  const ref = words(ops.filter(o => o.type !== "delete").map(o => o.value).join("")).length;
+  if (!ref) return edits ? 1 : 0;
+  return edits / ref;
+}
+
+function ngramCounts(items, n) {
+  const counts = new Map();
+  for (let i = 0; i + n <= items.length; i++) {
+    const g = items.slice(i, i + n).join("\u0001");
+    counts.set(g, (counts.get(g) || 0) + 1);
+  }
+  return counts;
+}
+
+function clippedMatches(hyp, ref) {
+  let m = 0;
+  for (const [g, c] of hyp) m += Math.min(c, ref.get(g) || 0);
+  return m;
+}
+
+// chrF (Popović 2015): character 1–6-gram F-score with recall weighted by beta = 2,
+// whitespace removed. Precision and recall are averaged over the orders both texts have.
+export function chrF(hypothesis, reference, { maxOrder = 6, beta = 2 } = {}) {
+  const h = [...(hypothesis || "").replace(/\s+/g, "")], r = [...(reference || "").replace(/\s+/g, "")];
+  if (!h.length && !r.length) return 100;
+  let p = 0, rc = 0, orders = 0;
+  for (let n = 1; n <= maxOrder; n++) {
+    const hc = ngramCounts(h, n), rcounts = ngramCounts(r, n);
+    const hTotal = Math.max(0, h.length - n + 1), rTotal = Math.max(0, r.length - n + 1);
+    if (!hTotal || !rTotal) continue;
+    const m = clippedMatches(hc, rcounts);
+    p += m / hTotal; rc += m / rTotal; orders++;
+  }
+  if (!orders) return 0;
+  p /= orders; rc /= orders;
+  if (!p && !rc) return 0;
+  const b2 = beta * beta;
+  return (100 * (1 + b2) * p * rc) / (b2 * p + rc);
+}
+
+// BLEU-4 over `tokenize` words, treating the text as one segment, with the brevity
+// penalty and exponential smoothing for orders without matches (as in sacreBLEU).
+export function bleu(hypothesis, reference, { maxOrder = 4 } = {}) {
+  const h = words(hypothesis), r = words(reference);
+  if (!h.length) return r.length ? 0 : 100;
+  let logSum = 0, orders = 0, smooth = 1;
+  for (let n = 1; n <= maxOrder; n++) {
+    const total = Math.max(0, h.length - n + 1);
+    if (!total) break;
+    const m = clippedMatches(ngramCounts(h, n), ngramCounts(r, n));
+    let p;
+    if (m) p = m / total;
+    else { smooth *= 2; p = 1 / (smooth * total); }
+    logSum += Math.log(p); orders++;
+  }
+  const bp = h.length < r.length ? Math.exp(1 - r.length / h.length) : 1;
+  return 100 * bp * Math.exp(logSum / orders);
+}
+
+// All metrics for a comparison. `ops` is the word-level baseline → translation diff;
+// `postEditOps` (optional) diffs the raw model output against the final text.
+export function computeMetrics({ ops, autoText, gptText, postEditOps = null }) {
+  return {
+    editRate: editRate(ops),
+    postEdit: postEditOps ? editRate(postEditOps) : null,
+    chrF: chrF(autoText, gptText),
+    bleu: bleu(autoText, gptText),
+    words: wordCounts(ops),
+  };
+}
+
+// Synchronous convenience for small texts and scripts; the app diffs in a worker.
+export function measureTexts({ autoText, gptText, rawOutput = null }) {
+  return computeMetrics({
+    ops: diffWords(autoText, gptText, { granularity: "word" }),
+    autoText,
+    gptText,
+    postEditOps: rawOutput != null ? diffWords(rawOutput, gptText, { granularity: "word" }) : null,
+  });
+}
+
+// Short stable id for a prompt, so history can be grouped by prompt version.
+export function promptId(prompt) {
+  return djb2(prompt || "").toString(36);
+}
+
+// Average metrics of history entries grouped by model and prompt, oldest point first.
+export function metricTrends(entries) {
+  const groups = new Map();
+  for (const e of entries) {
+    if (!e.metrics) continue;
+    const key = `${e.provider || "openai"}:${e.model || ""}:${promptId(e.systemPrompt)}`;
+    if (!groups.has(key)) groups.set(key, { key, provider: e.provider || "openai", model: e.model || "", prompt: e.systemPrompt || "", points: [] });
+    groups.get(key).points.push({ date: e.date, ...e.metrics });
+  }
+  const avg = (pts, k) => {
+    const vals = pts.map(p => p[k]).filter(v => typeof v === "number");
+    return vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : null;
+  };
+  return [...groups.values()].map(g => {
+    const points = g.points.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+    return { ...g, points, count: points.length, editRate: avg(points, "editRate"), postEdit: avg(points, "postEdit"), chrF: avg(points, "chrF"), bleu: avg(points, "bleu") };
+  }).sort((a, b) => String(b.points[b.points.length - 1].date).localeCompare(String(a.points[a.points.length - 1].date)));
+}
@@ -0,0 +1,44 @@
+// Diff normalization: differences a reviewer can choose not to see. Tokens are compared
+// by a normalized key, or left out of the comparison altogether (whitespace, punctuation),
+// while the ops keep the original characters for display (see diffTokens in diff.js).
+// Options: `{ whitespace, punctuation, case, niqqud, quotes }`, each a boolean.
+
+export const NORMALIZATIONS = [
+  { id: "whitespace", label: "Ignore whitespace", hint: "Spaces, tabs and line breaks are not compared" },
+  { id: "punctuation", label: "Ignore punctuation", hint: "Punctuation marks, Hebrew ones included, are not compared" },
+  { id: "case", label: "Ignore case", hint: "\"The\" and \"the\" compare equal" },
+  { id: "niqqud", label: "Strip niqqud", hint: "Vowel points and cantillation marks are not compared" },
+  { id: "quotes", label: "Unify quotes & dashes", hint: "Straight, curly and Hebrew quotes compare equal; so do hyphens, dashes and maqaf" },
+];
+
+export function isNormalizing(options) {
+  return !!options && NORMALIZATIONS.some(n => options[n.id]);
+}
+
+// Only the options that are on, so equal settings make equal diff cache keys.
+export function normalizationOptions(options) {
+  const out = {};
+  for (const n of NORMALIZATIONS) if (options?.[n.id]) out[n.id] = true;
+  return out;
+}
+
+// Points and cantillation; maqaf, paseq, sof pasuq and the quote marks are punctuation.
+const NIQQUD_RE = /[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7]/g;
+const SINGLE_QUOTES_RE = /[\u2018\u2019\u201A\u201B\u2032\u05F3`]/g; // ‘ ’ ‚ ‛ ′ ׳ `
+const DOUBLE_QUOTES_RE = /[\u201C\u201D\u201E\u201F\u2033\u05F4\u00AB\u00BB]/g; // “ ” „ ‟ ″ ״ « »
+const DASHES_RE = /[\u05BE\u2010-\u2015\u2212]/g; // maqaf, hyphens and dashes, minus sign
+const PUNCTUATION_RE = /^\p{P}+$/u;
+
+// Punctuation and quote normalization need punctuation inside words ("don't", צה״ל) as tokens of its own.
+export const splitsWordPunctuation = (options) => !!(options?.punctuation || options?.quotes);
+
+// The key a token is compared by, or null when the token is left out of the comparison.
+export function comparisonKey(token, options) {
+  if (options.whitespace && /^\s+$/.test(token)) return null;
+  let key = token;
+  if (options.niqqud) key = key.replace(NIQQUD_RE, "");
+  if (options.punctuation && PUNCTUATION_RE.test(key)) return null;
+  if (options.quotes) key = key.replace(SINGLE_QUOTES_RE, "'").replace(DOUBLE_QUOTES_RE, "\"").replace(DASHES_RE, "-");
+  if (options.case) key = key.toLowerCase();
+  return key;
+}
@@ -0,0 +1,59 @@
+// Projects: one document being worked on, with its language pair, optional settings
+// overrides and an autosaved working draft. Stored in IndexedDB next to history.
+// `{ id, name, sourceLang, targetLang, overrides, restoreSession, draft, created, opened, updated }`
+// Languages are BCP-47 codes; projects saved before that hold English names (see languages.js).
+// The draft keeps the review comments on its GPT text (see comments.js).
+import { STORES, objectStore, openDatabase } from "./db.js";
+
+export const RECENT_PROJECTS = 8;
+export const OVERRIDE_KEYS = ["provider", "model", "systemPrompt", "temperature"];
+
+export const emptyDraft = () => ({ sourceText: "", autoText: "", gptText: "", rawOutput: null, saved: null });
+
+let nextId = 0;
+export function newProject({ name = "Untitled project", sourceLang = "he", targetLang = "en", date = new Date().toISOString() } = {}) {
+  return {
+    id: `p${Date.now().toString(36)}${(nextId++).toString(36)}`,
+    name,
+    sourceLang,
+    targetLang,
+    overrides: {},
+    restoreSession: true,
+    draft: emptyDraft(),
+    created: date,
+    opened: date,
+    updated: date,
+  };
+}
+
+export async function openProjectStore(idb) {
+  const db = await openDatabase(idb);
+  const store = objectStore(db, STORES.projects);
+  return { ...store, all: async () => recentProjects(await store.all(), Infinity), close: () => db.close() };
+}
+
+// Most recently opened first.
+export function recentProjects(projects, limit = RECENT_PROJECTS) {
+  return projects.slice().sort((a, b) => String(b.opened).localeCompare(String(a.opened))).slice(0, limit);
+}
+
+// Overrides from the current settings; a blank temperature means "model default" and is kept.
+export function pinOverrides({ provider, model, systemPrompt, temperature }) {
+  return { provider, model, systemPrompt, temperature };
+}
+
+// The settings a project sets while open: its target language and any overrides.
+export function projectSettings(project) {
+  const out = { targetLang: project.targetLang };
+  for (const k of OVERRIDE_KEYS) if (project.overrides && project.overrides[k] !== undefined) out[k] = project.overrides[k];
+  return out;
+}
+
+// Draft for the working texts and the comment threads on `gptText`; `null` when nothing
+// changed since `draft`, so autosave can skip. Threads are compared by identity.
+export function nextDraft(draft, { sourceText, autoText, gptText, rawOutput, comments = [] }, date = new Date().toISOString()) {
+  const d = draft || emptyDraft();
+  const sameComments = d.comments === comments || (!d.comments?.length && !comments.length);
+  if (d.sourceText === sourceText && d.autoText === autoText && d.gptText === gptText && d.rawOutput === rawOutput && sameComments) return null;
+  return { sourceText, autoText, gptText, rawOutput, comments, saved: date };
+}
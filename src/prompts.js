@@ -0,0 +1,64 @@
+// Prompt templates: named system prompts with a version history, and `{VARIABLE}`
+// substitution. Built-in variables are filled by the app; any other `{NAME}` is a custom
+// field the user is asked for at generation time.
+// Template: `{ id, name, versions: [{ version, text, date, note }] }`, oldest version first.
+
+export const BUILTIN_VARIABLES = {
+  TARGET: "Target language",
+  SOURCE_LANG: "Source language",
+  GLOSSARY: "Glossary entries found in the text",
+  STYLE_NOTES: "Style notes",
+  PREVIOUS_CONTEXT: "Text just before the chunk being translated",
+};
+
+const VARIABLE_RE = /\{([A-Z][A-Z0-9_]*)\}/g;
+
+// Variable names used in `text`, in order of first use.
+export function templateVariables(text) {
+  return [...new Set([...(text || "").matchAll(VARIABLE_RE)].map(m => m[1]))];
+}
+
+// Variables that are not built in: the user fills these in before generating.
+export function customFields(text) {
+  return templateVariables(text).filter(v => !(v in BUILTIN_VARIABLES));
+}
+
+// Replace every occurrence of each variable that has a value; unknown ones are left as is.
+export function fillTemplate(text, values) {
+  return (text || "").replace(VARIABLE_RE, (m, name) => (values[name] != null ? String(values[name]) : m));
+}
+
+// --- Library -----------------------------------------------------------------------
+let nextId = 0;
+export function newTemplate({ name = "Untitled prompt", text = "", date = new Date().toISOString() } = {}) {
+  return { id: `t${Date.now().toString(36)}${(nextId++).toString(36)}`, name, versions: [{ version: 1, text, date, note: "" }] };
+}
+
+export const latestVersion = (template) => template.versions[template.versions.length - 1];
+
+export function findVersion(template, version) {
+  return template.versions.find(v => v.version === version) || null;
+}
+
+// A new version when `text` differs from the latest; otherwise the template unchanged.
+export function addVersion(template, text, { date = new Date().toISOString(), note = "" } = {}) {
+  const last = latestVersion(template);
+  if (last.text === text) return template;
+  return { ...template, versions: [...template.versions, { version: last.version + 1, text, date, note }] };
+}
+
+// What history records: enough to find the exact prompt text again.
+export function templateRef(template, version) {
+  return { id: template.id, name: template.name, version: version.version };
+}
+
+// The template version whose text is exactly `text`, preferring `ref` (the one last loaded).
+export function matchTemplate(library, text, ref) {
+  const preferred = ref && library.find(t => t.id === ref.id);
+  const v = preferred && findVersion(preferred, ref.version);
+  if (v && v.text === text) return templateRef(preferred, v);
+  for (const t of library) {
+    for (let i = t.versions.length - 1; i >= 0; i--) if (t.versions[i].text === text) return templateRef(t, t.versions[i]);
+  }
+  return null;
+}
@@ -0,0 +1,319 @@
+// Translation providers. Each provider declares its settings schema, known models and
+// which sampling params it accepts, and knows how to build a request and read a reply.
+// `translate()` is the single entry point; pass `fetchImpl` (or point the provider's
+// base URL at a local mock server) to test without a real API.
+import { fillTemplate, templateVariables } from "./prompts.js";
+import { languageName } from "./languages.js";
+
+export class ProviderError extends Error {
+  constructor(message, { status = 0, retryAfter = null, body = "" } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.retryAfter = retryAfter; // seconds, from the Retry-After header when present
+    this.body = body;
+  }
+}
+
+const trimSlash = (s) => (s || "").trim().replace(/\/+$/, "");
+
+// OpenAI reasoning models (o1, o3, o4-mini, gpt-5…) fix temperature to 1 and reject overrides.
+// Recognised by name on OpenAI; an Azure deployment has a name of the user's choosing, so
+// there it is the `reasoningModel` setting.
+const isOpenAIReasoningModel = (model) => /^(o\d|gpt-5)/i.test(model || "");
+
+function chatCompletionsBody({ model, messages, temperature, maxTokens }, tokenParam) {
+  const body = { model, messages };
+  if (temperature != null) body.temperature = temperature;
+  if (maxTokens != null) body[tokenParam] = maxTokens;
+  return body;
+}
+
+function chatCompletionsText(data) {
+  return data.choices?.[0]?.message?.content?.trim() ?? "";
+}
+
+// Streaming delta of a chat-completions SSE chunk (`data: {"choices":[{"delta":…}]}`).
+function chatCompletionsDelta(_event, data) {
+  if (data === "[DONE]") return null;
+  return JSON.parse(data).choices?.[0]?.delta?.content || "";
+}
+
+function openAIModelIds(data) {
+  return (data.data || []).map(m => m.id).filter(Boolean).sort();
+}
+
+export const PROVIDERS = {
+  openai: {
+    id: "openai",
+    label: "OpenAI",
+    fields: [
+      { key: "apiKey", label: "OpenAI API Key", type: "password", placeholder: "sk-...", required: true },
+      { key: "baseUrl", label: "Base URL (optional)", placeholder: "https://api.openai.com/v1" },
+    ],
+    models: ["gpt-4o-mini", "gpt-4o", "gpt-4.1", "gpt-4.1-mini", "o4-mini", "gpt-5", "gpt-5-mini"],
+    defaultModel: "gpt-4o-mini",
+    params: {
+      temperature: { supported: (model) => !isOpenAIReasoningModel(model) },
+      maxTokens: { param: "max_completion_tokens" },
+    },
+    endpoint: (s) => trimSlash(s.baseUrl) || "https://api.openai.com/v1",
+    buildRequest(settings, req) {
+      return {
+        url: `${this.endpoint(settings)}/chat/completions`,
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${settings.apiKey}` },
+        body: chatCompletionsBody(req, this.params.maxTokens.param),
+      };
+    },
+    parseResponse: chatCompletionsText,
+    parseStreamEvent: chatCompletionsDelta,
+    modelsRequest(settings) {
+      return { url: `${this.endpoint(settings)}/models`, headers: { Authorization: `Bearer ${settings.apiKey}` } };
+    },
+    parseModels: openAIModelIds,
+  },
+
+  "openai-compatible": {
+    id: "openai-compatible",
+    label: "OpenAI-compatible (Ollama, LM Studio…)",
+    fields: [
+      { key: "baseUrl", label: "Base URL", placeholder: "http://localhost:11434/v1", required: true },
+      { key: "apiKey", label: "API Key (optional)", type: "password", placeholder: "not needed for local servers" },
+    ],
+    models: ["llama3.1", "qwen2.5", "mistral", "gemma2"],
+    defaultModel: "llama3.1",
+    params: {
+      temperature: { supported: () => true },
+      maxTokens: { param: "max_tokens" },
+    },
+    endpoint: (s) => trimSlash(s.baseUrl) || "http://localhost:11434/v1",
+    buildRequest(settings, req) {
+      const headers = { "Content-Type": "application/json" };
+      if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+      return { url: `${this.endpoint(settings)}/chat/completions`, headers, body: chatCompletionsBody(req, this.params.maxTokens.param) };
+    },
+    parseResponse: chatCompletionsText,
+    parseStreamEvent: chatCompletionsDelta,
+    modelsRequest(settings) {
+      return { url: `${this.endpoint(settings)}/models`, headers: settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {} };
+    },
+    parseModels: openAIModelIds,
+  },
+
+  azure: {
+    id: "azure",
+    label: "Azure OpenAI",
+    fields: [
+      { key: "endpoint", label: "Resource endpoint", placeholder: "https://my-resource.openai.azure.com", required: true },
+      { key: "apiKey", label: "API Key", type: "password", required: true },
+      { key: "apiVersion", label: "API version", placeholder: "2024-10-21" },
+      { key: "reasoningModel", label: "Reasoning model deployment (o-series, gpt-5): temperature is not sent", type: "checkbox" },
+    ],
+    // Azure routes by deployment name, which is entered in the Model field.
+    models: [],
+    defaultModel: "",
+    modelLabel: "Deployment",
+    params: {
+      temperature: { supported: (_model, settings = {}) => !settings.reasoningModel },
+      maxTokens: { param: "max_completion_tokens" },
+    },
+    endpoint: (s) => trimSlash(s.endpoint),
+    buildRequest(settings, req) {
+      const version = (settings.apiVersion || "").trim() || "2024-10-21";
+      const body = chatCompletionsBody(req, this.params.maxTokens.param);
+      delete body.model; // the deployment in the URL selects the model
+      return {
+        url: `${this.endpoint(settings)}/openai/deployments/${encodeURIComponent(req.model)}/chat/completions?api-version=${encodeURIComponent(version)}`,
+        headers: { "Content-Type": "application/json", "api-key": settings.apiKey },
+        body,
+      };
+    },
+    parseResponse: chatCompletionsText,
+    parseStreamEvent: chatCompletionsDelta,
+  },
+
+  anthropic: {
+    id: "anthropic",
+    label: "Anthropic",
+    fields: [
+      { key: "apiKey", label: "Anthropic API Key", type: "password", placeholder: "sk-ant-...", required: true },
+      { key: "baseUrl", label: "Base URL (optional)", placeholder: "https://api.anthropic.com" },
+    ],
+    models: ["claude-sonnet-4-5", "claude-opus-4-1", "claude-3-5-haiku-latest"],
+    defaultModel: "claude-sonnet-4-5",
+    params: {
+      temperature: { supported: () => true, max: 1 },
+      // The Messages API requires max_tokens, so a default is always sent.
+      maxTokens: { param: "max_tokens", required: true, default: 4096 },
+    },
+    endpoint: (s) => trimSlash(s.baseUrl) || "https://api.anthropic.com",
+    buildRequest(settings, { model, messages, temperature, maxTokens }) {
+      const system = messages.filter(m => m.role === "system").map(m => m.content).join("\n\n");
+      const body = { model, max_tokens: maxTokens, messages: messages.filter(m => m.role !== "system") };
+      if (system) body.system = system;
+      if (temperature != null) body.temperature = temperature;
+      return {
+        url: `${this.endpoint(settings)}/v1/messages`,
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": settings.apiKey,
+          "anthropic-version": "2023-06-01",
+          "anthropic-dangerous-direct-browser-access": "true",
+        },
+        body,
+      };
+    },
+    parseResponse(data) {
+      return (data.content || []).filter(b => b.type === "text").map(b => b.text).join("").trim();
+    },
+    // Messages streaming sends typed events; only text deltas carry output.
+    parseStreamEvent(event, data) {
+      if (event === "message_stop") return null;
+      if (event === "error") throw new ProviderError(`Anthropic stream error: ${data}`, { body: data });
+      if (event !== "content_block_delta") return "";
+      const delta = JSON.parse(data).delta || {};
+      return delta.type === "text_delta" ? delta.text || "" : "";
+    },
+    modelsRequest(settings) {
+      return {
+        url: `${this.endpoint(settings)}/v1/models`,
+        headers: { "x-api-key": settings.apiKey, "anthropic-version": "2023-06-01", "anthropic-dangerous-direct-browser-access": "true" },
+      };
+    },
+    parseModels: openAIModelIds,
+  },
+};
+
+export const DEFAULT_PROVIDER = "openai";
+
+export function getProvider(id) {
+  return PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+// Returns a user-facing message for the first missing required setting, or "".
+export function validateProviderSettings(provider, settings = {}, model = "") {
+  for (const f of provider.fields) {
+    if (f.required && !(settings[f.key] || "").trim()) {
+      return f.key === "apiKey" ? "Missing API key. Add it in Settings." : `Missing ${f.label}. Add it in Settings.`;
+    }
+  }
+  if (!model.trim() && !provider.defaultModel) return `Missing ${(provider.modelLabel || "model").toLowerCase()}. Add it in Settings.`;
+  return "";
+}
+
+// Normalise the optional temperature / max-tokens inputs (strings from the form) against
+// what the provider declares it accepts. Blank or invalid values are omitted.
+export function resolveParams(provider, model, { temperature, maxTokens }, settings = {}) {
+  const out = { temperature: null, maxTokens: null };
+  const tRaw = (temperature ?? "").toString().trim();
+  const t = tRaw === "" ? NaN : Number(tRaw);
+  const tSpec = provider.params.temperature;
+  if (!Number.isNaN(t) && tSpec.supported(model, settings)) out.temperature = tSpec.max != null ? Math.min(t, tSpec.max) : t;
+  const mRaw = (maxTokens ?? "").toString().trim();
+  const m = mRaw === "" ? NaN : parseInt(mRaw, 10);
+  const mSpec = provider.params.maxTokens;
+  if (Number.isFinite(m) && m > 0) out.maxTokens = m;
+  else if (mSpec.required) out.maxTokens = mSpec.default;
+  return out;
+}
+
+async function readError(provider, res) {
+  const txt = await res.text().catch(() => "");
+  const ra = res.headers && res.headers.get ? res.headers.get("Retry-After") : null;
+  const secs = ra == null ? null : Number(ra);
+  const retryAfter = ra == null ? null : Number.isFinite(secs) ? secs : Math.max(0, (Date.parse(ra) - Date.now()) / 1000) || null;
+  return new ProviderError(`${provider.label} error ${res.status}: ${txt}`, { status: res.status, retryAfter, body: txt });
+}
+
+// Read a Server-Sent Events body, calling onEvent(eventName, data) per event.
+export async function readSSE(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  const dispatch = (block) => {
+    let event = "message";
+    const data = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+    }
+    return data.length ? onEvent(event, data.join("\n")) : undefined;
+  };
+  for (;;) {
+    const { value, done } = await reader.read();
+    buf += decoder.decode(value || new Uint8Array(), { stream: !done });
+    let m;
+    while ((m = buf.match(/\r?\n\r?\n/))) {
+      const block = buf.slice(0, m.index);
+      buf = buf.slice(m.index + m[0].length);
+      if (dispatch(block) === false) { reader.cancel().catch(() => {}); return; }
+    }
+    if (done) { if (buf.trim()) dispatch(buf); return; }
+  }
+}
+
+// Send one chat request through the selected provider and return the reply text.
+// With `onToken`, the reply is streamed over SSE and each text delta is passed on as
+// it arrives; abort via `signal` (the caller keeps whatever it has received).
+export async function translate({ providerId, settings = {}, model, messages, temperature, maxTokens, signal, fetchImpl, onToken }) {
+  const provider = getProvider(providerId);
+  const doFetch = fetchImpl || globalThis.fetch.bind(globalThis);
+  const finalModel = (model || "").trim() || provider.defaultModel;
+  const params = resolveParams(provider, finalModel, { temperature, maxTokens }, settings);
+  const { url, headers, body } = provider.buildRequest(settings, { model: finalModel, messages, ...params });
+  const stream = !!onToken && !!provider.parseStreamEvent;
+  if (stream) body.stream = true;
+  const res = await doFetch(url, { method: "POST", headers, body: JSON.stringify(body), signal });
+  if (!res.ok) throw await readError(provider, res);
+  if (!stream) return provider.parseResponse(await res.json());
+  let text = "";
+  await readSSE(res.body, (event, data) => {
+    const delta = provider.parseStreamEvent(event, data);
+    if (delta === null) return false;
+    if (delta) { text += delta; onToken(delta, text); }
+  });
+  return text.trim();
+}
+
+// Ask the provider which models it serves (OpenAI /models, Ollama, Anthropic /v1/models).
+export async function listModels({ providerId, settings = {}, fetchImpl }) {
+  const provider = getProvider(providerId);
+  if (!provider.modelsRequest) return provider.models;
+  const doFetch = fetchImpl || globalThis.fetch.bind(globalThis);
+  const { url, headers } = provider.modelsRequest(settings);
+  const res = await doFetch(url, { headers });
+  if (!res.ok) throw await readError(provider, res);
+  return provider.parseModels(await res.json());
+}
+
+// Build the chat messages for a translation request. The system prompt is a template
+// (see prompts.js): built-in variables and the custom `fields` are substituted everywhere.
+// `previousContext` is preceding source text (e.g. the end of the previous chunk) given
+// for reference only; `glossary` is a prompt block (see glossaryPrompt). When the
+// template does not place them itself, the glossary is appended to the system message
+// and the context is sent before SOURCE. Languages may be codes ("ar") or names ("Arabic").
+export function buildTranslationMessages({ systemPrompt, sourceText, targetLang, sourceLang = "", previousContext, glossary, styleNotes = "", fields = {} }) {
+  // IMPORTANT: Escape the backslash before apostrophe to avoid invalid Unicode escape in some bundlers.
+  const finalSystem =
+    (systemPrompt?.trim()) ||
+    "You are a professional translator. Keep the author\\'s logic and structure. Write in clear, natural {TARGET} with no extra commentary.";
+  const used = new Set(templateVariables(finalSystem));
+  const sys = fillTemplate(finalSystem, {
+    ...fields,
+    TARGET: languageName(targetLang) || "English",
+    SOURCE_LANG: languageName(sourceLang),
+    GLOSSARY: glossary || "",
+    STYLE_NOTES: styleNotes,
+    PREVIOUS_CONTEXT: previousContext || "",
+  });
+  return [
+    { role: "system", content: glossary && !used.has("GLOSSARY") ? `${sys}\n\n${glossary}` : sys },
+    {
+      role: "user",
+      content: (previousContext && !used.has("PREVIOUS_CONTEXT")
+        ? `CONTEXT (the text just before SOURCE; for reference only, do not translate it):\`\`\`\n${previousContext}\n\`\`\`\n\n`
+        : "") +
+        `Translate the SOURCE text into ${languageName(targetLang) || "English"}. Return translation only.\n\nSOURCE:\`\`\`\n${sourceText}\n\`\`\`\n`,
+    },
+  ];
+}
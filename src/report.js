@@ -0,0 +1,115 @@
+// Diff reports from word-level ops: the standalone HTML page the app exports, a JSON
+// document for scripts, and a line-based unified diff (`diff -u` style) for pipelines.
+import { changeCount, diffTokens, groupHunks } from "./diff.js";
+import { escHTML, MOVE_TITLE } from "./editorHTML.js";
+import { opsWithNotes, sortThreads } from "./comments.js";
+import { wordCounts } from "./metrics.js";
+
+export const REPORT_FORMATS = ["html", "json", "unified"];
+
+// --- HTML ----------------------------------------------------------------------
+const HTML_STYLE = `
+      body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; line-height: 1.7; }
+      .add { background: #dcfce7; text-decoration: underline; }
+      .del { background: #ffe4e6; text-decoration: line-through; }
+      .move-from { background: #f5f3ff; color: #6d28d9; text-decoration: line-through; }
+      .move-to { background: #ede9fe; color: #4c1d95; text-decoration: underline; }
+      .linked { outline: 2px solid #a78bfa; }
+      .note-ref { color: #0369a1; font-size: 0.75em; }
+      .notes li { margin-bottom: 0.5em; }
+      .notes blockquote { margin: 0; color: #52525b; }
+      .resolved { color: #71717a; }
+      pre, textarea { white-space: pre-wrap; }
+      pre, .diff { unicode-bidi: plaintext; }
+    `;
+
+// Hovering either end of a move outlines both.
+const HTML_SCRIPT = `document.addEventListener("mouseover", function (e) {
+      var id = e.target.getAttribute && e.target.getAttribute("data-move");
+      document.querySelectorAll("[data-move]").forEach(function (el) { el.classList.toggle("linked", el.getAttribute("data-move") === id); });
+    });`;
+
+const fmtDate = (d) => new Date(d).toLocaleString();
+
+// The inline diff as HTML, with a footnote reference where each comment thread ends.
+export function diffToHTML(ops, threads = []) {
+  return opsWithNotes(ops, threads).map(op => {
+    if (op.type === "note") return `<sup class="note-ref" id="ref-${op.index + 1}"><a href="#note-${op.index + 1}">[${op.index + 1}]</a></sup>`;
+    if (op.type === "equal") return escHTML(op.value);
+    if (op.move) return `<span class="move-${op.move}" data-move="${op.moveId}" title="${MOVE_TITLE[op.move]}">${escHTML(op.value)}</span>`;
+    if (op.type === "insert") return `<span class="add">${escHTML(op.value)}</span>`;
+    if (op.type === "delete") return `<span class="del">${escHTML(op.value)}</span>`;
+    return "";
+  }).join("");
+}
+
+// Standalone HTML page: the texts, the inline diff and the review comments as
+// numbered notes. Sections whose text is empty are left out.
+export function buildHTMLReport({ ops, sourceText = "", oldText = "", newText = "", threads = [], labels = {}, date = new Date(), formatDate = fmtDate }) {
+  const { title = "Translation Diff", source = "Source Text", old = "Automated Translation (Baseline)", new: neu = "GPT Translation" } = labels;
+  const sorted = sortThreads(threads);
+  const notes = sorted.map((t, i) => `<li id="note-${i + 1}" class="${t.resolved ? "resolved" : ""}">
+          <blockquote dir="auto">“${escHTML(t.quote)}”${t.resolved ? " (resolved)" : ""}${t.detached ? " (text deleted)" : ""} <a href="#ref-${i + 1}">↩</a></blockquote>
+          ${t.messages.map(m => `<div dir="auto"><strong>${escHTML(m.author || "Reviewer")}</strong> · ${escHTML(formatDate(m.date))}: ${escHTML(m.text)}</div>`).join("")}
+        </li>`).join("");
+  const section = (heading, text) => (text ? `<h2>${escHTML(heading)}</h2>
+        <pre dir="auto">${escHTML(text)}</pre>` : "");
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"/><title>${escHTML(title)}</title><style>${HTML_STYLE}</style></head>
+      <body>
+        <h1>${escHTML(title)}</h1>
+        <p><strong>Date:</strong> ${escHTML(formatDate(date))}</p>
+        ${section(source, sourceText)}
+        ${section(old, oldText)}
+        ${section(neu, newText)}
+        <h2>Track Changes (Inline)</h2>
+        <div class="diff" dir="auto">${diffToHTML(ops, sorted)}</div>
+        ${sorted.length ? `<h2>Review Notes</h2><ol class="notes">${notes}</ol>` : ""}
+        <script>${HTML_SCRIPT}</script>
+      </body></html>`;
+}
+
+// --- JSON ----------------------------------------------------------------------
+// Summary counts, the hunks a reviewer would step through, and the ops themselves.
+export function diffToJSON(ops, { oldName = null, newName = null } = {}) {
+  const hunks = groupHunks(ops);
+  return {
+    old: oldName,
+    new: newName,
+    changes: changeCount(hunks),
+    words: wordCounts(ops),
+    hunks: hunks.map(({ index, oldOffset, del, ins, move, moveId }) => ({ index, oldOffset, del, ins, ...(move ? { move, moveId } : {}) })),
+    ops,
+  };
+}
+
+// --- Unified -------------------------------------------------------------------
+// Line diff of the two texts in `diff -u` format, "" when they are equal.
+export function unifiedDiff(oldText, newText, { oldName = "old", newName = "new", context = 3 } = {}) {
+  const split = (t) => (t === "" ? [] : t.replace(/\r\n?/g, "\n").replace(/\n$/, "").split("\n"));
+  const lines = [];
+  let a = 1, b = 1;
+  for (const op of diffTokens(split(oldText), split(newText))) {
+    lines.push({ type: op.type, value: op.value, a, b });
+    if (op.type !== "insert") a++;
+    if (op.type !== "delete") b++;
+  }
+  // Hunks: changed lines with up to `context` equal lines around them, merged when close.
+  const groups = [];
+  lines.forEach((l, i) => {
+    if (l.type === "equal") return;
+    const from = Math.max(0, i - context), to = Math.min(lines.length, i + context + 1);
+    const last = groups[groups.length - 1];
+    if (last && from <= last.to) last.to = to;
+    else groups.push({ from, to });
+  });
+  if (!groups.length) return "";
+  const out = [`--- ${oldName}`, `+++ ${newName}`];
+  const range = (start, count) => (count === 1 ? `${start}` : `${count ? start : start - 1},${count}`);
+  for (const g of groups) {
+    const part = lines.slice(g.from, g.to);
+    const oldCount = part.filter(l => l.type !== "insert").length, newCount = part.filter(l => l.type !== "delete").length;
+    out.push(`@@ -${range(part[0].a, oldCount)} +${range(part[0].b, newCount)} @@`);
+    for (const l of part) out.push(`${{ equal: " ", delete: "-", insert: "+" }[l.type]}${l.value}`);
+  }
+  return out.join("\n") + "\n";
+}
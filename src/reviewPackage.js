@@ -0,0 +1,267 @@
+// Review packages: one offline HTML file for reviewers without the app. It embeds the
+// texts and the diff ops; the reviewer accepts or rejects each change, adds remarks and
+// saves either a small result file (.review.json) or the HTML with the result inside.
+// The app imports either one and applies the decisions to the current document.
+// Changes are matched by hunk key (see groupHunks), which only depends on the baseline.
+import { groupHunks, movePartner } from "./diff.js";
+import { textHash } from "./hash.js";
+
+export const REVIEW_PACKAGE_FORMAT = "translation-diff-review";
+export const REVIEW_RESULT_FORMAT = "translation-diff-review-result";
+export const REVIEW_ACCEPT = ".json,.html,.htm";
+
+let nextId = 0;
+const escHTML = (s) => String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" }[c]));
+// JSON inside a <script> element: "<" escaped so no "</script>" can end it early.
+const scriptJSON = (value) => JSON.stringify(value).replace(/</g, "\\u003c");
+
+// --- Package -------------------------------------------------------------------
+const PAGE_STYLE = `
+  body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; line-height: 1.7; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; color: #18181b; }
+  h1 { margin-bottom: 0; }
+  .meta, .hint { color: #71717a; font-size: 0.9em; }
+  .box { border: 1px solid #e4e4e7; border-radius: 12px; padding: 0.75rem 1rem; margin: 1rem 0; background: #fafafa; }
+  pre { white-space: pre-wrap; margin: 0; unicode-bidi: plaintext; }
+  #text { white-space: pre-wrap; unicode-bidi: plaintext; }
+  .add { background: #dcfce7; text-decoration: underline; cursor: pointer; }
+  .del { background: #ffe4e6; text-decoration: line-through; cursor: pointer; }
+  .move-from { background: #f5f3ff; color: #6d28d9; text-decoration: line-through; cursor: pointer; }
+  .move-to { background: #ede9fe; color: #4c1d95; text-decoration: underline; cursor: pointer; }
+  .decided { background: #f4f4f5; cursor: pointer; }
+  .current { outline: 2px solid #818cf8; }
+  #changes { list-style: none; padding: 0; }
+  #changes li { border: 1px solid #e4e4e7; border-radius: 12px; padding: 0.5rem 0.75rem; margin: 0.5rem 0; }
+  #changes li.current { border-color: #818cf8; }
+  #changes li.accept { background: #f0fdf4; }
+  #changes li.reject { background: #fff1f2; }
+  .change del { background: #ffe4e6; }
+  .change ins { background: #dcfce7; }
+  .ctx { color: #a1a1aa; }
+  button { border: 1px solid #d4d4d8; background: #fff; border-radius: 8px; padding: 0.2rem 0.6rem; cursor: pointer; }
+  button[aria-pressed="true"] { background: #e0e7ff; border-color: #818cf8; }
+  textarea, input { width: 100%; box-sizing: border-box; border: 1px solid #d4d4d8; border-radius: 8px; padding: 0.4rem; font: inherit; }
+  .row { display: flex; gap: 0.5rem; align-items: center; flex-wrap: wrap; margin: 0.3rem 0; }
+`;
+
+// The page's own script: plain browser JavaScript with no dependencies, so the page
+// works opened straight from disk.
+const PAGE_SCRIPT = `(function () {
+  var dataEl = document.getElementById("review-data");
+  var data = JSON.parse(dataEl.textContent);
+  var reviewerEl = document.getElementById("reviewer"), remarksEl = document.getElementById("remarks");
+  var textEl = document.getElementById("text"), listEl = document.getElementById("changes"), progressEl = document.getElementById("progress");
+  var decisions = {}, current = null;
+  var hunkAt = [], byKey = {};
+  data.hunks.forEach(function (h) { byKey[h.key] = h; for (var i = h.start; i <= h.end; i++) hunkAt[i] = h; });
+  // A move is one change, decided at the place it moved to.
+  function owner(h) {
+    if (h.move !== "from") return h;
+    var to = data.hunks.filter(function (x) { return x.moveId === h.moveId && x.move === "to"; })[0];
+    return to || h;
+  }
+  var items = data.hunks.filter(function (h) { return owner(h) === h; });
+  if (data.result) {
+    reviewerEl.value = data.result.reviewer || "";
+    remarksEl.value = data.result.remarks || "";
+    data.result.decisions.forEach(function (d) { if (byKey[d.key]) decisions[d.key] = { decision: d.decision, remark: d.remark || "" }; });
+  }
+  function esc(s) { return s.replace(/[&<>"']/g, function (c) { return { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]; }); }
+  function decisionOf(h) { var d = decisions[owner(h).key]; return d ? d.decision : null; }
+  function context(h, dir) {
+    var s = "";
+    for (var i = dir < 0 ? h.start - 1 : h.end + 1; i >= 0 && i < data.ops.length && s.length < 30; i += dir) {
+      if (data.ops[i].type !== "delete") s = dir < 0 ? data.ops[i].value + s : s + data.ops[i].value;
+    }
+    return dir < 0 ? s.slice(-30) : s.slice(0, 30);
+  }
+  function renderText() {
+    textEl.innerHTML = data.ops.map(function (op, i) {
+      var h = hunkAt[i];
+      if (op.type === "equal" || !h) return esc(op.value);
+      var d = decisionOf(h);
+      var kept = op.type === "insert" ? d !== "reject" : d === "reject";
+      if (d && !kept) return "";
+      var cls = d ? "decided" : op.move ? "move-" + op.move : op.type === "insert" ? "add" : "del";
+      if (current && owner(h).key === current) cls += " current";
+      return '<span class="' + cls + '" data-key="' + esc(owner(h).key) + '">' + esc(op.value) + "</span>";
+    }).join("");
+  }
+  function renderList() {
+    listEl.innerHTML = "";
+    items.forEach(function (h, n) {
+      var d = decisions[h.key] || { decision: null, remark: "" };
+      var li = document.createElement("li");
+      li.id = "change-" + n;
+      li.className = (d.decision || "") + (h.key === current ? " current" : "");
+      var change = h.move
+        ? "<ins>" + esc(h.ins) + "</ins> (moved)"
+        : (h.del ? "<del>" + esc(h.del) + "</del>" : "") + (h.ins ? "<ins>" + esc(h.ins) + "</ins>" : "");
+      li.innerHTML = '<div class="change" dir="auto">' + (n + 1) + '. <span class="ctx">…' + esc(context(h, -1)) + "</span>" + change + '<span class="ctx">' + esc(context(h, 1)) + "…</span></div>" +
+        '<div class="row"><button data-act="accept">Accept</button><button data-act="reject">Reject</button></div>' +
+        '<textarea rows="1" dir="auto" placeholder="Remark (optional)"></textarea>';
+      li.querySelectorAll("button").forEach(function (b) {
+        b.setAttribute("aria-pressed", String(d.decision === b.getAttribute("data-act")));
+        b.onclick = function () { decide(h.key, d.decision === b.getAttribute("data-act") ? null : b.getAttribute("data-act")); };
+      });
+      var remark = li.querySelector("textarea");
+      remark.value = d.remark;
+      remark.oninput = function () { decisions[h.key] = { decision: (decisions[h.key] || {}).decision || null, remark: remark.value }; };
+      remark.onfocus = function () { select(h.key, false); };
+      listEl.appendChild(li);
+    });
+    var done = items.filter(function (h) { return decisions[h.key] && decisions[h.key].decision; }).length;
+    progressEl.textContent = done + " of " + items.length + " changes decided";
+  }
+  function decide(key, decision) {
+    decisions[key] = { decision: decision, remark: (decisions[key] || {}).remark || "" };
+    render();
+  }
+  // Rebuilds the text only: the list keeps its elements, so a focused remark stays put.
+  function select(key, scroll) {
+    if (current === key) return;
+    current = key;
+    renderText();
+    items.forEach(function (h, n) {
+      var d = decisions[h.key];
+      document.getElementById("change-" + n).className = ((d && d.decision) || "") + (h.key === current ? " current" : "");
+    });
+    var li = document.getElementById("change-" + items.indexOf(byKey[key]));
+    if (li && scroll) li.scrollIntoView({ block: "nearest" });
+  }
+  function render() { renderText(); renderList(); }
+  textEl.onclick = function (e) {
+    var key = e.target.getAttribute && e.target.getAttribute("data-key");
+    if (key) select(key, true);
+  };
+  document.getElementById("accept-rest").onclick = function () {
+    items.forEach(function (h) { if (!decisions[h.key] || !decisions[h.key].decision) decisions[h.key] = { decision: "accept", remark: (decisions[h.key] || {}).remark || "" }; });
+    render();
+  };
+  function result() {
+    return {
+      format: data.resultFormat, version: 1, packageId: data.id, baseline: data.baseline, translation: data.translation,
+      granularity: data.granularity, normalize: data.normalize,
+      reviewer: reviewerEl.value.trim(), date: new Date().toISOString(), remarks: remarksEl.value.trim(),
+      decisions: Object.keys(decisions).filter(function (k) { return decisions[k].decision || decisions[k].remark.trim(); })
+        .map(function (k) { return { key: k, decision: decisions[k].decision, remark: decisions[k].remark.trim() }; })
+    };
+  }
+  function download(name, text, type) {
+    var a = document.createElement("a");
+    a.href = URL.createObjectURL(new Blob([text], { type: type }));
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  }
+  document.getElementById("save-result").onclick = function () {
+    download(data.fileName + ".review.json", JSON.stringify(result(), null, 2), "application/json");
+  };
+  document.getElementById("save-html").onclick = function () {
+    data.result = result();
+    dataEl.textContent = JSON.stringify(data).replace(/</g, "\\\\u003c");
+    download(data.fileName + ".reviewed.html", "<!DOCTYPE html>\\n" + document.documentElement.outerHTML, "text/html");
+  };
+  render();
+})();`;
+
+// The package page. `ops` and `granularity`/`normalize` are what the app's diff gave, so
+// the hunk keys in the result match the app's when it imports it.
+export function buildReviewPackage({ sourceText = "", autoText, gptText, ops, granularity = "subword", normalize = null, title = "Translation review", author = "", date = new Date().toISOString(), id = `rp${Date.now().toString(36)}${(nextId++).toString(36)}` }) {
+  const hunks = groupHunks(ops).map(({ index, start, end, key, del, ins, move, moveId }) => ({ index, start, end, key, del, ins, ...(move ? { move, moveId } : {}) }));
+  const data = {
+    format: REVIEW_PACKAGE_FORMAT,
+    resultFormat: REVIEW_RESULT_FORMAT,
+    version: 1,
+    id,
+    title,
+    author,
+    date,
+    fileName: `translation-review-${date.slice(0, 10)}`,
+    baseline: textHash(autoText),
+    translation: textHash(gptText),
+    granularity,
+    normalize,
+    ops: ops.map(({ type, value, move, moveId }) => (move ? { type, value, move, moveId } : { type, value })),
+    hunks,
+    result: null,
+  };
+  const section = (heading, text) => (text ? `<details class="box"><summary>${escHTML(heading)}</summary><pre dir="auto">${escHTML(text)}</pre></details>` : "");
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width, initial-scale=1"/><title>${escHTML(title)}</title><style>${PAGE_STYLE}</style></head>
+<body>
+  <h1>${escHTML(title)}</h1>
+  <p class="meta">Sent ${escHTML(date.slice(0, 10))}${author ? ` by ${escHTML(author)}` : ""} · ${hunks.filter(h => h.move !== "from").length} changes to review</p>
+  <p class="hint">Click a change in the text or the list, then Accept or Reject it and add a remark if needed. When you are done, save the result and send the file back. Nothing leaves this page until you do.</p>
+  <div class="box">
+    <div class="row"><label for="reviewer">Your name</label></div>
+    <input id="reviewer" dir="auto" autocomplete="name"/>
+  </div>
+  ${section("Source text", sourceText)}
+  ${section("Baseline translation", autoText)}
+  <h2>Translation with changes</h2>
+  <div id="text" class="box" dir="auto"></div>
+  <h2>Changes</h2>
+  <div class="row"><span id="progress" class="meta"></span><button id="accept-rest">Accept the rest</button></div>
+  <ol id="changes"></ol>
+  <h2>General remarks</h2>
+  <textarea id="remarks" rows="3" dir="auto"></textarea>
+  <div class="row" style="margin-top: 1rem">
+    <button id="save-result">Save result (.json)</button>
+    <button id="save-html">Save reviewed page (.html)</button>
+  </div>
+  <script type="application/json" id="review-data">${scriptJSON(data)}</script>
+  <script>${PAGE_SCRIPT}</script>
+</body></html>`;
+}
+
+// --- Result --------------------------------------------------------------------
+// The result from a .review.json file or a saved review page.
+export function parseReviewResult(text) {
+  let result;
+  if (/^\s*</.test(text)) {
+    const m = text.match(/<script type="application\/json" id="review-data">([\s\S]*?)<\/script>/);
+    if (!m) throw new Error("This is not a review package.");
+    result = JSON.parse(m[1]).result;
+    if (!result) throw new Error("This review package has no saved decisions yet.");
+  } else {
+    try { result = JSON.parse(text); } catch { throw new Error("This is not a review result file."); }
+  }
+  if (result?.format !== REVIEW_RESULT_FORMAT || !Array.isArray(result.decisions)) throw new Error("This is not a review result file.");
+  return result;
+}
+
+// Apply a result to `ops` (baseline → current translation, diffed with the result's
+// granularity and normalization). Rejected changes go back to the baseline; accepted
+// ones stay and are returned as keys. Remarks become notes `{ start, end, body, author,
+// date }` on the resulting text, general remarks at its start. Decisions on changes that
+// are gone since the package was made are counted as `missing`.
+export function applyReviewResult(ops, result) {
+  const hunks = groupHunks(ops);
+  const byKey = new Map(hunks.map(h => [h.key, h]));
+  const decision = new Map();
+  let missing = 0;
+  for (const d of result.decisions) {
+    const h = byKey.get(d.key);
+    if (!h) { missing++; continue; }
+    if (d.decision) for (const x of [h, movePartner(hunks, h)].filter(Boolean)) decision.set(x.key, d.decision);
+  }
+  const hunkAt = [];
+  for (const h of hunks) for (let i = h.start; i <= h.end; i++) hunkAt[i] = h;
+  let text = "";
+  const ranges = new Map();
+  ops.forEach((op, i) => {
+    const h = hunkAt[i];
+    if (h && !ranges.has(h.key)) ranges.set(h.key, { start: text.length, end: text.length });
+    const rejected = h && decision.get(h.key) === "reject";
+    if (op.type === "equal" || (op.type === "insert" ? !rejected : rejected)) text += op.value;
+    if (h) ranges.get(h.key).end = text.length;
+  });
+  const by = { author: result.reviewer || "", date: result.date };
+  const notes = result.decisions
+    .filter(d => d.remark?.trim() && byKey.has(d.key))
+    .map(d => ({ ...ranges.get(d.key), body: d.remark.trim(), ...by }));
+  if (result.remarks?.trim()) notes.unshift({ start: 0, end: 0, body: result.remarks.trim(), ...by });
+  const keys = (kind) => [...decision].filter(([, d]) => d === kind).map(([k]) => k);
+  return { text, accepted: keys("accept"), rejected: keys("reject"), notes, missing };
+}
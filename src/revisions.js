@@ -0,0 +1,49 @@
+// Revision timeline of the working translation, per document: snapshots of the model
+// output, each editing session (recorded on blur), manual saves and restores. Restoring
+// never rewrites the past; it adds a revision pointing at the one restored.
+// `{ id, docKey, date, kind, text, label, author, restoredFrom }`
+import { STORES, objectStore, openDatabase } from "./db.js";
+import { textHash } from "./hash.js";
+
+export const REVISION_KINDS = {
+  model: "Model output",
+  edit: "Edit session",
+  manual: "Saved",
+  restore: "Restored",
+  review: "Outside review",
+};
+
+// A project's timeline follows the project; without one, it follows the source text.
+export function documentKey({ projectId, sourceText }) {
+  if (projectId) return `project:${projectId}`;
+  return `source:${textHash(sourceText || "")}`;
+}
+
+let nextId = 0;
+export function newRevision({ docKey, kind, text, label = "", author = "", restoredFrom = null, date = new Date().toISOString() }) {
+  return { id: `r${Date.now().toString(36)}${(nextId++).toString(36)}`, docKey, date, kind, text, label, author, restoredFrom };
+}
+
+// Newest first.
+export function sortRevisions(revisions) {
+  return revisions.slice().sort((a, b) => String(b.date).localeCompare(String(a.date)));
+}
+
+// Edit sessions and model runs that leave the text as the latest revision has it add
+// nothing; manual saves and restores are always recorded.
+export function isRedundant(revisions, kind, text) {
+  if (kind === "manual" || kind === "restore") return false;
+  const latest = sortRevisions(revisions)[0];
+  return !!latest && latest.text === text;
+}
+
+export async function openRevisionStore(idb) {
+  const db = await openDatabase(idb);
+  const store = objectStore(db, STORES.revisions);
+  return {
+    put: store.put,
+    delete: store.delete,
+    forDocument: async (docKey) => sortRevisions(await store.byIndex("docKey", docKey)),
+    close: () => db.close(),
+  };
+}
@@ -0,0 +1,208 @@
+// Sentence segmentation and source/target alignment.
+// Splits source, automated and GPT texts into sentences (RTL punctuation, Hebrew
+// geresh/gershayim and common abbreviations aware), then aligns them 1:1, 1:2 and 2:1
+// with a length + anchor cost, Gale–Church style.
+
+// Sentence-final marks: Latin, ellipsis, Hebrew sof pasuq, Arabic question/full stop.
+const TERMINATORS = new Set([".", "!", "?", "…", "׃", "؟", "۔"]);
+// Closers that belong to the sentence they follow.
+const CLOSERS = new Set(['"', "'", "”", "’", "»", ")", "]", "}", "״", "׳"]);
+const ABBREVIATIONS = new Set([
+  "mr", "mrs", "ms", "dr", "prof", "st", "jr", "sr", "vs", "etc", "e.g", "i.e", "cf", "no", "vol",
+  "p", "pp", "ch", "ed", "eds", "fig", "al", "approx", "dept", "inc", "ltd", "co", "gen", "rev",
+  "jan", "feb", "mar", "apr", "jun", "jul", "aug", "sep", "sept", "oct", "nov", "dec", "u.s", "r",
+]);
+
+function isHebrewLetter(ch) { return !!ch && ch >= "א" && ch <= "ת"; }
+function isDigit(ch) { return !!ch && ch >= "0" && ch <= "9"; }
+function isLowerLatin(ch) { return !!ch && ch >= "a" && ch <= "z"; }
+
+// The word that ends right before position `i` (a period), lower-cased.
+function wordBefore(text, i) {
+  let j = i;
+  while (j > 0 && /[\p{L}.]/u.test(text[j - 1])) j--;
+  return text.slice(j, i).toLowerCase();
+}
+
+// True if the period at `i` ends an abbreviation, initial or number rather than a sentence.
+function isNonFinalPeriod(text, i) {
+  if (isDigit(text[i - 1]) && isDigit(text[i + 1])) return true; // 3.5
+  const w = wordBefore(text, i);
+  if (!w) return false;
+  if (ABBREVIATIONS.has(w)) return true;
+  if (/^\p{Lu}$/u.test(text.slice(i - 1, i)) && w.length === 1) return true; // J. R. R. Tolkien
+  return /^(\p{L}\.)+\p{L}$/u.test(w); // e.g "U.S", "a.m"
+}
+
+// Geresh/gershayim inside a Hebrew word (צה"ל, ארה״ב, ז'בוטינסקי) are letters, not quotes.
+function isWordInternalMark(text, i) {
+  return isHebrewLetter(text[i - 1]) && isHebrewLetter(text[i + 1]);
+}
+
+// Split text into sentences with character offsets into the original string.
+// Line breaks always end a sentence; empty lines are skipped.
+export function splitSentences(text) {
+  const out = [];
+  if (!text) return out;
+  let start = 0;
+  const push = (end) => {
+    let s = start, e = end;
+    while (s < e && /\s/.test(text[s])) s++;
+    while (e > s && /\s/.test(text[e - 1])) e--;
+    if (e > s) out.push({ text: text.slice(s, e), start: s, end: e });
+    start = end;
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "\n") { push(i); continue; }
+    if (!TERMINATORS.has(ch)) continue;
+    if (ch === "." && isNonFinalPeriod(text, i)) continue;
+    let j = i + 1;
+    while (j < text.length && (TERMINATORS.has(text[j]) || (CLOSERS.has(text[j]) && !isWordInternalMark(text, j)))) j++;
+    if (j < text.length && !/\s/.test(text[j])) { i = j - 1; continue; } // "a.b", "?!x"
+    let k = j;
+    while (k < text.length && text[k] !== "\n" && /\s/.test(text[k])) k++;
+    if (isLowerLatin(text[k])) { i = j - 1; continue; } // lower-case continuation: not a boundary
+    push(j);
+    i = j - 1;
+  }
+  push(text.length);
+  return out;
+}
+
+// --- Alignment ---------------------------------------------------------------
+// Anchors are tokens that survive translation unchanged: numbers and Latin words
+// that look like names or codes (capitalised, or any Latin word inside Hebrew).
+function anchorsOf(text) {
+  const set = new Set();
+  for (const m of text.matchAll(/\d+(?:[.,:]\d+)*|\p{Lu}[\p{L}\p{M}]+|[A-Za-z]{2,}/gu)) set.add(m[0].toLowerCase());
+  for (const ch of text) if (ch === "?" || ch === "؟") set.add("?");
+  return set;
+}
+
+function anchorScore(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const x of a) if (b.has(x)) shared++;
+  return shared / Math.max(a.size, b.size);
+}
+
+const PATTERN_PENALTY = { "1:1": 0, "1:2": 0.6, "2:1": 0.6, "1:0": 2, "0:1": 2 };
+
+// Align two sentence lists. Returns beads `{ src: [i...], tgt: [j...], pattern }` in order.
+// Banded DP keeps memory linear for long chapters.
+export function alignSentences(src, tgt) {
+  const n = src.length, m = tgt.length;
+  if (!n || !m) {
+    return [...src.map((_, i) => ({ src: [i], tgt: [], pattern: "1:0" })), ...tgt.map((_, j) => ({ src: [], tgt: [j], pattern: "0:1" }))];
+  }
+  const sLen = src.map(s => s.text.length), tLen = tgt.map(s => s.text.length);
+  const ratio = (tLen.reduce((a, b) => a + b, 0) || 1) / (sLen.reduce((a, b) => a + b, 0) || 1);
+  const sAnchor = src.map(s => anchorsOf(s.text)), tAnchor = tgt.map(s => anchorsOf(s.text));
+  const union = (arr, i, k) => k === 1 ? arr[i] : new Set([...arr[i], ...arr[i + 1]]);
+
+  function cost(i, di, j, dj) {
+    const pattern = `${di}:${dj}`;
+    let c = PATTERN_PENALTY[pattern];
+    if (di && dj) {
+      const ls = sLen[i] + (di === 2 ? sLen[i + 1] : 0);
+      const lt = tLen[j] + (dj === 2 ? tLen[j + 1] : 0);
+      c += Math.abs(Math.log((lt + 10) / (ls * ratio + 10))) * 2;
+      c -= anchorScore(union(sAnchor, i, di), union(tAnchor, j, dj));
+    }
+    return c;
+  }
+
+  const band = 30 + Math.abs(n - m);
+  const lo = (i) => Math.max(0, Math.floor((i * m) / n) - band);
+  const hi = (i) => Math.min(m, Math.ceil((i * m) / n) + band);
+  const rows = []; // rows[i] = { lo, cost: Float64Array, back: Int8Array }
+  for (let i = 0; i <= n; i++) {
+    const l = lo(i), w = hi(i) - l + 1;
+    rows.push({ lo: l, cost: new Float64Array(w).fill(Infinity), back: new Int8Array(w).fill(-1) });
+  }
+  const get = (i, j) => { const r = rows[i]; const k = j - r.lo; return k >= 0 && k < r.cost.length ? r.cost[k] : Infinity; };
+  rows[0].cost[0 - rows[0].lo] = 0;
+  const moves = [[1, 1], [1, 0], [0, 1], [1, 2], [2, 1]];
+  for (let i = 0; i <= n; i++) {
+    const r = rows[i];
+    for (let k = 0; k < r.cost.length; k++) {
+      const j = r.lo + k;
+      if (i === 0 && j === 0) continue;
+      let best = Infinity, arg = -1;
+      moves.forEach(([di, dj], idx) => {
+        if (i - di < 0 || j - dj < 0) return;
+        const prev = get(i - di, j - dj);
+        if (prev === Infinity) return;
+        const c = prev + cost(i - di, di, j - dj, dj);
+        if (c < best) { best = c; arg = idx; }
+      });
+      r.cost[k] = best; r.back[k] = arg;
+    }
+  }
+  const beads = [];
+  let i = n, j = m;
+  while (i > 0 || j > 0) {
+    const r = rows[i];
+    const arg = r.back[j - r.lo];
+    if (arg < 0) break; // unreachable; cannot happen while the band covers (n, m)
+    const [di, dj] = moves[arg];
+    const bead = { src: [], tgt: [], pattern: `${di}:${dj}` };
+    for (let x = i - di; x < i; x++) bead.src.push(x);
+    for (let y = j - dj; y < j; y++) bead.tgt.push(y);
+    beads.push(bead);
+    i -= di; j -= dj;
+  }
+  return beads.reverse();
+}
+
+// Map each pivot sentence to the target span it aligns with. When two pivot sentences
+// share one target sentence (2:1), the second row is marked as merged into the first.
+// Target sentences with no pivot (0:1) are folded into the neighbouring row.
+function spansByPivot(pivotCount, beads, tgtSents) {
+  const spans = Array.from({ length: pivotCount }, () => null);
+  let orphans = [], last = null;
+  const extend = (span, parts) => {
+    if (!parts.length) return;
+    const text = parts.map(p => p.text).join(" ");
+    if (span.start < 0) Object.assign(span, { text, start: parts[0].start, end: parts[parts.length - 1].end });
+    else Object.assign(span, {
+      text: span.start <= parts[0].start ? `${span.text} ${text}` : `${text} ${span.text}`,
+      start: Math.min(span.start, parts[0].start),
+      end: Math.max(span.end, parts[parts.length - 1].end),
+    });
+  };
+  for (const bead of beads) {
+    const parts = bead.tgt.map(j => tgtSents[j]);
+    if (!bead.src.length) {
+      if (last) extend(last, parts); else orphans.push(...parts);
+      continue;
+    }
+    const span = { text: "", start: -1, end: -1, pattern: bead.pattern };
+    extend(span, [...orphans, ...parts]);
+    orphans = [];
+    spans[bead.src[0]] = span;
+    for (const extra of bead.src.slice(1)) spans[extra] = { text: "", start: span.start, end: span.end, pattern: bead.pattern, merged: true };
+    last = span;
+  }
+  return spans;
+}
+
+// One row per source sentence with its aligned automated and GPT text and offsets.
+// Without a source text the automated translation is used as the pivot.
+export function buildSegmentTable(sourceText, autoText, gptText) {
+  const autoSents = splitSentences(autoText);
+  const gptSents = splitSentences(gptText);
+  const hasSource = !!(sourceText && sourceText.trim());
+  const pivot = hasSource ? splitSentences(sourceText) : autoSents;
+  const autoSpans = hasSource
+    ? spansByPivot(pivot.length, alignSentences(pivot, autoSents), autoSents)
+    : autoSents.map(s => ({ text: s.text, start: s.start, end: s.end, pattern: "1:1" }));
+  const gptSpans = spansByPivot(pivot.length, alignSentences(pivot, gptSents), gptSents);
+  return pivot.map((p, index) => ({
+    index,
+    source: hasSource ? p.text : "",
+    auto: autoSpans[index] || { text: "", start: -1, end: -1, pattern: "1:0" },
+    gpt: gptSpans[index] || { text: "", start: -1, end: -1, pattern: "1:0" },
+  }));
+}
@@ -0,0 +1,1074 @@
+// Self-tests for the core modules, as `{ name, ok, msg }` results. They run in the app
+// (Self-tests panel) and headless under Node (`npm run selftest`), so nothing here may
+// touch the DOM, React or browser storage.
+import { detectDir, isMostlyHebrew, isRtlCodePoint } from "./bidi.js";
+import { changeCount, detectMoves, diffWords, groupHunks, hunkContext, movePartner, textWithRejected, tokenize } from "./diff.js";
+import { NORMALIZATIONS, comparisonKey, normalizationOptions } from "./normalize.js";
+import { bindingConflicts, bindingFromEvent, findAction, firesInTextField, formatBinding, normalizeBinding, resolveBindings } from "./shortcuts.js";
+import { renderOpsToHTML } from "./editorHTML.js";
+import { buildSegmentTable, splitSentences } from "./segment.js";
+import { assembleChunks, chunkDocument, chunkRanges, estimateTokens, translateChunks, withRetry } from "./chunking.js";
+import { ProviderError, buildTranslationMessages, listModels, translate } from "./providers.js";
+import { buildDocx } from "./docx.js";
+import { findAll, localName, parseXML, textContent } from "./xml.js";
+import { createZip, readZip } from "./zip.js";
+import { decodeText, importFile, parseSRT, parseTMX, parseVTT, parseXLIFF } from "./importers.js";
+import { checkGlossary, findTerm, forbiddenRanges, glossaryPrompt, glossaryToCSV, glossaryToTBX, mergeGlossary, newEntry, parseGlossaryCSV, parseTBX, relevantEntries } from "./glossary.js";
+import { addToMemory, lookupMemory, matchScore, pairsFromComparison, planWithMemory } from "./tm.js";
+import { historyBackup, mergeHistory, migrateLocalHistory, normalizeForSearch, parseHistoryBackup, parseTags, searchHistory } from "./historyStore.js";
+import { documentKey, isRedundant, newRevision } from "./revisions.js";
+import { candidateLabel, candidateRows, compareCandidates, newCandidateSpec, pickSentence } from "./candidates.js";
+import { addVersion, customFields, latestVersion, matchTemplate, newTemplate, templateRef } from "./prompts.js";
+import { emptyDraft, newProject, nextDraft, pinOverrides, projectSettings, recentProjects } from "./projects.js";
+import { bleu, chrF, computeMetrics, editRate, measureTexts, metricTrends, promptId, wordCounts } from "./metrics.js";
+import { addReply, newThread, opsWithNotes, reanchorThreads, threadNote } from "./comments.js";
+import { compareTexts, translateText } from "./core.js";
+import { REVIEW_RESULT_FORMAT, applyReviewResult, buildReviewPackage, parseReviewResult } from "./reviewPackage.js";
+import { textHash } from "./hash.js";
+import { buildCatFile, buildPairs, buildTMX, buildXLIFF12, buildXLIFF2 } from "./exporters.js";
+import { guessLang, isRtlLang, langCode, languageName, parseLang } from "./languages.js";
+
+function assert(name, condition) {
+  if (!condition) throw new Error(`Test failed: ${name}`);
+}
+export async function runSelfTests() {
+  const results = [];
+  const record = async (name, fn) => {
+    try { await fn(); results.push({ name, ok: true }); }
+    catch (e) { console.error(e); results.push({ name, ok: false, msg: e.message }); }
+  };
+
+  // Test 1: tokenize Hebrew + punctuation
+  await record("tokenize Hebrew & punctuation", () => {
+    const t = tokenize("שלום, עולם!");
+    assert("has comma token", t.includes(","));
+    assert("has exclamation token", t.includes("!"));
+  });
+
+  // Test 2: diff basic replacement
+  await record("diff basic replacement", () => {
+    const ops = diffWords("a b c", "a x c");
+    const types = ops.map(o => o.type);
+    assert("includes delete for b", types.includes("delete"));
+    assert("includes insert for x", types.includes("insert"));
+  });
+
+  // Test 3: punctuation removal
+  await record("diff punctuation removal", () => {
+    const ops = diffWords("Hello, world.", "Hello world.");
+    const delComma = ops.find(o => o.type === "delete" && o.value === ",");
+    assert("comma removed", !!delComma);
+  });
+
+  // Test 4: Hebrew prefix insert
+  await record("hebrew insert", () => {
+    const ops = diffWords("בית", "הבית");
+    const insHe = ops.find(o => o.type === "insert" && o.value === "ה");
+    assert("inserted ה", !!insHe);
+  });
+
+  // Test 5: whitespace normalization (single space removed)
+  await record("whitespace deletion", () => {
+    const ops = diffWords("a  b", "a b");
+    const delSpace = ops.find(o => o.type === "delete" && o.value === " ");
+    assert("one space deleted", !!delSpace);
+  });
+
+  // Test 6: RTL punctuation swap
+  await record("rtl punctuation swap", () => {
+    const ops = diffWords("שלום.", "שלום!");
+    const delDot = ops.find(o => o.type === "delete" && o.value === ".");
+    const insBang = ops.find(o => o.type === "insert" && o.value === "!");
+    assert("dot deleted", !!delDot);
+    assert("bang inserted", !!insBang);
+  });
+
+    // Test 7: reconstruct newText by dropping deletions
+  await record("reconstruct new text from ops", () => {
+    const oldS = "foo bar";
+    const newS = "foo baz";
+    const ops = diffWords(oldS, newS);
+    const recon = ops.filter(o => o.type !== "delete").map(o => o.value).join("");
+    assert("reconstruct equals new", recon === newS);
+  });
+
+    // Test 8: direction heuristic prefers RTL for Hebrew strings
+  await record("direction heuristic RTL", () => {
+    const s = "אני אוהב עברית";
+    if (!isMostlyHebrew(s)) throw new Error("Hebrew ratio mis-detected");
+    if (detectDir(s) !== 'rtl') throw new Error("detectDir should return rtl");
+  });
+
+  // Test 9: rejecting one hunk restores only that part of the baseline
+  await record("reject single hunk", () => {
+    const oldS = "the red cat sat";
+    const newS = "the blue cat stood";
+    const ops = diffWords(oldS, newS, { granularity: "word" });
+    const hunks = groupHunks(ops);
+    assert("two hunks", hunks.length === 2);
+    assert("first hunk reverted", textWithRejected(ops, [hunks[0]]) === "the red cat stood");
+    assert("all hunks reverted", textWithRejected(ops, hunks) === oldS);
+  });
+
+  // Test 10: hunk keys are stable after rejecting an earlier hunk
+  await record("hunk keys stable across reject", () => {
+    const oldS = "one two three four";
+    const ops = diffWords(oldS, "one 2 three 4");
+    const [first, second] = groupHunks(ops);
+    const after = groupHunks(diffWords(oldS, textWithRejected(ops, [first])));
+    assert("second hunk keeps key", after.length === 1 && after[0].key === second.key);
+  });
+
+  // Test 11: Hebrew prefix change around the same stem
+  await record("hebrew prefix swap", () => {
+    const ops = diffWords("בבית", "הבית");
+    assert("stem kept equal", ops.some(o => o.type === "equal" && o.value === "בית"));
+    assert("ב deleted", ops.some(o => o.type === "delete" && o.value === "ב"));
+    assert("ה inserted", ops.some(o => o.type === "insert" && o.value === "ה"));
+  });
+
+  // Test 12: English inflection highlights only the suffix
+  await record("english inflection", () => {
+    const ops = diffWords("They walk home", "They walked home");
+    assert("stem equal", ops.some(o => o.type === "equal" && o.value === "walk"));
+    assert("suffix inserted", ops.some(o => o.type === "insert" && o.value === "ed"));
+  });
+
+  // Test 13: unrelated words stay whole unless character granularity is asked for
+  await record("granularity modes", () => {
+    const sub = diffWords("red", "blue");
+    assert("subword keeps whole words", sub.some(o => o.type === "delete" && o.value === "red"));
+    const word = diffWords("בית", "הבית", { granularity: "word" });
+    assert("word mode keeps whole words", word.some(o => o.type === "insert" && o.value === "הבית"));
+    const chars = diffWords("red", "blue", { granularity: "char" });
+    assert("char mode finds shared e", chars.some(o => o.type === "equal" && o.value === "e"));
+    const recon = chars.filter(o => o.type !== "delete").map(o => o.value).join("");
+    assert("char ops reconstruct", recon === "blue");
+  });
+
+  // Test 14: sentence splitting keeps abbreviations, decimals and gershayim together
+  await record("sentence splitting", () => {
+    const en = splitSentences("Dr. Cohen paid 3.5 dollars. He left! Then J. R. Smith came?").map(x => x.text);
+    assert(`three English sentences, got ${en.length}`, en.length === 3 && en[0] === "Dr. Cohen paid 3.5 dollars.");
+    const he = splitSentences('צה"ל הגיע לעיר. ארה״ב היא מדינה גדולה? כן׃ סוף').map(x => x.text);
+    assert(`four Hebrew sentences, got ${he.length}`, he.length === 4 && he[0] === 'צה"ל הגיע לעיר.');
+  });
+
+  // Test 15: alignment finds a 1:2 split and keeps offsets into the target text
+  await record("sentence alignment 1:2", () => {
+    const src = "אני הולך לבית הספר. היום יש 3 שיעורים וגם מבחן במתמטיקה. אחר כך אני חוזר הביתה.";
+    const auto = "I go to the school. Today there are 3 lessons and also a test in mathematics. After that I return home.";
+    const gpt = "I am going to school. Today there are 3 lessons. There is also a math test. Afterwards I go back home.";
+    const rows = buildSegmentTable(src, auto, gpt);
+    assert("one row per source sentence", rows.length === 3);
+    assert("middle row is 1:2", rows[1].gpt.pattern === "1:2");
+    assert("offsets point into gpt text", gpt.slice(rows[2].gpt.start, rows[2].gpt.end) === "Afterwards I go back home.");
+  });
+
+  // Test 16: book-chapter input finishes in bounded time and linear memory
+  await record("chapter-size diff is bounded", () => {
+    const { oldS, newS, words } = makeChapter(10000, 0.05);
+    const stats = {};
+    const t0 = Date.now();
+    const ops = diffWords(oldS, newS, { stats });
+    const ms = Date.now() - t0;
+    assert(`finished in ${ms}ms`, ms < 5000);
+    const tokens = words * 2;
+    assert(`peak ${stats.peakCells} cells is linear`, stats.peakCells <= 4 * (tokens + tokens) + 64);
+    const recon = ops.filter(o => o.type !== "delete").map(o => o.value).join("");
+    assert("reconstruct equals new", recon === newS);
+  });
+
+  // Test 17: unrelated chapters hit the time budget instead of freezing
+  await record("unrelated chapters stay bounded", () => {
+    const a = makeChapter(10000, 0, 1).oldS;
+    const b = makeChapter(10000, 0, 2).oldS;
+    const t0 = Date.now();
+    const ops = diffWords(a, b, { timeoutMs: 1000 });
+    const ms = Date.now() - t0;
+    assert(`finished in ${ms}ms`, ms < 4000);
+    assert("reconstruct old", ops.filter(o => o.type !== "insert").map(o => o.value).join("") === a);
+  });
+
+  // Test 18: each provider builds its own request shape and parses its reply
+  await record("providers build requests", async () => {
+    const messages = [{ role: "system", content: "sys" }, { role: "user", content: "hi" }];
+    const openai = mockFetch({ choices: [{ message: { content: " hello " } }] });
+    const out = await translate({ providerId: "openai", settings: { apiKey: "k" }, model: "o4-mini", messages, temperature: "0.3", maxTokens: "100", fetchImpl: openai });
+    assert("openai parsed", out === "hello");
+    assert("openai url", openai.last.url === "https://api.openai.com/v1/chat/completions");
+    assert("reasoning model omits temperature", !("temperature" in openai.last.body));
+    assert("openai token param", openai.last.body.max_completion_tokens === 100);
+
+    const local = mockFetch({ choices: [{ message: { content: "x" } }] });
+    await translate({ providerId: "openai-compatible", settings: { baseUrl: "http://127.0.0.1:8080/v1/" }, model: "llama3.1", messages, temperature: "0.2", maxTokens: "50", fetchImpl: local });
+    assert("compatible url", local.last.url === "http://127.0.0.1:8080/v1/chat/completions");
+    assert("compatible no auth without key", !local.last.headers.Authorization);
+    assert("compatible params", local.last.body.temperature === 0.2 && local.last.body.max_tokens === 50);
+
+    const azure = mockFetch({ choices: [{ message: { content: "x" } }] });
+    await translate({ providerId: "azure", settings: { endpoint: "https://r.openai.azure.com/", apiKey: "k" }, model: "my-gpt4o", messages, fetchImpl: azure });
+    assert("azure url", azure.last.url === "https://r.openai.azure.com/openai/deployments/my-gpt4o/chat/completions?api-version=2024-10-21");
+    assert("azure key header", azure.last.headers["api-key"] === "k" && !("model" in azure.last.body));
+
+    const anthropic = mockFetch({ content: [{ type: "text", text: "shalom" }] });
+    const a = await translate({ providerId: "anthropic", settings: { apiKey: "k" }, messages, temperature: "1.5", fetchImpl: anthropic });
+    assert("anthropic parsed", a === "shalom");
+    assert("anthropic system hoisted", anthropic.last.body.system === "sys" && anthropic.last.body.messages.length === 1);
+    assert("anthropic max_tokens default", anthropic.last.body.max_tokens === 4096);
+    assert("anthropic temperature clamped", anthropic.last.body.temperature === 1);
+  });
+
+  // Test 19: streamed replies are assembled from SSE deltas
+  await record("provider streaming", async () => {
+    const sse = (events) => async (url, init) => {
+      sse.lastBody = JSON.parse(init.body);
+      const enc = new TextEncoder();
+      const body = new ReadableStream({ start(c) { for (const e of events) c.enqueue(enc.encode(e)); c.close(); } });
+      return new Response(body, { status: 200, headers: { "Content-Type": "text/event-stream" } });
+    };
+    const tokens = [];
+    const openai = sse([
+      'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n',
+      'data: {"choices":[{"delta":{"content":"lo"}}]}\n\ndata: [DONE]\n\n',
+    ]);
+    const out = await translate({ providerId: "openai", settings: { apiKey: "k" }, messages: [], fetchImpl: openai, onToken: (d) => tokens.push(d) });
+    assert("openai stream text", out === "Hello" && tokens.join("|") === "Hel|lo");
+    assert("stream flag sent", sse.lastBody.stream === true);
+    const anthropic = sse([
+      'event: message_start\ndata: {"type":"message_start"}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"של"}}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"ום"}}\n\n',
+      'event: message_stop\ndata: {"type":"message_stop"}\n\n',
+    ]);
+    const he = await translate({ providerId: "anthropic", settings: { apiKey: "k" }, messages: [], fetchImpl: anthropic, onToken: () => {} });
+    assert("anthropic stream text", he === "שלום");
+  });
+
+  // Test 20: chunking respects the budget and reassembles paragraph breaks
+  await record("document chunking", () => {
+    const paras = Array.from({ length: 12 }, (_, i) => `Paragraph ${i}. ` + "Some words here. ".repeat(30));
+    const doc = paras.join("\n\n");
+    const chunks = chunkDocument(doc, { maxTokens: 300 });
+    assert(`several chunks, got ${chunks.length}`, chunks.length > 3);
+    assert("each chunk within budget", chunks.every(c => estimateTokens(c.text) <= 300));
+    assert("later chunks carry context", chunks[1].context.length > 0);
+    assert("identity reassembly", assembleChunks(doc, chunks, chunks.map(c => c.text)) === doc);
+    const upper = assembleChunks(doc, chunks, chunks.map(c => c.text.toUpperCase()));
+    assert("paragraph breaks kept", upper.split("\n\n").length === paras.length);
+    // Each chunk's range holds exactly its output, failed ones their source.
+    const outputs = chunks.map((c, i) => (i === 1 ? null : `<${i}>`));
+    const assembled = assembleChunks(doc, chunks, outputs);
+    const ranges = chunkRanges(doc, chunks, outputs);
+    assert("ranges locate outputs", ranges.every((r, i) => assembled.slice(r.start, r.end) === (outputs[i] ?? chunks[i].text)));
+    const partial = chunkRanges(doc, chunks, outputs, { partial: true });
+    assert("partial: empty range at the stop", partial[1].start === partial[1].end && partial[1].start === assembleChunks(doc, chunks, outputs, { partial: true }).length);
+    assert("partial: nothing after the stop", partial.slice(2).every(r => r === null));
+  });
+
+  // Test 21: 429/5xx are retried with Retry-After or backoff; 4xx are not
+  await record("retry with backoff", async () => {
+    const waits = [];
+    let calls = 0;
+    const out = await withRetry(async () => {
+      calls++;
+      if (calls === 1) throw new ProviderError("rate", { status: 429, retryAfter: 2 });
+      if (calls === 2) throw new ProviderError("down", { status: 503 });
+      return "ok";
+    }, { wait: async (ms) => waits.push(ms), baseDelayMs: 100, random: () => 0 });
+    assert("eventually ok", out === "ok" && calls === 3);
+    assert(`delays ${waits}`, waits[0] === 2000 && waits[1] === 200);
+    let thrown = null;
+    try { await withRetry(async () => { throw new ProviderError("bad", { status: 400 }); }, { wait: async () => {} }); }
+    catch (e) { thrown = e; }
+    assert("400 not retried", thrown && thrown.status === 400);
+  });
+
+  // Test 22: concurrency limit and per-chunk failure isolation
+  await record("chunk concurrency", async () => {
+    const chunks = Array.from({ length: 6 }, (_, index) => ({ index, text: `c${index}` }));
+    let inFlight = 0, peak = 0;
+    const { outputs, errors } = await translateChunks(chunks, async (c) => {
+      inFlight++; peak = Math.max(peak, inFlight);
+      await new Promise(r => setTimeout(r, 5));
+      inFlight--;
+      if (c.index === 3) throw new ProviderError("bad", { status: 400 });
+      return c.text.toUpperCase();
+    }, { concurrency: 2 });
+    assert(`peak ${peak} <= 2`, peak <= 2);
+    assert("others translated", outputs[0] === "C0" && outputs[5] === "C5");
+    assert("failed chunk isolated", outputs[3] === null && errors[3].status === 400);
+  });
+
+  // Test 23: HTTP errors surface status and Retry-After
+  await record("provider errors carry status", async () => {
+    const limited = mockFetch({ error: "slow down" }, { status: 429, headers: { "Retry-After": "3" } });
+    let err = null;
+    try { await translate({ providerId: "openai", settings: { apiKey: "k" }, messages: [], fetchImpl: limited }); }
+    catch (e) { err = e; }
+    assert("threw ProviderError", err instanceof ProviderError);
+    assert("status and retryAfter", err.status === 429 && err.retryAfter === 3);
+  });
+
+  // Test 24: zip round trip (STORE writer, reader)
+  await record("zip round trip", async () => {
+    const zip = createZip([{ name: "a.txt", data: "hello" }, { name: "dir/b.xml", data: "<x>שלום</x>" }]);
+    const files = await readZip(zip);
+    const dec = new TextDecoder();
+    assert("a.txt", dec.decode(files.get("a.txt")) === "hello");
+    assert("utf-8 content", dec.decode(files.get("dir/b.xml")) === "<x>שלום</x>");
+  });
+
+  // Test 25: DOCX tracked changes are well-formed w:ins/w:del with author and bidi marks
+  await record("docx tracked changes", async () => {
+    const ops = diffWords("The cat sat.\nשלום עולם", "The dog sat.\nשלום לכם עולם", { granularity: "word" });
+    const files = await readZip(buildDocx({ ops, author: "Dana", date: "2024-05-01T10:00:00.123Z" }));
+    const dec = new TextDecoder();
+    assert("content types valid", localName(parseXML(dec.decode(files.get("[Content_Types].xml")))) === "Types");
+    const doc = parseXML(dec.decode(files.get("word/document.xml")));
+    const ins = findAll(doc, "w:ins"), del = findAll(doc, "w:del");
+    assert("ins count", ins.length === 2);
+    assert("del count", del.length === 1);
+    assert("author + date", ins.every(e => e.attrs["w:author"] === "Dana" && e.attrs["w:date"] === "2024-05-01T10:00:00Z"));
+    assert("deleted text", findAll(del[0], "w:delText").map(textContent).join("") === "cat");
+    const [en, he] = findAll(doc, "w:p");
+    assert("LTR paragraph has no bidi", !findAll(en, "w:bidi").length && !findAll(en, "w:rtl").length);
+    assert("Hebrew paragraph is bidi", findAll(he, "w:bidi").length === 1);
+    assert("Hebrew runs are rtl", findAll(he, "w:r").every(r => findAll(r, "w:rtl").length === 1));
+    const accepted = findAll(doc, "w:t").map(textContent).join("");
+    assert("accepted text", accepted === "The dog sat.שלום לכם עולם");
+  });
+
+  // Test 26: DOCX source as comments anchors each source sentence on its translation
+  await record("docx source comments", async () => {
+    const ops = diffWords("One. Two.", "One! Two.");
+    const files = await readZip(buildDocx({ ops, sourceText: "אחת. שתיים.", includeSource: "comments" }));
+    const dec = new TextDecoder();
+    const comments = findAll(parseXML(dec.decode(files.get("word/comments.xml"))), "w:comment");
+    assert("two comments", comments.length === 2);
+    assert("comment text", textContent(comments[1]) === "שתיים.");
+    const doc = parseXML(dec.decode(files.get("word/document.xml")));
+    assert("ranges balanced", findAll(doc, "w:commentRangeStart").length === 2 && findAll(doc, "w:commentRangeEnd").length === 2);
+    assert("references", findAll(doc, "w:commentReference").length === 2);
+    assert("rels point at comments", dec.decode(files.get("word/_rels/document.xml.rels")).includes("comments.xml"));
+    const section = await readZip(buildDocx({ ops, sourceText: "אחת.", includeSource: "section" }));
+    assert("appendix after section break", dec.decode(section.get("word/document.xml")).includes("<w:pPr><w:sectPr/></w:pPr>"));
+  });
+
+  // Test 27: plain-text encoding detection (UTF-8, Windows-1255, Windows-1252)
+  await record("text encoding detection", () => {
+    const utf8 = decodeText(new TextEncoder().encode("שלום"));
+    assert("utf-8", utf8.encoding === "utf-8" && utf8.text === "שלום");
+    const cp1255 = decodeText(new Uint8Array([0xF9, 0xEC, 0xE5, 0xED, 0x20, 0xF2, 0xE5, 0xEC, 0xED])); // שלום עולם
+    assert("windows-1255", cp1255.encoding === "windows-1255" && cp1255.text === "שלום עולם");
+    const cp1252 = decodeText(new Uint8Array([0x63, 0x61, 0x66, 0xE9])); // café
+    assert("windows-1252", cp1252.encoding === "windows-1252" && cp1252.text === "café");
+  });
+
+  // Test 28: SRT/VTT cues keep ids and timings; segment offsets index the joined text
+  await record("subtitle import", () => {
+    const srt = parseSRT("1\r\n00:00:01,000 --> 00:00:02,500\r\nשלום\r\nעולם\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\nHi\r\n");
+    assert("two cues", srt.segments.length === 2);
+    assert("timing", srt.segments[0].cue.from === "00:00:01,000" && srt.segments[0].cue.to === "00:00:02,500");
+    assert("multi-line cue", srt.segments[0].text === "שלום\nעולם");
+    assert("offsets", srt.text.slice(srt.segments[1].start, srt.segments[1].end) === "Hi");
+    const vtt = parseVTT("WEBVTT\n\nNOTE skip me\n\nintro\n00:01.000 --> 00:02.000 align:start\nHello\n\n00:03.000 --> 00:04.000\nBye\n");
+    assert("vtt cues", vtt.segments.map(s => s.text).join("|") === "Hello|Bye");
+    assert("vtt id + settings", vtt.segments[0].cue.id === "intro" && vtt.segments[0].cue.settings === "align:start");
+  });
+
+  // Test 29: XLIFF 1.2 and 2.0 source/target pairs
+  await record("xliff import", () => {
+    const x12 = parseXLIFF(`<?xml version="1.0"?><xliff version="1.2"><file source-language="he" target-language="en"><body>
+      <trans-unit id="a"><source>שלום <g id="1">עולם</g></source><target>Hello world</target></trans-unit>
+      <trans-unit id="b"><source>תודה</source></trans-unit></body></file></xliff>`);
+    assert("1.2 langs", x12.sourceLang === "he" && x12.targetLang === "en");
+    assert("1.2 inline text", x12.segments[0].text === "שלום עולם");
+    assert("1.2 texts", x12.text === "שלום עולם\nתודה" && x12.targetText === "Hello world\n");
+    const x20 = parseXLIFF(`<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="he"><file id="f">
+      <unit id="u1"><segment><source>One &amp; two</source><target>אחת ושתיים</target></segment></unit></file></xliff>`);
+    assert("2.0 pair", x20.segments[0].id === "u1" && x20.segments[0].text === "One & two" && x20.targetText === "אחת ושתיים");
+  });
+
+  // Test 30: DOCX import reads paragraphs with tracked changes accepted
+  await record("docx import", async () => {
+    const ops = diffWords("The cat sat.\nשלום עולם", "The dog sat.\nשלום לכם עולם");
+    const doc = await importFile("review.docx", buildDocx({ ops }));
+    assert("format", doc.format === "docx");
+    assert("accepted text", doc.text === "The dog sat.\nשלום לכם עולם");
+    assert("paragraph segments", doc.segments.length === 2 && doc.segments[1].start === 13);
+    const txt = await importFile("notes.txt", new TextEncoder().encode("a\n\nb"));
+    assert("text segments", txt.format === "text" && txt.segments.length === 2);
+  });
+
+  // Test 31: XLIFF 2.0 / 1.2 export → import reproduces the pairs, inline markup included
+  const catPairs = [
+    { id: "1", source: "שלום <b>עולם</b> & \"חברים\"", target: "Hello <b>world</b> & \"friends\"", baseline: "Hi <b>world</b>" },
+    { id: "u-2", source: "תודה רבה.", target: "Thank you.", baseline: "Thanks a lot." },
+  ];
+  const samePairs = (doc) => doc.segments.length === catPairs.length && doc.segments.every((s, i) =>
+    s.id === catPairs[i].id && s.text === catPairs[i].source && s.target === catPairs[i].target);
+  await record("xliff export round trip", () => {
+    const x2 = buildXLIFF2(catPairs, { sourceLang: "he", targetLang: "en" });
+    assert("2.0 escapes markup", x2.includes('<ph id="1" dataRef="d1"/>') && x2.includes("&lt;b&gt;") && !x2.includes("<b>"));
+    const back2 = parseXLIFF(x2);
+    assert("2.0 pairs", samePairs(back2));
+    assert("2.0 langs", back2.sourceLang === "he" && back2.targetLang === "en");
+    assert("2.0 baseline note", back2.segments[1].meta.baseline === "Thanks a lot.");
+    const back12 = parseXLIFF(buildXLIFF12(catPairs, { sourceLang: "he", targetLang: "en" }));
+    assert("1.2 pairs", samePairs(back12));
+    assert("1.2 alt-trans baseline", back12.segments[0].meta.baseline === "Hi <b>world</b>");
+    const repeated = buildXLIFF2([{ id: "r", source: "<br/>א<br/>ב", target: "<br/>a<br/>b<br/>", baseline: "" }], { sourceLang: "he", targetLang: "en" });
+    const phs = (part) => [...repeated.match(new RegExp(`<${part}>(.*?)</${part}>`))[1].matchAll(/<ph id="(\d+)" dataRef="(d\d+)"/g)].map(m => m.slice(1).join(" "));
+    assert("2.0 ph per occurrence", phs("source").join() === "1 d1,2 d1" && phs("target").join() === "1 d1,2 d1,3 d1" && (repeated.match(/<data /g) || []).length === 1);
+    assert("2.0 repeated codes round-trip", parseXLIFF(repeated).segments[0].target === "<br/>a<br/>b<br/>");
+  });
+
+  // Test 32: TMX export has he/en xml:lang and round-trips; untranslated pairs are skipped
+  await record("tmx export round trip", () => {
+    const tmx = buildTMX([...catPairs, { id: "3", source: "עוד", target: "", baseline: "" }], { sourceLang: langCode("Hebrew"), targetLang: langCode("English") });
+    assert("xml:lang codes", tmx.includes('<tuv xml:lang="he">') && tmx.includes('<tuv xml:lang="en">'));
+    const back = parseTMX(tmx);
+    assert("pairs", samePairs(back));
+    assert("langs", back.sourceLang === "he" && back.targetLang === "en");
+  });
+
+  // Test 33: imported units keep their ids when the translation keeps the line structure
+  await record("cat export keeps imported ids", () => {
+    const sourceDoc = parseXLIFF(buildXLIFF2(catPairs, { sourceLang: "he", targetLang: "en" }));
+    const pairs = buildPairs({ sourceText: sourceDoc.text, autoText: sourceDoc.targetText, gptText: "Hello there\nThanks!", sourceDoc });
+    assert("ids", pairs.map(p => p.id).join() === "1,u-2");
+    assert("targets", pairs[1].target === "Thanks!" && pairs[1].baseline === "Thank you.");
+    const aligned = buildPairs({ sourceText: "אחת. שתיים.", autoText: "One. Two.", gptText: "One! Two!" });
+    assert("sentence pairs", aligned.length === 2 && aligned[1].target === "Two!" && aligned[1].baseline === "Two.");
+    assert("dispatch", buildCatFile("tmx", aligned, { sourceLang: "he", targetLang: "en" }).includes("<tmx"));
+  });
+
+  // Test 34: Hebrew prefix-aware, whole-word glossary matching
+  await record("glossary matching", () => {
+    assert("prefixed", findTerm("והתורה היא", "תורה").length === 1);
+    assert("bare", findTerm("תורה", "תורה").length === 1);
+    assert("not inside a word", findTerm("תורהות", "תורה").length === 0);
+    assert("english whole word, any case", findTerm("The LAW and lawyers", "law").length === 1);
+    assert("multi-word", findTerm("the Oral  Torah says", "oral torah").length === 1);
+    const g = [newEntry({ source: "תורה", target: "Torah" })];
+    assert("relevant", relevantEntries(g, "ללמוד בתורה").length === 1 && !relevantEntries(g, "שלום").length);
+  });
+
+  // Test 35: checker flags missing renderings and forbidden variants; prompt injection
+  await record("glossary checker", () => {
+    const g = [newEntry({ source: "תורה", target: "Torah", forbidden: ["Law", "Pentateuch"], notes: "Always capitalised" })];
+    const issues = checkGlossary(g, "התורה והתורה", "The Torah and the Law.");
+    const missing = issues.find(i => i.type === "missing");
+    assert("missing count", missing && missing.expected === 2 && missing.found === 1);
+    const forbidden = issues.find(i => i.type === "forbidden");
+    assert("forbidden range", forbidden && "The Torah and the Law.".slice(forbidden.start, forbidden.end) === "Law");
+    assert("clean translation", checkGlossary(g, "התורה", "The Torah.").length === 0);
+    const msgs = buildTranslationMessages({ systemPrompt: "Translate.", sourceText: "x", targetLang: "English", glossary: glossaryPrompt(g) });
+    assert("glossary in system message", msgs[0].content.includes("תורה → Torah (never: Law; Pentateuch) — Always capitalised"));
+    const html = renderOpsToHTML([{ type: "equal", value: "the " }, { type: "insert", value: "Law" }], "auto", [], new Set(), null, forbiddenRanges(g, "the Law"));
+    assert("forbidden variant marked in editor", html.includes('data-glossary="forbidden"') && html.includes(">Law</mark>"));
+    // Titles with quotes stay inside their attribute and read back unchanged.
+    const title = `Glossary: avoid "Law", use "Torah" ' onmouseover="x"`;
+    const quoted = renderOpsToHTML([{ type: "equal", value: "the Law" }], "auto", [], new Set(), null, [{ start: 4, end: 7, title }]);
+    const attr = quoted.match(/<mark [^>]*title="([^"]*)">Law<\/mark>/);
+    const unesc = (v) => v.replace(/&(quot|#39|lt|gt|amp);/g, (_, e) => ({ quot: '"', "#39": "'", lt: "<", gt: ">", amp: "&" }[e]));
+    assert("title round-trips", attr && unesc(attr[1]) === title && !quoted.includes("onmouseover=\""));
+  });
+
+  // Test 36: glossary CSV and TBX round trips
+  await record("glossary csv/tbx", () => {
+    const g = [
+      newEntry({ source: "תורה", target: "Torah", forbidden: ["Law", "Pentateuch"], notes: 'Say "Torah", not law' }),
+      newEntry({ source: "משה רבנו", target: "Moses our Teacher" }),
+    ];
+    const strip = (list) => list.map(({ source, target, forbidden, notes }) => ({ source, target, forbidden, notes }));
+    assert("csv", JSON.stringify(strip(parseGlossaryCSV(glossaryToCSV(g)))) === JSON.stringify(strip(g)));
+    assert("csv without header", parseGlossaryCSV("שבת,Sabbath,Saturday;Shabbos\n")[0].forbidden.join() === "Saturday,Shabbos");
+    assert("tbx", JSON.stringify(strip(parseTBX(glossaryToTBX(g, { sourceLang: "he", targetLang: "en" })))) === JSON.stringify(strip(g)));
+    const merged = mergeGlossary(g, [newEntry({ source: "תורה", target: "the Torah" })]);
+    assert("merge replaces by source", merged.length === 2 && merged[0].target === "the Torah" && merged[0].id === g[0].id);
+  });
+
+  // Test 37: TM match score is token edit distance, whitespace ignored
+  await record("tm match score", () => {
+    assert("identical", matchScore("שלום  עולם.", "שלום עולם.") === 1);
+    assert("one of four tokens", Math.abs(matchScore("a b c d", "a x c d") - 0.75) < 1e-9);
+    assert("insertion", Math.abs(matchScore("a b c", "a b c d") - 0.75) < 1e-9);
+    assert("unrelated", matchScore("a b", "c d") === 0);
+  });
+
+  // Test 38: saved comparisons feed the memory; newer pairs replace older ones
+  await record("tm from comparisons", () => {
+    const pairs = pairsFromComparison("אחת. שתיים.", "One. Two.", "One! Two!");
+    assert("pairs", pairs.length === 2 && pairs[1].source === "שתיים." && pairs[1].target === "Two!");
+    let tmUnits = addToMemory([], pairs, { targetLang: "English" });
+    tmUnits = addToMemory(tmUnits, [{ source: "שתיים.", target: "Two." }], { targetLang: "English" });
+    assert("deduplicated", tmUnits.length === 2 && tmUnits[1].target === "Two.");
+    assert("other language kept apart", addToMemory(tmUnits, [{ source: "שתיים.", target: "Zwei." }], { targetLang: "German" }).length === 3);
+  });
+
+  // Test 39: exact and fuzzy lookup; 100% matches are pre-filled and the rest planned
+  await record("tm lookup and pre-fill", () => {
+    const tmUnits = addToMemory([], [
+      { source: "בראשית ברא אלהים את השמים.", target: "In the beginning God created the heavens." },
+      { source: "והארץ היתה תהו ובהו ושם חשך.", target: "And the earth was formless and void." },
+    ], { targetLang: "English" });
+    const src = "בראשית ברא אלהים את השמים. והארץ היתה תהו ובהו ושם אור. משפט חדש לגמרי כאן.";
+    const matches = lookupMemory(tmUnits, src, { targetLang: "English" });
+    assert("exact", matches[0].exact && matches[0].score === 1);
+    assert("fuzzy", !matches[1].exact && matches[1].unit === tmUnits[1] && Math.abs(matches[1].score - 6 / 7) < 1e-9);
+    assert("no match", matches[2].unit === null);
+    assert("language filter", lookupMemory(tmUnits, src, { targetLang: "German" }).every(m => !m.unit));
+    const plan = planWithMemory(src, matches, { maxTokens: 1500 });
+    assert("plan", plan.length === 2 && plan[0].prefilled === tmUnits[0].target && plan[1].prefilled === undefined);
+    assert("rest grouped", plan[1].text === "והארץ היתה תהו ובהו ושם אור. משפט חדש לגמרי כאן.");
+    const out = assembleChunks(src, plan, plan.map(c => c.prefilled ?? "MODEL"));
+    assert("assembled", out === "In the beginning God created the heavens. MODEL");
+  });
+
+  // Test 40: identical texts score perfectly; BLEU matches the textbook example
+  await record("metrics scores", () => {
+    const same = measureTexts({ autoText: "The cat sat on the mat.", gptText: "The cat sat on the mat.", rawOutput: "The cat sat on the mat." });
+    assert("identical", same.editRate === 0 && same.postEdit === 0 && Math.abs(same.chrF - 100) < 1e-9 && Math.abs(same.bleu - 100) < 1e-9);
+    const b = bleu("the cat sat on the mat", "the cat sat on a mat");
+    assert("bleu", Math.abs(b - 53.73) < 0.01, b);
+    assert("chrF bounds", chrF("abc", "xyz") === 0 && chrF("שלום עולם", "שלום עולם") === 100);
+    assert("no raw output", measureTexts({ autoText: "a", gptText: "b" }).postEdit === null);
+  });
+
+  // Test 41: edit rate counts a substitution once; word counts per op type
+  await record("metrics edit rate", () => {
+    const ops = diffWords("a b c d", "a x c d e", { granularity: "word" });
+    assert("edit rate", Math.abs(editRate(ops) - 2 / 5) < 1e-9, editRate(ops));
+    const w = wordCounts(ops);
+    assert("word counts", w.inserted === 2 && w.deleted === 1 && w.equal === 3, JSON.stringify(w));
+    const m = computeMetrics({ ops, autoText: "a b c d", gptText: "a x c d e", postEditOps: diffWords("a x c d", "a x c d e", { granularity: "word" }) });
+    assert("post-edit", Math.abs(m.postEdit - 1 / 5) < 1e-9);
+  });
+
+  // Test 42: trends group history by model and prompt, points oldest first
+  await record("metrics trends", () => {
+    const metrics = (editRate) => ({ editRate, postEdit: null, chrF: 50, bleu: 20 });
+    const trends = metricTrends([
+      { date: "2024-01-03", provider: "openai", model: "m1", systemPrompt: "P", metrics: metrics(0.3) },
+      { date: "2024-01-01", provider: "openai", model: "m1", systemPrompt: "P", metrics: metrics(0.1) },
+      { date: "2024-01-02", provider: "openai", model: "m2", systemPrompt: "P", metrics: metrics(0.5) },
+      { date: "2024-01-04", provider: "openai", model: "m1", systemPrompt: "Q" },
+    ]);
+    assert("groups", trends.length === 2 && trends[0].model === "m1" && trends[0].count === 2);
+    assert("average", Math.abs(trends[0].editRate - 0.2) < 1e-9 && trends[0].postEdit === null);
+    assert("order", trends[0].points[0].editRate === 0.1 && promptId("P") === promptId("P") && promptId("P") !== promptId("Q"));
+  });
+
+  // Test 43: history search ignores case and points; #tags and starred filter
+  await record("history search", () => {
+    const entries = [
+      { id: "a", date: "2024-01-01", sourceText: "בְּרֵאשִׁית בָּרָא", gptText: "In the Beginning", tags: ["Genesis"], starred: true },
+      { id: "b", date: "2024-01-02", sourceText: "שלום", gptText: "Peace", title: "Greeting", tags: [] },
+    ];
+    const ids = (q, opts) => searchHistory(entries, q, opts).map(e => e.id).join();
+    assert("normalize", normalizeForSearch("Bərēšīṯ בְּרֵאשִׁית") === "bəresit בראשית");
+    assert("points ignored", ids("בראשית") === "a");
+    assert("all terms", ids("in beginning") === "a" && ids("beginning peace") === "");
+    assert("title", ids("greet") === "b");
+    assert("tag", ids("#genesis") === "a" && ids("#gen") === "");
+    assert("starred", ids("", { starred: true }) === "a" && ids("") === "a,b");
+    assert("tags parsed", JSON.stringify(parseTags("#a, b,, a ,c")) === '["a","b","c"]');
+  });
+
+  // Test 44: backups round-trip; restore merges by id, newer edit wins
+  await record("history backup and merge", () => {
+    const mine = [
+      { id: "1", date: "2024-01-01", title: "old", updated: "2024-02-01" },
+      { id: "2", date: "2024-01-02", title: "mine" },
+    ];
+    const backup = parseHistoryBackup(historyBackup([
+      { id: "1", date: "2024-01-01", title: "older", updated: "2024-01-15" },
+      { id: "2", date: "2024-01-02", title: "theirs", updated: "2024-03-01" },
+      { id: "3", date: "2024-01-03", title: "new" },
+      { date: "no id" },
+    ]));
+    assert("parsed", backup.length === 3);
+    const { entries, changed, added, updated } = mergeHistory(mine, backup);
+    assert("counts", added === 1 && updated === 1 && changed.length === 2);
+    assert("winners", entries.map(e => `${e.id}:${e.title}`).join() === "3:new,2:theirs,1:old");
+    assert("legacy array", parseHistoryBackup(JSON.stringify([{ id: "x", date: "d" }])).length === 1);
+    let threw = false;
+    try { parseHistoryBackup('{"foo":1}'); } catch { threw = true; }
+    assert("rejects other JSON", threw);
+  });
+
+  // Test 45: migration writes the old localStorage entries, then drops the key
+  await record("history migration", async () => {
+    const data = { tds_history_v1: JSON.stringify([{ id: "a", date: "2024-01-01" }, { id: "b", date: "2024-01-02" }]) };
+    const storage = { getItem: (k) => data[k] ?? null, removeItem: (k) => { delete data[k]; } };
+    const written = [];
+    const moved = await migrateLocalHistory({ putMany: async (es) => { written.push(...es); } }, "tds_history_v1", storage);
+    assert("moved", moved === 2 && written.length === 2 && !("tds_history_v1" in data));
+    const failing = { putMany: async () => { throw new Error("QuotaExceededError"); } };
+    data.tds_history_v1 = JSON.stringify([{ id: "c", date: "2024-01-03" }]);
+    let threw = false;
+    try { await migrateLocalHistory(failing, "tds_history_v1", storage); } catch { threw = true; }
+    assert("key kept on failure", threw && "tds_history_v1" in data);
+    assert("nothing to move", (await migrateLocalHistory(failing, "missing", storage)) === 0);
+  });
+
+  // Test 46: project drafts only change with the texts; opening applies only what it sets
+  await record("projects", () => {
+    const p = newProject({ name: "Ch. 1", sourceLang: "Hebrew", targetLang: "English", date: "2024-01-01" });
+    const texts = { sourceText: "שלום", autoText: "Hello", gptText: "Peace", rawOutput: "Peace" };
+    const draft = nextDraft(p.draft, texts, "2024-01-02");
+    assert("draft", draft && draft.gptText === "Peace" && draft.saved === "2024-01-02");
+    assert("unchanged", nextDraft(draft, texts) === null && nextDraft(draft, { ...texts, gptText: "Peace!" }) !== null);
+    assert("no overrides", JSON.stringify(projectSettings(p)) === '{"targetLang":"English"}');
+    const pinned = { ...p, overrides: pinOverrides({ provider: "anthropic", model: "m", systemPrompt: "P", temperature: "" }) };
+    const s = projectSettings(pinned);
+    assert("overrides", s.provider === "anthropic" && s.model === "m" && s.systemPrompt === "P" && s.temperature === "");
+    const q = { ...newProject({ date: "2024-01-03" }), opened: "2024-01-05" };
+    const recent = recentProjects([p, q, { ...p, id: "x", opened: "2024-01-04" }], 2);
+    assert("recent", recent.length === 2 && recent[0] === q && recent[1].id === "x" && p.id !== q.id);
+    assert("empty draft", emptyDraft().rawOutput === null);
+  });
+
+  // Test 47: every placeholder is filled; placed glossary/context are not sent twice
+  await record("prompt variables", () => {
+    const msgs = buildTranslationMessages({
+      systemPrompt: "{SOURCE_LANG} to {TARGET}. Write natural {TARGET}. Client: {CLIENT}. {STYLE_NOTES}\n{GLOSSARY}\nBefore: {PREVIOUS_CONTEXT} {UNSET}",
+      sourceText: "x", targetLang: "English", sourceLang: "Hebrew", previousContext: "prev", glossary: "GLOSSARY: a", styleNotes: "Short.", fields: { CLIENT: "ACME", TARGET: "ignored" },
+    });
+    assert("system", msgs[0].content === "Hebrew to English. Write natural English. Client: ACME. Short.\nGLOSSARY: a\nBefore: prev {UNSET}", msgs[0].content);
+    assert("no context block", !msgs[1].content.includes("CONTEXT"));
+    const plain = buildTranslationMessages({ systemPrompt: "Into {TARGET}.", sourceText: "x", targetLang: "Hebrew", previousContext: "prev", glossary: "G" });
+    assert("appended", plain[0].content === "Into Hebrew.\n\nG" && plain[1].content.startsWith("CONTEXT"));
+    assert("fields", customFields("{TARGET} {CLIENT} {A_1} {CLIENT} {lower}").join() === "CLIENT,A_1");
+  });
+
+  // Test 48: templates keep versions; history finds the version that produced a prompt
+  await record("prompt library", () => {
+    let t = newTemplate({ name: "Type 3", text: "v1 {TARGET}", date: "2024-01-01" });
+    assert("same text", addVersion(t, "v1 {TARGET}") === t);
+    t = addVersion(t, "v2 {TARGET}", { note: "shorter", date: "2024-01-02" });
+    assert("versions", t.versions.length === 2 && latestVersion(t).version === 2 && latestVersion(t).note === "shorter");
+    const copy = { ...newTemplate({ name: "Copy", text: "v1 {TARGET}" }) };
+    const lib = [t, copy];
+    const ref = matchTemplate(lib, "v1 {TARGET}", { id: copy.id, version: 1 });
+    assert("prefers loaded", ref.id === copy.id && ref.name === "Copy");
+    const found = matchTemplate(lib, "v2 {TARGET}", null);
+    assert("found", found.id === t.id && found.version === 2 && JSON.stringify(found) === JSON.stringify(templateRef(t, latestVersion(t))));
+    assert("unsaved", matchTemplate(lib, "edited", null) === null);
+  });
+
+  // Test 49: candidates are counted against the baseline and each other
+  await record("candidate comparison", async () => {
+    const diff = async (a, b) => diffWords(a, b, { granularity: "word" });
+    const { vsBaseline, matrix } = await compareCandidates("a b c d", ["a b c d", "a x c d", null], diff);
+    assert("baseline", vsBaseline[0].changes === 0 && vsBaseline[1].changes === 1 && vsBaseline[1].inserted === 1 && vsBaseline[2] === null);
+    assert("matrix", matrix[0][1] === 0.25 && matrix[1][0] === 0.25 && matrix[0][0] === 0 && matrix[0][2] === null);
+    // With a cache, a candidate arriving later costs its own diffs only.
+    let calls = 0;
+    const counted = async (a, b) => { calls++; return diff(a, b); };
+    const cache = new Map();
+    await compareCandidates("a b c d", ["a b c d", "a x c d", null], counted, cache);
+    const first = calls;
+    const again = await compareCandidates("a b c d", ["a b c d", "a x c d", "a b y d"], counted, cache);
+    assert(`cached diffs: ${first}, then ${calls - first}`, first === 3 && calls - first === 3 && again.matrix[2][1] === again.matrix[1][2]);
+    const spec = newCandidateSpec({ provider: "openai", model: "gpt-4o", template: { id: "t", name: "Type 3", version: 2 }, temperature: "0.2" });
+    assert("label", candidateLabel(spec) === "gpt-4o · Type 3 v2 · t=0.2");
+  });
+
+  // Test 50: cherry-picking replaces only the aligned sentence in the working text
+  await record("candidate cherry-pick", () => {
+    const src = "אחת. שתיים. שלוש.";
+    const working = "One. Two.\nThree.";
+    const cand = "Uno. Deux. Drei.";
+    const wRows = candidateRows(src, "", working), cRows = candidateRows(src, "", cand);
+    assert("middle", pickSentence(working, wRows, cRows, 1) === "One. Deux.\nThree.");
+    assert("last", pickSentence(working, wRows, cRows, 2) === "One. Two.\nDrei.");
+    assert("missing row", pickSentence(working, wRows, cRows, 7) === null);
+  });
+
+  // Test 51: revisions belong to a document; unchanged snapshots are skipped
+  await record("revision timeline", () => {
+    const k1 = documentKey({ sourceText: "שלום עולם" });
+    assert("source key", k1 === documentKey({ sourceText: "שלום עולם" }) && k1 !== documentKey({ sourceText: "שלום עולם!" }));
+    assert("project key", documentKey({ projectId: "p1", sourceText: "x" }) === "project:p1");
+    const r1 = newRevision({ docKey: k1, kind: "model", text: "Hello", label: "gpt-4o", date: "2024-01-01T10:00:00Z" });
+    const r2 = newRevision({ docKey: k1, kind: "edit", text: "Hello!", author: "Dana", date: "2024-01-01T11:00:00Z" });
+    const list = [r1, r2];
+    assert("ids", r1.id !== r2.id && r2.author === "Dana" && r1.restoredFrom === null);
+    assert("redundant edit", isRedundant(list, "edit", "Hello!") && !isRedundant(list, "edit", "Hello"));
+    assert("manual always", !isRedundant(list, "manual", "Hello!") && !isRedundant(list, "restore", "Hello!"));
+    assert("empty timeline", !isRedundant([], "model", "x"));
+  });
+
+  // Test 52: each normalization hides its own kind of difference, and only that
+  await record("diff normalization modes", () => {
+    const changes = (a, b, normalize) => groupHunks(diffWords(a, b, { granularity: "word", normalize })).length;
+    const cases = [
+      ["whitespace", "a  b\nc", "a b c", "a b c", "a bc"],
+      ["punctuation", "Hello, world.", "Hello world", "Hello world", "Hello there"],
+      ["case", "The Cat", "the cat", "the cat", "the dog"],
+      ["niqqud", "בְּרֵאשִׁית בָּרָא", "בראשית ברא", "בראשית ברא", "בראשית ברה"],
+      ["quotes", "צה״ל — “yes”", "צה\"ל - \"yes\"", "צה\"ל - \"yes\"", "צה\"ל - \"no\""],
+    ];
+    for (const [mode, a, b, same, other] of cases) {
+      assert(`${mode}: shown without`, changes(a, b, null) > 0);
+      assert(`${mode}: hidden with`, changes(a, b, { [mode]: true }) === 0, String(changes(a, b, { [mode]: true })));
+      assert(`${mode}: real edits kept`, changes(same, other, { [mode]: true }) > 0);
+    }
+    assert("case only", changes("The Cat", "the cat", { whitespace: true, punctuation: true }) > 0);
+    assert("keys", comparisonKey(" \n", { whitespace: true }) === null && comparisonKey("שָׁלוֹם", { niqqud: true }) === "שלום" && comparisonKey("–", { quotes: true }) === "-");
+    assert("options trimmed", JSON.stringify(normalizationOptions({ case: true, niqqud: false })) === '{"case":true}');
+  });
+
+  // Test 53: normalized ops still show the new text and rebuild both texts exactly
+  await record("normalized ops keep original text", () => {
+    const a = "Shalom,  “friend”. בְּרֵאשִׁית!", b = "shalom \"friend\" and בראשית";
+    const all = Object.fromEntries(NORMALIZATIONS.map(n => [n.id, true]));
+    for (const granularity of ["word", "subword", "char"]) {
+      const ops = diffWords(a, b, { granularity, normalize: all });
+      const newText = ops.filter(o => o.type !== "delete").map(o => o.value).join("");
+      const oldText = ops.filter(o => o.type !== "insert").map(o => o.old ?? o.value).join("");
+      assert(`${granularity}: new`, newText === b, newText);
+      assert(`${granularity}: old`, oldText === a, oldText);
+      const hunks = groupHunks(ops);
+      assert(`${granularity}: only "and"`, hunks.length === 1 && hunks[0].ins.trim() === "and" && !hunks[0].del, JSON.stringify(hunks));
+      assert(`${granularity}: reject restores`, textWithRejected(ops, hunks).replace(/\s+/g, " ") === "shalom \"friend\" בראשית");
+    }
+  });
+
+  // Test 54: a reordered clause is one move, not a deletion plus an insertion
+  await record("move detection", () => {
+    const a = "in the morning we left the city quickly", b = "we left the city quickly in the morning";
+    const moved = (ops, move) => ops.filter(o => o.move === move).map(o => o.value).join("").trim();
+    for (const granularity of ["word", "subword", "char"]) {
+      const ops = diffWords(a, b, { granularity });
+      assert(`${granularity}: both ends`, moved(ops, "from") === "in the morning" && moved(ops, "to") === "in the morning", JSON.stringify(ops));
+      const hunks = groupHunks(ops);
+      assert(`${granularity}: one change`, changeCount(hunks) === 1, String(changeCount(hunks)));
+      const from = hunks.find(h => h.move === "from");
+      assert(`${granularity}: partner`, movePartner(hunks, from)?.move === "to" && movePartner(hunks, from).moveId === from.moveId);
+      assert(`${granularity}: reject both`, textWithRejected(ops, [from, movePartner(hunks, from)]).replace(/\s+/g, " ").trim() === a);
+    }
+    const word = diffWords(a, b, { granularity: "word" });
+    assert("words", JSON.stringify(wordCounts(word)) === '{"inserted":0,"deleted":0,"moved":3,"equal":5}', JSON.stringify(wordCounts(word)));
+    assert("one shift", Math.abs(editRate(word) - 1 / 8) < 1e-9, String(editRate(word)));
+    assert("opt out", changeCount(groupHunks(diffWords(a, b, { granularity: "word", moves: false }))) === 2);
+    assert("short runs stay", !diffWords("so we left", "we left so", { granularity: "word" }).some(o => o.move));
+    // The moved clause inside a longer deletion: only the clause moves.
+    const inside = diffWords("in the morning quietly we left the city", "we left the city in the morning", { granularity: "word" });
+    assert("inside a run", moved(inside, "from") === "in the morning" && inside.some(o => o.type === "delete" && !o.move && o.value === "quietly"));
+    assert("two changes", changeCount(groupHunks(inside)) === 2);
+    assert("detect on ops", detectMoves([{ type: "equal", value: "x" }]).length === 1);
+  });
+
+  // Test 55: shortcuts match by physical key, rebind, and list changes with context
+  await record("keyboard shortcuts", () => {
+    const key = (init) => ({ metaKey: false, ctrlKey: false, altKey: false, shiftKey: false, ...init });
+    assert("hebrew layout", bindingFromEvent(key({ key: "ק", code: "KeyE", ctrlKey: true, shiftKey: true }), false) === "Mod+Shift+E");
+    assert("mac mod", bindingFromEvent(key({ key: "Enter", code: "Enter", metaKey: true }), true) === "Mod+Enter");
+    assert("mac ctrl is not mod", bindingFromEvent(key({ key: "Enter", code: "Enter", ctrlKey: true }), true) === "Ctrl+Enter");
+    assert("question mark", bindingFromEvent(key({ key: "?", code: "Slash", shiftKey: true }), false) === "Shift+/");
+    assert("lone modifier", bindingFromEvent(key({ key: "Shift", code: "ShiftLeft", shiftKey: true }), false) === null);
+    assert("normalize", normalizeBinding("shift+mod+e") === "Mod+Shift+E" && normalizeBinding("") === "");
+    const bindings = resolveBindings({ export: "alt+ArrowDown", refresh: "" });
+    assert("defaults", bindings.generate === "Mod+Enter" && findAction(bindings, "Mod+Enter") === "generate");
+    assert("off", bindings.refresh === "" && findAction(bindings, "") === null);
+    assert("conflict", JSON.stringify(bindingConflicts(bindings).get("Alt+ArrowDown")) === '["export","nextChange"]');
+    assert("first listed wins", findAction(bindings, "Alt+ArrowDown") === "export");
+    assert("fields", firesInTextField("Mod+Enter") && firesInTextField("Alt+Shift+D") && !firesInTextField("Shift+/"));
+    assert("format", formatBinding("Mod+Shift+E", true) === "⌘⇧E" && formatBinding("Mod+Shift+E", false) === "Ctrl+Shift+E" && formatBinding("", false) === "—");
+    const ops = diffWords("The quick brown fox jumps", "The quick red fox jumps", { granularity: "word" });
+    const h = groupHunks(ops)[0];
+    const ctx = hunkContext(ops, h, 6);
+    assert("context", ctx.before === "quick " && ctx.after === " fox j", JSON.stringify(ctx));
+  });
+
+  // Test 56: comments follow their text through edits and reach every export
+  await record("anchored comments", async () => {
+    const text = "The cat sat on the mat.";
+    const t = newThread({ text, start: 4, end: 7, author: "Dana", body: "Which cat?", date: "2024-05-01T10:00:00Z" });
+    assert("quote", t.quote === "cat" && !t.resolved);
+    const edited = "Yesterday the cat sat on a mat.";
+    const [moved] = reanchorThreads([t], diffWords(text, edited, { granularity: "char", moves: false }));
+    assert("moved", edited.slice(moved.start, moved.end) === "cat" && !moved.detached, JSON.stringify(moved));
+    const grown = "The black cat sat.";
+    const [typed] = reanchorThreads([t], diffWords(text, grown, { granularity: "char", moves: false }));
+    assert("typing next to it", grown.slice(typed.start, typed.end) === "cat", JSON.stringify(typed));
+    const [gone] = reanchorThreads([t], diffWords(text, "The sat on the mat.", { granularity: "char", moves: false }));
+    assert("detached", gone.detached && gone.start === gone.end && gone.quote === "cat");
+    const thread = { ...addReply(t, { author: "Eli", text: "The grey one.", date: "2024-05-02T09:00:00Z" }), resolved: true };
+    assert("note", threadNote(thread) === "[Resolved] Dana (2024-05-01): Which cat?\n↳ Eli (2024-05-02): The grey one.", threadNote(thread));
+    const ops = diffWords("The cat sat.", "The cat sat down.");
+    const marked = opsWithNotes(ops, [{ ...t, start: 4, end: 7 }]);
+    const at = marked.findIndex(o => o.type === "note");
+    assert("marker after its range", marked.slice(0, at).filter(o => o.type !== "delete").map(o => o.value).join("") === "The cat", JSON.stringify(marked));
+    const notes = [{ start: 4, end: 7, text: threadNote(t), author: "Dana", date: t.messages[0].date }];
+    const pairs = buildPairs({ sourceText: "החתול ישב. הכלב רץ.", autoText: "Cat sat. Dog ran.", gptText: "The cat sat. The dog ran.", notes });
+    assert("pair notes", pairs[0].notes?.length === 1 && !pairs[1].notes?.length, JSON.stringify(pairs));
+    assert("xliff note", buildXLIFF2(pairs, { sourceLang: "he", targetLang: "en" }).includes('<note category="comment">Dana (2024-05-01): Which cat?</note>'));
+    const files = await readZip(buildDocx({ ops, notes }));
+    const comments = findAll(parseXML(new TextDecoder().decode(files.get("word/comments.xml"))), "w:comment");
+    assert("docx comment", comments.length === 1 && comments[0].attrs["w:author"] === "Dana" && comments[0].attrs["w:initials"] === "D");
+  });
+
+  // Test 57: the headless core compares in every format and translates long texts in chunks
+  await record("headless core", async () => {
+    const json = compareTexts("The cat sat.\nThe end.", "The dog sat.\nThe end.", { granularity: "word", oldName: "a.txt", newName: "b.txt" });
+    assert("json", json.changes === 1 && json.hunks[0].del === "cat" && json.hunks[0].ins === "dog" && json.words.inserted === 1);
+    assert("unified", compareTexts("a\nb\nc", "a\nB\nc", { format: "unified", oldName: "a.txt", newName: "b.txt" }) === "--- a.txt\n+++ b.txt\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n");
+    assert("unified equal", compareTexts("same", "same", { format: "unified" }) === "");
+    const html = compareTexts("one two", "one three", { format: "html", date: "2024-05-01T10:00:00Z" });
+    assert("html", html.startsWith("<!DOCTYPE html>") && html.includes('<span class="add">three</span>'));
+    let bad = null;
+    try { compareTexts("a", "b", { format: "pdf" }); } catch (e) { bad = e; }
+    assert("unknown format", bad && /pdf/.test(bad.message));
+    const fetchImpl = async (url, init) => {
+      const source = JSON.parse(init.body).messages.at(-1).content.match(/SOURCE:```\n([\s\S]*?)\n```/)[1];
+      return new Response(JSON.stringify({ choices: [{ message: { content: `<${source.trim()}>` } }] }), { headers: { "Content-Type": "application/json" } });
+    };
+    const settings = { apiKey: "k" };
+    assert("single", await translateText("Shalom.", { providerId: "openai", settings, fetchImpl }) === "<Shalom.>");
+    const long = "First paragraph here.\n\nSecond paragraph here.";
+    const out = await translateText(long, { providerId: "openai", settings, fetchImpl, chunkTokens: 6 });
+    assert("chunked", out === "<First paragraph here.>\n\n<Second paragraph here.>", JSON.stringify(out));
+    let missing = null;
+    try { await translateText("x", { providerId: "openai", fetchImpl }); } catch (e) { missing = e; }
+    assert("missing key", missing && /API key/.test(missing.message));
+  });
+
+  // Test 58: a review package round-trips decisions and remarks back onto the document
+  await record("review package", () => {
+    const autoText = "The cat sat on the mat. It was warm.";
+    const gptText = "The dog sat on the mat. It was very warm.";
+    const ops = diffWords(autoText, gptText, { granularity: "word" });
+    const [catDog, very] = groupHunks(ops);
+    const html = buildReviewPackage({ sourceText: "החתול ישב.", autoText, gptText, ops, granularity: "word", author: "Dana", date: "2024-05-01T10:00:00Z", id: "rp1" });
+    const data = JSON.parse(html.match(/<script type="application\/json" id="review-data">([\s\S]*?)<\/script>/)[1]);
+    assert("embedded", data.hunks.length === 2 && data.ops.length === ops.length && data.baseline === textHash(autoText) && data.translation === textHash(gptText) && data.translation !== textHash(`${gptText} `));
+    const page = html.match(/<script>([\s\S]*)<\/script>/)[1];
+    new Function(page); // the page script at least parses
+    // Keys hold inserted text, so the page's escaping must keep quotes (צה"ל) inside data-key.
+    const pageEsc = new Function(`${page.match(/function esc\(s\) \{.*\}/)[0]}; return esc;`)();
+    assert("page escapes quotes", pageEsc(`צה"ל's`) === "צה&quot;ל&#39;s");
+    const result = {
+      format: REVIEW_RESULT_FORMAT, version: 1, packageId: "rp1", baseline: data.baseline, granularity: "word", normalize: null,
+      reviewer: "Eli", date: "2024-05-02T09:00:00Z", remarks: "Nice work.",
+      decisions: [
+        { key: catDog.key, decision: "reject", remark: "It is a cat." },
+        { key: very.key, decision: "accept", remark: "" },
+        { key: "0:0:gone", decision: "accept", remark: "" },
+      ],
+    };
+    const saved = html.replace(/(id="review-data">)[\s\S]*?(<\/script>)/, (_, a, b) => a + JSON.stringify({ ...data, result }) + b);
+    assert("from html", parseReviewResult(saved).reviewer === "Eli" && parseReviewResult(JSON.stringify(result)).decisions.length === 3);
+    let unsaved = null;
+    try { parseReviewResult(html); } catch (e) { unsaved = e; }
+    assert("nothing saved yet", unsaved && /no saved decisions/.test(unsaved.message));
+    const applied = applyReviewResult(ops, result);
+    assert("text", applied.text === "The cat sat on the mat. It was very warm." && applied.text === textWithRejected(ops, [catDog]));
+    assert("keys", applied.accepted.join() === very.key && applied.rejected.join() === catDog.key && applied.missing === 1);
+    assert("general remark first", applied.notes[0].body === "Nice work." && applied.notes[0].start === 0 && applied.notes[0].author === "Eli");
+    assert("remark on the restored text", applied.text.slice(applied.notes[1].start, applied.notes[1].end) === "cat", JSON.stringify(applied.notes[1]));
+    const moved = diffWords("in the morning we left the city quickly", "we left the city quickly in the morning", { granularity: "word" });
+    const to = groupHunks(moved).find(h => h.move === "to");
+    const back = applyReviewResult(moved, { ...result, remarks: "", decisions: [{ key: to.key, decision: "reject", remark: "" }] });
+    assert("move rejected at both ends", back.rejected.length === 2 && back.text === "in the morning we left the city quickly", JSON.stringify(back));
+  });
+
+  // Test 59: every script family gets word tokens, a one-word diff, its direction and its language
+  const SCRIPT_SAMPLES = [
+    { family: "Arabic", lang: "ar", dir: "rtl", old: "ذهب الولد إلى المدرسة صباحا.", new: "ذهب الولد إلى الجامعة صباحا.", from: "المدرسة", to: "الجامعة" },
+    { family: "Persian", lang: "fa", dir: "rtl", old: "من می\u200Cخواهم به خانه بروم.", new: "من می\u200Cخواهم به مدرسه بروم.", from: "خانه", to: "مدرسه", word: "می\u200Cخواهم" },
+    { family: "Yiddish", lang: "yi", dir: "rtl", old: "מיר װילן גיין אַהיים.", new: "מיר װילן פֿאָרן אַהיים.", from: "גיין", to: "פֿאָרן", word: "אַהיים" },
+    { family: "Russian", lang: "ru", dir: "ltr", old: "Мальчик пошёл в школу утром.", new: "Мальчик пошёл в университет утром.", from: "школу", to: "университет" },
+    { family: "Chinese", lang: "zh", dir: "ltr", old: "我喜欢学习中文。", new: "我喜欢学习日文。", from: "中文", to: "日文" },
+    { family: "Japanese", lang: "ja", dir: "ltr", old: "日本語のテキストです。", new: "日本語の文章です。", from: "テキスト", to: "文章" },
+    { family: "Korean", lang: "ko", dir: "ltr", old: "나는 학교에 갑니다.", new: "나는 회사에 갑니다.", from: "학교에", to: "회사에" },
+    { family: "Thai", lang: "th", dir: "ltr", old: "ภาษาไทยง่ายมาก", new: "ภาษาไทยยากมาก", from: "ง่าย", to: "ยาก" },
+  ];
+  for (const s of SCRIPT_SAMPLES) {
+    await record(`script: ${s.family}`, () => {
+      const tokens = tokenize(s.old);
+      assert("words are tokens", tokens.includes(s.from) && (!s.word || tokens.includes(s.word)), JSON.stringify(tokens));
+      assert("tokens rebuild the text", tokens.join("") === s.old);
+      const changed = diffWords(s.old, s.new, { granularity: "word" }).filter(o => o.type !== "equal");
+      assert("one word replaced", changed.length === 2 && changed[0].value === s.from && changed[1].value === s.to, JSON.stringify(changed));
+      assert("direction", detectDir(s.old) === s.dir);
+      assert("language", guessLang(s.old) === s.lang);
+    });
+  }
+
+  // Test 60: tokenization keeps whitespace runs whole, splits inner punctuation only when normalizing, survives long texts
+  await record("tokenize across scripts", () => {
+    assert("whitespace run", tokenize("a  \n\n b").join("|") === "a|  \n\n |b");
+    assert("contractions and acronyms whole", tokenize("don't צה״ל").join("|") === "don't| |צה״ל");
+    assert("split when normalizing", tokenize("don't צה״ל", { quotes: true }).join("|") === "don|'|t| |צה|״|ל");
+    assert("underscore kept", tokenize("snake_case", { punctuation: true }).length === 1);
+    const curly = diffWords("I don’t know", "I don't know", { normalize: { quotes: true } });
+    assert("curly apostrophe equal", curly.every(o => o.type === "equal"));
+    const long = "مرحبا بالعالم. Привет, мир! 我喜欢学习中文。 ภาษาไทยง่ายมาก ".repeat(400);
+    const tokens = tokenize(long);
+    assert("long text rebuilt", tokens.join("") === long);
+    assert("long text like short", tokens.slice(0, 40).join("|") === tokenize(long.slice(0, 400)).slice(0, 40).join("|"));
+    assert("no joined words", !tokens.some(t => t.length > 20));
+  });
+
+  // Test 61: direction of all RTL scripts, language codes and names, per-paragraph DOCX direction
+  await record("languages & direction", async () => {
+    assert("rtl code points", [0x05D0, 0x0627, 0x0710, 0x0780, 0x07CA, 0x1E900].every(isRtlCodePoint) && !isRtlCodePoint(0x0410));
+    assert("mixed majority", detectDir("The word سلام means peace") === "ltr" && detectDir("كلمة hello تعني مرحبا") === "rtl");
+    assert("no letters", detectDir("123 — 456") === "ltr");
+    assert("codes", parseLang("pt_br") === "pt-BR" && parseLang("zh-hant") === "zh-Hant" && parseLang("Arabic") === "ar" && parseLang("not a code") === null);
+    assert("legacy names", langCode("English") === "en" && langCode("Hebrew") === "he" && langCode("") === "und");
+    assert("names", languageName("ar") === "Arabic" && languageName("ru") === "Russian" && languageName("Klingonese") === "Klingonese");
+    assert("rtl languages", ["ar", "fa", "yi", "he", "ur"].every(isRtlLang) && !["en", "ru", "zh", "th"].some(isRtlLang));
+    const msgs = buildTranslationMessages({ systemPrompt: "Into {TARGET} from {SOURCE_LANG}.", sourceText: "x", targetLang: "ar", sourceLang: "ru" });
+    assert("prompt names the languages", msgs[0].content === "Into Arabic from Russian." && msgs[1].content.includes("into Arabic"));
+    const tm = addToMemory([], [{ source: "Один.", target: "One." }], { targetLang: "English" });
+    assert("memory by code", lookupMemory(tm, "Один.", { targetLang: "en" })[0].exact);
+    const ops = diffWords("", "مرحبا بالعالم\nHello world\nשלום", { granularity: "word" });
+    const doc = parseXML(new TextDecoder().decode((await readZip(buildDocx({ ops, bidiLang: "ar-EG" }))).get("word/document.xml")));
+    const [ar, en, he] = findAll(doc, "w:p");
+    assert("paragraph directions", findAll(ar, "w:bidi").length === 1 && !findAll(en, "w:bidi").length && findAll(he, "w:bidi").length === 1);
+    assert("bidi language", findAll(ar, "w:lang").every(l => l.attrs["w:bidi"] === "ar-EG"));
+  });
+
+  // Test 62: a word changed inside is one hunk: rejecting it restores the whole word
+  await record("reject sub-word hunks", () => {
+    const oldS = "the red cat sat", newS = "the blue cat stood";
+    const ops = diffWords(oldS, newS);
+    const hunks = groupHunks(ops);
+    assert("sat → stood refined but one hunk", hunks.length === 2 && ops.some(o => o.type === "equal" && o.value === "s") && hunks[1].del === "sat" && hunks[1].ins === "stood");
+    assert("whole-word hunk reverted alone", textWithRejected(ops, [hunks[0]]) === "the red cat stood");
+    assert("refined word reverted whole", textWithRejected(ops, [hunks[1]]) === "the blue cat sat");
+    assert("all hunks reverted", textWithRejected(ops, hunks) === oldS);
+    const suffix = diffWords("he walks home", "he walked home");
+    assert("suffix change is one hunk", groupHunks(suffix).length === 1 && textWithRejected(suffix, groupHunks(suffix)) === "he walks home");
+    const prefix = groupHunks(diffWords("בית גדול", "הבית גדול"));
+    assert("prefix change is one hunk", prefix.length === 1 && prefix[0].del === "בית" && prefix[0].ins === "הבית");
+  });
+
+  // Test 63: every provider over real HTTP against a local server on 127.0.0.1. Only under
+  // Node (npm run selftest): a browser page cannot listen on a port.
+  if (globalThis.process?.versions?.node) await record("providers over HTTP", async () => {
+    const { createServer } = await import(/* @vite-ignore */ NODE_HTTP);
+    const requests = [];
+    const server = createServer((req, res) => {
+      let raw = "";
+      req.setEncoding("utf8");
+      req.on("data", (c) => { raw += c; });
+      req.on("end", () => {
+        const body = raw ? JSON.parse(raw) : null;
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        serveProvider(req, body, res);
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const last = () => requests[requests.length - 1];
+    const messages = [{ role: "system", content: "sys" }, { role: "user", content: "שלום" }];
+    try {
+      const cases = [
+        { providerId: "openai", settings: { apiKey: "k1", baseUrl: `${base}/` }, model: "gpt-4o", path: "/chat/completions", auth: (h) => h.authorization === "Bearer k1" },
+        { providerId: "openai-compatible", settings: { baseUrl: base }, model: "llama3.1", path: "/chat/completions", auth: (h) => !h.authorization },
+        { providerId: "azure", settings: { endpoint: base, apiKey: "k3" }, model: "my deploy", path: "/openai/deployments/my%20deploy/chat/completions?api-version=2024-10-21", auth: (h) => h["api-key"] === "k3" },
+        { providerId: "anthropic", settings: { apiKey: "k4", baseUrl: base }, model: "claude-x", path: "/v1/messages", auth: (h) => h["x-api-key"] === "k4" && h["anthropic-version"] === "2023-06-01" },
+      ];
+      for (const c of cases) {
+        const out = await translate({ ...c, messages, temperature: "0.5", maxTokens: "64" });
+        const req = last();
+        assert(`${c.providerId} reply`, out === `echo ${c.model}`);
+        assert(`${c.providerId} request`, req.method === "POST" && req.url === c.path && c.auth(req.headers) && req.headers["content-type"] === "application/json");
+        assert(`${c.providerId} body`, req.body.temperature === 0.5 && req.body.messages.some(m => m.content === "שלום"));
+        const tokens = [];
+        const streamed = await translate({ ...c, messages, onToken: (d) => tokens.push(d) });
+        assert(`${c.providerId} stream`, streamed === `echo ${c.model}` && tokens.length === 2 && last().body.stream === true);
+      }
+      await translate({ ...cases[2], settings: { ...cases[2].settings, reasoningModel: true }, messages, temperature: "0.5" });
+      assert("azure reasoning deployment: no temperature", !("temperature" in last().body));
+      await translate({ ...cases[2], model: "o4-mini", messages, temperature: "0.5" });
+      assert("azure deployment name is not guessed from", last().body.temperature === 0.5);
+      let err = null;
+      try { await translate({ ...cases[0], model: "busy", messages }); } catch (e) { err = e; }
+      assert("429 over HTTP", err instanceof ProviderError && err.status === 429 && err.retryAfter === 7 && /slow down/.test(err.message));
+      assert("model list", (await listModels({ providerId: "openai", settings: cases[0].settings })).join() === "m-a,m-b" && last().method === "GET" && last().url === "/models");
+    } finally {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  return results;
+}
+
+// Module name kept out of the import() literal, so the app bundle leaves it alone.
+const NODE_HTTP = "node:http";
+
+// A provider API for the HTTP self-test: chat completions (OpenAI, compatible, Azure) and
+// Anthropic Messages reply "echo <model>", model lists, and a 429 with Retry-After for the
+// model "busy". Streams are cut mid-event across two writes to exercise SSE framing.
+function serveProvider(req, body, res) {
+  const path = req.url.split("?")[0];
+  if (req.method === "GET") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ data: [{ id: "m-b" }, { id: "m-a" }] }));
+    return;
+  }
+  const model = body.model || decodeURIComponent(path.split("/")[3] || "");
+  if (model === "busy") {
+    res.writeHead(429, { "Content-Type": "text/plain", "Retry-After": "7" });
+    res.end("slow down");
+    return;
+  }
+  const anthropic = path === "/v1/messages";
+  if (!body.stream) {
+    const text = ` echo ${model} `;
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(anthropic ? { content: [{ type: "text", text }] } : { choices: [{ message: { content: text } }] }));
+    return;
+  }
+  const wire = (anthropic
+    ? [
+      'event: message_start\ndata: {"type":"message_start"}\n\n',
+      ...["echo ", model].map(text => `event: content_block_delta\ndata: ${JSON.stringify({ type: "content_block_delta", delta: { type: "text_delta", text } })}\n\n`),
+      'event: message_stop\ndata: {"type":"message_stop"}\n\n',
+    ]
+    : [
+      ...["echo ", model].map(content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\r\n\r\n`),
+      "data: [DONE]\n\n",
+    ]).join("");
+  res.writeHead(200, { "Content-Type": "text/event-stream" });
+  const cut = Math.floor(wire.length / 2);
+  res.write(wire.slice(0, cut));
+  setTimeout(() => res.end(wire.slice(cut)), 10);
+}
+
+// Stand-in for a provider's HTTP server: records the last request, replies with `data`.
+function mockFetch(data, { status = 200, headers = {} } = {}) {
+  const fn = async (url, init = {}) => {
+    fn.last = { url, headers: init.headers || {}, body: init.body ? JSON.parse(init.body) : null };
+    return new Response(JSON.stringify(data), { status, headers: { "Content-Type": "application/json", ...headers } });
+  };
+  return fn;
+}
+
+// Deterministic pseudo-chapter: `words` words from a mixed He/En vocabulary, and a
+// copy with roughly `editRate` of the words replaced, dropped or duplicated.
+function makeChapter(words, editRate, seed = 7) {
+  let x = seed;
+  const rand = () => { x = (x * 1103515245 + 12345) % 2147483648; return x / 2147483648; };
+  const vocab = "the of and to in that it was he for on are with as his they be at one have this from בית ספר אור מים ארץ שמים ילד איש דבר יום עיר".split(" ");
+  const a = [], b = [];
+  for (let i = 0; i < words; i++) {
+    const w = vocab[Math.floor(rand() * vocab.length)] + (rand() < 0.08 ? "." : "");
+    a.push(w);
+    const r = rand();
+    if (r < editRate / 3) b.push(vocab[Math.floor(rand() * vocab.length)]);
+    else if (r < (2 * editRate) / 3) continue;
+    else if (r < editRate) b.push(w, w);
+    else b.push(w);
+  }
+  return { oldS: a.join(" "), newS: b.join(" "), words };
+}
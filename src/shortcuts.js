@@ -0,0 +1,89 @@
+// Keyboard shortcuts: the actions, their default bindings, and matching key events.
+// A binding is a string like "Mod+Shift+E"; Mod is ⌘ on macOS and Ctrl elsewhere.
+// Letters, digits and punctuation are matched by physical key (`event.code`), so the
+// shortcuts keep working while a Hebrew keyboard layout is active.
+
+export const SHORTCUT_ACTIONS = [
+  { id: "generate", label: "Generate GPT translation", binding: "Mod+Enter" },
+  { id: "compare", label: "Compare only (use my GPT text)", binding: "Mod+Shift+Enter" },
+  { id: "export", label: "Export HTML", binding: "Mod+Shift+E" },
+  { id: "nextChange", label: "Next change in Track Changes", binding: "Alt+ArrowDown" },
+  { id: "prevChange", label: "Previous change in Track Changes", binding: "Alt+ArrowUp" },
+  { id: "accept", label: "Accept the selected change", binding: "Alt+Enter" },
+  { id: "reject", label: "Reject the selected change", binding: "Alt+Shift+Enter" },
+  { id: "toggleDir", label: "Editor direction: Auto → LTR → RTL", binding: "Alt+Shift+D" },
+  { id: "refresh", label: "Refresh the diff", binding: "Alt+Shift+R" },
+  { id: "help", label: "Show keyboard shortcuts", binding: "Shift+/" },
+];
+
+const MODIFIERS = ["Mod", "Ctrl", "Alt", "Shift"];
+const MODIFIER_KEYS = ["Meta", "Control", "Alt", "Shift", "AltGraph", "CapsLock"];
+const CODE_KEYS = {
+  Slash: "/", Backslash: "\\", Period: ".", Comma: ",", Semicolon: ";", Quote: "'",
+  BracketLeft: "[", BracketRight: "]", Minus: "-", Equal: "=", Backquote: "`", Space: "Space",
+};
+
+export function isMacPlatform(nav = globalThis.navigator) {
+  return /Mac|iPhone|iPad/.test((nav && (nav.platform || nav.userAgent)) || "");
+}
+
+// The binding a keydown event stands for; null for a lone modifier key.
+export function bindingFromEvent(e, mac) {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+  let key;
+  if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+  else if (/^Digit\d$/.test(e.code)) key = e.code.slice(5);
+  else if (CODE_KEYS[e.code]) key = CODE_KEYS[e.code];
+  else key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  const parts = [];
+  if (mac ? e.metaKey : e.ctrlKey) parts.push("Mod");
+  if (mac && e.ctrlKey) parts.push("Ctrl");
+  if (e.altKey) parts.push("Alt");
+  if (e.shiftKey) parts.push("Shift");
+  return [...parts, key].join("+");
+}
+
+// Canonical spelling of a typed binding ("shift+mod+e" → "Mod+Shift+E"); "" stays "".
+export function normalizeBinding(binding) {
+  const parts = String(binding || "").split("+").map(p => p.trim()).filter(Boolean);
+  if (!parts.length) return "";
+  const key = parts.pop();
+  const lower = parts.map(p => p.toLowerCase());
+  const mods = MODIFIERS.filter(m => lower.includes(m.toLowerCase()));
+  return [...mods, key.length === 1 ? key.toUpperCase() : key].join("+");
+}
+
+// Defaults with the user's overrides applied; an override of "" turns a shortcut off.
+export function resolveBindings(overrides = {}) {
+  return Object.fromEntries(SHORTCUT_ACTIONS.map(a => [a.id, a.id in overrides ? normalizeBinding(overrides[a.id]) : a.binding]));
+}
+
+export function findAction(bindings, binding) {
+  if (!binding) return null;
+  return Object.keys(bindings).find(id => bindings[id] === binding) || null;
+}
+
+// Bindings used by more than one action: binding → action ids.
+export function bindingConflicts(bindings) {
+  const byBinding = new Map();
+  for (const [id, b] of Object.entries(bindings)) {
+    if (b) byBinding.set(b, [...(byBinding.get(b) || []), id]);
+  }
+  return new Map([...byBinding].filter(([, ids]) => ids.length > 1));
+}
+
+// Without Mod, Ctrl or Alt a binding is just typing, so it only acts outside text fields.
+export function firesInTextField(binding) {
+  return /(^|\+)(Mod|Ctrl|Alt)\+/.test(binding);
+}
+
+const MAC_NAMES = { Mod: "⌘", Ctrl: "⌃", Alt: "⌥", Shift: "⇧" };
+const KEY_NAMES = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→", Enter: "Enter", Escape: "Esc" };
+
+export function formatBinding(binding, mac) {
+  if (!binding) return "—";
+  const parts = binding.split("+");
+  const key = parts.pop();
+  const mods = parts.map(m => (mac ? MAC_NAMES[m] : m === "Mod" ? "Ctrl" : m));
+  return [...mods, KEY_NAMES[key] || key].join(mac ? "" : "+");
+}
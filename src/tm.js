@@ -0,0 +1,107 @@
+// Translation memory: approved sentence pairs from saved comparisons, reused for new
+// sources. Matches are scored by token edit distance over `tokenize` (whitespace
+// ignored): 100% means the same tokens, so it is safe to pre-fill without the model.
+import { contextBefore, estimateTokens } from "./chunking.js";
+import { tokenize } from "./diff.js";
+import { langCode } from "./languages.js";
+import { buildSegmentTable, splitSentences } from "./segment.js";
+
+export const TM_MIN_SCORE = 0.7;
+
+const words = (text) => tokenize(text).filter(t => t.trim());
+const keyOf = (text) => words(text).join(" ");
+// Units saved with a language name ("English") match its code ("en").
+const langKey = (lang) => (lang ? langCode(lang) : "");
+
+// Levenshtein distance over token arrays, two rows of memory.
+export function tokenEditDistance(a, b) {
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = new Int32Array(b.length + 1), cur = new Int32Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    cur[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    [prev, cur] = [cur, prev];
+  }
+  return prev[b.length];
+}
+
+// Similarity in [0, 1]: 1 - distance / longer length.
+export function matchScore(a, b) {
+  const ta = words(a), tb = words(b);
+  const len = Math.max(ta.length, tb.length);
+  return len ? 1 - tokenEditDistance(ta, tb) / len : 1;
+}
+
+// Approved pairs from a comparison: each aligned source sentence with its final translation.
+export function pairsFromComparison(sourceText, autoText, gptText) {
+  if (!sourceText || !sourceText.trim() || !gptText || !gptText.trim()) return [];
+  return buildSegmentTable(sourceText, autoText, gptText)
+    .filter(r => r.source && r.gpt.text && !r.gpt.merged && r.gpt.pattern === "1:1")
+    .map(r => ({ source: r.source, target: r.gpt.text }));
+}
+
+// Add pairs to the memory `units` ({ id, source, target, targetLang, date }). A newer
+// translation of the same source (same tokens, same target language) replaces the older.
+export function addToMemory(units, pairs, { targetLang = "", date = new Date().toISOString() } = {}) {
+  const index = new Map(units.map((u, i) => [`${langKey(u.targetLang)}\u0000${keyOf(u.source)}`, i]));
+  const next = units.slice();
+  for (const p of pairs) {
+    const k = `${langKey(targetLang)}\u0000${keyOf(p.source)}`;
+    const unit = { id: `tm${Date.now().toString(36)}${next.length.toString(36)}`, source: p.source, target: p.target, targetLang, date };
+    if (index.has(k)) next[index.get(k)] = { ...unit, id: next[index.get(k)].id };
+    else { index.set(k, next.length); next.push(unit); }
+  }
+  return next;
+}
+
+// Best match per source sentence: `{ sentence, unit, score, exact }` (unit null if none
+// reaches `minScore`). Candidates are pre-filtered by length, since the score can never
+// exceed shorter / longer.
+export function lookupMemory(units, sourceText, { targetLang, minScore = TM_MIN_SCORE } = {}) {
+  const pool = units.filter(u => !targetLang || !u.targetLang || langKey(u.targetLang) === langKey(targetLang))
+    .map(u => ({ unit: u, tokens: words(u.source) }));
+  const exact = new Map(pool.map(p => [p.tokens.join(" "), p.unit]));
+  return splitSentences(sourceText).map(sentence => {
+    const tokens = words(sentence.text);
+    const hit = exact.get(tokens.join(" "));
+    if (hit) return { sentence, unit: hit, score: 1, exact: true };
+    let best = null, bestScore = minScore;
+    for (const p of pool) {
+      const len = Math.max(tokens.length, p.tokens.length);
+      if (!len || Math.min(tokens.length, p.tokens.length) / len < bestScore) continue;
+      const score = 1 - tokenEditDistance(tokens, p.tokens) / len;
+      if (score >= bestScore) { best = p.unit; bestScore = score; }
+    }
+    return { sentence, unit: best, score: best ? bestScore : 0, exact: false };
+  });
+}
+
+// Chunks for a translation run where 100% matches are pre-filled: exact sentences become
+// their own chunk with `prefilled` set; the sentences between them are grouped into
+// chunks up to `maxTokens`. Same shape as chunkDocument, so assembleChunks applies.
+export function planWithMemory(sourceText, matches, { maxTokens }) {
+  const chunks = [];
+  let run = null;
+  const close = () => { if (run) { chunks.push(run); run = null; } };
+  for (const m of matches) {
+    const { start, end } = m.sentence;
+    if (m.exact) {
+      close();
+      chunks.push({ start, end, prefilled: m.unit.target });
+      continue;
+    }
+    if (run && estimateTokens(sourceText.slice(run.start, end)) <= maxTokens) run.end = end;
+    else { close(); run = { start, end }; }
+  }
+  close();
+  return chunks.map((c, index) => ({
+    ...c,
+    index,
+    text: sourceText.slice(c.start, c.end),
+    context: contextBefore(sourceText, c.start),
+  }));
+}
@@ -0,0 +1,102 @@
+// Small XML helpers shared by the DOCX/XLIFF/TMX exporters and importers.
+// `parseXML` is a non-validating parser that rejects malformed documents (mismatched
+// or unclosed tags), which is enough for our formats and works outside the browser.
+
+const XML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+
+export function escapeXML(s) {
+  return String(s ?? "").replace(/[&<>"']/g, c => XML_ESCAPES[c]);
+}
+
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (m, e) => {
+    if (e[0] === "#") return String.fromCodePoint(e[1] === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    if (e in NAMED_ENTITIES) return NAMED_ENTITIES[e];
+    throw new Error(`Unknown XML entity ${m}`);
+  });
+}
+
+// Parse into `{ name, attrs, children }` elements; text children are plain strings.
+export function parseXML(src) {
+  const root = { name: "#document", attrs: {}, children: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  let i = 0;
+  while (i < src.length) {
+    const lt = src.indexOf("<", i);
+    if (lt < 0) { pushText(src.slice(i)); break; }
+    if (lt > i) pushText(src.slice(i, lt));
+    if (src.startsWith("<!--", lt)) { i = endOf("-->", lt); continue; }
+    if (src.startsWith("<![CDATA[", lt)) {
+      const end = src.indexOf("]]>", lt);
+      if (end < 0) throw new Error("Unterminated CDATA section");
+      top().children.push(src.slice(lt + 9, end));
+      i = end + 3;
+      continue;
+    }
+    if (src.startsWith("<?", lt)) { i = endOf("?>", lt); continue; }
+    if (src.startsWith("<!", lt)) { i = endOf(">", lt); continue; } // DOCTYPE
+    const gt = src.indexOf(">", lt);
+    if (gt < 0) throw new Error("Unterminated tag");
+    const raw = src.slice(lt + 1, gt);
+    i = gt + 1;
+    if (raw[0] === "/") {
+      const name = raw.slice(1).trim();
+      const open = stack.pop();
+      if (!open || open === root || open.name !== name) throw new Error(`Mismatched closing tag </${name}>`);
+      continue;
+    }
+    const selfClosing = raw.endsWith("/");
+    const body = selfClosing ? raw.slice(0, -1) : raw;
+    const m = /^([^\s/>]+)/.exec(body);
+    if (!m) throw new Error("Malformed tag");
+    const el = { name: m[1], attrs: {}, children: [] };
+    const attrRe = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let a, consumed = m[1].length;
+    while ((a = attrRe.exec(body))) {
+      if (body.slice(consumed, a.index).trim()) throw new Error(`Malformed attributes in <${el.name}>`);
+      el.attrs[a[1]] = decodeEntities(a[3] ?? a[4]);
+      consumed = a.index + a[0].length;
+    }
+    if (body.slice(consumed).trim()) throw new Error(`Malformed attributes in <${el.name}>`);
+    top().children.push(el);
+    if (!selfClosing) stack.push(el);
+  }
+  if (stack.length !== 1) throw new Error(`Unclosed tag <${top().name}>`);
+  const docEl = root.children.find(c => typeof c !== "string");
+  if (!docEl) throw new Error("No root element");
+  return docEl;
+
+  function pushText(t) {
+    if (stack.length === 1) { if (t.trim()) throw new Error("Text outside the root element"); return; }
+    top().children.push(decodeEntities(t));
+  }
+  function endOf(marker, from) {
+    const end = src.indexOf(marker, from);
+    if (end < 0) throw new Error(`Unterminated ${marker}`);
+    return end + marker.length;
+  }
+}
+
+// Element name without its namespace prefix ("w:p" → "p").
+export const localName = (el) => el.name.slice(el.name.indexOf(":") + 1);
+
+export function childElements(el, name) {
+  return el.children.filter(c => typeof c !== "string" && (!name || c.name === name || localName(c) === name));
+}
+
+// All descendants (depth-first, document order) matching a qualified or local name.
+export function findAll(el, name, out = []) {
+  for (const c of el.children) {
+    if (typeof c === "string") continue;
+    if (c.name === name || localName(c) === name) out.push(c);
+    findAll(c, name, out);
+  }
+  return out;
+}
+
+export function textContent(el) {
+  return el.children.map(c => (typeof c === "string" ? c : textContent(c))).join("");
+}
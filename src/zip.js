@@ -0,0 +1,99 @@
+// Minimal ZIP container support for DOCX export/import without dependencies.
+// Writing uses STORE (no compression), which every Office reader accepts; reading
+// handles STORE and DEFLATE (via DecompressionStream, in browsers and Node 18+).
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+export function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// DOS date/time fields for the entry headers.
+function dosDateTime(d) {
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+  const date = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, date };
+}
+
+// Build a ZIP archive from `[{ name, data }]`, where data is a string (UTF-8) or bytes.
+export function createZip(files, { date = new Date() } = {}) {
+  const enc = new TextEncoder();
+  const { time, date: dosDate } = dosDateTime(date);
+  const entries = files.map(f => {
+    const name = enc.encode(f.name);
+    const data = typeof f.data === "string" ? enc.encode(f.data) : f.data;
+    return { name, data, crc: crc32(data) };
+  });
+  const localSize = entries.reduce((n, e) => n + 30 + e.name.length + e.data.length, 0);
+  const centralSize = entries.reduce((n, e) => n + 46 + e.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let p = 0;
+  const u16 = (v) => { view.setUint16(p, v, true); p += 2; };
+  const u32 = (v) => { view.setUint32(p, v, true); p += 4; };
+  const offsets = [];
+  for (const e of entries) {
+    offsets.push(p);
+    u32(0x04034B50); u16(20); u16(0x0800); u16(0); u16(time); u16(dosDate);
+    u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.name.length); u16(0);
+    out.set(e.name, p); p += e.name.length;
+    out.set(e.data, p); p += e.data.length;
+  }
+  const centralStart = p;
+  entries.forEach((e, i) => {
+    u32(0x02014B50); u16(20); u16(20); u16(0x0800); u16(0); u16(time); u16(dosDate);
+    u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.name.length); u16(0); u16(0);
+    u16(0); u16(0); u32(0); u32(offsets[i]);
+    out.set(e.name, p); p += e.name.length;
+  });
+  u32(0x06054B50); u16(0); u16(0); u16(entries.length); u16(entries.length);
+  u32(p - centralStart); u32(centralStart); u16(0);
+  return out;
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Read a ZIP archive into a Map of entry name → bytes.
+export async function readZip(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054B50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("Not a ZIP file (no end of central directory).");
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const dec = new TextDecoder();
+  const files = new Map();
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(p, true) !== 0x02014B50) throw new Error("Corrupt ZIP central directory.");
+    const method = view.getUint16(p + 10, true);
+    const compSize = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const local = view.getUint32(p + 42, true);
+    const name = dec.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    p += 46 + nameLen + extraLen + commentLen;
+    const dataStart = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const raw = bytes.subarray(dataStart, dataStart + compSize);
+    if (method === 0) files.set(name, raw.slice());
+    else if (method === 8) files.set(name, await inflateRaw(raw));
+    else throw new Error(`Unsupported ZIP compression method ${method} for ${name}.`);
+  }
+  return files;
+}